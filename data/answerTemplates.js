@@ -0,0 +1,28 @@
+// Starter answer templates for the expert inbox, inserted on first boot; manage them
+// through /api/expert-inbox/templates. {crop} is replaced with the crop asked about.
+export default [
+  {
+    title: 'Send a photo of the affected plants',
+    intent: 'disease',
+    body: 'To identify the problem in your {crop} we need to see it. Please take a clear photo of the affected leaves and stem and send it with an SOS from the app, or show it at your nearest Krishi Vigyan Kendra.'
+  },
+  {
+    title: 'Check pest numbers before spraying',
+    intent: 'pest',
+    body: 'Check 10 {crop} plants at random across the field and count the pests on each. Spray only if the numbers cross the threshold for your crop; neem seed kernel extract at 5% in the evening controls many sucking pests and caterpillars.'
+  },
+  {
+    title: 'Get a soil test first',
+    intent: 'fertilizer',
+    body: 'The right fertilizer dose for {crop} depends on your soil. Please get a soil test through the Soil Health Card scheme at your agriculture office, and apply nitrogen in two or three split doses rather than all at once.'
+  },
+  {
+    title: 'Follow the local weather advisory',
+    intent: 'weather',
+    body: 'Please check the Weather page in the app for the forecast and official alerts for your district, and delay spraying or fertilizer application if rain is expected within 24 hours.'
+  },
+  {
+    title: 'Call the Kisan Call Centre',
+    body: 'This needs a conversation with a specialist. Please call the Kisan Call Centre on 1800-180-1551 (free, 6 am to 10 pm) and mention your crop and district.'
+  }
+];
@@ -0,0 +1,169 @@
+// Starter content inserted into an empty knowledge base on first boot
+export default [
+  {
+    title: 'Soil Health Management',
+    content: 'Understanding soil pH, nutrients, and organic matter for optimal crop growth.',
+    category: 'soil',
+    readTime: '5 min',
+    audioAvailable: true,
+    sections: [
+      {
+        heading: 'Why soil health matters',
+        paragraphs: [
+          'Healthy soil holds water, feeds roots and keeps disease in check. Most yield problems that look like pests or weather start with tired soil.',
+          'Three things decide how well your soil performs: its pH, the nutrients available to plants, and the amount of organic matter it contains.'
+        ]
+      },
+      {
+        heading: 'Test your soil every season',
+        paragraphs: [
+          'A soil test tells you exactly what your field is missing, so you spend only on the fertilizer you need. Soil Health Card testing is free at most Krishi Vigyan Kendras.'
+        ],
+        steps: [
+          'Walk the field in a zig-zag and mark 8 to 10 spots.',
+          'At each spot, clear surface litter and dig a V-shaped pit 15 cm deep.',
+          'Cut a 2 cm slice from the side of the pit and collect it in a clean bucket.',
+          'Mix all slices, spread them out, and keep about 500 g after quartering.',
+          'Dry the sample in shade, pack it in a cloth bag and label it with your name and field.'
+        ]
+      },
+      {
+        heading: 'Correcting soil pH',
+        paragraphs: [
+          'Most crops grow best between pH 6.0 and 7.5. Below 5.5, apply agricultural lime two to three weeks before sowing. Above 8.0, gypsum and plenty of organic manure help bring the pH down.'
+        ]
+      },
+      {
+        heading: 'Building organic matter',
+        paragraphs: [
+          'Organic matter feeds soil life and acts like a sponge for water and nutrients. Aim to return something to the soil after every crop.'
+        ],
+        steps: [
+          'Apply 5 to 10 tonnes of well-rotted farmyard manure or compost per hectare.',
+          'Grow a green manure crop such as dhaincha or sunhemp and plough it in before flowering.',
+          'Leave crop residue on the field instead of burning it.'
+        ]
+      }
+    ],
+    references: [
+      { title: 'Soil Health Card Scheme', url: 'https://soilhealth.dac.gov.in/' },
+      { title: 'ICAR - Indian Institute of Soil Science', url: 'https://iiss.icar.gov.in/' }
+    ]
+  },
+  {
+    title: 'Crop Rotation Benefits',
+    content: 'How rotating crops improves soil fertility and reduces pest problems.',
+    category: 'crops',
+    readTime: '7 min',
+    audioAvailable: true,
+    sections: [
+      {
+        heading: 'What is crop rotation?',
+        paragraphs: [
+          'Crop rotation means growing different types of crops on the same field in a planned sequence, instead of the same crop season after season.'
+        ]
+      },
+      {
+        heading: 'Benefits for your farm',
+        paragraphs: [
+          'Pests and diseases that attack one crop lose their host when the next crop is different, so their numbers fall without spraying.',
+          'Legumes such as gram, moong and soybean fix nitrogen from the air, leaving it in the soil for the cereal that follows.',
+          'Deep-rooted and shallow-rooted crops draw nutrients from different layers, so the soil is used more evenly.'
+        ]
+      },
+      {
+        heading: 'Planning a simple rotation',
+        steps: [
+          'Group your crops into families: cereals, legumes, oilseeds and vegetables.',
+          'Never follow a crop with another from the same family on the same plot.',
+          'Follow a heavy feeder such as maize or cotton with a legume.',
+          'Keep a notebook of what was grown on each plot every season.'
+        ]
+      },
+      {
+        heading: 'Common rotations',
+        paragraphs: [
+          'Rice followed by wheat and then moong in summer is widely used in the Indo-Gangetic plains. In rainfed areas, sorghum followed by chickpea works well.'
+        ]
+      }
+    ],
+    references: [
+      { title: 'ICAR - Indian Institute of Farming Systems Research', url: 'https://iifsr.icar.gov.in/' }
+    ]
+  },
+  {
+    title: 'Organic Fertilizers Guide',
+    content: 'Natural fertilizer options and their application methods.',
+    category: 'fertilizer',
+    readTime: '6 min',
+    audioAvailable: false,
+    sections: [
+      {
+        heading: 'Types of organic fertilizer',
+        paragraphs: [
+          'Farmyard manure, compost, vermicompost, green manure and oil cakes all supply nutrients slowly while improving soil structure.',
+          'Biofertilizers such as Rhizobium, Azotobacter and phosphate-solubilising bacteria add living organisms that make nutrients available to roots.'
+        ]
+      },
+      {
+        heading: 'Making vermicompost',
+        steps: [
+          'Build a shaded bed 1 m wide and 30 cm deep on a raised surface.',
+          'Layer chopped crop waste and cow dung in a 3:1 ratio and keep it moist.',
+          'Release about 1 kg of earthworms per square metre of bed.',
+          'Cover with gunny bags and sprinkle water every two to three days.',
+          'Harvest the dark, crumbly compost after 45 to 60 days.'
+        ]
+      },
+      {
+        heading: 'Application rates',
+        paragraphs: [
+          'Use 2 to 3 tonnes of vermicompost or 10 tonnes of farmyard manure per hectare at land preparation. Neem cake at 250 kg per hectare adds nutrients and discourages soil pests.'
+        ]
+      }
+    ],
+    references: [
+      { title: 'National Centre of Organic and Natural Farming', url: 'https://ncof.dacnet.nic.in/' }
+    ]
+  },
+  {
+    title: 'Pest Control Methods',
+    content: 'Integrated pest management using natural and chemical methods.',
+    category: 'pest',
+    readTime: '8 min',
+    audioAvailable: true,
+    sections: [
+      {
+        heading: 'Integrated Pest Management (IPM)',
+        paragraphs: [
+          'IPM combines several methods so that pests are kept below the level that causes economic loss, with chemicals used only as a last resort.'
+        ]
+      },
+      {
+        heading: 'Monitor before you spray',
+        steps: [
+          'Walk the field twice a week and check 10 plants at random.',
+          'Install yellow sticky traps for aphids and whiteflies and pheromone traps for moths.',
+          'Count pests per plant or per trap and compare with the threshold for your crop.'
+        ]
+      },
+      {
+        heading: 'Natural control',
+        paragraphs: [
+          'Ladybird beetles, spiders and Trichogramma wasps feed on common pests. Avoid broad-spectrum sprays that kill them.',
+          'Neem seed kernel extract at 5% controls many sucking pests and caterpillars. Spray in the evening for best results.'
+        ]
+      },
+      {
+        heading: 'Using chemicals safely',
+        paragraphs: [
+          'If pest numbers cross the threshold, choose a pesticide recommended for your crop and pest. Always wear gloves and a mask, spray with the wind behind you, and respect the waiting period before harvest.'
+        ]
+      }
+    ],
+    references: [
+      { title: 'National Centre for Integrated Pest Management', url: 'https://ncipm.icar.gov.in/' },
+      { title: 'Central Insecticides Board & Registration Committee', url: 'https://ppqs.gov.in/divisions/cib-rc' }
+    ]
+  }
+];
@@ -0,0 +1,39 @@
+// National numbers inserted into an empty contacts directory on first boot. Add
+// state and district entries (KVKs, veterinary hospitals, agri officers) through
+// /api/contacts.
+export default [
+  {
+    name: 'Emergency Response (ERSS)',
+    category: 'emergency',
+    phone: '112',
+    description: 'Single emergency number for police, fire and ambulance',
+    priority: 10
+  },
+  {
+    name: 'National Ambulance Service',
+    category: 'ambulance',
+    phone: '108'
+  },
+  {
+    name: 'Police Control Room',
+    category: 'police',
+    phone: '100'
+  },
+  {
+    name: 'Fire & Rescue Services',
+    category: 'fire',
+    phone: '101'
+  },
+  {
+    name: 'District Disaster Control Room',
+    category: 'disaster',
+    phone: '1077',
+    description: 'Floods, cyclones and other disasters; connects to your district'
+  },
+  {
+    name: 'Kisan Call Centre',
+    category: 'agri-officer',
+    phone: '18001801551',
+    description: 'Free advice from agriculture experts in local languages, 6 am to 10 pm'
+  }
+];
@@ -0,0 +1,29 @@
+// Starter escalation policies inserted on first boot; edit them through
+// /api/escalation-policies. Tier 2 is meant for supervisors and standby teams.
+export default [
+  {
+    name: 'Critical medical emergency',
+    severities: ['critical'],
+    types: ['medical-emergency'],
+    steps: [
+      { afterMinutes: 5, unlessStatus: 'acknowledged', target: 'tier', tier: 2 },
+      { afterMinutes: 15, unlessStatus: 'acknowledged', target: 'office' }
+    ]
+  },
+  {
+    name: 'Critical',
+    severities: ['critical'],
+    steps: [
+      { afterMinutes: 10, unlessStatus: 'acknowledged', target: 'tier', tier: 2 },
+      { afterMinutes: 30, unlessStatus: 'assigned', target: 'office' }
+    ]
+  },
+  {
+    name: 'High',
+    severities: ['high'],
+    steps: [
+      { afterMinutes: 30, unlessStatus: 'acknowledged', target: 'tier', tier: 2 },
+      { afterMinutes: 120, unlessStatus: 'assigned', target: 'office' }
+    ]
+  }
+];
@@ -0,0 +1,93 @@
+import { findPrincipal } from '../services/access.js';
+import { can } from '../services/permissions.js';
+import { readCookie } from './locale.js';
+
+// Staff pages are opened with this cookie, and their scripts call the API with it
+export const STAFF_COOKIE = 'agriecho_staff';
+const STAFF_COOKIE_MAX_AGE = 30 * 24 * 60 * 60;
+// The API only takes the cookie along with this X-Requested-With header. Pages on
+// other sites can't add it without a CORS preflight, so they can't borrow the cookie.
+const STAFF_PAGE_REQUEST = 'AgriEcho';
+
+// "Authorization: Bearer <token>", or "X-Admin-Token" as admin scripts always sent it
+function bearerToken(req) {
+  const header = req.get('authorization') || '';
+  return header.startsWith('Bearer ') ? header.slice(7) : req.get('x-admin-token');
+}
+
+function requestToken(req) {
+  const bearer = bearerToken(req);
+  if (bearer) return bearer;
+  return req.get('x-requested-with') === STAFF_PAGE_REQUEST ? readCookie(req, STAFF_COOKIE) : null;
+}
+
+// Looks up who sent the request once per request. Also sets req.principal and
+// req.responder, req.expert, req.staff or req.farmer for the account behind it.
+export async function principalFor(req) {
+  if (req.principal === undefined) {
+    req.principal = await findPrincipal(requestToken(req));
+    if (req.principal && req.principal.account) {
+      req[req.principal.type] = req.principal.account;
+    }
+  }
+  return req.principal;
+}
+
+function denial(principal, permission, as) {
+  if (!principal) return null;
+  if (as && principal.type !== as) return `This needs a ${as} account`;
+  if (!can(principal.roles, permission)) return `Your account does not have the ${permission} permission`;
+  return null;
+}
+
+// API guard: 401 without a valid token, 403 when the account lacks `permission`.
+// `as` also requires a given kind of account, for endpoints that act as that
+// responder, expert or farmer.
+export function requirePermission(permission, { as } = {}) {
+  return async (req, res, next) => {
+    try {
+      const principal = await principalFor(req);
+      if (!principal) {
+        const error = requestToken(req) ? 'Invalid, expired or inactive token' : 'Sign in required';
+        return res.status(401).json({ success: false, error });
+      }
+      const error = denial(principal, permission, as);
+      if (error) {
+        return res.status(403).json({ success: false, error });
+      }
+      next();
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  };
+}
+
+// Page guard: staff pages are only rendered for a signed-in account allowed to use
+// them; everyone else gets the sign-in page. `page` is the guarded page's name.
+export function requirePagePermission(permission, { as, page }) {
+  return async (req, res, next) => {
+    try {
+      const principal = await findPrincipal(readCookie(req, STAFF_COOKIE));
+      if (principal && !denial(principal, permission, as)) {
+        req.principal = principal;
+        return next();
+      }
+      res.status(principal ? 403 : 401).render('signin', {
+        title: req.t(`titles.${page}`),
+        page,
+        signedInAs: principal ? principal.name : null
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+export function setStaffCookie(req, res, token) {
+  const secure = req.secure ? '; Secure' : '';
+  res.append('Set-Cookie', `${STAFF_COOKIE}=${encodeURIComponent(token)}; Path=/; Max-Age=${STAFF_COOKIE_MAX_AGE}; HttpOnly; SameSite=Lax${secure}`);
+}
+
+export function clearStaffCookie(req, res) {
+  res.append('Set-Cookie', `${STAFF_COOKIE}=; Path=/; Max-Age=0; HttpOnly; SameSite=Lax`);
+}
@@ -0,0 +1,5 @@
+import { requirePermission } from './access.js';
+
+// Expert inbox endpoints require "Authorization: Bearer <expert token>" from an
+// expert allowed to answer questions; sets req.expert
+export const requireExpert = requirePermission('questions:answer', { as: 'expert' });
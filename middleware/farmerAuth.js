@@ -0,0 +1,15 @@
+import { requirePermission, principalFor } from './access.js';
+
+// Profile endpoints require "Authorization: Bearer <session token>"; sets req.farmer
+export const requireFarmer = requirePermission('profile:edit', { as: 'farmer' });
+
+// Sets req.farmer when a valid session token is sent. Requests go ahead either way:
+// an SOS or question queued before a session ran out must still get through.
+export async function optionalFarmer(req, res, next) {
+  try {
+    await principalFor(req);
+  } catch (error) {
+    console.error('Failed to check farmer session:', error.message);
+  }
+  next();
+}
@@ -0,0 +1,43 @@
+import { LANGUAGES, DEFAULT_LANGUAGE, normalizeLanguage, negotiateLanguage, catalogFor, translator } from '../services/i18n/index.js';
+
+export const LANGUAGE_COOKIE = 'agriecho_lang';
+const COOKIE_MAX_AGE = 365 * 24 * 60 * 60;
+
+// A cookie's value, or null when it is missing or not validly encoded
+export function readCookie(req, name) {
+  const cookie = (req.get('cookie') || '').split(';')
+    .map(part => part.trim())
+    .find(part => part.startsWith(`${name}=`));
+  if (!cookie) return null;
+  try {
+    return decodeURIComponent(cookie.slice(name.length + 1));
+  } catch (error) {
+    return null;
+  }
+}
+
+// Picks the language for the request: ?lang= (which is saved as the preference),
+// then the saved preference cookie, then Accept-Language. Views get `t`, `language`,
+// `languages` and the merged `messages` catalog for the page scripts.
+export function negotiateLocale(req, res, next) {
+  const requested = normalizeLanguage(req.query.lang);
+  if (requested) {
+    res.append('Set-Cookie', `${LANGUAGE_COOKIE}=${requested}; Path=/; Max-Age=${COOKIE_MAX_AGE}; SameSite=Lax`);
+  }
+
+  const language = requested ||
+    normalizeLanguage(readCookie(req, LANGUAGE_COOKIE)) ||
+    negotiateLanguage(req.get('accept-language')) ||
+    DEFAULT_LANGUAGE;
+
+  req.language = language;
+  req.t = translator(language);
+  res.locals.language = language;
+  res.locals.languages = LANGUAGES;
+  res.locals.t = req.t;
+  res.locals.messages = catalogFor(language);
+  res.set('Content-Language', language);
+  res.vary('Accept-Language');
+  res.vary('Cookie');
+  next();
+}
@@ -0,0 +1,5 @@
+import { requirePermission } from './access.js';
+
+// Console endpoints require "Authorization: Bearer <responder token>" from a
+// responder allowed to triage SOS incidents; sets req.responder
+export const requireResponder = requirePermission('sos:triage', { as: 'responder' });
@@ -0,0 +1,23 @@
+import crypto from 'crypto';
+
+function sameToken(actual, expected) {
+  const a = crypto.createHash('sha256').update(String(actual || '')).digest();
+  const b = crypto.createHash('sha256').update(expected).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+// Providers calling our webhooks can't send a staff token, so the URL they call
+// carries a shared secret (?token=...) or sends it as X-Webhook-Token. `variable`
+// names the environment variable holding it; the webhook is disabled until it is set.
+export function requireWebhookToken(variable, name) {
+  return (req, res, next) => {
+    const expected = process.env[variable];
+    if (!expected) {
+      return res.status(503).json({ success: false, error: `${name} is disabled; set ${variable} to enable it` });
+    }
+    if (!sameToken(req.get('x-webhook-token') || req.query.token, expected)) {
+      return res.status(401).json({ success: false, error: 'Invalid webhook token' });
+    }
+    next();
+  };
+}
@@ -0,0 +1,20 @@
+import mongoose from 'mongoose';
+import pointSchema from './pointSchema.js';
+
+// Agricultural offices that SOS alerts can be routed to when no responder is close
+const agriOfficeSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  phone: { type: String, trim: true },
+  email: { type: String, trim: true, lowercase: true },
+  address: String,
+  districtCode: { type: String, trim: true, uppercase: true },
+  position: { type: pointSchema, required: true },
+  active: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now }
+}, {
+  toJSON: { virtuals: true, versionKey: false }
+});
+
+agriOfficeSchema.index({ position: '2dsphere' });
+
+export default mongoose.model('AgriOffice', agriOfficeSchema);
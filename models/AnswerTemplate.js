@@ -0,0 +1,19 @@
+import mongoose from 'mongoose';
+
+// Reusable starting points for expert answers. {crop} in the body is replaced with
+// the crop the question is about.
+const answerTemplateSchema = new mongoose.Schema({
+  title: { type: String, required: true, trim: true },
+  body: { type: String, required: true },
+  // Shown first for questions with this intent; empty for general templates
+  intent: { type: String, trim: true, lowercase: true },
+  language: { type: String, trim: true, lowercase: true, default: 'en' },
+  active: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now }
+}, {
+  toJSON: { virtuals: true, versionKey: false }
+});
+
+answerTemplateSchema.index({ active: 1, intent: 1 });
+
+export default mongoose.model('AnswerTemplate', answerTemplateSchema);
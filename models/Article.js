@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+import { isWebUrl } from '../services/webUrls.js';
+
+const webUrl = {
+  type: String,
+  trim: true,
+  validate: { validator: value => !value || isWebUrl(value), message: 'Must be an http(s) URL or a path on this site' }
+};
+
+// A body section: a heading followed by paragraphs, optional numbered steps and an image
+const sectionSchema = new mongoose.Schema({
+  heading: { type: String, trim: true },
+  paragraphs: [String],
+  steps: [String],
+  image: {
+    url: webUrl,
+    alt: String,
+    caption: String
+  }
+}, { _id: false });
+
+const referenceSchema = new mongoose.Schema({
+  title: { type: String, required: true },
+  url: webUrl
+}, { _id: false });
+
+const articleSchema = new mongoose.Schema({
+  title: { type: String, required: true, trim: true },
+  content: { type: String, required: true },
+  category: { type: String, required: true, lowercase: true, trim: true },
+  readTime: String,
+  sections: [sectionSchema],
+  references: [referenceSchema],
+  audioAvailable: { type: Boolean, default: false },
+  language: { type: String, default: 'en' },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+}, {
+  toJSON: { virtuals: true, versionKey: false },
+  toObject: { virtuals: true, versionKey: false }
+});
+
+articleSchema.index({ category: 1, createdAt: -1 });
+
+articleSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+export default mongoose.model('Article', articleSchema);
@@ -0,0 +1,77 @@
+import mongoose from 'mongoose';
+
+export const TURN_ROLES = ['user', 'assistant'];
+
+const sourceSchema = new mongoose.Schema({
+  article: { type: mongoose.Schema.Types.ObjectId, ref: 'Article' },
+  title: String
+}, { _id: false });
+
+// One message in a conversation. User turns keep the question as it was understood
+// (resolvedQuery, intent, crop) so the next question can be read as a follow-up.
+const turnSchema = new mongoose.Schema({
+  role: { type: String, enum: TURN_ROLES, required: true },
+  text: { type: String, required: true },
+  language: String,
+  resolvedQuery: String,
+  intent: String,
+  crop: String,
+  sources: [sourceSchema],
+  needsExpert: Boolean,
+  expertName: String,
+  voiceQuery: { type: mongoose.Schema.Types.ObjectId, ref: 'VoiceQuery' },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// A voice assistant session, owned by the device that started it
+const conversationSchema = new mongoose.Schema({
+  device: { type: String, required: true, trim: true },
+  // Set once the farmer signs in, so their history follows them to other devices
+  farmer: { type: mongoose.Schema.Types.ObjectId, ref: 'Farmer' },
+  language: { type: String, default: 'en' },
+  // The first question, to tell conversations apart in a list
+  title: String,
+  turns: [turnSchema],
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+}, {
+  toJSON: { virtuals: true, versionKey: false }
+});
+
+conversationSchema.index({ device: 1, updatedAt: -1 });
+conversationSchema.index({ farmer: 1, updatedAt: -1 });
+
+conversationSchema.methods.toSummaryJSON = function() {
+  return {
+    id: this.id,
+    title: this.title,
+    language: this.language,
+    turnCount: this.turns.length,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+// The full history as the voice page shows it. Expert replies come in later, so they
+// carry the question they answer.
+conversationSchema.methods.toDeviceJSON = function() {
+  const questionFor = turn => {
+    const asked = turn.voiceQuery && this.turns.find(item => item.role === 'user' && turn.voiceQuery.equals(item.voiceQuery));
+    return asked ? asked.text : null;
+  };
+  return {
+    ...this.toSummaryJSON(),
+    turns: this.turns.map(turn => ({
+      role: turn.role,
+      text: turn.text,
+      language: turn.language,
+      sources: turn.sources.map(source => ({ id: source.article, title: source.title })),
+      needsExpert: Boolean(turn.needsExpert),
+      expertName: turn.expertName || null,
+      question: turn.expertName ? questionFor(turn) : null,
+      createdAt: turn.createdAt
+    }))
+  };
+};
+
+export default mongoose.model('Conversation', conversationSchema);
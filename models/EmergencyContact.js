@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+import pointSchema from './pointSchema.js';
+
+export const CONTACT_CATEGORIES = [
+  'emergency', 'ambulance', 'police', 'fire', 'disaster', 'agri-officer', 'kvk', 'veterinary', 'helpline'
+];
+
+// Phone directory entry for a region. Leaving district (or state) empty makes the
+// entry apply to the whole state (or country); the most specific entry wins.
+const emergencyContactSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  category: { type: String, enum: CONTACT_CATEGORIES, required: true },
+  phone: { type: String, required: true, trim: true },
+  email: { type: String, trim: true, lowercase: true },
+  address: String,
+  description: String,
+  country: { type: String, trim: true, uppercase: true, default: 'IN' },
+  state: { type: String, trim: true, uppercase: true },
+  district: { type: String, trim: true, uppercase: true },
+  // Where the service is based; also used to work out the farmer's district
+  position: pointSchema,
+  // Higher first among entries of the same category and region
+  priority: { type: Number, default: 0 },
+  active: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now }
+}, {
+  toJSON: { virtuals: true, versionKey: false }
+});
+
+emergencyContactSchema.index({ country: 1, state: 1, district: 1, category: 1 });
+emergencyContactSchema.index({ position: '2dsphere' });
+
+// 'district', 'state' or 'national'
+emergencyContactSchema.virtual('scope').get(function() {
+  if (this.district) return 'district';
+  if (this.state) return 'state';
+  return 'national';
+});
+
+export default mongoose.model('EmergencyContact', emergencyContactSchema);
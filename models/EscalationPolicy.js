@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+import { SEVERITY_RANK, SOS_STATUSES } from './SOS.js';
+import { NOTIFICATION_CHANNELS } from './Notification.js';
+
+export const ESCALATION_TARGETS = ['tier', 'office', 'contacts'];
+
+const contactSchema = new mongoose.Schema({
+  channel: { type: String, enum: NOTIFICATION_CHANNELS, required: true },
+  to: { type: String, required: true, trim: true },
+  language: { type: String, default: 'en' }
+}, { _id: false });
+
+// "If the incident has not reached <unlessStatus> <afterMinutes> after it came in,
+// notify <target>": responders of a tier, the routed agricultural office, or fixed contacts
+const stepSchema = new mongoose.Schema({
+  afterMinutes: { type: Number, required: true, min: 1 },
+  unlessStatus: { type: String, enum: SOS_STATUSES.slice(1), default: 'acknowledged' },
+  target: { type: String, enum: ESCALATION_TARGETS, required: true },
+  tier: { type: Number, min: 1 },
+  contacts: [contactSchema]
+}, { _id: false });
+
+const escalationPolicySchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  // Empty lists match every severity or emergency type
+  severities: [{ type: String, enum: Object.keys(SEVERITY_RANK) }],
+  types: [{ type: String, trim: true }],
+  steps: [stepSchema],
+  active: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now }
+}, {
+  toJSON: { virtuals: true, versionKey: false }
+});
+
+escalationPolicySchema.pre('validate', function(next) {
+  if (this.steps.length === 0) {
+    this.invalidate('steps', 'A policy needs at least one step');
+  }
+  this.steps.forEach((step, i) => {
+    if (step.target === 'tier' && !step.tier) {
+      this.invalidate(`steps.${i}.tier`, 'Tier steps need a tier');
+    }
+    if (step.target === 'contacts' && step.contacts.length === 0) {
+      this.invalidate(`steps.${i}.contacts`, 'Contact steps need at least one contact');
+    }
+  });
+  next();
+});
+
+// Type-specific policies beat severity-only ones, which beat catch-alls
+escalationPolicySchema.methods.specificity = function() {
+  return (this.types.length > 0 ? 2 : 0) + (this.severities.length > 0 ? 1 : 0);
+};
+
+escalationPolicySchema.methods.matches = function(sos) {
+  return (this.severities.length === 0 || this.severities.includes(sos.severity)) &&
+    (this.types.length === 0 || this.types.includes(sos.type));
+};
+
+export default mongoose.model('EscalationPolicy', escalationPolicySchema);
@@ -0,0 +1,40 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { STAFF_ROLES } from '../services/permissions.js';
+
+// Agronomists who answer the questions the knowledge base could not. Like
+// responders, they sign in with an admin-issued access token; only its hash is stored.
+const expertSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  phone: { type: String, trim: true },
+  email: { type: String, trim: true, lowercase: true },
+  // Intents (pest, disease, fertilizer, ...) the expert prefers to take
+  specialties: [{ type: String, trim: true, lowercase: true }],
+  languages: { type: [{ type: String, trim: true, lowercase: true }], default: ['en'] },
+  // Granted and revoked through /api/roles so every change is audited
+  roles: { type: [{ type: String, enum: STAFF_ROLES }], default: ['expert'] },
+  active: { type: Boolean, default: true },
+  tokenHash: { type: String, select: false },
+  createdAt: { type: Date, default: Date.now }
+}, {
+  toJSON: { virtuals: true, versionKey: false, transform: (doc, ret) => { delete ret.tokenHash; return ret; } }
+});
+
+expertSchema.index({ tokenHash: 1 }, { unique: true, sparse: true });
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Replace the expert's access token; the plain token is only returned here
+expertSchema.methods.issueToken = function() {
+  const token = crypto.randomBytes(24).toString('hex');
+  this.tokenHash = hashToken(token);
+  return token;
+};
+
+expertSchema.statics.findByToken = function(token) {
+  return this.findOne({ tokenHash: hashToken(token), active: true });
+};
+
+export default mongoose.model('Expert', expertSchema);
@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+import pointSchema from './pointSchema.js';
+import { LANGUAGES } from '../services/i18n/index.js';
+import { CROPS } from '../public/js/advisory-core.js';
+
+// A farmer who signed in with their phone number. The profile fills in the SOS
+// form, the weather page and the voice assistant on any device they sign in on.
+const farmerSchema = new mongoose.Schema({
+  // E.164, e.g. +919800000000
+  phone: { type: String, required: true, unique: true, trim: true },
+  name: { type: String, trim: true },
+  village: { type: String, trim: true },
+  district: { type: String, trim: true },
+  // District code official weather alerts are targeted with
+  districtCode: { type: String, trim: true },
+  farmLocation: pointSchema,
+  language: { type: String, enum: Object.keys(LANGUAGES), default: 'en' },
+  crops: [{ type: String, enum: Object.keys(CROPS) }],
+  // Bumped to sign the farmer out on every device
+  sessionVersion: { type: Number, default: 0 },
+  lastLoginAt: Date,
+  createdAt: { type: Date, default: Date.now }
+}, {
+  toJSON: { virtuals: true, versionKey: false, transform: (doc, ret) => { delete ret.sessionVersion; return ret; } }
+});
+
+// What the farmer's devices cache: the profile with the farm location as { lat, lon }
+farmerSchema.methods.toProfileJSON = function() {
+  const coordinates = this.farmLocation && this.farmLocation.coordinates;
+  return {
+    id: this.id,
+    phone: this.phone,
+    name: this.name || '',
+    village: this.village || '',
+    district: this.district || '',
+    districtCode: this.districtCode || '',
+    farmLocation: coordinates ? { lat: coordinates[1], lon: coordinates[0] } : null,
+    language: this.language,
+    crops: this.crops
+  };
+};
+
+export default mongoose.model('Farmer', farmerSchema);
@@ -0,0 +1,14 @@
+import mongoose from 'mongoose';
+
+// A short code a farmer reads off one device and types on another to carry the
+// voice assistant history over. Used once; expired codes are removed by MongoDB.
+const historyCodeSchema = new mongoose.Schema({
+  code: { type: String, required: true, unique: true },
+  device: { type: String, required: true, trim: true },
+  expiresAt: { type: Date, required: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+historyCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('HistoryCode', historyCodeSchema);
@@ -0,0 +1,15 @@
+import mongoose from 'mongoose';
+
+// A one-time sign-in code texted to a phone number. Only its hash is stored; it
+// expires on its own and stops working after too many wrong guesses.
+const loginCodeSchema = new mongoose.Schema({
+  phone: { type: String, required: true, unique: true },
+  codeHash: { type: String, required: true },
+  attempts: { type: Number, default: 0 },
+  expiresAt: { type: Date, required: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+loginCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('LoginCode', loginCodeSchema);
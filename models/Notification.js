@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+
+export const NOTIFICATION_CHANNELS = ['sms', 'voice', 'email'];
+export const NOTIFICATION_STATUSES = ['queued', 'sent', 'delivered', 'failed'];
+
+// One message to one recipient, kept so delivery can be retried and audited.
+// queued -> sent (accepted by the transport) -> delivered (confirmed), or failed
+// once the attempts run out.
+const notificationSchema = new mongoose.Schema({
+  channel: { type: String, enum: NOTIFICATION_CHANNELS, required: true },
+  to: { type: String, required: true, trim: true },
+  language: { type: String, default: 'en' },
+  template: { type: String, required: true },
+  subject: String,
+  body: { type: String, required: true },
+  sos: { type: mongoose.Schema.Types.ObjectId, ref: 'SOS' },
+  responder: { type: mongoose.Schema.Types.ObjectId, ref: 'Responder' },
+  transport: String,
+  providerId: String,
+  status: { type: String, enum: NOTIFICATION_STATUSES, default: 'queued' },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lastError: String,
+  sentAt: Date,
+  deliveredAt: Date,
+  failedAt: Date,
+  createdAt: { type: Date, default: Date.now }
+}, {
+  toJSON: { virtuals: true, versionKey: false }
+});
+
+notificationSchema.index({ status: 1, nextAttemptAt: 1 });
+notificationSchema.index({ transport: 1, providerId: 1 });
+notificationSchema.index({ sos: 1, createdAt: -1 });
+
+export default mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,45 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { STAFF_ROLES } from '../services/permissions.js';
+import pointSchema from './pointSchema.js';
+
+// Field staff who triage SOS incidents. They sign in to the console with an
+// access token issued by an admin; only its hash is stored.
+const responderSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  phone: { type: String, trim: true },
+  email: { type: String, trim: true, lowercase: true },
+  // Language for SMS, voice and email notifications
+  language: { type: String, trim: true, lowercase: true, default: 'en' },
+  // Granted and revoked through /api/roles so every change is audited
+  roles: { type: [{ type: String, enum: STAFF_ROLES }], default: ['responder'] },
+  active: { type: Boolean, default: true },
+  // Escalation tier: 1 for field staff, higher tiers are called in when incidents go unanswered
+  tier: { type: Number, min: 1, default: 1 },
+  // Base the responder usually works from, used to route nearby alerts
+  position: pointSchema,
+  tokenHash: { type: String, select: false },
+  createdAt: { type: Date, default: Date.now }
+}, {
+  toJSON: { virtuals: true, versionKey: false, transform: (doc, ret) => { delete ret.tokenHash; return ret; } }
+});
+
+responderSchema.index({ tokenHash: 1 }, { unique: true, sparse: true });
+responderSchema.index({ position: '2dsphere' });
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Replace the responder's access token; the plain token is only returned here
+responderSchema.methods.issueToken = function() {
+  const token = crypto.randomBytes(24).toString('hex');
+  this.tokenHash = hashToken(token);
+  return token;
+};
+
+responderSchema.statics.findByToken = function(token) {
+  return this.findOne({ tokenHash: hashToken(token), active: true });
+};
+
+export default mongoose.model('Responder', responderSchema);
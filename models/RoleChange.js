@@ -0,0 +1,30 @@
+import mongoose from 'mongoose';
+import { STAFF_ROLES } from '../services/permissions.js';
+
+export const SUBJECT_TYPES = ['responder', 'expert', 'staff'];
+
+// Audit trail of role assignments: who granted or revoked which role, to whom and
+// why. Entries are only ever added.
+const roleChangeSchema = new mongoose.Schema({
+  subjectType: { type: String, enum: SUBJECT_TYPES, required: true },
+  subject: { type: mongoose.Schema.Types.ObjectId, required: true },
+  // Kept so the trail still reads after the account is renamed
+  subjectName: String,
+  role: { type: String, enum: STAFF_ROLES, required: true },
+  action: { type: String, enum: ['grant', 'revoke'], required: true },
+  // The admin token or the staff account that made the change
+  actor: {
+    type: { type: String, required: true },
+    id: mongoose.Schema.Types.ObjectId,
+    name: String
+  },
+  reason: { type: String, trim: true },
+  at: { type: Date, default: Date.now }
+}, {
+  toJSON: { virtuals: true, versionKey: false }
+});
+
+roleChangeSchema.index({ subjectType: 1, subject: 1, at: -1 });
+roleChangeSchema.index({ at: -1 });
+
+export default mongoose.model('RoleChange', roleChangeSchema);
@@ -0,0 +1,171 @@
+import mongoose from 'mongoose';
+import pointSchema from './pointSchema.js';
+
+export const SEVERITY_RANK = { critical: 4, high: 3, medium: 2, low: 1 };
+
+// Lifecycle of an incident as the farmer sees it, in order
+export const SOS_STATUSES = ['received', 'acknowledged', 'assigned', 'en_route', 'resolved'];
+
+const statusEventSchema = new mongoose.Schema({
+  status: { type: String, enum: SOS_STATUSES, required: true },
+  at: { type: Date, default: Date.now },
+  by: { type: mongoose.Schema.Types.ObjectId, ref: 'Responder' },
+  byName: String,
+  detail: String
+}, { _id: false });
+
+const noteSchema = new mongoose.Schema({
+  text: { type: String, required: true, trim: true },
+  author: { type: mongoose.Schema.Types.ObjectId, ref: 'Responder' },
+  authorName: String,
+  createdAt: { type: Date, default: Date.now }
+});
+
+export const ATTACHMENT_TYPES = {
+  photo: ['image/jpeg', 'image/png', 'image/webp'],
+  audio: ['audio/webm', 'audio/ogg', 'audio/mp4', 'audio/mpeg', 'audio/wav']
+};
+
+// A photo or voice note uploaded in chunks; complete once uploadedBytes reaches size
+const attachmentSchema = new mongoose.Schema({
+  // Generated on the device so a retried upload resumes instead of starting a new file
+  clientKey: { type: String, required: true },
+  kind: { type: String, enum: Object.keys(ATTACHMENT_TYPES), required: true },
+  mimeType: { type: String, required: true },
+  size: { type: Number, required: true, min: 1 },
+  uploadedBytes: { type: Number, default: 0 },
+  complete: { type: Boolean, default: false },
+  createdAt: { type: Date, default: Date.now }
+}, {
+  toJSON: { virtuals: true, versionKey: false }
+});
+
+// Audit record of an escalation policy step firing on the incident
+const escalationSchema = new mongoose.Schema({
+  policy: { type: mongoose.Schema.Types.ObjectId, ref: 'EscalationPolicy' },
+  policyName: String,
+  step: Number,
+  afterMinutes: Number,
+  unlessStatus: String,
+  target: String,
+  // "Asha (sms:+919800000000)", as notified at the time
+  recipients: [String],
+  at: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Who an alert was routed to when it came in, nearest first
+const routingSchema = new mongoose.Schema({
+  responders: [{
+    _id: false,
+    responder: { type: mongoose.Schema.Types.ObjectId, ref: 'Responder' },
+    name: String,
+    distanceKm: Number
+  }],
+  office: {
+    office: { type: mongoose.Schema.Types.ObjectId, ref: 'AgriOffice' },
+    name: String,
+    phone: String,
+    distanceKm: Number
+  },
+  routedAt: Date
+}, { _id: false });
+
+const sosSchema = new mongoose.Schema({
+  // Generated by the device when the alert is created, so retries from any sync path map to one record
+  idempotencyKey: String,
+  // How the alert reached us: the app's data connection or the SMS fallback
+  channel: { type: String, enum: ['app', 'sms'], default: 'app' },
+  type: String,
+  message: { type: String, required: true },
+  // Free-text description typed by the farmer ("near the canal, north field")
+  location: String,
+  position: pointSchema,
+  // Radius of the device's position fix, in metres
+  positionAccuracy: { type: Number, min: 0 },
+  routing: routingSchema,
+  severity: { type: String, enum: Object.keys(SEVERITY_RANK), default: 'medium' },
+  contact: String,
+  // The signed-in farmer who sent it
+  farmer: { type: mongoose.Schema.Types.ObjectId, ref: 'Farmer' },
+  status: { type: String, enum: SOS_STATUSES, default: 'received' },
+  statusHistory: [statusEventSchema],
+  acknowledgedAt: Date,
+  acknowledgedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Responder' },
+  assignedTo: { type: mongoose.Schema.Types.ObjectId, ref: 'Responder' },
+  assignedAt: Date,
+  notes: [noteSchema],
+  escalations: [escalationSchema],
+  attachments: [attachmentSchema],
+  resolved: { type: Boolean, default: false },
+  resolvedAt: Date,
+  resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Responder' },
+  resolution: String,
+  createdAt: { type: Date, default: Date.now }
+}, {
+  toJSON: { virtuals: true, versionKey: false },
+  toObject: { virtuals: true, versionKey: false }
+});
+
+sosSchema.index({ resolved: 1, createdAt: 1 });
+sosSchema.index({ position: '2dsphere' });
+sosSchema.index({ idempotencyKey: 1 }, { unique: true, sparse: true });
+
+sosSchema.pre('save', function(next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ status: 'received', at: this.createdAt });
+  }
+  next();
+});
+
+// Move the incident to a new status, recording who did it and when
+sosSchema.methods.setStatus = function(status, responder, detail) {
+  const at = new Date();
+  this.status = status;
+  this.statusHistory.push({ status, at, by: responder && responder._id, byName: responder && responder.name, detail });
+
+  if (status === 'acknowledged') {
+    this.acknowledgedAt = at;
+    this.acknowledgedBy = responder && responder._id;
+  } else if (status === 'assigned') {
+    this.assignedAt = at;
+  } else if (status === 'resolved') {
+    this.resolved = true;
+    this.resolvedAt = at;
+    this.resolvedBy = responder && responder._id;
+  }
+};
+
+// Whether a request comes from whoever raised the alert: the device proves it with
+// the alert's idempotency key, a signed-in farmer with their session
+sosSchema.methods.isSentBy = function(key, farmer) {
+  if (key && this.idempotencyKey && key === this.idempotencyKey) return true;
+  return Boolean(farmer && this.farmer && this.farmer.equals(farmer._id));
+};
+
+// What the reporting farmer's device may see: triage progress, but not
+// responder notes or other callers' contact details
+sosSchema.methods.toPublicJSON = function() {
+  return {
+    id: this.id,
+    type: this.type,
+    message: this.message,
+    severity: this.severity,
+    createdAt: this.createdAt,
+    status: this.status,
+    timeline: this.statusHistory.map(event => ({ status: event.status, at: event.at, by: event.byName, detail: event.detail })),
+    acknowledged: Boolean(this.acknowledgedAt),
+    acknowledgedAt: this.acknowledgedAt,
+    assignedTo: this.assignedTo && this.assignedTo.name ? this.assignedTo.name : null,
+    // The farmer can call the nearest office directly while waiting
+    office: this.routing && this.routing.office && this.routing.office.name ? {
+      name: this.routing.office.name,
+      phone: this.routing.office.phone,
+      distanceKm: this.routing.office.distanceKm
+    } : null,
+    resolved: this.resolved,
+    resolvedAt: this.resolvedAt,
+    attachments: this.attachments.filter(attachment => attachment.complete).length
+  };
+};
+
+export default mongoose.model('SOS', sosSchema);
@@ -0,0 +1,37 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { STAFF_ROLES } from '../services/permissions.js';
+
+// Admins and content editors who are neither responders nor experts. They sign in
+// with an admin-issued access token like the rest of the staff; only its hash is stored.
+const staffMemberSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  phone: { type: String, trim: true },
+  email: { type: String, trim: true, lowercase: true },
+  // Granted and revoked through /api/roles so every change is audited
+  roles: { type: [{ type: String, enum: STAFF_ROLES }], default: ['editor'] },
+  active: { type: Boolean, default: true },
+  tokenHash: { type: String, select: false },
+  createdAt: { type: Date, default: Date.now }
+}, {
+  toJSON: { virtuals: true, versionKey: false, transform: (doc, ret) => { delete ret.tokenHash; return ret; } }
+});
+
+staffMemberSchema.index({ tokenHash: 1 }, { unique: true, sparse: true });
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Replace the staff member's access token; the plain token is only returned here
+staffMemberSchema.methods.issueToken = function() {
+  const token = crypto.randomBytes(24).toString('hex');
+  this.tokenHash = hashToken(token);
+  return token;
+};
+
+staffMemberSchema.statics.findByToken = function(token) {
+  return this.findOne({ tokenHash: hashToken(token), active: true });
+};
+
+export default mongoose.model('StaffMember', staffMemberSchema);
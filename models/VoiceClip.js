@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+
+export const VOICE_CLIP_STATUSES = ['queued', 'transcribed', 'failed'];
+export const VOICE_CLIP_TYPES = ['audio/webm', 'audio/ogg', 'audio/mp4', 'audio/mpeg', 'audio/wav'];
+
+// A voice question recorded offline and uploaded as audio on the next sync.
+// queued -> transcribed (the transcript was asked as a VoiceQuery), or failed once
+// the speech engine has given up on it or heard nothing.
+const voiceClipSchema = new mongoose.Schema({
+  device: { type: String, required: true, trim: true },
+  // Key the device gave the recording, so a retried upload is not transcribed twice
+  clientKey: { type: String, required: true, trim: true },
+  language: { type: String, default: 'en' },
+  mimeType: { type: String, enum: VOICE_CLIP_TYPES, required: true },
+  size: Number,
+  recordedAt: Date,
+  status: { type: String, enum: VOICE_CLIP_STATUSES, default: 'queued' },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lastError: String,
+  transcript: String,
+  engine: String,
+  query: { type: mongoose.Schema.Types.ObjectId, ref: 'VoiceQuery' },
+  // Conversation the clip was recorded in, so its transcript is read as part of it
+  conversation: { type: mongoose.Schema.Types.ObjectId, ref: 'Conversation' },
+  // The signed-in farmer who recorded it, whose profile the answer uses
+  farmer: { type: mongoose.Schema.Types.ObjectId, ref: 'Farmer' },
+  createdAt: { type: Date, default: Date.now },
+  transcribedAt: Date
+}, {
+  toJSON: { virtuals: true, versionKey: false }
+});
+
+voiceClipSchema.index({ device: 1, clientKey: 1 }, { unique: true });
+voiceClipSchema.index({ status: 1, nextAttemptAt: 1 });
+
+// What the recording device gets back: the transcript and, with `query` populated,
+// the answer to it
+voiceClipSchema.methods.toDeviceJSON = function() {
+  const query = this.query && this.query.query ? this.query : null;
+  return {
+    clientKey: this.clientKey,
+    status: this.status,
+    transcript: this.transcript || null,
+    queryId: query ? query.id : null,
+    conversationId: query && query.conversation ? String(query.conversation) : null,
+    response: query ? query.response : null,
+    language: query ? query.language : this.language,
+    sources: query ? query.sources.map(source => ({ id: source.article, title: source.title })) : [],
+    needsExpert: query ? query.status !== 'answered' : false,
+    transcribedAt: this.transcribedAt
+  };
+};
+
+export default mongoose.model('VoiceClip', voiceClipSchema);
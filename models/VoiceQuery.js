@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+
+export const VOICE_QUERY_STATUSES = ['answered', 'pending-expert', 'claimed', 'rejected'];
+
+const sourceSchema = new mongoose.Schema({
+  article: { type: mongoose.Schema.Types.ObjectId, ref: 'Article' },
+  title: String
+}, { _id: false });
+
+// A farmer's question and how it was answered. Questions the knowledge base cannot
+// answer confidently wait for an expert: pending-expert -> claimed -> answered, or
+// rejected (with a reason for the farmer). A claim can be released back to the queue.
+const voiceQuerySchema = new mongoose.Schema({
+  query: { type: String, required: true },
+  // The question as understood from the conversation, when it was a follow-up
+  resolvedQuery: String,
+  conversation: { type: mongoose.Schema.Types.ObjectId, ref: 'Conversation' },
+  response: String,
+  language: { type: String, default: 'en' },
+  // Random id of the device that asked, so expert answers can be sent back to it
+  device: { type: String, trim: true },
+  intent: String,
+  crop: String,
+  confidence: Number,
+  sources: [sourceSchema],
+  backend: String,
+  status: { type: String, enum: VOICE_QUERY_STATUSES, default: 'pending-expert' },
+  processed: { type: Boolean, default: false },
+  expert: { type: mongoose.Schema.Types.ObjectId, ref: 'Expert' },
+  claimedAt: Date,
+  template: { type: mongoose.Schema.Types.ObjectId, ref: 'AnswerTemplate' },
+  rejectionReason: String,
+  rejectedAt: Date,
+  createdAt: { type: Date, default: Date.now },
+  answeredAt: Date
+}, {
+  toJSON: { virtuals: true, versionKey: false }
+});
+
+voiceQuerySchema.index({ status: 1, createdAt: -1 });
+voiceQuerySchema.index({ device: 1, createdAt: -1 });
+
+// What the asking device gets back once an expert has dealt with its question
+voiceQuerySchema.methods.toDeviceJSON = function() {
+  return {
+    id: this.id,
+    query: this.query,
+    status: this.status,
+    response: this.status === 'rejected' ? this.rejectionReason : this.response,
+    expertName: this.expert && this.expert.name ? this.expert.name : null,
+    answeredAt: this.answeredAt || this.rejectedAt
+  };
+};
+
+export default mongoose.model('VoiceQuery', voiceQuerySchema);
@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+
+// GeoJSON area an alert applies to; coordinates are [lon, lat] rings
+const areaSchema = new mongoose.Schema({
+  type: { type: String, enum: ['Polygon', 'MultiPolygon'], required: true },
+  coordinates: { type: Array, required: true }
+}, { _id: false });
+
+// Where an alert came from; CAP alerts keep the fields needed to match later updates and cancellations
+const capSchema = new mongoose.Schema({
+  identifier: { type: String, required: true },
+  sender: { type: String, required: true },
+  sent: Date,
+  msgType: String,
+  event: String,
+  headline: String,
+  instruction: String,
+  references: [String]
+}, { _id: false });
+
+const weatherAlertSchema = new mongoose.Schema({
+  location: String,
+  area: areaSchema,
+  districtCode: { type: String, trim: true, uppercase: true },
+  alert: String,
+  severity: { type: String, enum: ['info', 'warning', 'critical'], default: 'warning' },
+  validUntil: Date,
+  status: { type: String, enum: ['active', 'superseded', 'cancelled'], default: 'active' },
+  source: { type: String, enum: ['manual', 'cap'], default: 'manual' },
+  cap: capSchema,
+  createdAt: { type: Date, default: Date.now }
+});
+
+weatherAlertSchema.index({ area: '2dsphere' });
+weatherAlertSchema.index({ districtCode: 1, validUntil: 1 });
+weatherAlertSchema.index({ 'cap.sender': 1, 'cap.identifier': 1 });
+
+weatherAlertSchema.pre('validate', function(next) {
+  if (!this.area && !this.districtCode) {
+    this.invalidate('area', 'An alert needs a GeoJSON area or a district code');
+  }
+  next();
+});
+
+export default mongoose.model('WeatherAlert', weatherAlertSchema);
@@ -0,0 +1,16 @@
+import mongoose from 'mongoose';
+
+// GeoJSON Point ([lon, lat]) for 2dsphere-indexed positions
+const pointSchema = new mongoose.Schema({
+  type: { type: String, enum: ['Point'], default: 'Point' },
+  coordinates: {
+    type: [Number],
+    required: true,
+    validate: {
+      validator: value => value.length === 2 && Math.abs(value[0]) <= 180 && Math.abs(value[1]) <= 90,
+      message: 'Point coordinates must be [lon, lat]'
+    }
+  }
+}, { _id: false });
+
+export default pointSchema;
@@ -0,0 +1,294 @@
+// AgriEcho - Crop Advisory Rules
+// Turns a forecast ({ hourly, daily } as returned by /api/weather) and the farmer's crops
+// into field-operation advice. Shared by the server (/api/weather/advisories) and the
+// browser, which recomputes advice from the cached forecast when offline. The text is
+// English unless buildAdvisories is given a language and its `advisories` messages.
+
+export const CROPS = {
+    rice: { name: 'Rice', irrigationIntervalDays: 2, dryingDays: 3 },
+    wheat: { name: 'Wheat', irrigationIntervalDays: 7, dryingDays: 2 },
+    maize: { name: 'Maize', irrigationIntervalDays: 5, dryingDays: 3 },
+    cotton: { name: 'Cotton', irrigationIntervalDays: 7, dryingDays: 2 },
+    sugarcane: { name: 'Sugarcane', irrigationIntervalDays: 4, dryingDays: null },
+    soybean: { name: 'Soybean', irrigationIntervalDays: 6, dryingDays: 2 },
+    tomato: { name: 'Tomato', irrigationIntervalDays: 3, dryingDays: null },
+    onion: { name: 'Onion', irrigationIntervalDays: 4, dryingDays: 3 }
+};
+
+// Spraying: enough air movement to avoid inversions, not so much that spray drifts,
+// and no rain before the product is rainfast
+export const SPRAY_LIMITS = {
+    minWindSpeed: 3,
+    maxWindSpeed: 15,
+    maxTemperature: 32,
+    minHumidity: 40,
+    maxHumidity: 90,
+    maxPrecipitationProbability: 30,
+    rainfastHours: 4,
+    minWindowHours: 2,
+    lookaheadHours: 48
+};
+
+// A day with this much rain (mm) counts as watering the field
+const SOAKING_RAIN_MM = 10;
+const RAIN_LIKELY_PROBABILITY = 60;
+
+// Harvested grain and produce only dry in sun with low humidity
+const DRYING_LIMITS = { maxPrecipitation: 1, maxPrecipitationProbability: 30, maxHumidity: 75 };
+
+const MAX_SPRAY_WINDOWS = 3;
+
+// Formatting for one buildAdvisories call: its language, messages and time zone
+function createText(options) {
+    const language = options.language || 'en';
+    const messages = options.messages || {};
+    const locale = `${language}-IN`;
+
+    // Own properties only, so a key such as "crops.constructor" finds nothing
+    function lookup(catalog, key) {
+        return key.split('.').reduce((node, part) => (node && Object.hasOwn(node, part) ? node[part] : undefined), catalog);
+    }
+
+    function message(key) {
+        const text = lookup(messages, key);
+        if (typeof text === 'string') return text;
+        const fallback = lookup(DEFAULT_MESSAGES, key);
+        return typeof fallback === 'string' ? fallback : key;
+    }
+
+    return {
+        t(key, params = {}) {
+            return message(key).replace(/\{(\w+)\}/g, (match, name) => params[name] === undefined ? match : String(params[name]));
+        },
+        // Daily entries carry calendar dates ("2026-06-01"), which must not shift with the time zone
+        day(date) {
+            const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(date);
+            return new Date(date).toLocaleDateString(locale, {
+                weekday: 'short', day: 'numeric', month: 'short', timeZone: dateOnly ? 'UTC' : options.timeZone
+            });
+        },
+        time(date) {
+            return new Date(date).toLocaleString(locale, { weekday: 'short', hour: 'numeric', hour12: true, timeZone: options.timeZone });
+        },
+        list(names) {
+            return new Intl.ListFormat(locale, { type: 'conjunction' }).format(names);
+        }
+    };
+}
+
+function isRainy(hour) {
+    return hour.precipitation > 0 || hour.precipitationProbability > SPRAY_LIMITS.maxPrecipitationProbability;
+}
+
+// First reason an hour is unsuitable for spraying, or null when it is suitable
+function sprayProblem(hour, rainfastHours) {
+    if (isRainy(hour)) return 'rain';
+    if (rainfastHours.some(isRainy)) return 'rain';
+    if (hour.windSpeed > SPRAY_LIMITS.maxWindSpeed) return 'wind';
+    if (hour.windSpeed < SPRAY_LIMITS.minWindSpeed) return 'calm';
+    if (hour.temperature > SPRAY_LIMITS.maxTemperature) return 'heat';
+    if (hour.humidity < SPRAY_LIMITS.minHumidity || hour.humidity > SPRAY_LIMITS.maxHumidity) return 'humidity';
+    return null;
+}
+
+export const DEFAULT_MESSAGES = {
+    crops: Object.fromEntries(Object.entries(CROPS).map(([id, crop]) => [id, crop.name])),
+    sprayProblems: {
+        rain: 'rain is expected before spray would dry',
+        wind: 'winds are too strong and spray would drift',
+        calm: 'air is too still, so fine droplets could hang and drift',
+        heat: 'it is too hot and spray would evaporate',
+        humidity: 'humidity is outside the safe range',
+        unknown: 'forecast data is unavailable'
+    },
+    noSprayTitle: 'No Safe Spray Window',
+    noSprayMessage: 'Avoid spraying for the next {hours} hours: {problem}.',
+    sprayTitle: 'Spray Windows',
+    sprayMessage: 'Calm, dry conditions for pesticide spraying: {times}.',
+    irrigationTitle: '{crop} Irrigation',
+    irrigateOn: 'Irrigate {crop} on {days}.',
+    rainDay: '{day} ({rain} mm rain)',
+    rainWaters: 'Rain will water the field on {days}.',
+    noIrrigation: 'No irrigation needed for {crop} this week; rain is expected.',
+    harvestTitle: '{crop} Harvest & Drying',
+    noDryingWindow: 'No {days}-day dry spell this week. Delay harvest if you can, or plan covered drying.',
+    dryingWindow: 'If the crop is ready, harvest and sun-dry it {range} ({days} dry days).'
+};
+
+export function sprayWindows(hourly, now = new Date()) {
+    const upcoming = hourly.filter(hour => new Date(hour.time) >= new Date(now.getTime() - 3600000))
+        .slice(0, SPRAY_LIMITS.lookaheadHours);
+    const windows = [];
+    const problems = {};
+    let current = null;
+
+    upcoming.forEach((hour, i) => {
+        const problem = sprayProblem(hour, upcoming.slice(i + 1, i + 1 + SPRAY_LIMITS.rainfastHours));
+        if (problem) {
+            problems[problem] = (problems[problem] || 0) + 1;
+            current = null;
+            return;
+        }
+        if (!current) {
+            current = { start: hour.time, end: hour.time, hours: 0, maxWindSpeed: 0 };
+            windows.push(current);
+        }
+        current.end = new Date(new Date(hour.time).getTime() + 3600000).toISOString();
+        current.hours++;
+        current.maxWindSpeed = Math.max(current.maxWindSpeed, hour.windSpeed);
+    });
+
+    const mainProblem = Object.keys(problems).sort((a, b) => problems[b] - problems[a])[0] || null;
+    return {
+        windows: windows.filter(spell => spell.hours >= SPRAY_LIMITS.minWindowHours),
+        mainProblem
+    };
+}
+
+// Walk the week, irrigating when the crop is due and the sky is dry; soaking rain resets the count
+export function irrigationDays(daily, crop) {
+    const plan = [];
+    let daysSinceWater = crop.irrigationIntervalDays;
+
+    daily.forEach((day, i) => {
+        const tomorrow = daily[i + 1];
+        const rainToday = day.precipitation >= SOAKING_RAIN_MM;
+        const rainComing = day.precipitationProbability >= RAIN_LIKELY_PROBABILITY ||
+            (tomorrow && tomorrow.precipitation >= SOAKING_RAIN_MM);
+
+        if (rainToday) {
+            plan.push({ date: day.date, action: 'skip', reason: 'rain', precipitation: day.precipitation });
+            daysSinceWater = 0;
+        } else if (daysSinceWater >= crop.irrigationIntervalDays && rainComing) {
+            plan.push({ date: day.date, action: 'wait', reason: 'rain-expected' });
+            daysSinceWater++;
+        } else if (daysSinceWater >= crop.irrigationIntervalDays) {
+            plan.push({ date: day.date, action: 'irrigate' });
+            daysSinceWater = 0;
+        } else {
+            daysSinceWater++;
+        }
+    });
+    return plan;
+}
+
+function isDryingDay(day) {
+    return day.precipitation < DRYING_LIMITS.maxPrecipitation &&
+        day.precipitationProbability <= DRYING_LIMITS.maxPrecipitationProbability &&
+        day.humidity <= DRYING_LIMITS.maxHumidity;
+}
+
+// First run of consecutive dry days long enough to harvest and sun-dry the crop
+export function dryingWindow(daily, crop) {
+    let start = null;
+    for (let i = 0; i < daily.length; i++) {
+        if (!isDryingDay(daily[i])) {
+            start = null;
+            continue;
+        }
+        if (start === null) start = i;
+        if (i - start + 1 >= crop.dryingDays) {
+            return { start: daily[start].date, end: daily[i].date, days: i - start + 1 };
+        }
+    }
+    return null;
+}
+
+function sprayAdvisory(weather, now, text) {
+    const { windows, mainProblem } = sprayWindows(weather.hourly || [], now);
+    if (windows.length === 0) {
+        return {
+            type: 'spray',
+            icon: 'fas fa-spray-can',
+            level: 'warning',
+            title: text.t('noSprayTitle'),
+            message: text.t('noSprayMessage', {
+                hours: SPRAY_LIMITS.lookaheadHours,
+                problem: text.t(`sprayProblems.${mainProblem || 'unknown'}`)
+            }),
+            windows: []
+        };
+    }
+
+    const best = windows.slice(0, MAX_SPRAY_WINDOWS);
+    const times = best.map(sprayWindow => `${text.time(sprayWindow.start)} – ${text.time(sprayWindow.end)}`);
+    return {
+        type: 'spray',
+        icon: 'fas fa-spray-can',
+        level: 'info',
+        title: text.t('sprayTitle'),
+        message: text.t('sprayMessage', { times: times.join('; ') }),
+        windows: best
+    };
+}
+
+function irrigationAdvisory(weather, cropId, text) {
+    const crop = CROPS[cropId];
+    const name = text.t(`crops.${cropId}`);
+    const plan = irrigationDays(weather.daily || [], crop);
+    const irrigate = plan.filter(day => day.action === 'irrigate').map(day => text.day(day.date));
+    const skip = plan.filter(day => day.action === 'skip')
+        .map(day => text.t('rainDay', { day: text.day(day.date), rain: Math.round(day.precipitation) }));
+
+    const parts = [];
+    if (irrigate.length > 0) parts.push(text.t('irrigateOn', { crop: name.toLowerCase(), days: text.list(irrigate) }));
+    if (skip.length > 0) parts.push(text.t('rainWaters', { days: text.list(skip) }));
+    if (parts.length === 0) parts.push(text.t('noIrrigation', { crop: name.toLowerCase() }));
+
+    return {
+        type: 'irrigation',
+        crop: cropId,
+        icon: 'fas fa-tint',
+        level: 'info',
+        title: text.t('irrigationTitle', { crop: name }),
+        message: parts.join(' '),
+        days: plan
+    };
+}
+
+function harvestAdvisory(weather, cropId, text) {
+    const crop = CROPS[cropId];
+    const name = text.t(`crops.${cropId}`);
+    const dryWindow = dryingWindow(weather.daily || [], crop);
+    if (!dryWindow) {
+        return {
+            type: 'harvest',
+            crop: cropId,
+            icon: 'fas fa-tractor',
+            level: 'warning',
+            title: text.t('harvestTitle', { crop: name }),
+            message: text.t('noDryingWindow', { days: crop.dryingDays }),
+            window: null
+        };
+    }
+
+    const range = dryWindow.start === dryWindow.end ? text.day(dryWindow.start)
+        : `${text.day(dryWindow.start)} – ${text.day(dryWindow.end)}`;
+    return {
+        type: 'harvest',
+        crop: cropId,
+        icon: 'fas fa-tractor',
+        level: 'info',
+        title: text.t('harvestTitle', { crop: name }),
+        message: text.t('dryingWindow', { range, days: dryWindow.days }),
+        window: dryWindow
+    };
+}
+
+// Advisories for the forecast and crops, most urgent first. Unknown crop ids are ignored.
+// options: { now, timeZone, language, messages }
+export function buildAdvisories(weather, crops = [], options = {}) {
+    const now = options.now || new Date();
+    const text = createText(options);
+    const cropIds = [...new Set(crops)].filter(cropId => Object.hasOwn(CROPS, cropId));
+
+    const advisories = [sprayAdvisory(weather, now, text)];
+    cropIds.forEach(cropId => {
+        advisories.push(irrigationAdvisory(weather, cropId, text));
+        if (CROPS[cropId].dryingDays) {
+            advisories.push(harvestAdvisory(weather, cropId, text));
+        }
+    });
+
+    return advisories.sort((a, b) => (a.level === 'warning' ? 0 : 1) - (b.level === 'warning' ? 0 : 1));
+}
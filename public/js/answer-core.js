@@ -0,0 +1,325 @@
+// AgriEcho - Question Answering Core
+// Classifies a farmer's question by intent and crop, retrieves the knowledge base
+// passages that answer it and scores how confident the answer is. Shared by the
+// server (/api/voice-query) and the browser, which builds the same model from the
+// offline answer bundle, so both answer the same way.
+
+import { buildIndex, search, tokenize } from './search-core.js';
+
+// Intents with the article categories that answer them and their keywords per language
+export const INTENTS = {
+    pest: {
+        categories: ['pest'],
+        keywords: {
+            en: ['pest', 'insect', 'aphid', 'bug', 'worm', 'caterpillar', 'borer', 'whitefly', 'locust', 'mite', 'thrip', 'hopper', 'spray'],
+            hi: ['कीट', 'कीड़ा', 'कीड़े', 'इल्ली', 'माहू', 'सुंडी', 'छिड़काव'],
+            bn: ['পোকা', 'কীট', 'কীটপতঙ্গ', 'শুঁয়োপোকা', 'জাবপোকা', 'মাকড়', 'স্প্রে'],
+            te: ['పురుగు', 'కీటకం', 'పేను', 'గొంగళి', 'పిచికారీ'],
+            ta: ['பூச்சி', 'புழு', 'அசுவினி', 'வெட்டுக்கிளி', 'தெளிப்பு'],
+            mr: ['कीड', 'कीटक', 'अळी', 'मावा', 'फवारणी'],
+            gu: ['જીવાત', 'જંતુ', 'કીડા', 'ઈયળ', 'મોલો', 'છંટકાવ'],
+            kn: ['ಕೀಟ', 'ಹುಳು', 'ಹೇನು', 'ಸಿಂಪಡಣೆ']
+        }
+    },
+    disease: {
+        categories: ['pest', 'crops'],
+        keywords: {
+            en: ['disease', 'fungus', 'fungal', 'blight', 'rot', 'wilt', 'mildew', 'rust', 'virus', 'leaf', 'yellowing', 'spot'],
+            hi: ['रोग', 'बीमारी', 'फफूंद', 'झुलसा', 'सड़न', 'पत्ती'],
+            bn: ['রোগ', 'ছত্রাক', 'পচন', 'ধসা', 'পাতা', 'ভাইরাস'],
+            te: ['తెగులు', 'వ్యాధి', 'శిలీంధ్రం', 'కుళ్ళు', 'ఆకు', 'వైరస్'],
+            ta: ['நோய்', 'பூஞ்சை', 'அழுகல்', 'கருகல்', 'இலை', 'வைரஸ்'],
+            mr: ['रोग', 'बुरशी', 'करपा', 'कूज', 'पान'],
+            gu: ['રોગ', 'ફૂગ', 'સડો', 'સુકારો', 'પાન'],
+            kn: ['ರೋಗ', 'ಶಿಲೀಂಧ್ರ', 'ಕೊಳೆ', 'ಎಲೆ', 'ವೈರಸ್']
+        }
+    },
+    fertilizer: {
+        categories: ['fertilizer', 'soil'],
+        keywords: {
+            en: ['fertilizer', 'fertiliser', 'manure', 'compost', 'urea', 'npk', 'nitrogen', 'phosphorus', 'potash', 'dap', 'nutrient', 'vermicompost'],
+            hi: ['खाद', 'उर्वरक', 'यूरिया', 'गोबर', 'कम्पोस्ट', 'पोषक'],
+            bn: ['সার', 'ইউরিয়া', 'গোবর', 'কম্পোস্ট', 'জৈবসার', 'পুষ্টি'],
+            te: ['ఎరువు', 'యూరియా', 'పేడ', 'కంపోస్ట్', 'పోషకాలు'],
+            ta: ['உரம்', 'யூரியா', 'சாணம்', 'தொழுஉரம்', 'ஊட்டச்சத்து'],
+            mr: ['खत', 'युरिया', 'शेणखत', 'कंपोस्ट', 'अन्नद्रव्य'],
+            gu: ['ખાતર', 'યુરિયા', 'છાણ', 'કમ્પોસ્ટ', 'પોષક'],
+            kn: ['ಗೊಬ್ಬರ', 'ಯೂರಿಯಾ', 'ಸಗಣಿ', 'ಕಾಂಪೋಸ್ಟ್', 'ಪೋಷಕಾಂಶ']
+        }
+    },
+    soil: {
+        categories: ['soil'],
+        keywords: {
+            en: ['soil', 'ph', 'erosion', 'salinity', 'mulch', 'mulching', 'testing', 'texture'],
+            hi: ['मिट्टी', 'मृदा', 'कटाव'],
+            bn: ['মাটি', 'মৃত্তিকা', 'ক্ষয়'],
+            te: ['నేల', 'మట్టి', 'భూసారం'],
+            ta: ['மண்', 'மண்ணரிப்பு'],
+            mr: ['माती', 'जमीन'],
+            gu: ['જમીન', 'માટી', 'ધોવાણ'],
+            kn: ['ಮಣ್ಣು', 'ಸವಕಳಿ']
+        }
+    },
+    planting: {
+        categories: ['crops'],
+        keywords: {
+            en: ['plant', 'sow', 'seed', 'transplant', 'season', 'rotation', 'variety', 'harvest', 'intercrop', 'legume'],
+            hi: ['बुवाई', 'बोना', 'बीज', 'रोपाई', 'बुआई', 'कटाई', 'किस्म', 'फसल'],
+            bn: ['বপন', 'বীজ', 'রোপণ', 'চারা', 'জাত', 'ফসল'],
+            te: ['విత్తనం', 'విత్తడం', 'నాటు', 'కోత', 'రకం', 'పంట'],
+            ta: ['விதை', 'விதைப்பு', 'நடவு', 'அறுவடை', 'ரகம்', 'பயிர்'],
+            mr: ['पेरणी', 'बियाणे', 'लागवड', 'काढणी', 'वाण', 'पीक'],
+            gu: ['વાવણી', 'બીજ', 'રોપણી', 'કાપણી', 'જાત', 'પાક'],
+            kn: ['ಬಿತ್ತನೆ', 'ಬೀಜ', 'ನಾಟಿ', 'ಕೊಯ್ಲು', 'ತಳಿ', 'ಬೆಳೆ']
+        }
+    },
+    irrigation: {
+        categories: ['soil', 'crops'],
+        keywords: {
+            en: ['water', 'irrigation', 'irrigate', 'drip', 'sprinkler', 'moisture'],
+            hi: ['सिंचाई', 'पानी', 'नमी'],
+            bn: ['সেচ', 'জল', 'পানি', 'আর্দ্রতা'],
+            te: ['నీటిపారుదల', 'నీరు', 'తేమ'],
+            ta: ['பாசனம்', 'நீர்ப்பாசனம்', 'தண்ணீர்', 'ஈரப்பதம்'],
+            mr: ['सिंचन', 'पाणी', 'ओलावा'],
+            gu: ['સિંચાઈ', 'પાણી', 'ભેજ'],
+            kn: ['ನೀರಾವರಿ', 'ನೀರು', 'ತೇವಾಂಶ']
+        }
+    },
+    weather: {
+        categories: [],
+        keywords: {
+            en: ['weather', 'rain', 'monsoon', 'drought', 'frost', 'heat', 'storm', 'flood', 'forecast', 'hail', 'cyclone'],
+            hi: ['मौसम', 'बारिश', 'वर्षा', 'सूखा', 'पाला', 'ओला', 'बाढ़', 'आंधी'],
+            bn: ['আবহাওয়া', 'বৃষ্টি', 'বর্ষা', 'খরা', 'তুষার', 'শিলাবৃষ্টি', 'বন্যা', 'ঝড়'],
+            te: ['వాతావరణం', 'వర్షం', 'కరువు', 'మంచు', 'వడగళ్లు', 'వరద', 'తుఫాను'],
+            ta: ['வானிலை', 'மழை', 'வறட்சி', 'பனி', 'ஆலங்கட்டி', 'வெள்ளம்', 'புயல்'],
+            mr: ['हवामान', 'पाऊस', 'दुष्काळ', 'गारपीट', 'पूर', 'वादळ'],
+            gu: ['હવામાન', 'વરસાદ', 'દુકાળ', 'હિમ', 'કરા', 'પૂર', 'વાવાઝોડું'],
+            kn: ['ಹವಾಮಾನ', 'ಮಳೆ', 'ಬರ', 'ಹಿಮ', 'ಆಲಿಕಲ್ಲು', 'ಪ್ರವಾಹ', 'ಚಂಡಮಾರುತ']
+        }
+    }
+};
+
+// Crop names, in every app language
+export const CROPS = {
+    rice: ['rice', 'paddy', 'धान', 'चावल', 'ধান', 'চাল', 'వరి', 'బియ్యం', 'நெல்', 'அரிசி', 'भात', 'तांदूळ', 'ડાંગર', 'ચોખા', 'ಭತ್ತ', 'ಅಕ್ಕಿ'],
+    wheat: ['wheat', 'गेहूं', 'गेहूँ', 'গম', 'గోధుమ', 'கோதுமை', 'गहू', 'ઘઉં', 'ಗೋಧಿ'],
+    maize: ['maize', 'corn', 'मक्का', 'ভুট্টা', 'మొక్కజొన్న', 'மக்காச்சோளம்', 'मका', 'મકાઈ', 'ಮೆಕ್ಕೆಜೋಳ'],
+    tomato: ['tomato', 'tomatoes', 'टमाटर', 'টমেটো', 'టమాటా', 'தக்காளி', 'टोमॅटो', 'ટામેટા', 'ಟೊಮೆಟೊ'],
+    potato: ['potato', 'potatoes', 'आलू', 'আলু', 'బంగాళాదుంప', 'உருளைக்கிழங்கு', 'बटाटा', 'બટાકા', 'ಆಲೂಗಡ್ಡೆ'],
+    onion: ['onion', 'प्याज', 'পেঁয়াজ', 'ఉల్లిపాయ', 'வெங்காயம்', 'कांदा', 'ડુંગળી', 'ಈರುಳ್ಳಿ'],
+    cotton: ['cotton', 'कपास', 'তুলা', 'పత్తి', 'பருத்தி', 'कापूस', 'कापस', 'કપાસ', 'ಹತ್ತಿ'],
+    sugarcane: ['sugarcane', 'गन्ना', 'আখ', 'చెరకు', 'கரும்பு', 'ऊस', 'શેરડી', 'ಕಬ್ಬು'],
+    soybean: ['soybean', 'soya', 'सोयाबीन', 'সয়াবিন', 'సోయాబీన్', 'சோயா', 'સોયાબીન', 'ಸೋಯಾಬೀನ್'],
+    pulses: [
+        'pulse', 'lentil', 'chickpea', 'gram', 'dal', 'दाल', 'चना', 'मसूर', 'ডাল', 'ছোলা', 'মসুর',
+        'పప్పు', 'శనగ', 'பருப்பு', 'கொண்டைக்கடலை', 'डाळ', 'हरभरा', 'દાળ', 'ચણા', 'ಬೇಳೆ', 'ಕಡಲೆ'
+    ],
+    mustard: ['mustard', 'सरसों', 'সরিষা', 'ఆవాలు', 'கடுகு', 'मोहरी', 'રાઈ', 'ಸಾಸಿವೆ'],
+    chilli: ['chilli', 'chili', 'मिर्च', 'লঙ্কা', 'মরিচ', 'మిరప', 'மிளகாய்', 'मिरची', 'મરચાં', 'ಮೆಣಸಿನಕಾಯಿ']
+};
+
+// Weights that make up the confidence score: how much of the question the best
+// passage covers, whether the intent was recognised and whether it is about the asked crop
+const CONFIDENCE_WEIGHTS = { coverage: 0.6, intent: 0.25, crop: 0.15 };
+const CATEGORY_BOOST = 1.5;
+const CROP_BOOST = 1.3;
+// Passages in the farmer's language rank above equally relevant ones in other languages
+const LANGUAGE_BOOST = 2;
+const MAX_ANSWER_LENGTH = 450;
+// Longer questions are taken to stand on their own
+const FOLLOW_UP_MAX_TERMS = 6;
+
+function termSet(words) {
+    return new Set(words.flatMap(word => tokenize(word)));
+}
+
+function bestMatch(terms, candidates) {
+    let best = null;
+    let bestHits = 0;
+    Object.entries(candidates).forEach(([name, candidateTerms]) => {
+        const hits = terms.filter(term => candidateTerms.has(term)).length;
+        if (hits > bestHits) {
+            best = name;
+            bestHits = hits;
+        }
+    });
+    return best;
+}
+
+// { intent, crop } for a question; either is null when nothing matches
+export function classifyQuestion(model, question) {
+    const terms = tokenize(question || '');
+    return {
+        intent: bestMatch(terms, model.intentTerms),
+        crop: bestMatch(terms, model.cropTerms)
+    };
+}
+
+// Follow-ups ("how much should I use?", "and for wheat?", "what about pests?") leave out
+// the crop, the topic or both; they are answered in the context of the previous question
+// ({ question, intent, crop }). Returns the text to search with and the classification,
+// with followUp set when anything was carried over.
+export function resolveFollowUp(model, question, previous) {
+    const classification = classifyQuestion(model, question);
+    const standalone = { question, ...classification, followUp: false };
+    if (!previous || tokenize(question || '').length > FOLLOW_UP_MAX_TERMS) return standalone;
+
+    const intent = classification.intent || previous.intent || null;
+    const crop = classification.crop || previous.crop || null;
+    if (intent === classification.intent && crop === classification.crop) return standalone;
+
+    // Keep the earlier words that still apply: its crop if only that was left out,
+    // everything but its crop if a new crop was named, all of it otherwise
+    const previousCropTerms = previous.crop ? model.cropTerms[previous.crop] : null;
+    const namesPreviousCrop = word => Boolean(previousCropTerms) && tokenize(word).some(term => previousCropTerms.has(term));
+    const words = (previous.question || '').split(/\s+/).filter(Boolean);
+    let carried = words;
+    if (classification.intent) {
+        carried = words.filter(namesPreviousCrop);
+    } else if (classification.crop) {
+        carried = words.filter(word => !namesPreviousCrop(word));
+    }
+
+    return { question: [question, ...carried].join(' '), intent, crop, followUp: true };
+}
+
+// Split articles into answerable passages: the summary, each paragraph and each list of steps
+export function buildPassages(articles) {
+    return articles.flatMap(article => {
+        const articleId = String(article.id || article._id);
+        const base = { articleId, articleTitle: article.title, category: article.category, language: article.language || 'en' };
+        const passages = [{ ...base, heading: article.title, text: article.content }];
+
+        (article.sections || []).forEach(section => {
+            (section.paragraphs || []).forEach(paragraph => {
+                passages.push({ ...base, heading: section.heading || article.title, text: paragraph });
+            });
+            if (section.steps && section.steps.length > 0) {
+                passages.push({ ...base, heading: section.heading || article.title, text: section.steps.join(' ') });
+            }
+        });
+
+        return passages
+            .filter(passage => passage.text && passage.text.trim())
+            .map((passage, index) => ({ ...passage, id: `${articleId}:${index}` }));
+    });
+}
+
+// Passages are indexed like articles: the heading as title and the passage as content
+export function buildPassageIndex(passages) {
+    return buildIndex(passages.map(passage => ({
+        id: passage.id,
+        title: passage.heading,
+        content: passage.text,
+        category: passage.category,
+        language: passage.language,
+        passage
+    })));
+}
+
+// Everything needed to answer: the passage index and the intent and crop vocabularies
+export function createAnswerModel({ passages, intents = INTENTS, crops = CROPS }) {
+    return {
+        index: buildPassageIndex(passages),
+        intents,
+        intentTerms: Object.fromEntries(Object.entries(intents)
+            .map(([intent, { keywords }]) => [intent, termSet(Object.values(keywords).flat())])),
+        cropTerms: Object.fromEntries(Object.entries(crops)
+            .map(([crop, names]) => [crop, termSet(names)]))
+    };
+}
+
+function coverage(questionTerms, passage) {
+    if (questionTerms.size === 0) return 0;
+    const passageTerms = new Set(tokenize(`${passage.heading} ${passage.text}`));
+    return [...questionTerms].filter(term => passageTerms.has(term)).length / questionTerms.size;
+}
+
+// The best passages for a question, boosted when they belong to a category that
+// answers the intent, mention the crop asked about or are in the requested language
+export function retrievePassages(model, question, classification, options = {}) {
+    const { limit = 3, language = null } = options;
+    const questionTerms = new Set(tokenize(question || ''));
+    const intent = classification.intent ? model.intents[classification.intent] : null;
+    const cropTerms = classification.crop ? model.cropTerms[classification.crop] : null;
+
+    return search(model.index, question, { limit: 20 }).results
+        .map(result => {
+            const { passage } = model.index.documents.get(result.id).article;
+            const mentionsCrop = Boolean(cropTerms) &&
+                tokenize(`${passage.heading} ${passage.text}`).some(term => cropTerms.has(term));
+            let score = result.score;
+            if (intent && intent.categories.includes(passage.category)) score *= CATEGORY_BOOST;
+            if (mentionsCrop) score *= CROP_BOOST;
+            if (language && passage.language === language) score *= LANGUAGE_BOOST;
+            return { passage, score, mentionsCrop, coverage: coverage(questionTerms, passage) };
+        })
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+}
+
+// 0-1: low scores mean the knowledge base probably does not answer the question
+export function scoreConfidence(model, classification, retrieved) {
+    const top = retrieved[0];
+    if (!top) return 0;
+    const intentScore = classification.intent && model.intents[classification.intent].categories.includes(top.passage.category) ? 1 : 0;
+    const cropScore = !classification.crop || top.mentionsCrop ? 1 : 0;
+    const score = CONFIDENCE_WEIGHTS.coverage * top.coverage +
+        CONFIDENCE_WEIGHTS.intent * intentScore +
+        CONFIDENCE_WEIGHTS.crop * cropScore;
+    return Math.round(score * 100) / 100;
+}
+
+// One entry per article the passages came from, in order of relevance
+export function citeSources(retrieved) {
+    const sources = [];
+    retrieved.forEach(({ passage }) => {
+        if (!sources.some(source => source.id === passage.articleId)) {
+            sources.push({ id: passage.articleId, title: passage.articleTitle });
+        }
+    });
+    return sources;
+}
+
+// An extractive answer: the best passage, followed by the next one from the same
+// article when there is room, cut at a sentence boundary. Returns { text, used }.
+export function composeAnswer(retrieved) {
+    if (retrieved.length === 0) return { text: '', used: [] };
+    const [top, ...rest] = retrieved;
+    const follow = rest.find(entry => entry.passage.articleId === top.passage.articleId);
+    const used = [top, follow].filter(Boolean);
+    const sentences = used
+        .flatMap(entry => entry.passage.text.split(/(?<=[.!?।])\s+/))
+        .filter(sentence => sentence.trim());
+
+    let text = '';
+    for (const sentence of sentences) {
+        const next = text ? `${text} ${sentence.trim()}` : sentence.trim();
+        if (text && next.length > MAX_ANSWER_LENGTH) break;
+        text = next;
+    }
+    return { text, used };
+}
+
+// Classify, retrieve and answer with the extractive composer, the way the server
+// does with its default backend. options.previous is the question before, for
+// follow-ups. `language` is the language the answer is in, which is the passages'
+// own and may differ from options.language.
+export function answerFromModel(model, question, minConfidence, options = {}) {
+    const resolved = resolveFollowUp(model, question, options.previous);
+    const classification = { intent: resolved.intent, crop: resolved.crop };
+    const retrieved = retrievePassages(model, resolved.question, classification, { language: options.language });
+    const confidence = scoreConfidence(model, classification, retrieved);
+    const result = {
+        ...classification, resolvedQuestion: resolved.question, followUp: resolved.followUp,
+        confidence, answer: null, language: null, sources: [], needsExpert: true
+    };
+    if (confidence < minConfidence) return result;
+
+    const { text, used } = composeAnswer(retrieved);
+    return text
+        ? { ...result, answer: text, language: used[0].passage.language, sources: citeSources(used), needsExpert: false }
+        : result;
+}
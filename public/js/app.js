@@ -12,7 +12,7 @@ if ('serviceWorker' in navigator) {
                     const newWorker = registration.installing;
                     newWorker.addEventListener('statechange', () => {
                         if (newWorker.state === 'installed' && navigator.serviceWorker.controller) {
-                            showNotification('New version available! Refresh to update.', 'info');
+                            showNotification(t('app.newVersion'), 'info');
                         }
                     });
                 });
@@ -50,7 +50,7 @@ if (installBtn) {
             const { outcome } = await deferredPrompt.userChoice;
             
             if (outcome === 'accepted') {
-                showNotification('AgriEcho installed successfully!', 'success');
+                showNotification(t('app.installed'), 'success');
             }
             
             deferredPrompt = null;
@@ -82,11 +82,11 @@ function updateConnectionStatus() {
     if (!statusElement) return;
     
     if (navigator.onLine) {
-        statusElement.innerHTML = '<i class="fas fa-wifi"></i><span>Online</span>';
+        statusElement.innerHTML = `<i class="fas fa-wifi"></i><span>${t('common.online')}</span>`;
         statusElement.className = 'connection-status';
         isOnline = true;
     } else {
-        statusElement.innerHTML = '<i class="fas fa-wifi-slash"></i><span>Offline</span>';
+        statusElement.innerHTML = `<i class="fas fa-wifi-slash"></i><span>${t('common.offline')}</span>`;
         statusElement.className = 'connection-status offline';
         isOnline = false;
     }
@@ -95,13 +95,13 @@ function updateConnectionStatus() {
 // Network event listeners
 window.addEventListener('online', () => {
     updateConnectionStatus();
-    showNotification('Back online! Syncing data...', 'success');
+    showNotification(t('app.backOnline'), 'success');
     syncOfflineData();
 });
 
 window.addEventListener('offline', () => {
     updateConnectionStatus();
-    showNotification('You are now offline. Data will be saved locally.', 'warning');
+    showNotification(t('app.nowOffline'), 'warning');
 });
 
 // Initialize connection status
@@ -110,12 +110,28 @@ updateConnectionStatus();
 // Offline Data Synchronization
 async function syncOfflineData() {
     try {
+        // Before anything is stored under this device's id
+        await registerDevice();
+        
         // Sync offline SOS alerts
         const pendingSOSAlerts = JSON.parse(localStorage.getItem('pendingSOSAlerts') || '[]');
         if (pendingSOSAlerts.length > 0) {
             await syncSOSAlerts(pendingSOSAlerts);
         }
         
+        // Upload SOS photos and voice notes, resuming any interrupted uploads
+        if (window.SOSAttachments) {
+            await window.SOSAttachments.uploadPending();
+        }
+        
+        // Upload voice questions recorded offline for transcription
+        if (window.VoiceClips) {
+            await window.VoiceClips.uploadPending();
+        }
+        
+        // Send profile changes made offline and pick up ones made on other devices
+        await syncFarmerProfile();
+        
         // Sync offline voice queries
         const offlineQueries = JSON.parse(localStorage.getItem('offlineVoiceQueries') || '[]');
         if (offlineQueries.length > 0) {
@@ -125,15 +141,35 @@ async function syncOfflineData() {
         // Fetch latest data
         await fetchLatestData();
         
-        showNotification('All data synchronized successfully!', 'success');
+        showNotification(t('app.syncComplete'), 'success');
     } catch (error) {
         console.error('Sync error:', error);
-        showNotification('Some data could not be synchronized', 'warning');
+        showNotification(t('app.syncIncomplete'), 'warning');
+    }
+}
+
+// Every SOS gets a random key when it is created. The server treats repeated
+// submissions with the same key as one alert, however many sync paths retry it.
+function createIdempotencyKey() {
+    if (window.crypto && crypto.randomUUID) {
+        return crypto.randomUUID();
     }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+}
+
+// Alerts queued by older versions have no key; give them one and store it before the first send
+function ensureIdempotencyKeys(alerts) {
+    if (alerts.every(alert => alert.idempotencyKey)) return alerts;
+    alerts.forEach(alert => {
+        alert.idempotencyKey = alert.idempotencyKey || createIdempotencyKey();
+    });
+    saveToLocalStorage('pendingSOSAlerts', alerts);
+    return alerts;
 }
 
 async function syncSOSAlerts(alerts) {
     const successfulSyncs = [];
+    ensureIdempotencyKeys(alerts);
     
     for (const alert of alerts) {
         try {
@@ -141,11 +177,14 @@ async function syncSOSAlerts(alerts) {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
+                    ...farmerAuthHeaders()
                 },
                 body: JSON.stringify(alert)
             });
             
             if (response.ok) {
+                const result = await response.json();
+                rememberSentSOS(result.id, alert);
                 successfulSyncs.push(alert.id);
             }
         } catch (error) {
@@ -158,12 +197,33 @@ async function syncSOSAlerts(alerts) {
     localStorage.setItem('pendingSOSAlerts', JSON.stringify(remainingAlerts));
     
     if (successfulSyncs.length > 0) {
-        showNotification(`${successfulSyncs.length} SOS alert(s) synchronized`, 'success');
+        showNotification(t('app.sosSynced', { count: successfulSyncs.length }), 'success');
     }
 }
 
+// Alerts this device has sent, so the SOS page can follow their status on the server
+const MAX_TRACKED_SOS = 20;
+
+function rememberSentSOS(serverId, alert) {
+    if (!serverId) return;
+    const tracked = getFromLocalStorage('mySOSAlerts', []).filter(item => item.id !== serverId);
+    tracked.unshift({
+        id: serverId,
+        idempotencyKey: alert.idempotencyKey,
+        type: alert.type,
+        message: alert.message,
+        severity: alert.severity,
+        createdAt: alert.timestamp || new Date().toISOString(),
+        status: 'received',
+        timeline: []
+    });
+    saveToLocalStorage('mySOSAlerts', tracked.slice(0, MAX_TRACKED_SOS));
+}
+
 async function syncVoiceQueries(queries) {
     const successfulSyncs = [];
+    // Questions asked offline before any reached the server go into one conversation
+    let conversationId = localStorage.getItem('voiceConversationId');
     
     for (const query of queries) {
         try {
@@ -171,11 +231,20 @@ async function syncVoiceQueries(queries) {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
+                    ...farmerAuthHeaders()
                 },
-                body: JSON.stringify(query)
+                body: JSON.stringify({ ...query, conversationId: query.conversationId || conversationId })
             });
             
             if (response.ok) {
+                const result = await response.json();
+                if (result.conversationId && !conversationId) {
+                    conversationId = result.conversationId;
+                    localStorage.setItem('voiceConversationId', conversationId);
+                }
+                if (result.needsExpert) {
+                    rememberExpertQuestion(result.id, query.query);
+                }
                 successfulSyncs.push(query);
             }
         } catch (error) {
@@ -192,13 +261,20 @@ async function syncVoiceQueries(queries) {
     localStorage.setItem('offlineVoiceQueries', JSON.stringify(remainingQueries));
     
     if (successfulSyncs.length > 0) {
-        showNotification(`${successfulSyncs.length} voice quer(ies) synchronized`, 'success');
+        showNotification(t('app.queriesSynced', { count: successfulSyncs.length }), 'success');
     }
 }
 
 async function fetchLatestData() {
     try {
-        const response = await fetch('/api/sync');
+        // Weather alerts are filtered to the farmer's area on the server
+        const location = getFromLocalStorage('lastKnownLocation');
+        const params = new URLSearchParams({ device: getDeviceId() });
+        if (location) {
+            params.set('lat', location.lat);
+            params.set('lon', location.lon);
+        }
+        const response = await fetch(`/api/sync?${params}`, { headers: farmerAuthHeaders() });
         if (response.ok) {
             const data = await response.json();
             
@@ -207,12 +283,195 @@ async function fetchLatestData() {
                 ...data.data,
                 timestamp: Date.now()
             }));
+            deliverExpertAnswers(data.data.answers || []);
+            deliverVoiceTranscripts(data.data.transcripts || []);
         }
     } catch (error) {
         console.error('Failed to fetch latest data:', error);
     }
 }
 
+// Random id for this device, sent with voice questions so expert answers find their way back
+function getDeviceId() {
+    let deviceId = localStorage.getItem('deviceId');
+    if (!deviceId) {
+        deviceId = createIdempotencyKey();
+        localStorage.setItem('deviceId', deviceId);
+    }
+    return deviceId;
+}
+
+// The proof that this device holds its id, which brings its history into an account
+// when the farmer signs in. Only a device id the server has never seen gets one;
+// false is kept when it was refused, so it isn't asked for again.
+async function registerDevice() {
+    if (getFromLocalStorage('deviceProof') !== null) return;
+    try {
+        const response = await fetch('/api/farmers/devices', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ device: getDeviceId() })
+        });
+        const result = await response.json().catch(() => ({}));
+        if (result.success) {
+            saveToLocalStorage('deviceProof', result.proof);
+        } else if (response.status === 409) {
+            saveToLocalStorage('deviceProof', false);
+        }
+    } catch (error) {
+        console.error('Failed to register device:', error);
+    }
+}
+
+// Farmer account. The session token and profile are kept on the device, so the farmer
+// stays signed in and forms stay prefilled offline until the token expires. Profile
+// changes made offline are sent on the next sync.
+function getFarmerSession() {
+    const session = getFromLocalStorage('farmerSession');
+    if (!session || !session.token || new Date(session.expiresAt) <= new Date()) {
+        return null;
+    }
+    return session;
+}
+
+function getFarmerProfile() {
+    const session = getFarmerSession();
+    return session ? session.farmer : null;
+}
+
+function saveFarmerSession(session) {
+    saveToLocalStorage('farmerSession', session);
+    // The weather page's crop picker shows the profile's crops
+    saveToLocalStorage('farmerCrops', session.farmer.crops || []);
+}
+
+function clearFarmerSession() {
+    localStorage.removeItem('farmerSession');
+    localStorage.removeItem('farmerProfilePending');
+}
+
+// Sent with requests the server links to the signed-in farmer (SOS, voice questions)
+function farmerAuthHeaders() {
+    const session = getFarmerSession();
+    return session ? { Authorization: `Bearer ${session.token}` } : {};
+}
+
+// Change the cached profile straight away and save it on the server when possible
+async function updateFarmerProfile(changes) {
+    const session = getFarmerSession();
+    if (!session) return null;
+    session.farmer = { ...session.farmer, ...changes };
+    saveFarmerSession(session);
+    saveToLocalStorage('farmerProfilePending', { ...getFromLocalStorage('farmerProfilePending', {}), ...changes });
+    if (navigator.onLine) {
+        await syncFarmerProfile();
+    }
+    return session.farmer;
+}
+
+// Send offline profile changes, then refresh the cached profile. A session the server
+// no longer accepts (signed out everywhere) is dropped.
+async function syncFarmerProfile() {
+    const session = getFarmerSession();
+    if (!session) return;
+    const pending = getFromLocalStorage('farmerProfilePending');
+    try {
+        const response = await fetch('/api/farmers/me', pending
+            ? { method: 'PATCH', headers: { 'Content-Type': 'application/json', ...farmerAuthHeaders() }, body: JSON.stringify(pending) }
+            : { headers: farmerAuthHeaders() });
+        const result = await response.json().catch(() => ({}));
+        if (response.status === 401) {
+            clearFarmerSession();
+            showNotification(t('app.signedOut'), 'warning');
+            return;
+        }
+        if (response.status === 400) {
+            // The server won't take the change; keep its copy of the profile instead
+            localStorage.removeItem('farmerProfilePending');
+            console.warn('Profile change rejected:', result.error);
+            return syncFarmerProfile();
+        }
+        if (result.success) {
+            localStorage.removeItem('farmerProfilePending');
+            saveFarmerSession({ ...session, farmer: result.farmer });
+        }
+    } catch (error) {
+        console.error('Failed to sync farmer profile:', error);
+    }
+}
+
+// Questions passed to an expert that this device is still waiting on
+function rememberExpertQuestion(id, query) {
+    if (!id) return;
+    const waiting = getFromLocalStorage('pendingExpertQuestions', []).filter(item => item.id !== id);
+    waiting.push({ id, query, askedAt: new Date().toISOString() });
+    saveToLocalStorage('pendingExpertQuestions', waiting);
+}
+
+// Add newly arrived expert answers to the voice conversation. An open voice page
+// handles the 'expertanswer' event itself; otherwise the answer goes into the saved history.
+function deliverExpertAnswers(answers) {
+    const waiting = getFromLocalStorage('pendingExpertQuestions', []);
+    const arrived = answers.filter(answer => waiting.some(item => item.id === answer.id));
+    if (arrived.length === 0) return;
+
+    arrived.forEach(answer => {
+        const message = answer.status === 'rejected'
+            ? t('app.expertCouldNotAnswer', { question: answer.query, reason: answer.response })
+            : answer.response;
+        const details = { expertName: answer.expertName, question: answer.query };
+        const event = new CustomEvent('expertanswer', { detail: { message, details }, cancelable: true });
+        if (window.dispatchEvent(event)) {
+            const history = getFromLocalStorage('voiceConversationHistory', []);
+            history.push({ message, sender: 'assistant', details, timestamp: new Date().toISOString() });
+            saveToLocalStorage('voiceConversationHistory', history.slice(-50));
+        }
+    });
+
+    saveToLocalStorage('pendingExpertQuestions', waiting.filter(item => !arrived.some(answer => answer.id === item.id)));
+    showNotification(t('app.expertAnswered', { count: arrived.length }), 'success', 6000);
+}
+
+// Add transcribed voice questions and their answers to the voice conversation. An open
+// voice page handles the 'voicetranscript' event itself; otherwise both go into the saved history.
+function deliverVoiceTranscripts(transcripts) {
+    const waiting = getFromLocalStorage('pendingVoiceClips', []);
+    const arrived = transcripts.filter(clip => clip.status !== 'queued' && waiting.includes(clip.clientKey));
+    if (arrived.length === 0) return;
+
+    arrived.forEach(clip => {
+        const transcript = clip.status === 'transcribed' ? clip.transcript : null;
+        const message = transcript ? clip.response : t('app.clipNotUnderstood');
+        const details = transcript ? { sources: clip.sources || [], needsExpert: Boolean(clip.needsExpert) } : null;
+        if (transcript && clip.needsExpert) {
+            rememberExpertQuestion(clip.queryId, transcript);
+        }
+        if (clip.conversationId && !localStorage.getItem('voiceConversationId')) {
+            localStorage.setItem('voiceConversationId', clip.conversationId);
+        }
+
+        const event = new CustomEvent('voicetranscript', {
+            detail: { transcript, message, details, language: clip.language },
+            cancelable: true
+        });
+        if (window.dispatchEvent(event)) {
+            const history = getFromLocalStorage('voiceConversationHistory', []);
+            const timestamp = new Date().toISOString();
+            if (transcript) {
+                history.push({ message: transcript, sender: 'user', details: null, timestamp });
+            }
+            history.push({ message, sender: 'assistant', details, timestamp });
+            saveToLocalStorage('voiceConversationHistory', history.slice(-50));
+        }
+    });
+
+    saveToLocalStorage('pendingVoiceClips', waiting.filter(key => !arrived.some(clip => clip.clientKey === key)));
+    const answered = arrived.filter(clip => clip.status === 'transcribed').length;
+    if (answered > 0) {
+        showNotification(t('app.clipsAnswered', { count: answered }), 'success', 6000);
+    }
+}
+
 // Notification System
 function showNotification(message, type = 'info', duration = 4000) {
     const notification = document.createElement('div');
@@ -273,7 +532,7 @@ if ('serviceWorker' in navigator && 'sync' in window.ServiceWorkerRegistration.p
 function getCurrentPosition() {
     return new Promise((resolve, reject) => {
         if (!navigator.geolocation) {
-            reject(new Error('Geolocation is not supported'));
+            reject(new Error(t('app.geolocationUnsupported')));
             return;
         }
         
@@ -314,7 +573,7 @@ function getFromLocalStorage(key, defaultValue = null) {
 class AgriEchoDB {
     constructor() {
         this.dbName = 'AgriEchoDB';
-        this.version = 1;
+        this.version = 3;
         this.db = null;
     }
     
@@ -344,6 +603,17 @@ class AgriEchoDB {
                 if (!db.objectStoreNames.contains('sosAlerts')) {
                     db.createObjectStore('sosAlerts', { keyPath: 'id' });
                 }
+                
+                // Photos and voice notes waiting to be uploaded with an SOS
+                if (!db.objectStoreNames.contains('sosAttachments')) {
+                    const attachmentsStore = db.createObjectStore('sosAttachments', { keyPath: 'id' });
+                    attachmentsStore.createIndex('alertKey', 'alertKey', { unique: false });
+                }
+                
+                // Voice questions recorded offline, waiting to be transcribed
+                if (!db.objectStoreNames.contains('voiceClips')) {
+                    db.createObjectStore('voiceClips', { keyPath: 'id' });
+                }
             };
         });
     }
@@ -397,6 +667,77 @@ class AgriEchoDB {
         });
     }
     
+    async saveAttachment(attachment) {
+        if (!this.db) await this.init();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['sosAttachments'], 'readwrite');
+            const request = transaction.objectStore('sosAttachments').put(attachment);
+            
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    
+    async getAttachments(alertKey = null) {
+        if (!this.db) await this.init();
+        
+        return new Promise((resolve, reject) => {
+            const store = this.db.transaction(['sosAttachments'], 'readonly').objectStore('sosAttachments');
+            const request = alertKey ? store.index('alertKey').getAll(alertKey) : store.getAll();
+            
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    
+    async deleteAttachment(id) {
+        if (!this.db) await this.init();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['sosAttachments'], 'readwrite');
+            const request = transaction.objectStore('sosAttachments').delete(id);
+            
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    }
+    
+    async saveVoiceClip(clip) {
+        if (!this.db) await this.init();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['voiceClips'], 'readwrite');
+            const request = transaction.objectStore('voiceClips').put(clip);
+            
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    
+    async getVoiceClips() {
+        if (!this.db) await this.init();
+        
+        return new Promise((resolve, reject) => {
+            const request = this.db.transaction(['voiceClips'], 'readonly').objectStore('voiceClips').getAll();
+            
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    
+    async deleteVoiceClip(id) {
+        if (!this.db) await this.init();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['voiceClips'], 'readwrite');
+            const request = transaction.objectStore('voiceClips').delete(id);
+            
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    }
+    
     async getLatestWeatherData() {
         if (!this.db) await this.init();
         
@@ -423,7 +764,7 @@ const agriDB = new AgriEchoDB();
 
 // Utility Functions
 function formatDate(date) {
-    return new Intl.DateTimeFormat('en-US', {
+    return new Intl.DateTimeFormat(window.AgriEchoI18n.language, {
         year: 'numeric',
         month: 'short',
         day: 'numeric',
@@ -435,22 +776,20 @@ function formatDate(date) {
 function formatRelativeTime(timestamp) {
     const now = Date.now();
     const diff = now - timestamp;
+    const relative = new Intl.RelativeTimeFormat(window.AgriEchoI18n.language, { numeric: 'auto' });
     
     const minute = 60 * 1000;
     const hour = 60 * minute;
     const day = 24 * hour;
     
     if (diff < minute) {
-        return 'Just now';
+        return relative.format(0, 'second');
     } else if (diff < hour) {
-        const minutes = Math.floor(diff / minute);
-        return `${minutes} minute${minutes > 1 ? 's' : ''} ago`;
+        return relative.format(-Math.floor(diff / minute), 'minute');
     } else if (diff < day) {
-        const hours = Math.floor(diff / hour);
-        return `${hours} hour${hours > 1 ? 's' : ''} ago`;
+        return relative.format(-Math.floor(diff / hour), 'hour');
     } else {
-        const days = Math.floor(diff / day);
-        return `${days} day${days > 1 ? 's' : ''} ago`;
+        return relative.format(-Math.floor(diff / day), 'day');
     }
 }
 
@@ -568,6 +907,18 @@ window.AgriEcho = {
     agriDB,
     formatDate,
     formatRelativeTime,
+    rememberSentSOS,
+    getDeviceId,
+    rememberExpertQuestion,
+    deliverVoiceTranscripts,
+    createIdempotencyKey,
+    ensureIdempotencyKeys,
+    getFarmerSession,
+    getFarmerProfile,
+    saveFarmerSession,
+    clearFarmerSession,
+    farmerAuthHeaders,
+    updateFarmerProfile,
     debounce,
     throttle,
     measurePerformance
@@ -0,0 +1,308 @@
+// AgriEcho PWA - Article Read-Aloud Player
+
+const ARTICLE_LANGUAGE_LOCALES = {
+    en: 'en-IN',
+    hi: 'hi-IN',
+    bn: 'bn-IN',
+    te: 'te-IN',
+    ta: 'ta-IN',
+    mr: 'mr-IN',
+    gu: 'gu-IN',
+    kn: 'kn-IN'
+};
+
+const PLAYBACK_RATES = [0.75, 0.9, 1, 1.25, 1.5];
+
+class ArticlePlayer {
+    constructor() {
+        this.positionsKey = 'articlePlaybackPositions';
+        this.rateKey = 'articlePlaybackRate';
+        this.article = null;
+        this.paragraphs = [];
+        this.index = 0;
+        this.state = 'idle'; // idle | playing | paused
+        this.rate = parseFloat(localStorage.getItem(this.rateKey)) || 0.9;
+        this.utteranceToken = 0;
+        this.listeners = [];
+        this.element = null;
+    }
+
+    isSupported() {
+        return 'speechSynthesis' in window;
+    }
+
+    // Build the spoken paragraph list from article data: title, summary, then each section
+    static paragraphsFromArticle(article) {
+        const paragraphs = [{ text: article.title }, { text: article.content }];
+        (article.sections || []).forEach(section => {
+            if (section.heading) paragraphs.push({ text: section.heading });
+            (section.paragraphs || []).forEach(text => paragraphs.push({ text }));
+            (section.steps || []).forEach((step, i) => paragraphs.push({ text: `${i + 1}. ${step}` }));
+        });
+        return paragraphs.filter(p => p.text && p.text.trim());
+    }
+
+    // Speak in the listener's chosen language when the article is written in it,
+    // otherwise in the article's own language
+    getSpeechLanguage(article) {
+        const preferred = localStorage.getItem('preferredVoiceLanguage');
+        const articleLanguage = article.language || 'en';
+        if (preferred && preferred.startsWith(articleLanguage)) {
+            return preferred;
+        }
+        return ARTICLE_LANGUAGE_LOCALES[articleLanguage] || articleLanguage;
+    }
+
+    onStateChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener(this.state, this.article));
+        this.renderControls();
+    }
+
+    toggle(article, paragraphs) {
+        if (this.article && this.article.id === article.id) {
+            if (this.state === 'playing') {
+                this.pause();
+            } else {
+                this.resume();
+            }
+        } else {
+            this.play(article, paragraphs);
+        }
+    }
+
+    play(article, paragraphs = ArticlePlayer.paragraphsFromArticle(article)) {
+        if (!this.isSupported()) {
+            if (window.AgriEcho) {
+                window.AgriEcho.showNotification(t('player.unsupported'), 'error');
+            }
+            return;
+        }
+
+        this.stop();
+        this.article = article;
+        this.paragraphs = paragraphs;
+        this.language = this.getSpeechLanguage(article);
+
+        // Resume where the listener stopped last time
+        const saved = this.getSavedPosition(article.id);
+        this.index = saved !== null && saved < paragraphs.length ? saved : 0;
+        if (this.index > 0 && window.AgriEcho) {
+            window.AgriEcho.showNotification(t('player.resuming', { number: this.index + 1 }), 'info');
+        }
+
+        this.speakCurrent();
+    }
+
+    speakCurrent() {
+        const paragraph = this.paragraphs[this.index];
+        if (!paragraph) {
+            this.finish();
+            return;
+        }
+
+        // Cancelling fires onend for the old utterance; the token lets us ignore it
+        const token = ++this.utteranceToken;
+        speechSynthesis.cancel();
+
+        const utterance = new SpeechSynthesisUtterance(paragraph.text);
+        utterance.lang = this.language;
+        const voice = speechSynthesis.getVoices().find(v => v.lang.startsWith(this.language.substring(0, 2)));
+        if (voice) {
+            utterance.voice = voice;
+        }
+        utterance.rate = this.rate;
+        utterance.pitch = 1;
+
+        utterance.onend = () => {
+            if (token !== this.utteranceToken || this.state !== 'playing') return;
+            this.index++;
+            this.savePosition();
+            this.speakCurrent();
+        };
+        utterance.onerror = (event) => {
+            if (token !== this.utteranceToken || event.error === 'interrupted' || event.error === 'canceled') return;
+            console.error('Speech synthesis error:', event.error);
+            this.pause();
+        };
+
+        this.state = 'playing';
+        this.highlightParagraph();
+        this.notify();
+        speechSynthesis.speak(utterance);
+    }
+
+    pause() {
+        if (this.state !== 'playing') return;
+        this.utteranceToken++;
+        speechSynthesis.cancel();
+        this.state = 'paused';
+        this.savePosition();
+        this.notify();
+    }
+
+    // Paragraphs restart from their beginning; engines differ too much in mid-utterance resume
+    resume() {
+        if (this.state !== 'paused') return;
+        this.speakCurrent();
+    }
+
+    next() {
+        if (!this.article) return;
+        this.index = Math.min(this.index + 1, this.paragraphs.length);
+        this.savePosition();
+        this.restartIfPlaying();
+    }
+
+    previous() {
+        if (!this.article) return;
+        this.index = Math.max(this.index - 1, 0);
+        this.savePosition();
+        this.restartIfPlaying();
+    }
+
+    seek(index) {
+        if (!this.article) return;
+        this.index = Math.max(0, Math.min(index, this.paragraphs.length - 1));
+        this.savePosition();
+        this.restartIfPlaying();
+    }
+
+    setRate(rate) {
+        this.rate = rate;
+        localStorage.setItem(this.rateKey, String(rate));
+        this.restartIfPlaying();
+    }
+
+    restartIfPlaying() {
+        if (this.state === 'playing') {
+            this.speakCurrent();
+        } else {
+            this.highlightParagraph();
+            this.notify();
+        }
+    }
+
+    stop() {
+        if (!this.article) return;
+        this.utteranceToken++;
+        speechSynthesis.cancel();
+        this.savePosition();
+        this.clearHighlight();
+        this.state = 'idle';
+        this.notify();
+        this.article = null;
+        this.paragraphs = [];
+    }
+
+    finish() {
+        this.clearSavedPosition(this.article.id);
+        this.clearHighlight();
+        this.state = 'idle';
+        this.notify();
+        this.article = null;
+        this.paragraphs = [];
+    }
+
+    // Progress marker on the page, when paragraphs are bound to elements
+    highlightParagraph() {
+        this.clearHighlight();
+        const paragraph = this.paragraphs[this.index];
+        if (paragraph && paragraph.element) {
+            paragraph.element.classList.add('speaking');
+            paragraph.element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        }
+    }
+
+    clearHighlight() {
+        document.querySelectorAll('.speaking').forEach(el => el.classList.remove('speaking'));
+    }
+
+    getPositions() {
+        return JSON.parse(localStorage.getItem(this.positionsKey) || '{}');
+    }
+
+    getSavedPosition(articleId) {
+        const position = this.getPositions()[articleId];
+        return position ? position.index : null;
+    }
+
+    savePosition() {
+        if (!this.article) return;
+        const positions = this.getPositions();
+        positions[this.article.id] = { index: this.index, updatedAt: Date.now() };
+        localStorage.setItem(this.positionsKey, JSON.stringify(positions));
+    }
+
+    clearSavedPosition(articleId) {
+        const positions = this.getPositions();
+        delete positions[articleId];
+        localStorage.setItem(this.positionsKey, JSON.stringify(positions));
+    }
+
+    // Floating controls shown while an article is loaded
+    renderControls() {
+        if (!this.element) {
+            this.element = document.createElement('div');
+            this.element.className = 'audio-player';
+            this.element.innerHTML = `
+                <button class="player-btn" data-action="previous" aria-label="${t('player.previous')}"><i class="fas fa-step-backward"></i></button>
+                <button class="player-btn play" data-action="toggle" aria-label="${t('player.playPause')}"><i class="fas fa-play"></i></button>
+                <button class="player-btn" data-action="next" aria-label="${t('player.next')}"><i class="fas fa-step-forward"></i></button>
+                <div class="player-info">
+                    <div class="player-title"></div>
+                    <div class="player-progress"><div class="player-progress-bar"></div></div>
+                    <div class="player-position"></div>
+                </div>
+                <select class="player-rate" aria-label="${t('player.speed')}">
+                    ${PLAYBACK_RATES.map(rate => `<option value="${rate}">${rate}x</option>`).join('')}
+                </select>
+                <button class="player-btn" data-action="stop" aria-label="${t('player.stop')}"><i class="fas fa-times"></i></button>
+            `;
+            this.element.addEventListener('click', (event) => {
+                const button = event.target.closest('[data-action]');
+                if (!button) return;
+                const action = button.dataset.action;
+                if (action === 'toggle') {
+                    this.state === 'playing' ? this.pause() : this.resume();
+                } else {
+                    this[action]();
+                }
+            });
+            this.element.querySelector('.player-progress').addEventListener('click', (event) => {
+                const bounds = event.currentTarget.getBoundingClientRect();
+                this.seek(Math.floor(((event.clientX - bounds.left) / bounds.width) * this.paragraphs.length));
+            });
+            this.element.querySelector('.player-rate').addEventListener('change', (event) => {
+                this.setRate(parseFloat(event.target.value));
+            });
+            document.body.appendChild(this.element);
+        }
+
+        if (!this.article || this.state === 'idle') {
+            this.element.classList.remove('visible');
+            return;
+        }
+
+        const total = this.paragraphs.length;
+        const current = Math.min(this.index + 1, total);
+        this.element.classList.add('visible');
+        this.element.querySelector('.player-title').textContent = this.article.title;
+        this.element.querySelector('.player-position').textContent = t('player.position', { current, total });
+        this.element.querySelector('.player-progress-bar').style.width = `${(current / total) * 100}%`;
+        this.element.querySelector('[data-action="toggle"] i').className =
+            this.state === 'playing' ? 'fas fa-pause' : 'fas fa-play';
+        this.element.querySelector('.player-rate').value = String(this.rate);
+    }
+}
+
+const articlePlayer = new ArticlePlayer();
+
+// Stop speaking when leaving the page so playback doesn't continue in the background
+window.addEventListener('pagehide', () => articlePlayer.stop());
+
+window.ArticlePlayer = articlePlayer;
+window.ArticlePlayer.paragraphsFromArticle = ArticlePlayer.paragraphsFromArticle;
@@ -0,0 +1,48 @@
+// AgriEcho - UI Translations
+// The page embeds its language and message catalog in window.AgriEchoI18n; this adds
+// t(key, params) for page scripts, mirroring translate() in services/i18n on the server.
+
+(function() {
+    const i18n = window.AgriEchoI18n || { language: 'en', messages: {}, speech: 'en-US' };
+    const LANGUAGE_COOKIE = 'agriecho_lang';
+
+    function lookup(key) {
+        return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), i18n.messages);
+    }
+
+    function t(key, params = {}) {
+        let message = lookup(key);
+        if (message && typeof message === 'object' && 'other' in message) {
+            const form = new Intl.PluralRules(i18n.language).select(Number(params.count) || 0);
+            message = message[form] || message.other;
+        }
+        if (typeof message !== 'string') return key;
+        return message.replace(/\{(\w+)\}/g, (match, name) => params[name] === undefined ? match : String(params[name]));
+    }
+
+    // Save the preference for the server and this device, then reload in the new language.
+    // The voice assistant switches to the same language.
+    function setLanguage(language, speech) {
+        document.cookie = `${LANGUAGE_COOKIE}=${language}; path=/; max-age=${365 * 24 * 60 * 60}; samesite=lax`;
+        localStorage.setItem('preferredLanguage', language);
+        if (speech) {
+            localStorage.setItem('preferredVoiceLanguage', speech);
+        }
+        window.location.reload();
+    }
+
+    // A preference saved on this device wins over the browser's languages, e.g. when
+    // the cookie was cleared. Only reload once the cookie has stuck.
+    const saved = localStorage.getItem('preferredLanguage');
+    if (saved && saved !== i18n.language && !document.cookie.includes(`${LANGUAGE_COOKIE}=`)) {
+        document.cookie = `${LANGUAGE_COOKIE}=${saved}; path=/; max-age=${365 * 24 * 60 * 60}; samesite=lax`;
+        if (document.cookie.includes(`${LANGUAGE_COOKIE}=`)) {
+            window.location.reload();
+        }
+    }
+
+    i18n.t = t;
+    i18n.setLanguage = setLanguage;
+    window.AgriEchoI18n = i18n;
+    window.t = t;
+})();
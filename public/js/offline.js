@@ -56,7 +56,7 @@ class OfflineManager {
         
         // Show notification
         if (window.AgriEcho) {
-            window.AgriEcho.showNotification('Back online! Syncing your data...', 'success');
+            window.AgriEcho.showNotification(t('app.backOnline'), 'success');
         }
     }
     
@@ -69,7 +69,7 @@ class OfflineManager {
         
         // Show notification
         if (window.AgriEcho) {
-            window.AgriEcho.showNotification('You\'re offline. Data will be saved locally.', 'warning');
+            window.AgriEcho.showNotification(t('app.nowOffline'), 'warning');
         }
     }
     
@@ -77,10 +77,10 @@ class OfflineManager {
         const connectionStatus = document.getElementById('connectionStatus');
         if (connectionStatus) {
             if (isOnline) {
-                connectionStatus.innerHTML = '<i class="fas fa-wifi"></i><span>Online</span>';
+                connectionStatus.innerHTML = `<i class="fas fa-wifi"></i><span>${t('common.online')}</span>`;
                 connectionStatus.className = 'connection-status';
             } else {
-                connectionStatus.innerHTML = '<i class="fas fa-wifi-slash"></i><span>Offline</span>';
+                connectionStatus.innerHTML = `<i class="fas fa-wifi-slash"></i><span>${t('common.offline')}</span>`;
                 connectionStatus.className = 'connection-status offline';
             }
         }
@@ -231,13 +231,13 @@ class OfflineManager {
         const statusElements = document.querySelectorAll('.sync-status-message');
         statusElements.forEach(el => {
             if (pendingCount > 0) {
-                el.textContent = `${pendingCount} item${pendingCount > 1 ? 's' : ''} waiting to sync`;
+                el.textContent = t('app.waitingToSync', { count: pendingCount });
                 el.className = 'sync-status-message pending';
             } else if (failedCount > 0) {
-                el.textContent = `${failedCount} item${failedCount > 1 ? 's' : ''} failed to sync`;
+                el.textContent = t('app.failedToSync', { count: failedCount });
                 el.className = 'sync-status-message failed';
             } else {
-                el.textContent = 'All data synchronized';
+                el.textContent = t('home.synced');
                 el.className = 'sync-status-message success';
             }
         });
@@ -262,13 +262,13 @@ class OfflineManager {
     async forcSync() {
         if (!this.isOnline) {
             if (window.AgriEcho) {
-                window.AgriEcho.showNotification('Cannot sync while offline', 'warning');
+                window.AgriEcho.showNotification(t('app.cannotSyncOffline'), 'warning');
             }
             return;
         }
         
         if (window.AgriEcho) {
-            window.AgriEcho.showNotification('Starting manual sync...', 'info');
+            window.AgriEcho.showNotification(t('app.manualSync'), 'info');
         }
         
         await this.processSyncQueue();
@@ -276,9 +276,9 @@ class OfflineManager {
         if (window.AgriEcho) {
             const pendingCount = this.syncQueue.filter(item => item.status === 'pending').length;
             if (pendingCount === 0) {
-                window.AgriEcho.showNotification('All data synchronized!', 'success');
+                window.AgriEcho.showNotification(t('app.allSynced'), 'success');
             } else {
-                window.AgriEcho.showNotification(`${pendingCount} items still pending`, 'warning');
+                window.AgriEcho.showNotification(t('app.stillPending', { count: pendingCount }), 'warning');
             }
         }
     }
@@ -315,13 +315,32 @@ class OfflineArticleManager {
         
         localStorage.setItem(this.storageKey, JSON.stringify(articles));
         
+        // Ask the service worker to precache the detail page and its images
+        this.postToServiceWorker('CACHE_URLS', this.getArticleUrls(article));
+        
         if (window.AgriEcho) {
-            window.AgriEcho.showNotification('Article saved for offline reading!', 'success');
+            window.AgriEcho.showNotification(t('app.articleSaved'), 'success');
         }
         
         return true;
     }
     
+    getArticleUrls(article) {
+        const urls = [`/knowledge/${article.id}`, `/api/articles/${article.id}`];
+        (article.sections || []).forEach(section => {
+            if (section.image && section.image.url) {
+                urls.push(section.image.url);
+            }
+        });
+        return urls;
+    }
+    
+    postToServiceWorker(type, urls) {
+        if ('serviceWorker' in navigator && navigator.serviceWorker.controller) {
+            navigator.serviceWorker.controller.postMessage({ type, urls });
+        }
+    }
+    
     getArticles() {
         return JSON.parse(localStorage.getItem(this.storageKey) || '[]');
     }
@@ -333,11 +352,16 @@ class OfflineArticleManager {
     
     removeArticle(id) {
         const articles = this.getArticles();
+        const article = articles.find(a => a.id === id);
         const filtered = articles.filter(a => a.id !== id);
         localStorage.setItem(this.storageKey, JSON.stringify(filtered));
         
+        if (article) {
+            this.postToServiceWorker('UNCACHE_URLS', this.getArticleUrls(article));
+        }
+        
         if (window.AgriEcho) {
-            window.AgriEcho.showNotification('Article removed from offline storage', 'info');
+            window.AgriEcho.showNotification(t('app.articleRemoved'), 'info');
         }
         
         return true;
@@ -363,7 +387,7 @@ class OfflineArticleManager {
         localStorage.removeItem(this.storageKey);
         
         if (window.AgriEcho) {
-            window.AgriEcho.showNotification('All offline articles cleared', 'info');
+            window.AgriEcho.showNotification(t('app.articlesCleared'), 'info');
         }
     }
 }
@@ -372,7 +396,8 @@ class OfflineArticleManager {
 class OfflineWeatherManager {
     constructor() {
         this.storageKey = 'cachedWeatherData';
-        this.maxAge = 6 * 60 * 60 * 1000; // 6 hours
+        this.maxAge = 6 * 60 * 60 * 1000; // 6 hours - older data is shown as stale
+        this.maxStaleAge = 7 * 24 * 60 * 60 * 1000; // 7 days - the forecast has run out
     }
     
     cacheWeatherData(data) {
@@ -390,20 +415,21 @@ class OfflineWeatherManager {
         if (!cached) return null;
         
         const data = JSON.parse(cached);
+        if (!data.cachedAt) return null;
         const age = Date.now() - data.cachedAt;
         
-        if (age > this.maxAge) {
+        if (age > this.maxStaleAge) {
             // Data is too old, remove it
             localStorage.removeItem(this.storageKey);
             return null;
         }
         
-        return data;
+        return { ...data, stale: age > this.maxAge };
     }
     
     isCacheValid() {
         const cached = this.getCachedWeatherData();
-        return cached !== null;
+        return cached !== null && !cached.stale;
     }
     
     getCacheAge() {
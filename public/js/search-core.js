@@ -0,0 +1,314 @@
+// AgriEcho - Knowledge Base Search Core
+// Shared by the server (/api/articles/search) and the browser (offline search of saved articles),
+// so both sides tokenize and rank the same way.
+
+const SCRIPT_LANGUAGES = [
+    { pattern: /\p{Script=Devanagari}/u, language: 'hi' },
+    { pattern: /\p{Script=Bengali}/u, language: 'bn' },
+    { pattern: /\p{Script=Telugu}/u, language: 'te' },
+    { pattern: /\p{Script=Tamil}/u, language: 'ta' },
+    { pattern: /\p{Script=Gujarati}/u, language: 'gu' },
+    { pattern: /\p{Script=Kannada}/u, language: 'kn' }
+];
+
+const STOPWORDS = {
+    en: new Set([
+        'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'does', 'for', 'from', 'how',
+        'i', 'in', 'is', 'it', 'its', 'my', 'of', 'on', 'or', 'should', 'that', 'the', 'this', 'to',
+        'what', 'when', 'which', 'with', 'your'
+    ]),
+    hi: new Set([
+        'का', 'की', 'के', 'है', 'हैं', 'में', 'और', 'को', 'से', 'पर', 'यह', 'वह', 'क्या', 'कैसे',
+        'लिए', 'एक', 'भी', 'तो', 'ही', 'था', 'थे', 'थी', 'कर', 'करें', 'मेरे', 'मेरी', 'मैं'
+    ]),
+    mr: new Set([
+        'आणि', 'आहे', 'आहेत', 'मध्ये', 'ला', 'चा', 'ची', 'चे', 'हे', 'ते', 'काय', 'कसे', 'कशी',
+        'कधी', 'साठी', 'एक', 'पण', 'तर', 'मी', 'माझ्या', 'माझे', 'माझी', 'करावे', 'करू', 'का'
+    ]),
+    bn: new Set([
+        'এবং', 'ও', 'কি', 'কী', 'কীভাবে', 'কেন', 'কখন', 'এই', 'সেই', 'আমি', 'আমার', 'আমাদের',
+        'জন্য', 'থেকে', 'দিয়ে', 'করব', 'করতে', 'করা', 'হয়', 'আছে', 'একটি', 'না', 'তে'
+    ]),
+    te: new Set([
+        'మరియు', 'ఏమి', 'ఎలా', 'ఎప్పుడు', 'ఎందుకు', 'ఈ', 'ఆ', 'నా', 'నేను', 'మా', 'కోసం',
+        'లో', 'చేయాలి', 'చేయడం', 'ఉంది', 'ఉన్నాయి', 'ఒక', 'కూడా', 'కాదు'
+    ]),
+    ta: new Set([
+        'மற்றும்', 'என்ன', 'எப்படி', 'எப்போது', 'ஏன்', 'இந்த', 'அந்த', 'என்', 'எனது', 'நான்',
+        'எங்கள்', 'ஒரு', 'உள்ளது', 'செய்ய', 'வேண்டும்', 'செய்வது', 'இல்', 'கூட', 'இல்லை'
+    ]),
+    gu: new Set([
+        'અને', 'શું', 'કેવી', 'રીતે', 'ક્યારે', 'કેમ', 'આ', 'તે', 'મારા', 'મારી', 'મારું', 'હું',
+        'માટે', 'માં', 'છે', 'કરવું', 'કરવી', 'એક', 'પણ', 'નો', 'ની', 'નું', 'ના'
+    ]),
+    kn: new Set([
+        'ಮತ್ತು', 'ಏನು', 'ಹೇಗೆ', 'ಯಾವಾಗ', 'ಏಕೆ', 'ಈ', 'ಆ', 'ನನ್ನ', 'ನಾನು', 'ನಮ್ಮ', 'ಒಂದು',
+        'ಇದೆ', 'ಮಾಡಬೇಕು', 'ಮಾಡುವುದು', 'ಗೆ', 'ಅಲ್ಲಿ', 'ಕೂಡ', 'ಇಲ್ಲ'
+    ])
+};
+
+// Devanagari text is read as Hindi, so Marathi words are tokenized along with it
+const DEVANAGARI_STOPWORDS = new Set([...STOPWORDS.hi, ...STOPWORDS.mr]);
+
+// Light inflectional suffixes for Devanagari, Hindi and Marathi (longest first)
+const DEVANAGARI_SUFFIXES = [
+    'ामध्ये', 'मध्ये', 'ांच्या', 'ाच्या', 'ांना', 'ांचा', 'ांची', 'ांचे', 'ाला', 'ावर',
+    'ाएंगी', 'ाएंगे', 'ाऊंगी', 'ाऊंगा', 'ाइयाँ', 'ाइयों', 'ाइयां',
+    'ियाँ', 'ियों', 'ियां', 'ाओं', 'ाएं', 'ुओं', 'ुएं', 'ुआं',
+    'ों', 'ें', 'ीं', 'ाँ', 'ां', 'ुं', 'ूं',
+    'ी', 'ा', 'े', 'ो', 'ि', 'ु'
+];
+
+// Plural and case endings for the other scripts (longest first)
+const SUFFIXES = {
+    bn: ['গুলোতে', 'গুলির', 'গুলোর', 'গুলো', 'গুলি', 'দের', 'কে', 'রা', 'তে', 'ের', 'টা', 'টি', 'র', 'ে'],
+    te: ['లలో', 'లకు', 'లను', 'లో', 'లు', 'ను', 'కు', 'కి', 'ని', 'తో'],
+    ta: ['களுக்கு', 'களில்', 'களை', 'கள்', 'த்தில்', 'த்தை', 'க்கு', 'இல்', 'ில்'],
+    gu: ['ોમાં', 'ોને', 'ોનો', 'ોની', 'માં', 'ને', 'નો', 'ની', 'નું', 'ના', 'ો'],
+    kn: ['ಗಳನ್ನು', 'ಗಳಲ್ಲಿ', 'ಗಳಿಗೆ', 'ಗಳು', 'ನ್ನು', 'ದಲ್ಲಿ', 'ಯಲ್ಲಿ', 'ಕ್ಕೆ', 'ಗೆ']
+};
+
+const FIELD_WEIGHTS = { title: 3, content: 2, body: 1 };
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const SNIPPET_LENGTH = 180;
+
+const segmenters = {};
+
+export function detectLanguage(text) {
+    const match = SCRIPT_LANGUAGES.find(entry => entry.pattern.test(text));
+    return match ? match.language : 'en';
+}
+
+function getSegmenter(language) {
+    if (typeof Intl === 'undefined' || !Intl.Segmenter) return null;
+    if (!segmenters[language]) {
+        segmenters[language] = new Intl.Segmenter(language, { granularity: 'word' });
+    }
+    return segmenters[language];
+}
+
+// Split text into word segments, keeping their offsets so snippets can be highlighted
+function segmentWords(text, language) {
+    const segmenter = getSegmenter(language);
+    if (segmenter) {
+        return Array.from(segmenter.segment(text))
+            .filter(segment => segment.isWordLike)
+            .map(segment => ({ word: segment.segment, index: segment.index }));
+    }
+    return Array.from(text.matchAll(/[\p{L}\p{M}\p{N}]+/gu))
+        .map(match => ({ word: match[0], index: match.index }));
+}
+
+function stemEnglish(word) {
+    if (word.length > 4 && word.endsWith('ies')) return word.slice(0, -3) + 'y';
+    if (word.endsWith('sses')) return word.slice(0, -2);
+    if (word.length > 5 && word.endsWith('ing')) return word.slice(0, -3);
+    if (word.length > 4 && word.endsWith('ed')) return word.slice(0, -2);
+    if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+    return word;
+}
+
+function stripSuffix(word, suffixes) {
+    const suffix = suffixes.find(s => word.endsWith(s) && word.length - s.length >= 2);
+    return suffix ? word.slice(0, -suffix.length) : word;
+}
+
+// Normalise a single word into an index term, or null if it carries no meaning
+export function normalizeTerm(word) {
+    let term = word.normalize('NFKC').toLowerCase();
+    const language = detectLanguage(term);
+
+    if (language === 'en') {
+        term = term.normalize('NFD').replace(/\p{M}/gu, '');
+        if (STOPWORDS.en.has(term)) return null;
+        return stemEnglish(term);
+    }
+    if (language === 'hi') {
+        return DEVANAGARI_STOPWORDS.has(term) ? null : stripSuffix(term, DEVANAGARI_SUFFIXES);
+    }
+    if (STOPWORDS[language] && STOPWORDS[language].has(term)) return null;
+    return SUFFIXES[language] ? stripSuffix(term, SUFFIXES[language]) : term;
+}
+
+export function tokenize(text, language = detectLanguage(text || '')) {
+    if (!text) return [];
+    return segmentWords(text, language)
+        .map(segment => normalizeTerm(segment.word))
+        .filter(Boolean);
+}
+
+function articleBody(article) {
+    return (article.sections || []).map(section => [
+        section.heading,
+        ...(section.paragraphs || []),
+        ...(section.steps || [])
+    ].filter(Boolean).join('\n')).join('\n');
+}
+
+// Build an inverted index over title, summary and body with per-field weights
+export function buildIndex(articles) {
+    const postings = new Map();
+    const documents = new Map();
+    let totalLength = 0;
+
+    articles.forEach(article => {
+        const id = String(article.id || article._id);
+        const fields = {
+            title: article.title || '',
+            content: article.content || '',
+            body: articleBody(article)
+        };
+        const language = article.language || detectLanguage(fields.title + fields.content);
+        let length = 0;
+
+        Object.entries(fields).forEach(([field, text]) => {
+            tokenize(text, language).forEach(term => {
+                if (!postings.has(term)) postings.set(term, new Map());
+                const docs = postings.get(term);
+                docs.set(id, (docs.get(id) || 0) + FIELD_WEIGHTS[field]);
+                length += 1;
+            });
+        });
+
+        documents.set(id, { article, fields, language, length });
+        totalLength += length;
+    });
+
+    return {
+        postings,
+        documents,
+        averageLength: documents.size ? totalLength / documents.size : 0
+    };
+}
+
+// Exact terms count fully; index terms that start with a query term (typing in progress) count half
+function expandQueryTerms(index, queryTerms) {
+    const expanded = new Map();
+    queryTerms.forEach(term => {
+        if (index.postings.has(term)) {
+            expanded.set(term, Math.max(expanded.get(term) || 0, 1));
+        }
+        if (term.length >= 2) {
+            index.postings.forEach((docs, indexTerm) => {
+                if (indexTerm !== term && indexTerm.startsWith(term)) {
+                    expanded.set(indexTerm, Math.max(expanded.get(indexTerm) || 0, 0.5));
+                }
+            });
+        }
+    });
+    return expanded;
+}
+
+function scoreDocuments(index, expandedTerms) {
+    const scores = new Map();
+    const matchedTerms = new Map();
+    const totalDocs = index.documents.size;
+
+    expandedTerms.forEach((boost, term) => {
+        const docs = index.postings.get(term);
+        const idf = Math.log(1 + (totalDocs - docs.size + 0.5) / (docs.size + 0.5));
+
+        docs.forEach((tf, id) => {
+            const { length } = index.documents.get(id);
+            const norm = BM25_K1 * (1 - BM25_B + BM25_B * (length / (index.averageLength || 1)));
+            const score = boost * idf * ((tf * (BM25_K1 + 1)) / (tf + norm));
+            scores.set(id, (scores.get(id) || 0) + score);
+            if (!matchedTerms.has(id)) matchedTerms.set(id, new Set());
+            matchedTerms.get(id).add(term);
+        });
+    });
+
+    return { scores, matchedTerms };
+}
+
+function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Escape text and wrap words whose index term is in `terms` with <mark>
+export function highlight(text, terms, language = detectLanguage(text || '')) {
+    if (!text) return '';
+    let html = '';
+    let cursor = 0;
+    segmentWords(text, language).forEach(({ word, index }) => {
+        const term = normalizeTerm(word);
+        if (term && terms.has(term)) {
+            html += escapeHTML(text.slice(cursor, index)) + '<mark>' + escapeHTML(word) + '</mark>';
+            cursor = index + word.length;
+        }
+    });
+    return html + escapeHTML(text.slice(cursor));
+}
+
+// Pick the sentence that covers the most matched terms and trim it around the first match
+function buildSnippet(document, terms) {
+    const sentences = [document.fields.content, document.fields.body]
+        .join('\n')
+        .split(/(?<=[.!?।])\s+|\n+/)
+        .filter(sentence => sentence.trim());
+
+    let best = sentences[0] || '';
+    let bestScore = 0;
+    sentences.forEach(sentence => {
+        const sentenceTerms = new Set(tokenize(sentence, document.language));
+        const score = [...terms].filter(term => sentenceTerms.has(term)).length;
+        if (score > bestScore) {
+            best = sentence;
+            bestScore = score;
+        }
+    });
+
+    if (best.length > SNIPPET_LENGTH) {
+        const firstMatch = segmentWords(best, document.language)
+            .find(({ word }) => terms.has(normalizeTerm(word)));
+        const start = firstMatch ? Math.max(0, firstMatch.index - 40) : 0;
+        const trimmed = best.slice(start, start + SNIPPET_LENGTH);
+        best = (start > 0 ? '…' : '') + trimmed + (start + SNIPPET_LENGTH < best.length ? '…' : '');
+    }
+
+    return highlight(best.trim(), terms, document.language);
+}
+
+export function search(index, query, options = {}) {
+    const { category = null, language = null, limit = 20 } = options;
+    const expandedTerms = expandQueryTerms(index, tokenize(query || ''));
+    const { scores, matchedTerms } = scoreDocuments(index, expandedTerms);
+
+    const matches = [...scores.entries()]
+        .map(([id, score]) => ({ id, score, document: index.documents.get(id) }))
+        .filter(match => !language || match.document.language === language);
+
+    // Facets count every match regardless of the selected category
+    const facets = {};
+    matches.forEach(({ document }) => {
+        const key = document.article.category;
+        facets[key] = (facets[key] || 0) + 1;
+    });
+
+    const inCategory = matches
+        .filter(match => !category || category === 'all' || match.document.article.category === category);
+
+    const results = inCategory
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit)
+        .map(({ id, score, document }) => {
+            const terms = matchedTerms.get(id);
+            return {
+                id,
+                score: Math.round(score * 1000) / 1000,
+                title: document.article.title,
+                category: document.article.category,
+                readTime: document.article.readTime,
+                language: document.language,
+                titleHighlighted: highlight(document.fields.title, terms, document.language),
+                snippet: buildSnippet(document, terms)
+            };
+        });
+
+    return { total: inCategory.length, results, facets };
+}
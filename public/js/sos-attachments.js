@@ -0,0 +1,189 @@
+// AgriEcho PWA - SOS Photo & Voice Note Attachments
+// Attachments are compressed on the device, kept in IndexedDB with the alert they belong
+// to (by its idempotency key) and uploaded in resumable chunks once the alert has a server id.
+
+const ATTACHMENT_LIMITS = {
+    maxAttachments: 6,
+    maxPhotoDimension: 1280,
+    photoQuality: 0.7,
+    maxVoiceSeconds: 60,
+    voiceBitsPerSecond: 24000,
+    chunkSize: 256 * 1024
+};
+
+const VOICE_MIME_TYPES = ['audio/webm;codecs=opus', 'audio/ogg;codecs=opus', 'audio/mp4'];
+
+class SOSAttachments {
+    constructor() {
+        this.limits = ATTACHMENT_LIMITS;
+        this.recorder = null;
+        this.recordingTimer = null;
+        this.uploading = null;
+    }
+
+    // Phone cameras produce multi-megabyte photos; a downscaled JPEG is enough to assess damage
+    compressPhoto(file) {
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(file);
+            const image = new Image();
+            image.onload = () => {
+                URL.revokeObjectURL(url);
+                const scale = Math.min(1, this.limits.maxPhotoDimension / Math.max(image.width, image.height));
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.round(image.width * scale);
+                canvas.height = Math.round(image.height * scale);
+                canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+                canvas.toBlob(
+                    blob => blob ? resolve(blob) : reject(new Error(t('app.photoCompressFailed'))),
+                    'image/jpeg',
+                    this.limits.photoQuality
+                );
+            };
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error(t('app.photoReadFailed')));
+            };
+            image.src = url;
+        });
+    }
+
+    isRecordingSupported() {
+        return Boolean(navigator.mediaDevices && navigator.mediaDevices.getUserMedia && window.MediaRecorder);
+    }
+
+    isRecording() {
+        return Boolean(this.recorder);
+    }
+
+    // Resolves with the voice note once stopRecording() is called or the time limit is reached
+    async record() {
+        const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+        const mimeType = VOICE_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+        const recorder = new MediaRecorder(stream, {
+            ...(mimeType ? { mimeType } : {}),
+            audioBitsPerSecond: this.limits.voiceBitsPerSecond
+        });
+        const chunks = [];
+
+        return new Promise((resolve, reject) => {
+            recorder.ondataavailable = event => chunks.push(event.data);
+            recorder.onerror = event => reject(event.error);
+            recorder.onstop = () => {
+                stream.getTracks().forEach(track => track.stop());
+                clearTimeout(this.recordingTimer);
+                this.recorder = null;
+                // The server checks the base type, not the codec parameters
+                resolve(new Blob(chunks, { type: (recorder.mimeType || 'audio/webm').split(';')[0] }));
+            };
+
+            recorder.start();
+            this.recorder = recorder;
+            this.recordingTimer = setTimeout(() => this.stopRecording(), this.limits.maxVoiceSeconds * 1000);
+        });
+    }
+
+    stopRecording() {
+        if (this.recorder && this.recorder.state !== 'inactive') {
+            this.recorder.stop();
+        }
+    }
+
+    // Store attachments ({ id, kind, blob }) with the alert identified by alertKey
+    async save(alertKey, attachments) {
+        for (const attachment of attachments) {
+            await window.AgriEcho.agriDB.saveAttachment({
+                id: attachment.id,
+                alertKey,
+                kind: attachment.kind,
+                mimeType: attachment.blob.type,
+                size: attachment.blob.size,
+                blob: attachment.blob,
+                createdAt: new Date().toISOString()
+            });
+        }
+    }
+
+    // Upload every stored attachment whose alert has reached the server. Alerts still
+    // queued offline keep their attachments until a later call.
+    uploadPending() {
+        if (!this.uploading) {
+            this.uploading = this.uploadAll().finally(() => {
+                this.uploading = null;
+            });
+        }
+        return this.uploading;
+    }
+
+    async uploadAll() {
+        const attachments = await window.AgriEcho.agriDB.getAttachments();
+        const sentAlerts = window.AgriEcho.getFromLocalStorage('mySOSAlerts', []);
+
+        for (const attachment of attachments) {
+            const alert = sentAlerts.find(item => item.idempotencyKey === attachment.alertKey);
+            if (!alert) continue;
+
+            try {
+                await this.upload(alert.id, attachment);
+            } catch (error) {
+                console.error('Failed to upload SOS attachment:', error);
+                break; // Likely offline; resume on the next sync
+            }
+        }
+    }
+
+    // The alert's idempotency key shows the server this device sent it
+    async upload(sosId, attachment) {
+        const baseUrl = `/api/sos/${sosId}/attachments`;
+        const started = await this.request(baseUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'X-SOS-Key': attachment.alertKey },
+            body: JSON.stringify({
+                clientKey: attachment.id,
+                kind: attachment.kind,
+                mimeType: attachment.mimeType,
+                size: attachment.size
+            })
+        }, attachment);
+        if (!started) return;
+
+        // Resume from whatever the server already has
+        let offset = started.attachment.uploadedBytes;
+        while (offset < attachment.size) {
+            const end = Math.min(offset + this.limits.chunkSize, attachment.size);
+            const result = await this.request(`${baseUrl}/${started.attachment.id}`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/octet-stream',
+                    'X-SOS-Key': attachment.alertKey,
+                    'Content-Range': `bytes ${offset}-${end - 1}/${attachment.size}`
+                },
+                body: attachment.blob.slice(offset, end)
+            }, attachment);
+            if (!result) return;
+            offset = result.attachment.uploadedBytes;
+        }
+
+        await window.AgriEcho.agriDB.deleteAttachment(attachment.id);
+    }
+
+    // Rejected attachments (bad type, too large, alert gone) are dropped so they don't
+    // retry forever; out-of-order chunks return the offset to continue from
+    async request(url, options, attachment) {
+        const response = await fetch(url, options);
+        const result = await response.json();
+        if (response.status === 409 && result.attachment) {
+            return result;
+        }
+        if (response.status >= 400 && response.status < 500) {
+            console.warn('SOS attachment rejected:', result.error);
+            await window.AgriEcho.agriDB.deleteAttachment(attachment.id);
+            return null;
+        }
+        if (!result.success) {
+            throw new Error(result.error || result.message || t('app.uploadFailed'));
+        }
+        return result;
+    }
+}
+
+window.SOSAttachments = new SOSAttachments();
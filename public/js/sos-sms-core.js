@@ -0,0 +1,144 @@
+// AgriEcho - SOS over SMS
+// Packs an SOS into a single SMS for when there is GSM signal but no data:
+//   AES1 <idempotency key> <type><severity>[language] <lat>,<lon>|- <phone>|- [message]
+//   AES1 PyuMHpweSiuPABI0VniQqw MCen 12.97160,77.59460 +919800000000 Snake bite near the well
+// Shared by the SOS page, which writes the message, and the inbound SMS webhook,
+// which reads it back. The idempotency key matches the queued data-channel alert,
+// so whichever arrives second is recognised as a duplicate. UUID keys are sent as
+// 22 base64url characters instead of 36 to leave more room for the message.
+
+export const SMS_PREFIX = 'AES1';
+
+// One SMS holds 160 GSM-7 characters, but only 70 UCS-2 ones, and any character
+// outside GSM-7 (Devanagari, Bengali, Tamil, ...) makes the whole message UCS-2
+export const SMS_MAX_GSM = 160;
+export const SMS_MAX_UCS2 = 70;
+const GSM_BASIC = '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?¡' +
+    'ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà';
+// Sent as an escape plus the character, so they take two places
+const GSM_EXTENDED = '^{}\\[~]|€\f';
+// A message cut shorter than this says less than the type's default message, which
+// the server uses when the SMS carries none; the data sync brings the full text later
+const MIN_CUT_MESSAGE = 20;
+
+export const SOS_TYPE_CODES = {
+    'crop-disease': 'D',
+    'weather-damage': 'W',
+    'pest-attack': 'P',
+    'equipment-failure': 'E',
+    'medical-emergency': 'M',
+    'natural-disaster': 'N',
+    'need-help': 'H',
+    other: 'O'
+};
+
+const SEVERITY_CODES = { low: 'L', medium: 'M', high: 'H', critical: 'C' };
+
+// Used when the SMS carries no message of its own
+export const DEFAULT_SOS_MESSAGES = {
+    'crop-disease': 'Crop disease outbreak detected',
+    'weather-damage': 'Crops damaged by weather conditions',
+    'pest-attack': 'Severe pest infestation',
+    'equipment-failure': 'Farming equipment breakdown',
+    'medical-emergency': 'Medical emergency on farm',
+    'natural-disaster': 'Natural disaster affecting the farm',
+    'need-help': 'General farming assistance needed',
+    other: 'Emergency reported by SMS'
+};
+
+const KEY_PATTERN = /^[\w-]{8,100}$/;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const SHORT_UUID_PATTERN = /^[\w-]{22}$/;
+const BASE64URL = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+const CODE_PATTERN = /^([A-Z])([LMHC])([a-z]{2})?$/;
+
+function findKey(codes, code) {
+    return Object.keys(codes).find(key => codes[key] === code);
+}
+
+// 128 bits as 22 base64url characters (the last one carries 2 bits); works the same
+// in the browser and in Node, without Buffer or btoa
+function shortenKey(key) {
+    if (!UUID_PATTERN.test(key)) return key;
+    const bits = key.replace(/-/g, '').split('')
+        .map(digit => parseInt(digit, 16).toString(2).padStart(4, '0')).join('').padEnd(132, '0');
+    let short = '';
+    for (let i = 0; i < bits.length; i += 6) {
+        short += BASE64URL[parseInt(bits.slice(i, i + 6), 2)];
+    }
+    return short;
+}
+
+function expandKey(key) {
+    if (!SHORT_UUID_PATTERN.test(key)) return key;
+    const bits = key.split('').map(char => BASE64URL.indexOf(char).toString(2).padStart(6, '0')).join('').slice(0, 128);
+    let hex = '';
+    for (let i = 0; i < bits.length; i += 4) {
+        hex += parseInt(bits.slice(i, i + 4), 2).toString(16);
+    }
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+function isGSM(text) {
+    return Array.from(text).every(char => GSM_BASIC.includes(char) || GSM_EXTENDED.includes(char));
+}
+
+// As much of `text` as fits in `room` places: GSM-7 characters, counting extended
+// ones twice, or UTF-16 code units for UCS-2, never splitting a character
+function fitText(text, room, gsm) {
+    let used = 0;
+    let fitted = '';
+    for (const char of text) {
+        const cost = gsm ? (GSM_EXTENDED.includes(char) ? 2 : 1) : char.length;
+        if (used + cost > room) break;
+        used += cost;
+        fitted += char;
+    }
+    return fitted;
+}
+
+// Five decimal places is about a metre, which is plenty to find someone. The message
+// is cut to what still fits in a single SMS in the encoding it needs, or left out.
+export function encodeSOSMessage(alert, language) {
+    const code = (SOS_TYPE_CODES[alert.type] || SOS_TYPE_CODES.other) +
+        (SEVERITY_CODES[alert.severity] || SEVERITY_CODES.medium) +
+        (/^[a-z]{2}$/.test(language || '') ? language : '');
+    const position = alert.position && Number.isFinite(alert.position.lat) && Number.isFinite(alert.position.lon)
+        ? `${alert.position.lat.toFixed(5)},${alert.position.lon.toFixed(5)}` : '-';
+    const contact = (alert.contact || '').replace(/[^\d+]/g, '') || '-';
+
+    const head = [SMS_PREFIX, shortenKey(alert.idempotencyKey), code, position, contact].join(' ');
+    const message = (alert.message || '').replace(/\s+/g, ' ').trim();
+    const gsm = isGSM(message);
+    const text = fitText(message, (gsm ? SMS_MAX_GSM : SMS_MAX_UCS2) - head.length - 1, gsm).trim();
+    return text === message || text.length >= MIN_CUT_MESSAGE ? `${head} ${text}`.trim() : head;
+}
+
+// Returns null for anything that is not an AgriEcho SOS message
+export function decodeSOSMessage(text) {
+    const tokens = String(text || '').trim().split(/\s+/);
+    if (tokens.length < 5 || tokens[0].toUpperCase() !== SMS_PREFIX) return null;
+
+    const [, key, code, coordinates, contact] = tokens;
+    const codeMatch = CODE_PATTERN.exec(code);
+    if (!KEY_PATTERN.test(key) || !codeMatch) return null;
+    const idempotencyKey = expandKey(key);
+
+    let position = null;
+    if (coordinates !== '-') {
+        const [lat, lon] = coordinates.split(',').map(Number);
+        if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) return null;
+        position = { lat, lon };
+    }
+
+    const type = findKey(SOS_TYPE_CODES, codeMatch[1]) || 'other';
+    return {
+        idempotencyKey,
+        type,
+        severity: findKey(SEVERITY_CODES, codeMatch[2]),
+        language: codeMatch[3] || null,
+        position,
+        contact: contact === '-' ? null : contact,
+        message: tokens.slice(5).join(' ') || DEFAULT_SOS_MESSAGES[type]
+    };
+}
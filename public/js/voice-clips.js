@@ -0,0 +1,139 @@
+// AgriEcho PWA - Offline Voice Questions
+// Speech recognition in the browser needs the network on most phones, so questions asked
+// offline are recorded, kept in IndexedDB and uploaded on the next sync. The server
+// transcribes them with its local speech engine and the transcript and answer come back
+// through /api/sync.
+
+const CLIP_LIMITS = {
+    maxClipSeconds: 30,
+    voiceBitsPerSecond: 24000
+};
+
+const CLIP_MIME_TYPES = ['audio/webm;codecs=opus', 'audio/ogg;codecs=opus', 'audio/mp4'];
+
+class VoiceClips {
+    constructor() {
+        this.limits = CLIP_LIMITS;
+        this.recorder = null;
+        this.recordingTimer = null;
+        this.uploading = null;
+    }
+
+    isRecordingSupported() {
+        return Boolean(navigator.mediaDevices && navigator.mediaDevices.getUserMedia && window.MediaRecorder);
+    }
+
+    isRecording() {
+        return Boolean(this.recorder);
+    }
+
+    // Resolves with the clip once stopRecording() is called or the time limit is reached
+    async record() {
+        const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+        const mimeType = CLIP_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+        const recorder = new MediaRecorder(stream, {
+            ...(mimeType ? { mimeType } : {}),
+            audioBitsPerSecond: this.limits.voiceBitsPerSecond
+        });
+        const chunks = [];
+
+        return new Promise((resolve, reject) => {
+            recorder.ondataavailable = event => chunks.push(event.data);
+            recorder.onerror = event => reject(event.error);
+            recorder.onstop = () => {
+                stream.getTracks().forEach(track => track.stop());
+                clearTimeout(this.recordingTimer);
+                this.recorder = null;
+                // The server checks the base type, not the codec parameters
+                resolve(new Blob(chunks, { type: (recorder.mimeType || 'audio/webm').split(';')[0] }));
+            };
+
+            recorder.start();
+            this.recorder = recorder;
+            this.recordingTimer = setTimeout(() => this.stopRecording(), this.limits.maxClipSeconds * 1000);
+        });
+    }
+
+    stopRecording() {
+        if (this.recorder && this.recorder.state !== 'inactive') {
+            this.recorder.stop();
+        }
+    }
+
+    // Queue a recorded clip asked in `language` and remember that its transcript is awaited.
+    // The clip belongs to the conversation it was recorded in.
+    async save(blob, language) {
+        const id = window.AgriEcho.createIdempotencyKey();
+        await window.AgriEcho.agriDB.saveVoiceClip({
+            id,
+            language,
+            conversationId: localStorage.getItem('voiceConversationId'),
+            mimeType: blob.type,
+            size: blob.size,
+            blob,
+            recordedAt: new Date().toISOString()
+        });
+
+        const waiting = window.AgriEcho.getFromLocalStorage('pendingVoiceClips', []);
+        waiting.push(id);
+        window.AgriEcho.saveToLocalStorage('pendingVoiceClips', waiting);
+        return id;
+    }
+
+    uploadPending() {
+        if (!this.uploading) {
+            this.uploading = this.uploadAll().finally(() => {
+                this.uploading = null;
+            });
+        }
+        return this.uploading;
+    }
+
+    async uploadAll() {
+        const clips = await window.AgriEcho.agriDB.getVoiceClips();
+        for (const clip of clips) {
+            try {
+                await this.upload(clip);
+            } catch (error) {
+                console.error('Failed to upload voice question:', error);
+                break; // Likely offline; retry on the next sync
+            }
+        }
+    }
+
+    // Clips the server rejects (bad type, too long) are dropped so they don't retry
+    // forever. Clips it could transcribe straight away are answered at once; the rest
+    // come back with a later sync.
+    async upload(clip) {
+        const params = new URLSearchParams({
+            device: window.AgriEcho.getDeviceId(),
+            clientKey: clip.id,
+            language: clip.language,
+            recordedAt: clip.recordedAt
+        });
+        if (clip.conversationId) {
+            params.set('conversationId', clip.conversationId);
+        }
+        const response = await fetch(`/api/voice-query/clips?${params}`, {
+            method: 'POST',
+            headers: { 'Content-Type': clip.mimeType, ...window.AgriEcho.farmerAuthHeaders() },
+            body: clip.blob
+        });
+        const result = await response.json().catch(() => ({}));
+
+        if (response.status >= 400 && response.status < 500) {
+            console.warn('Voice question rejected:', result.error || response.status);
+            await window.AgriEcho.agriDB.deleteVoiceClip(clip.id);
+            window.AgriEcho.deliverVoiceTranscripts([{ clientKey: clip.id, status: 'failed' }]);
+            return;
+        }
+        if (!result.success) {
+            throw new Error(result.error || t('app.uploadFailed'));
+        }
+
+        await window.AgriEcho.agriDB.deleteVoiceClip(clip.id);
+        window.AgriEcho.deliverVoiceTranscripts([result.clip]);
+    }
+}
+
+window.VoiceClips = new VoiceClips();
@@ -2,7 +2,16 @@
 
 const CACHE_NAME = 'agriecho-v1.0.0';
 const STATIC_CACHE = 'agriecho-static-v1.0.0';
-const DYNAMIC_CACHE = 'agriecho-dynamic-v1.0.0';
+// Bumped to drop signed-in API responses cached before they were left out
+const DYNAMIC_CACHE = 'agriecho-dynamic-v1.0.1';
+const ANSWER_CACHE = 'agriecho-answers';
+
+// Knowledge base Q&A bundle the voice page answers from while offline
+const ANSWER_BUNDLE_URL = '/api/voice-query/bundle';
+// Recorded voice questions are queued in IndexedDB by the page, not replayed from here
+const VOICE_CLIP_URL = '/api/voice-query/clips';
+// Sign-in codes go stale within minutes, so account requests are never replayed later
+const FARMER_API_PREFIX = '/api/farmers/';
 
 // Files to cache immediately
 const STATIC_FILES = [
@@ -11,9 +20,18 @@ const STATIC_FILES = [
     '/weather',
     '/sos',
     '/voice',
+    '/account',
     '/css/styles.css',
     '/js/app.js',
+    '/js/i18n.js',
     '/js/offline.js',
+    '/js/search-core.js',
+    '/js/advisory-core.js',
+    '/js/answer-core.js',
+    '/js/article-player.js',
+    '/js/sos-attachments.js',
+    '/js/voice-clips.js',
+    '/js/sos-sms-core.js',
     '/manifest.json',
     '/icons/icon-192.png',
     '/icons/icon-512.png'
@@ -38,6 +56,9 @@ self.addEventListener('install', event => {
             })
             .then(() => {
                 console.log('✅ Static files cached successfully');
+                return refreshAnswerBundle();
+            })
+            .then(() => {
                 return self.skipWaiting();
             })
             .catch(error => {
@@ -57,6 +78,7 @@ self.addEventListener('activate', event => {
                     cacheNames.map(cacheName => {
                         if (cacheName !== STATIC_CACHE && 
                             cacheName !== DYNAMIC_CACHE && 
+                            cacheName !== ANSWER_CACHE &&
                             cacheName !== CACHE_NAME) {
                             console.log('🗑️ Deleting old cache:', cacheName);
                             return caches.delete(cacheName);
@@ -78,7 +100,9 @@ self.addEventListener('fetch', event => {
     
     // Handle different types of requests
     if (request.method === 'GET') {
-        if (isStaticFile(request)) {
+        if (url.pathname === ANSWER_BUNDLE_URL) {
+            event.respondWith(handleAnswerBundle(request));
+        } else if (isStaticFile(request)) {
             event.respondWith(handleStaticFile(request));
         } else if (isAPIRequest(request)) {
             event.respondWith(handleAPIRequest(request));
@@ -87,7 +111,7 @@ self.addEventListener('fetch', event => {
         } else {
             event.respondWith(handleOtherRequest(request));
         }
-    } else if (request.method === 'POST') {
+    } else if (request.method === 'POST' && url.pathname !== VOICE_CLIP_URL && !url.pathname.startsWith(FARMER_API_PREFIX)) {
         event.respondWith(handlePostRequest(request));
     }
 });
@@ -111,6 +135,15 @@ function isAPIRequest(request) {
     return url.pathname.startsWith('/api/');
 }
 
+// Signed-in API calls (a farmer session, a staff page or token, an SOS sender key)
+// return someone's own data; on a shared phone the next user must not read it offline
+function isPrivateRequest(request) {
+    return request.headers.has('authorization') ||
+           request.headers.has('x-admin-token') ||
+           request.headers.has('x-sos-key') ||
+           request.headers.get('x-requested-with') === 'AgriEcho';
+}
+
 // Check if request is for a page
 function isPageRequest(request) {
     const url = new URL(request.url);
@@ -144,7 +177,7 @@ async function handleAPIRequest(request) {
     try {
         const networkResponse = await fetch(request);
         
-        if (networkResponse.ok) {
+        if (networkResponse.ok && !isPrivateRequest(request)) {
             // Cache successful API responses
             const cache = await caches.open(DYNAMIC_CACHE);
             cache.put(request, networkResponse.clone());
@@ -154,7 +187,7 @@ async function handleAPIRequest(request) {
     } catch (error) {
         console.log('Network failed, trying cache for API request');
         
-        const cachedResponse = await caches.match(request);
+        const cachedResponse = !isPrivateRequest(request) && await caches.match(request);
         if (cachedResponse) {
             // Add offline indicator header
             const response = cachedResponse.clone();
@@ -167,6 +200,35 @@ async function handleAPIRequest(request) {
     }
 }
 
+// Handle the answer bundle - network first, keeping the last copy for offline answers
+async function handleAnswerBundle(request) {
+    const cache = await caches.open(ANSWER_CACHE);
+    try {
+        const networkResponse = await fetch(request);
+        if (networkResponse.ok) {
+            await cache.put(ANSWER_BUNDLE_URL, networkResponse.clone());
+        }
+        return networkResponse;
+    } catch (error) {
+        const cachedResponse = await cache.match(ANSWER_BUNDLE_URL);
+        return cachedResponse || handleOfflineAPIResponse(request);
+    }
+}
+
+// Download the answer bundle so voice questions can be answered before the voice page is opened
+async function refreshAnswerBundle() {
+    try {
+        const response = await fetch(ANSWER_BUNDLE_URL);
+        if (response.ok) {
+            const cache = await caches.open(ANSWER_CACHE);
+            await cache.put(ANSWER_BUNDLE_URL, response);
+            console.log('📦 Cached offline answer bundle');
+        }
+    } catch (error) {
+        console.error('Failed to download offline answer bundle:', error);
+    }
+}
+
 // Handle page requests - network first, then cache, then offline page
 async function handlePageRequest(request) {
     try {
@@ -241,6 +303,8 @@ function handleOfflineAPIResponse(request) {
             data: {
                 sos: [],
                 queries: [],
+                answers: [],
+                transcripts: [],
                 weather: []
             },
             offline: true
@@ -494,6 +558,36 @@ self.addEventListener('message', event => {
     if (event.data && event.data.type === 'GET_VERSION') {
         event.ports[0].postMessage({ version: CACHE_NAME });
     }
+    
+    // Pages saved for offline reading (e.g. article detail pages)
+    if (event.data && event.data.type === 'CACHE_URLS') {
+        event.waitUntil(cacheUrls(event.data.urls || []));
+    }
+    
+    if (event.data && event.data.type === 'UNCACHE_URLS') {
+        event.waitUntil(uncacheUrls(event.data.urls || []));
+    }
 });
 
-console.log('🔧 Service Worker loaded successfully');
\ No newline at end of file
+console.log('🔧 Service Worker loaded successfully');
+
+// Cache individual URLs on request from the page, skipping any that fail
+async function cacheUrls(urls) {
+    const cache = await caches.open(DYNAMIC_CACHE);
+    await Promise.all(urls.map(async url => {
+        try {
+            const response = await fetch(url);
+            if (response.ok || response.type === 'opaque') {
+                await cache.put(url, response);
+            }
+        } catch (error) {
+            console.error('Failed to cache URL:', url, error);
+        }
+    }));
+    console.log(`📦 Cached ${urls.length} URL(s) for offline use`);
+}
+
+async function uncacheUrls(urls) {
+    const cache = await caches.open(DYNAMIC_CACHE);
+    await Promise.all(urls.map(url => cache.delete(url)));
+}
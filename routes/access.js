@@ -0,0 +1,45 @@
+import express from 'express';
+import { principalFor, setStaffCookie, clearStaffCookie } from '../middleware/access.js';
+import { findPrincipal } from '../services/access.js';
+import { permissionsFor } from '../services/permissions.js';
+
+const router = express.Router();
+
+function describe(principal) {
+  return { type: principal.type, id: principal.id, name: principal.name, roles: principal.roles, permissions: permissionsFor(principal.roles) };
+}
+
+// Who the bearer token belongs to and what it may do
+router.get('/me', async (req, res) => {
+  try {
+    const principal = await principalFor(req);
+    if (!principal) {
+      return res.status(401).json({ success: false, error: 'Sign in required' });
+    }
+    res.json({ success: true, principal: describe(principal) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Open the staff pages with a staff { token }: it is kept in an HttpOnly cookie
+// the pages and their API calls are signed in with
+router.post('/session', async (req, res) => {
+  try {
+    const principal = await findPrincipal(req.body.token);
+    if (!principal || principal.type === 'farmer') {
+      return res.status(401).json({ success: false, error: 'Invalid or inactive staff token' });
+    }
+    setStaffCookie(req, res, req.body.token);
+    res.json({ success: true, principal: describe(principal) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.delete('/session', (req, res) => {
+  clearStaffCookie(req, res);
+  res.json({ success: true });
+});
+
+export default router;
@@ -0,0 +1,117 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Article from '../models/Article.js';
+import { searchArticles, invalidateSearchIndex } from '../services/articleSearch.js';
+import { invalidateAnswerIndex } from '../services/answers/engine.js';
+import { requirePermission } from '../middleware/access.js';
+
+const router = express.Router();
+
+const EDITABLE_FIELDS = ['title', 'content', 'category', 'readTime', 'sections', 'references', 'audioAvailable', 'language'];
+
+function pickEditable(body) {
+  const fields = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  });
+  return fields;
+}
+
+function handleError(res, error) {
+  if (error instanceof mongoose.Error.ValidationError || error instanceof mongoose.Error.CastError) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  res.status(500).json({ success: false, error: error.message });
+}
+
+// List articles, optionally filtered by category
+router.get('/', async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.category && req.query.category !== 'all') {
+      filter.category = String(req.query.category);
+    }
+    const articles = await Article.find(filter).sort({ createdAt: 1 });
+    res.json({ success: true, articles });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// Ranked full-text search with highlighted snippets and category facets
+router.get('/search', async (req, res) => {
+  try {
+    const query = String(req.query.q || '').trim();
+    if (!query) {
+      return res.status(400).json({ success: false, error: 'Query parameter q is required' });
+    }
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 50);
+    const { total, results, facets } = await searchArticles(query, {
+      category: req.query.category,
+      language: req.query.lang,
+      limit
+    });
+    res.json({ success: true, query, total, results, facets });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const article = await Article.findById(req.params.id);
+    if (!article) {
+      return res.status(404).json({ success: false, error: 'Article not found' });
+    }
+    res.json({ success: true, article });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// Editors: publish, revise and withdraw articles
+router.post('/', requirePermission('articles:write'), async (req, res) => {
+  try {
+    const article = new Article(pickEditable(req.body));
+    await article.save();
+    invalidateSearchIndex();
+    invalidateAnswerIndex();
+    res.status(201).json({ success: true, article });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+router.put('/:id', requirePermission('articles:write'), async (req, res) => {
+  try {
+    const article = await Article.findById(req.params.id);
+    if (!article) {
+      return res.status(404).json({ success: false, error: 'Article not found' });
+    }
+    article.set(pickEditable(req.body));
+    await article.save();
+    invalidateSearchIndex();
+    invalidateAnswerIndex();
+    res.json({ success: true, article });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+router.delete('/:id', requirePermission('articles:write'), async (req, res) => {
+  try {
+    const article = await Article.findByIdAndDelete(req.params.id);
+    if (!article) {
+      return res.status(404).json({ success: false, error: 'Article not found' });
+    }
+    invalidateSearchIndex();
+    invalidateAnswerIndex();
+    res.json({ success: true, message: 'Article deleted' });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+export default router;
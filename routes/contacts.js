@@ -0,0 +1,100 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import EmergencyContact, { CONTACT_CATEGORIES } from '../models/EmergencyContact.js';
+import { requirePermission } from '../middleware/access.js';
+import { resolveRegion, resolveContacts } from '../services/contactDirectory.js';
+import { parseCoordinates, toGeoPoint } from '../services/geo.js';
+
+const router = express.Router();
+
+const EDITABLE_FIELDS = ['name', 'category', 'phone', 'email', 'address', 'description', 'country', 'state', 'district', 'priority', 'active'];
+
+// Editable fields, with { position: { lat, lon } } converted to GeoJSON
+function pickEditable(body) {
+  const fields = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  });
+  if (body.position !== undefined) {
+    const coordinates = parseCoordinates(body.position && body.position.lat, body.position && body.position.lon);
+    fields.position = coordinates ? toGeoPoint(coordinates) : null;
+  }
+  return fields;
+}
+
+function handleError(res, error) {
+  if (error instanceof mongoose.Error.ValidationError || error instanceof mongoose.Error.CastError) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  res.status(500).json({ success: false, error: error.message });
+}
+
+// Contacts for the farmer's region: ?lat=&lon= or ?country=&state=&district=
+router.get('/', async (req, res) => {
+  try {
+    const coordinates = parseCoordinates(req.query.lat, req.query.lon);
+    const [country, state, district] = ['country', 'state', 'district']
+      .map(field => (req.query[field] ? String(req.query[field]) : undefined));
+    const region = await resolveRegion({ coordinates, country, state, district });
+    const contacts = await resolveContacts(region, coordinates);
+    res.json({ success: true, region, contacts });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// Admin: the whole directory, filtered by ?country=&state=&district=&category=
+router.get('/directory', requirePermission('directory:manage'), async (req, res) => {
+  try {
+    const filter = {};
+    ['country', 'state', 'district'].forEach(field => {
+      if (req.query[field]) filter[field] = String(req.query[field]).toUpperCase();
+    });
+    if (CONTACT_CATEGORIES.includes(req.query.category)) {
+      filter.category = req.query.category;
+    }
+    const contacts = await EmergencyContact.find(filter).sort({ country: 1, state: 1, district: 1, category: 1 });
+    res.json({ success: true, contacts });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+router.post('/', requirePermission('directory:manage'), async (req, res) => {
+  try {
+    const contact = await EmergencyContact.create(pickEditable(req.body));
+    res.status(201).json({ success: true, contact });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+router.put('/:id', requirePermission('directory:manage'), async (req, res) => {
+  try {
+    const contact = await EmergencyContact.findById(req.params.id);
+    if (!contact) {
+      return res.status(404).json({ success: false, error: 'Contact not found' });
+    }
+    contact.set(pickEditable(req.body));
+    await contact.save();
+    res.json({ success: true, contact });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+router.delete('/:id', requirePermission('directory:manage'), async (req, res) => {
+  try {
+    const contact = await EmergencyContact.findByIdAndDelete(req.params.id);
+    if (!contact) {
+      return res.status(404).json({ success: false, error: 'Contact not found' });
+    }
+    res.json({ success: true, message: 'Contact deleted' });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+export default router;
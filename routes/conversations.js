@@ -0,0 +1,102 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Conversation from '../models/Conversation.js';
+import { optionalFarmer } from '../middleware/farmerAuth.js';
+import { ownerFilter, createHistoryCode, redeemHistoryCode } from '../services/conversations.js';
+import { accountsEnabled, deviceProof, checkDeviceProof } from '../services/farmerAccounts.js';
+
+const router = express.Router();
+
+const LIST_LIMIT = 20;
+
+// The random device id is what a conversation belongs to; requests without one get nothing
+function deviceFrom(value) {
+  return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+// ?device=<id>: the device's conversations, most recent first. With a farmer's session
+// token, theirs from every device they signed in on.
+router.get('/', optionalFarmer, async (req, res) => {
+  const device = deviceFrom(req.query.device);
+  if (!device && !req.farmer) {
+    return res.status(400).json({ success: false, error: 'device is required' });
+  }
+
+  try {
+    const conversations = await Conversation.find(ownerFilter(device, req.farmer)).sort({ updatedAt: -1 }).limit(LIST_LIMIT);
+    res.json({ success: true, conversations: conversations.map(conversation => conversation.toSummaryJSON()) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Redeeming a code hands over the device id and its proof, so with accounts on only
+// the device itself (its proof) or the farmer already holding its conversations may ask
+async function mayHandOver(req, device) {
+  if (!accountsEnabled()) return true;
+  if (checkDeviceProof(device, req.body.deviceProof)) return true;
+  return Boolean(req.farmer && await Conversation.exists({ device, farmer: req.farmer._id }));
+}
+
+// Issue a one-time code ({ device, deviceProof }) for restoring this device's history
+// on another device
+router.post('/history-codes', optionalFarmer, async (req, res) => {
+  const device = deviceFrom(req.body.device);
+  if (!device) {
+    return res.status(400).json({ success: false, error: 'device is required' });
+  }
+
+  try {
+    if (!await mayHandOver(req, device)) {
+      return res.status(403).json({ success: false, error: 'Only this device or its signed-in farmer can move its history' });
+    }
+    if (!await Conversation.exists({ device })) {
+      return res.status(404).json({ success: false, error: 'No conversations to restore' });
+    }
+    const historyCode = await createHistoryCode(device);
+    res.status(201).json({ success: true, code: historyCode.code, expiresAt: historyCode.expiresAt });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Redeem a history code ({ code }). The new device takes over the old device id, so
+// its conversations and any expert answers still on the way follow it. The code
+// shows it was handed the id, so it also gets the id's proof for signing in.
+router.post('/restore', async (req, res) => {
+  try {
+    const device = await redeemHistoryCode(req.body.code);
+    if (!device) {
+      return res.status(404).json({ success: false, error: 'Unknown or expired code' });
+    }
+    const conversations = await Conversation.find({ device }).sort({ updatedAt: -1 }).limit(LIST_LIMIT);
+    res.json({
+      success: true,
+      device,
+      deviceProof: accountsEnabled() ? deviceProof(device) : null,
+      conversations: conversations.map(conversation => conversation.toDeviceJSON())
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ?device=<id>: one conversation with all its turns
+router.get('/:id', optionalFarmer, async (req, res) => {
+  const device = deviceFrom(req.query.device);
+  if ((!device && !req.farmer) || !mongoose.isValidObjectId(req.params.id)) {
+    return res.status(404).json({ success: false, error: 'Conversation not found' });
+  }
+
+  try {
+    const conversation = await Conversation.findOne({ _id: req.params.id, ...ownerFilter(device, req.farmer) });
+    if (!conversation) {
+      return res.status(404).json({ success: false, error: 'Conversation not found' });
+    }
+    res.json({ success: true, conversation: conversation.toDeviceJSON() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,75 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import EscalationPolicy from '../models/EscalationPolicy.js';
+import { requirePermission } from '../middleware/access.js';
+
+const router = express.Router();
+
+const EDITABLE_FIELDS = ['name', 'severities', 'types', 'steps', 'active'];
+
+function pickEditable(body) {
+  const fields = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  });
+  return fields;
+}
+
+function handleError(res, error) {
+  if (error instanceof mongoose.Error.ValidationError || error instanceof mongoose.Error.CastError) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  res.status(500).json({ success: false, error: error.message });
+}
+
+router.use(requirePermission('escalation:manage'));
+
+router.get('/', async (req, res) => {
+  try {
+    const policies = await EscalationPolicy.find().sort({ createdAt: 1 });
+    res.json({ success: true, policies });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// { name, severities: ['critical'], types: ['medical-emergency'],
+//   steps: [{ afterMinutes, unlessStatus, target: 'tier' | 'office' | 'contacts', tier, contacts }] }
+router.post('/', async (req, res) => {
+  try {
+    const policy = await EscalationPolicy.create(pickEditable(req.body));
+    res.status(201).json({ success: true, policy });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+router.put('/:id', async (req, res) => {
+  try {
+    const policy = await EscalationPolicy.findById(req.params.id);
+    if (!policy) {
+      return res.status(404).json({ success: false, error: 'Policy not found' });
+    }
+    policy.set(pickEditable(req.body));
+    await policy.save();
+    res.json({ success: true, policy });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+router.delete('/:id', async (req, res) => {
+  try {
+    const policy = await EscalationPolicy.findByIdAndDelete(req.params.id);
+    if (!policy) {
+      return res.status(404).json({ success: false, error: 'Policy not found' });
+    }
+    res.json({ success: true, message: 'Policy deleted' });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+export default router;
@@ -0,0 +1,162 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import VoiceQuery from '../models/VoiceQuery.js';
+import AnswerTemplate from '../models/AnswerTemplate.js';
+import { requirePermission } from '../middleware/access.js';
+import { requireExpert } from '../middleware/expertAuth.js';
+import { recordExpertReply } from '../services/conversations.js';
+
+const router = express.Router();
+
+const TEMPLATE_FIELDS = ['title', 'body', 'intent', 'language', 'active'];
+const DONE_LIMIT = 50;
+
+function handleError(res, error) {
+  if (error instanceof mongoose.Error.ValidationError || error instanceof mongoose.Error.CastError) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  res.status(500).json({ success: false, error: error.message });
+}
+
+// Apply a status change only if the question is still in the expected state, so two
+// experts can't claim or answer the same question
+async function transition(req, res, filter, update, conflict, closed = false) {
+  try {
+    const question = await VoiceQuery.findOneAndUpdate({ _id: req.params.id, ...filter }, update, { new: true })
+      .populate('expert', 'name');
+    if (question) {
+      // The farmer's conversation is best effort; the reply also reaches the device through /api/sync
+      if (closed) {
+        await recordExpertReply(question).catch(error => console.error('Failed to add expert reply to conversation:', error));
+      }
+      return res.json({ success: true, question });
+    }
+    const exists = await VoiceQuery.exists({ _id: req.params.id });
+    res.status(exists ? 409 : 404).json({ success: false, error: exists ? conflict : 'Question not found' });
+  } catch (error) {
+    handleError(res, error);
+  }
+}
+
+// ?view=queue (default, oldest first), mine (claimed by me) or done (answered or rejected by me)
+router.get('/questions', requireExpert, async (req, res) => {
+  try {
+    let query;
+    if (req.query.view === 'mine') {
+      query = VoiceQuery.find({ status: 'claimed', expert: req.expert._id }).sort({ claimedAt: 1 });
+    } else if (req.query.view === 'done') {
+      query = VoiceQuery.find({ status: { $in: ['answered', 'rejected'] }, expert: req.expert._id })
+        .sort({ createdAt: -1 }).limit(DONE_LIMIT);
+    } else {
+      query = VoiceQuery.find({ status: 'pending-expert' }).sort({ createdAt: 1 });
+    }
+    const questions = await query.populate('expert', 'name');
+    res.json({ success: true, questions });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+router.post('/questions/:id/claim', requireExpert, (req, res) => {
+  transition(req, res,
+    { status: 'pending-expert' },
+    { $set: { status: 'claimed', expert: req.expert._id, claimedAt: new Date() } },
+    'Question has already been claimed or closed');
+});
+
+// Put a claimed question back in the queue for someone else
+router.post('/questions/:id/release', requireExpert, (req, res) => {
+  transition(req, res,
+    { status: 'claimed', expert: req.expert._id },
+    { $set: { status: 'pending-expert' }, $unset: { expert: 1, claimedAt: 1 } },
+    'Only the expert who claimed a question can release it');
+});
+
+// { answer, templateId? }
+router.post('/questions/:id/answer', requireExpert, (req, res) => {
+  const answer = typeof req.body.answer === 'string' ? req.body.answer.trim() : '';
+  if (!answer) {
+    return res.status(400).json({ success: false, error: 'answer is required' });
+  }
+  transition(req, res,
+    { status: 'claimed', expert: req.expert._id },
+    {
+      $set: {
+        status: 'answered',
+        response: answer,
+        processed: true,
+        answeredAt: new Date(),
+        ...(req.body.templateId ? { template: req.body.templateId } : {})
+      }
+    },
+    'Claim the question before answering it',
+    true);
+});
+
+// { reason }: told to the farmer, e.g. "Please call the Kisan Call Centre with a photo of the leaves"
+router.post('/questions/:id/reject', requireExpert, (req, res) => {
+  const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+  if (!reason) {
+    return res.status(400).json({ success: false, error: 'reason is required' });
+  }
+  transition(req, res,
+    { status: 'claimed', expert: req.expert._id },
+    { $set: { status: 'rejected', rejectionReason: reason, processed: true, rejectedAt: new Date() } },
+    'Claim the question before rejecting it',
+    true);
+});
+
+// Active answer templates, optionally ?intent= first
+router.get('/templates', requirePermission('templates:read'), async (req, res) => {
+  try {
+    const templates = await AnswerTemplate.find({ active: true }).sort({ title: 1 });
+    const intent = req.query.intent;
+    templates.sort((a, b) => Number(b.intent === intent) - Number(a.intent === intent));
+    res.json({ success: true, templates });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+router.post('/templates', requirePermission('templates:write'), async (req, res) => {
+  try {
+    const template = new AnswerTemplate();
+    TEMPLATE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) template[field] = req.body[field];
+    });
+    await template.save();
+    res.status(201).json({ success: true, template });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+router.patch('/templates/:id', requirePermission('templates:write'), async (req, res) => {
+  try {
+    const template = await AnswerTemplate.findById(req.params.id);
+    if (!template) {
+      return res.status(404).json({ success: false, error: 'Template not found' });
+    }
+    TEMPLATE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) template[field] = req.body[field];
+    });
+    await template.save();
+    res.json({ success: true, template });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+router.delete('/templates/:id', requirePermission('templates:write'), async (req, res) => {
+  try {
+    const template = await AnswerTemplate.findByIdAndDelete(req.params.id);
+    if (!template) {
+      return res.status(404).json({ success: false, error: 'Template not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+export default router;
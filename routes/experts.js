@@ -0,0 +1,83 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Expert from '../models/Expert.js';
+import { requirePermission } from '../middleware/access.js';
+import { actorOf } from '../services/access.js';
+import { recordInitialRoles } from '../services/roleAssignments.js';
+import { requireExpert } from '../middleware/expertAuth.js';
+
+const router = express.Router();
+
+const EDITABLE_FIELDS = ['name', 'phone', 'email', 'specialties', 'languages', 'active'];
+
+function handleError(res, error) {
+  if (error instanceof mongoose.Error.ValidationError || error instanceof mongoose.Error.CastError) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  res.status(500).json({ success: false, error: error.message });
+}
+
+// Inbox: the signed-in expert
+router.get('/me', requireExpert, (req, res) => {
+  res.json({ success: true, expert: req.expert });
+});
+
+// Admin: all experts
+router.get('/', requirePermission('staff:manage'), async (req, res) => {
+  try {
+    const experts = await Expert.find().sort({ name: 1 });
+    res.json({ success: true, experts });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// Admin: add an expert. The access token is shown once, in this response.
+router.post('/', requirePermission('staff:manage'), async (req, res) => {
+  try {
+    const expert = new Expert();
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) expert[field] = req.body[field];
+    });
+    const token = expert.issueToken();
+    await expert.save();
+    await recordInitialRoles('expert', expert, actorOf(req.principal));
+    res.status(201).json({ success: true, expert, token });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// Admin: replace a lost or leaked token
+router.post('/:id/token', requirePermission('staff:manage'), async (req, res) => {
+  try {
+    const expert = await Expert.findById(req.params.id);
+    if (!expert) {
+      return res.status(404).json({ success: false, error: 'Expert not found' });
+    }
+    const token = expert.issueToken();
+    await expert.save();
+    res.json({ success: true, expert, token });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// Admin: update contact details, specialties and languages, or deactivate an expert ({ active: false })
+router.patch('/:id', requirePermission('staff:manage'), async (req, res) => {
+  try {
+    const expert = await Expert.findById(req.params.id);
+    if (!expert) {
+      return res.status(404).json({ success: false, error: 'Expert not found' });
+    }
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) expert[field] = req.body[field];
+    });
+    await expert.save();
+    res.json({ success: true, expert });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+export default router;
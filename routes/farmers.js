@@ -0,0 +1,152 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { requireFarmer } from '../middleware/farmerAuth.js';
+import { normalizeLanguage } from '../services/i18n/index.js';
+import { parseCoordinates, toGeoPoint } from '../services/geo.js';
+import { createRateLimit } from '../services/rateLimits.js';
+import {
+  accountsEnabled, normalizePhone, sendLoginCode, checkLoginCode,
+  findOrCreateFarmer, issueSessionToken, claimDeviceConversations,
+  registerDevice, checkDeviceProof
+} from '../services/farmerAccounts.js';
+
+const router = express.Router();
+
+const EDITABLE_FIELDS = ['name', 'village', 'district', 'districtCode', 'language', 'crops'];
+const HOUR = 60 * 60 * 1000;
+
+// Every code is a paid SMS: on top of the wait per phone number, each client
+// address and the whole server get an hourly allowance, so nobody can loop over
+// numbers to run up the bill
+const codesPerAddress = createRateLimit({ limit: parseInt(process.env.FARMER_CODES_PER_IP, 10) || 5, windowMs: HOUR });
+const codeBudget = createRateLimit({ limit: parseInt(process.env.FARMER_CODES_PER_HOUR, 10) || 500, windowMs: HOUR });
+
+function tooManyCodes(res, retryAfter, error) {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({ success: false, error, retryAfter });
+}
+
+function handleError(res, error) {
+  if (error instanceof mongoose.Error.ValidationError || error instanceof mongoose.Error.CastError) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  res.status(500).json({ success: false, error: error.message });
+}
+
+router.use((req, res, next) => {
+  if (!accountsEnabled()) {
+    return res.status(503).json({ success: false, error: 'Farmer accounts are disabled; set FARMER_SESSION_SECRET to enable them' });
+  }
+  next();
+});
+
+// Text a sign-in code to { phone }, in { language } or the page's
+router.post('/login-codes', async (req, res) => {
+  const phone = normalizePhone(req.body.phone);
+  if (!phone) {
+    return res.status(400).json({ success: false, error: 'A valid phone number is required' });
+  }
+
+  const addressWait = codesPerAddress.take(req.ip);
+  if (addressWait) {
+    return tooManyCodes(res, addressWait, 'Too many codes requested from this connection');
+  }
+  const budgetWait = codeBudget.take('all');
+  if (budgetWait) {
+    return tooManyCodes(res, budgetWait, 'Sign-in codes are paused for now; try again later');
+  }
+
+  try {
+    const { expiresAt, retryAfter } = await sendLoginCode(phone, normalizeLanguage(req.body.language) || req.language);
+    if (retryAfter) {
+      return tooManyCodes(res, retryAfter, 'A code was sent moments ago');
+    }
+    res.status(202).json({ success: true, phone, expiresAt });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// Register a new device id ({ device }) before it is used, for the proof that lets
+// the device bring its conversations into an account later. 409 for an id in use.
+router.post('/devices', async (req, res) => {
+  const device = typeof req.body.device === 'string' ? req.body.device.trim() : '';
+  if (!device || device.length > 100) {
+    return res.status(400).json({ success: false, error: 'device is required' });
+  }
+
+  try {
+    const proof = await registerDevice(device);
+    if (!proof) {
+      return res.status(409).json({ success: false, error: 'This device id is already in use' });
+    }
+    res.status(201).json({ success: true, device, proof });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// Sign in (or up) with { phone, code }. The device's earlier conversations join the
+// account when it shows the proof it registered with ({ device, deviceProof }).
+// The session token and its expiry are only returned here.
+router.post('/sessions', async (req, res) => {
+  const phone = normalizePhone(req.body.phone);
+  if (!phone || !req.body.code) {
+    return res.status(400).json({ success: false, error: 'phone and code are required' });
+  }
+
+  try {
+    if (!await checkLoginCode(phone, req.body.code)) {
+      return res.status(401).json({ success: false, error: 'Wrong or expired code' });
+    }
+    const { farmer, created } = await findOrCreateFarmer(phone, normalizeLanguage(req.body.language) || req.language);
+    farmer.lastLoginAt = new Date();
+    await farmer.save();
+    if (checkDeviceProof(req.body.device, req.body.deviceProof)) {
+      await claimDeviceConversations(farmer, req.body.device);
+    }
+    const { token, expiresAt } = issueSessionToken(farmer);
+    res.status(created ? 201 : 200).json({ success: true, token, expiresAt, created, farmer: farmer.toProfileJSON() });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+router.get('/me', requireFarmer, (req, res) => {
+  res.json({ success: true, farmer: req.farmer.toProfileJSON() });
+});
+
+// Update the profile; farmLocation is { lat, lon }, or null to clear it
+router.patch('/me', requireFarmer, async (req, res) => {
+  const farmer = req.farmer;
+  if (req.body.farmLocation !== undefined) {
+    const coordinates = req.body.farmLocation && parseCoordinates(req.body.farmLocation.lat, req.body.farmLocation.lon);
+    if (req.body.farmLocation && !coordinates) {
+      return res.status(400).json({ success: false, error: 'farmLocation must be { lat, lon }' });
+    }
+    farmer.farmLocation = coordinates ? toGeoPoint(coordinates) : undefined;
+  }
+
+  try {
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) farmer[field] = req.body[field];
+    });
+    await farmer.save();
+    res.json({ success: true, farmer: farmer.toProfileJSON() });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// Sign out on every device; tokens issued before now stop working
+router.delete('/me/sessions', requireFarmer, async (req, res) => {
+  try {
+    req.farmer.sessionVersion += 1;
+    await req.farmer.save();
+    res.json({ success: true });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+export default router;
@@ -0,0 +1,72 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Notification, { NOTIFICATION_STATUSES } from '../models/Notification.js';
+import { requirePermission } from '../middleware/access.js';
+import { requireWebhookToken } from '../middleware/webhookToken.js';
+import { deliver, updateDeliveryStatus } from '../services/notifications/gateway.js';
+
+const router = express.Router();
+
+function handleError(res, error) {
+  if (error instanceof mongoose.Error.ValidationError || error instanceof mongoose.Error.CastError) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  res.status(500).json({ success: false, error: error.message });
+}
+
+// Delivery receipts: { transport, providerId, status: 'delivered' | 'failed', error }.
+// Called by the providers, so it takes NOTIFY_WEBHOOK_TOKEN rather than a staff token.
+router.post('/status', requireWebhookToken('NOTIFY_WEBHOOK_TOKEN', 'The delivery receipt webhook'), async (req, res) => {
+  const { transport, providerId, status, error: reason } = req.body;
+  if (!transport || !providerId || !['delivered', 'failed'].includes(status)) {
+    return res.status(400).json({ success: false, error: 'transport, providerId and a status of delivered or failed are required' });
+  }
+
+  try {
+    const notification = await updateDeliveryStatus(String(transport), String(providerId), status, reason);
+    if (!notification) {
+      return res.status(404).json({ success: false, error: 'Notification not found' });
+    }
+    res.json({ success: true, notification });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+router.use(requirePermission('notifications:manage'));
+
+// Admin: delivery log, newest first (?status=failed, ?sos=<id>)
+router.get('/', async (req, res) => {
+  try {
+    const filter = {};
+    if (NOTIFICATION_STATUSES.includes(req.query.status)) {
+      filter.status = req.query.status;
+    }
+    if (req.query.sos) {
+      filter.sos = req.query.sos;
+    }
+    const notifications = await Notification.find(filter).sort({ createdAt: -1 }).limit(100);
+    res.json({ success: true, notifications });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// Admin: send a failed notification again now
+router.post('/:id/retry', async (req, res) => {
+  try {
+    const notification = await Notification.findById(req.params.id);
+    if (!notification) {
+      return res.status(404).json({ success: false, error: 'Notification not found' });
+    }
+    if (notification.status !== 'failed') {
+      return res.status(409).json({ success: false, error: `Notification is ${notification.status}` });
+    }
+    notification.attempts = 0;
+    res.json({ success: true, notification: await deliver(notification) });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+export default router;
@@ -0,0 +1,81 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import AgriOffice from '../models/AgriOffice.js';
+import { requirePermission } from '../middleware/access.js';
+import { parseCoordinates, toGeoPoint } from '../services/geo.js';
+
+const router = express.Router();
+
+const EDITABLE_FIELDS = ['name', 'phone', 'email', 'address', 'districtCode', 'active'];
+
+// Editable fields, with { position: { lat, lon } } converted to GeoJSON
+function pickEditable(body) {
+  const fields = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  });
+  if (body.position !== undefined) {
+    const coordinates = parseCoordinates(body.position && body.position.lat, body.position && body.position.lon);
+    fields.position = coordinates ? toGeoPoint(coordinates) : null;
+  }
+  return fields;
+}
+
+function handleError(res, error) {
+  if (error instanceof mongoose.Error.ValidationError || error instanceof mongoose.Error.CastError) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  res.status(500).json({ success: false, error: error.message });
+}
+
+// Active offices, nearest first when ?lat=&lon= is given
+router.get('/', async (req, res) => {
+  try {
+    const coordinates = parseCoordinates(req.query.lat, req.query.lon);
+    const query = coordinates
+      ? AgriOffice.find({ active: true, position: { $near: { $geometry: toGeoPoint(coordinates) } } }).limit(20)
+      : AgriOffice.find({ active: true }).sort({ name: 1 });
+    res.json({ success: true, offices: await query });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+router.post('/', requirePermission('directory:manage'), async (req, res) => {
+  try {
+    const office = await AgriOffice.create(pickEditable(req.body));
+    res.status(201).json({ success: true, office });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+router.put('/:id', requirePermission('directory:manage'), async (req, res) => {
+  try {
+    const office = await AgriOffice.findById(req.params.id);
+    if (!office) {
+      return res.status(404).json({ success: false, error: 'Office not found' });
+    }
+    office.set(pickEditable(req.body));
+    await office.save();
+    res.json({ success: true, office });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+router.delete('/:id', requirePermission('directory:manage'), async (req, res) => {
+  try {
+    const office = await AgriOffice.findByIdAndDelete(req.params.id);
+    if (!office) {
+      return res.status(404).json({ success: false, error: 'Office not found' });
+    }
+    res.json({ success: true, message: 'Office deleted' });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+export default router;
@@ -0,0 +1,89 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Responder from '../models/Responder.js';
+import { requirePermission } from '../middleware/access.js';
+import { actorOf } from '../services/access.js';
+import { recordInitialRoles } from '../services/roleAssignments.js';
+import { requireResponder } from '../middleware/responderAuth.js';
+import { parseCoordinates, toGeoPoint } from '../services/geo.js';
+
+const router = express.Router();
+
+function handleError(res, error) {
+  if (error instanceof mongoose.Error.ValidationError || error instanceof mongoose.Error.CastError) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  res.status(500).json({ success: false, error: error.message });
+}
+
+function parsePosition(position) {
+  const coordinates = position ? parseCoordinates(position.lat, position.lon) : null;
+  return coordinates ? toGeoPoint(coordinates) : undefined;
+}
+
+// Console: the signed-in responder
+router.get('/me', requireResponder, (req, res) => {
+  res.json({ success: true, responder: req.responder });
+});
+
+// Console: active responders, for assigning incidents
+router.get('/', requirePermission('responders:list'), async (req, res) => {
+  try {
+    const responders = await Responder.find({ active: true }).sort({ name: 1 });
+    res.json({ success: true, responders });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// Admin: add a responder. The access token is shown once, in this response.
+router.post('/', requirePermission('staff:manage'), async (req, res) => {
+  try {
+    const { name, phone, email, language, tier } = req.body;
+    const responder = new Responder({ name, phone, email, language, tier, position: parsePosition(req.body.position) });
+    const token = responder.issueToken();
+    await responder.save();
+    await recordInitialRoles('responder', responder, actorOf(req.principal));
+    res.status(201).json({ success: true, responder, token });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// Admin: replace a lost or leaked token
+router.post('/:id/token', requirePermission('staff:manage'), async (req, res) => {
+  try {
+    const responder = await Responder.findById(req.params.id);
+    if (!responder) {
+      return res.status(404).json({ success: false, error: 'Responder not found' });
+    }
+    const token = responder.issueToken();
+    await responder.save();
+    res.json({ success: true, responder, token });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// Admin: update contact details, notification language, escalation tier, base position ({ position: { lat, lon } })
+// or deactivate a responder ({ active: false })
+router.patch('/:id', requirePermission('staff:manage'), async (req, res) => {
+  try {
+    const responder = await Responder.findById(req.params.id);
+    if (!responder) {
+      return res.status(404).json({ success: false, error: 'Responder not found' });
+    }
+    ['name', 'phone', 'email', 'language', 'tier', 'active'].forEach(field => {
+      if (req.body[field] !== undefined) responder[field] = req.body[field];
+    });
+    if (req.body.position !== undefined) {
+      responder.position = parsePosition(req.body.position);
+    }
+    await responder.save();
+    res.json({ success: true, responder });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+export default router;
@@ -0,0 +1,68 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import RoleChange, { SUBJECT_TYPES } from '../models/RoleChange.js';
+import { requirePermission } from '../middleware/access.js';
+import { actorOf } from '../services/access.js';
+import { changeRole } from '../services/roleAssignments.js';
+import { ROLES, STAFF_ROLES, PERMISSIONS, permissionsFor } from '../services/permissions.js';
+
+const router = express.Router();
+
+const AUDIT_LIMIT = 200;
+
+function handleError(res, error) {
+  if (error instanceof mongoose.Error.ValidationError || error instanceof mongoose.Error.CastError) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  res.status(500).json({ success: false, error: error.message });
+}
+
+router.use(requirePermission('roles:assign'));
+
+// Admin: every role and the permissions it carries
+router.get('/', (req, res) => {
+  const roles = ROLES.map(role => ({ role, assignable: STAFF_ROLES.includes(role), permissions: permissionsFor([role]) }));
+  res.json({ success: true, roles, permissions: Object.keys(PERMISSIONS) });
+});
+
+// Admin: grant or revoke a role on a staff account:
+// { subjectType: responder|expert|staff, subjectId, role, action: grant|revoke, reason }
+router.post('/assignments', async (req, res) => {
+  const { subjectType, subjectId, role, action, reason } = req.body;
+  if (!SUBJECT_TYPES.includes(subjectType) || !STAFF_ROLES.includes(role) || !['grant', 'revoke'].includes(action)) {
+    return res.status(400).json({ success: false, error: `subjectType (${SUBJECT_TYPES.join(', ')}), role (${STAFF_ROLES.join(', ')}) and action (grant, revoke) are required` });
+  }
+  if (!mongoose.isValidObjectId(subjectId)) {
+    return res.status(400).json({ success: false, error: 'A valid subjectId is required' });
+  }
+  // An admin revoking their own admin role could leave nobody able to undo it
+  if (action === 'revoke' && role === 'admin' && req.principal.id && req.principal.id.equals(subjectId)) {
+    return res.status(409).json({ success: false, error: 'Admins cannot revoke their own admin role' });
+  }
+
+  try {
+    const result = await changeRole({ subjectType, subjectId, role, action, actor: actorOf(req.principal), reason });
+    if (!result) {
+      return res.status(404).json({ success: false, error: 'Account not found' });
+    }
+    res.json({ success: true, roles: result.subject.roles, change: result.change });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// Admin: role changes, newest first (?subjectType=&subjectId=, ?role=)
+router.get('/audit', async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.subjectType) filter.subjectType = String(req.query.subjectType);
+    if (req.query.subjectId) filter.subject = String(req.query.subjectId);
+    if (req.query.role) filter.role = String(req.query.role);
+    const changes = await RoleChange.find(filter).sort({ at: -1 }).limit(AUDIT_LIMIT);
+    res.json({ success: true, changes });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+export default router;
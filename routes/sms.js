@@ -0,0 +1,41 @@
+import express from 'express';
+import { receiveSOS } from '../services/sosIntake.js';
+import { notifySOSReceipt } from '../services/sosNotifications.js';
+import { parseCoordinates, toGeoPoint } from '../services/geo.js';
+import { decodeSOSMessage } from '../public/js/sos-sms-core.js';
+import { requireWebhookToken } from '../middleware/webhookToken.js';
+
+const router = express.Router();
+
+// Inbound SMS to the gateway number, form-encoded or JSON, with the field names
+// common providers use (From/Body, from/text, sender/message)
+router.post('/inbound', requireWebhookToken('SMS_WEBHOOK_TOKEN', 'SMS webhook'), async (req, res) => {
+  const from = req.body.From || req.body.from || req.body.sender;
+  const decoded = decodeSOSMessage(req.body.Body || req.body.body || req.body.text || req.body.message);
+  if (!decoded) {
+    return res.status(400).json({ success: false, error: 'Not an AgriEcho SOS message' });
+  }
+
+  try {
+    const coordinates = decoded.position ? parseCoordinates(decoded.position.lat, decoded.position.lon) : null;
+    const { sos, replayed } = await receiveSOS({
+      idempotencyKey: decoded.idempotencyKey,
+      channel: 'sms',
+      type: decoded.type,
+      message: decoded.message,
+      severity: decoded.severity,
+      contact: decoded.contact || from,
+      position: coordinates ? toGeoPoint(coordinates) : undefined
+    });
+
+    if (!replayed && from) {
+      notifySOSReceipt(sos, from, decoded.language)
+        .catch(error => console.error(`Failed to confirm SMS SOS ${sos.id}:`, error));
+    }
+    res.json({ success: true, id: sos.id, replayed });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,191 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import SOS, { SEVERITY_RANK } from '../models/SOS.js';
+import Responder from '../models/Responder.js';
+import { requireResponder } from '../middleware/responderAuth.js';
+import { optionalFarmer } from '../middleware/farmerAuth.js';
+import { receiveSOS } from '../services/sosIntake.js';
+import { notifySOSStatus } from '../services/sosNotifications.js';
+import { parseCoordinates, toGeoPoint } from '../services/geo.js';
+import { can } from '../services/permissions.js';
+
+const router = express.Router();
+
+const RESPONDER_FIELDS = 'name phone';
+
+function handleError(res, error) {
+  if (error instanceof mongoose.Error.ValidationError || error instanceof mongoose.Error.CastError) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  res.status(500).json({ success: false, error: error.message });
+}
+
+function populateIncident(query) {
+  return query
+    .populate('assignedTo', RESPONDER_FIELDS)
+    .populate('acknowledgedBy', RESPONDER_FIELDS)
+    .populate('resolvedBy', RESPONDER_FIELDS);
+}
+
+// Most severe first, then oldest first so nothing waits forever
+function byTriageOrder(a, b) {
+  return (SEVERITY_RANK[b.severity] - SEVERITY_RANK[a.severity]) || (a.createdAt - b.createdAt);
+}
+
+// Load an incident, apply a console action and save it. The action returns an
+// error message when it does not apply to the incident's current state.
+async function updateIncident(req, res, action) {
+  try {
+    const sos = await SOS.findById(req.params.id);
+    if (!sos) {
+      return res.status(404).json({ success: false, error: 'SOS not found' });
+    }
+    const historyLength = sos.statusHistory.length;
+    const conflict = await action(sos);
+    if (conflict) {
+      return res.status(409).json({ success: false, error: conflict });
+    }
+    await sos.save();
+    // Status changes are sent in the background; the console doesn't wait on SMS gateways
+    if (sos.statusHistory.length > historyLength) {
+      notifySOSStatus(sos, req.responder)
+        .catch(error => console.error(`Failed to send notifications for SOS ${sos.id}:`, error));
+    }
+    res.json({ success: true, sos: await populateIncident(SOS.findById(sos.id)) });
+  } catch (error) {
+    handleError(res, error);
+  }
+}
+
+// Alerts queued offline by older app versions carry the position as "Lat: x, Lon: y" text
+const LEGACY_LOCATION = /^Lat:\s*(-?[\d.]+),\s*Lon:\s*(-?[\d.]+)$/;
+
+// { position: { lat, lon, accuracy }, location: "typed description" }
+function parseSOSLocation(body) {
+  const position = body.position || {};
+  let coordinates = parseCoordinates(position.lat, position.lon);
+  let description = typeof body.location === 'string' ? body.location.trim() : undefined;
+
+  const legacy = !coordinates && description ? description.match(LEGACY_LOCATION) : null;
+  if (legacy) {
+    coordinates = parseCoordinates(legacy[1], legacy[2]);
+    description = undefined;
+  }
+
+  const accuracy = parseFloat(position.accuracy);
+  return {
+    location: description || undefined,
+    position: coordinates ? toGeoPoint(coordinates) : undefined,
+    positionAccuracy: coordinates && accuracy >= 0 ? Math.round(accuracy) : undefined
+  };
+}
+
+const IDEMPOTENCY_KEY = /^[\w-]{8,100}$/;
+
+// Key from the Idempotency-Key header or the body; devices put it in the body so
+// queued alerts carry it through every sync path
+router.post('/', optionalFarmer, async (req, res) => {
+  const rawKey = req.get('idempotency-key') || req.body.idempotencyKey;
+  const idempotencyKey = rawKey === undefined || rawKey === null || rawKey === '' ? undefined : String(rawKey);
+  if (idempotencyKey !== undefined && !IDEMPOTENCY_KEY.test(idempotencyKey)) {
+    return res.status(400).json({ success: false, error: 'idempotencyKey must be 8-100 letters, digits, _ or -' });
+  }
+
+  try {
+    const { type, message, severity } = req.body;
+    const fields = { idempotencyKey, type, message, severity, contact: req.body.contact, ...parseSOSLocation(req.body) };
+    // A signed-in farmer can be called back on their own number and found at their village
+    if (req.farmer) {
+      fields.farmer = req.farmer._id;
+      fields.contact = fields.contact || req.farmer.phone;
+      fields.location = fields.location || [req.farmer.village, req.farmer.district].filter(Boolean).join(', ') || undefined;
+    }
+    const { sos, replayed } = await receiveSOS(fields);
+    if (replayed) {
+      return res.json({ success: true, message: 'SOS alert already received', id: sos.id, replayed: true });
+    }
+    res.json({ success: true, message: 'SOS alert sent successfully', id: sos.id });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Console: open incidents in triage order (?status=resolved for recently closed ones)
+router.get('/', requireResponder, async (req, res) => {
+  try {
+    if (req.query.status === 'resolved') {
+      const incidents = await populateIncident(SOS.find({ resolved: true }).sort({ resolvedAt: -1 }).limit(50));
+      return res.json({ success: true, incidents });
+    }
+
+    const filter = { resolved: false };
+    if (req.query.assigned === 'me') {
+      filter.assignedTo = req.responder._id;
+    }
+    const incidents = await populateIncident(SOS.find(filter));
+    res.json({ success: true, incidents: incidents.sort(byTriageOrder) });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// Farmer-facing status and timeline for one alert, for its sender ("X-SOS-Key" with
+// the alert's idempotency key, or the farmer's session) and for responders
+router.get('/:id', optionalFarmer, async (req, res) => {
+  try {
+    const sos = await SOS.findById(req.params.id).populate('assignedTo', 'name');
+    if (!sos) {
+      return res.status(404).json({ success: false, error: 'SOS not found' });
+    }
+    const responder = req.principal && can(req.principal.roles, 'sos:triage');
+    if (!responder && !sos.isSentBy(req.get('x-sos-key'), req.farmer)) {
+      return res.status(403).json({ success: false, error: 'Only the sender of this SOS can follow it' });
+    }
+    res.json({ success: true, sos: sos.toPublicJSON() });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+router.post('/:id/acknowledge', requireResponder, (req, res) => updateIncident(req, res, sos => {
+  if (sos.status !== 'received') return `SOS is already ${sos.status.replace('_', ' ')}`;
+  sos.setStatus('acknowledged', req.responder);
+}));
+
+// Assign to another responder ({ responderId }) or, without a body, to yourself
+router.post('/:id/assign', requireResponder, (req, res) => updateIncident(req, res, async sos => {
+  if (sos.resolved) return 'SOS is already resolved';
+  const responderId = req.body.responderId || req.responder.id;
+  const assignee = await Responder.findOne({ _id: responderId, active: true });
+  if (!assignee) return 'Responder not found or inactive';
+
+  // Taking ownership implies the incident has been seen
+  if (sos.status === 'received') {
+    sos.setStatus('acknowledged', req.responder);
+  }
+  sos.assignedTo = assignee._id;
+  sos.setStatus('assigned', req.responder, assignee.name);
+}));
+
+router.post('/:id/en-route', requireResponder, (req, res) => updateIncident(req, res, sos => {
+  if (sos.status !== 'assigned') return 'Only an assigned SOS can be marked en route';
+  sos.setStatus('en_route', req.responder);
+}));
+
+router.post('/:id/notes', requireResponder, (req, res) => {
+  const text = typeof req.body.text === 'string' ? req.body.text.trim() : '';
+  if (!text) {
+    return res.status(400).json({ success: false, error: 'Note text is required' });
+  }
+  return updateIncident(req, res, sos => {
+    sos.notes.push({ text, author: req.responder._id, authorName: req.responder.name });
+  });
+});
+
+router.post('/:id/resolve', requireResponder, (req, res) => updateIncident(req, res, sos => {
+  if (sos.resolved) return 'SOS is already resolved';
+  sos.resolution = typeof req.body.resolution === 'string' ? req.body.resolution.trim() : undefined;
+  sos.setStatus('resolved', req.responder);
+}));
+
+export default router;
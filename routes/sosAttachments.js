@@ -0,0 +1,141 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import SOS, { ATTACHMENT_TYPES } from '../models/SOS.js';
+import { requireResponder } from '../middleware/responderAuth.js';
+import { optionalFarmer } from '../middleware/farmerAuth.js';
+import { writeChunk, readAttachment } from '../services/attachmentStorage.js';
+
+// Mounted at /api/sos/:id/attachments
+const router = express.Router({ mergeParams: true });
+
+const MAX_ATTACHMENT_BYTES = 5 * 1024 * 1024;
+const MAX_ATTACHMENTS = 6;
+const CONTENT_RANGE = /^bytes (\d+)-(\d+)\/(\d+)$/;
+
+function handleError(res, error) {
+  if (error instanceof mongoose.Error.ValidationError || error instanceof mongoose.Error.CastError) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  res.status(500).json({ success: false, error: error.message });
+}
+
+// Only the alert's sender may attach files: its idempotency key in "X-SOS-Key", or
+// the signed-in farmer who raised it
+function isSender(req, sos) {
+  return sos.isSentBy(req.get('x-sos-key'), req.farmer);
+}
+
+function uploadState(attachment) {
+  return { id: attachment.id, size: attachment.size, uploadedBytes: attachment.uploadedBytes, complete: attachment.complete };
+}
+
+// Start an upload ({ clientKey, kind, mimeType, size }). Calling again with the same
+// clientKey returns the existing upload and how far it got, so the device can resume.
+router.post('/', optionalFarmer, async (req, res) => {
+  const { clientKey, kind, mimeType } = req.body;
+  if (typeof clientKey !== 'string' || !clientKey || clientKey.length > 100 || typeof kind !== 'string' || typeof mimeType !== 'string') {
+    return res.status(400).json({ success: false, error: 'clientKey, kind and mimeType are required' });
+  }
+
+  try {
+    const sos = await SOS.findById(req.params.id);
+    if (!sos) {
+      return res.status(404).json({ success: false, error: 'SOS not found' });
+    }
+    if (!isSender(req, sos)) {
+      return res.status(403).json({ success: false, error: 'Only the device that sent this SOS can attach files to it' });
+    }
+
+    const size = parseInt(req.body.size, 10);
+    const existing = sos.attachments.find(attachment => attachment.clientKey === clientKey);
+    if (existing) {
+      return res.json({ success: true, attachment: uploadState(existing) });
+    }
+
+    if (!ATTACHMENT_TYPES[kind] || !ATTACHMENT_TYPES[kind].includes(mimeType)) {
+      return res.status(400).json({ success: false, error: `Unsupported ${kind} type ${mimeType}` });
+    }
+    if (!(size > 0 && size <= MAX_ATTACHMENT_BYTES)) {
+      return res.status(400).json({ success: false, error: `Attachments must be between 1 byte and ${MAX_ATTACHMENT_BYTES / 1024 / 1024} MB` });
+    }
+    if (sos.attachments.length >= MAX_ATTACHMENTS) {
+      return res.status(400).json({ success: false, error: `An SOS can have at most ${MAX_ATTACHMENTS} attachments` });
+    }
+
+    sos.attachments.push({ clientKey, kind, mimeType, size });
+    await sos.save();
+    res.status(201).json({ success: true, attachment: uploadState(sos.attachments[sos.attachments.length - 1]) });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// Upload one chunk as an application/octet-stream body with "Content-Range: bytes start-end/size".
+// Chunks must arrive in order; a 409 carries the offset to continue from.
+router.put('/:attachmentId', optionalFarmer, express.raw({ type: 'application/octet-stream', limit: '1mb' }), async (req, res) => {
+  const range = CONTENT_RANGE.exec(req.get('content-range') || '');
+  if (!range || !Buffer.isBuffer(req.body)) {
+    return res.status(400).json({ success: false, error: 'Send the chunk as an application/octet-stream body with a Content-Range header' });
+  }
+  const [start, end, total] = range.slice(1).map(Number);
+
+  try {
+    const sos = await SOS.findById(req.params.id);
+    const attachment = sos && sos.attachments.id(req.params.attachmentId);
+    if (!attachment) {
+      return res.status(404).json({ success: false, error: 'Attachment not found' });
+    }
+    if (!isSender(req, sos)) {
+      return res.status(403).json({ success: false, error: 'Only the device that sent this SOS can attach files to it' });
+    }
+    if (total !== attachment.size || end < start || end >= total || req.body.length !== end - start + 1) {
+      return res.status(400).json({ success: false, error: 'Content-Range does not match the chunk or the attachment size' });
+    }
+    if (start !== attachment.uploadedBytes) {
+      return res.status(409).json({ success: false, error: 'Unexpected offset', attachment: uploadState(attachment) });
+    }
+
+    await writeChunk(sos.id, attachment.id, start, req.body);
+    const uploadedBytes = end + 1;
+    const result = await SOS.updateOne(
+      { _id: sos._id, attachments: { $elemMatch: { _id: attachment._id, uploadedBytes: start } } },
+      { $set: { 'attachments.$.uploadedBytes': uploadedBytes, 'attachments.$.complete': uploadedBytes === attachment.size } }
+    );
+    if (result.modifiedCount === 0) {
+      const latest = (await SOS.findById(sos._id)).attachments.id(attachment._id);
+      return res.status(409).json({ success: false, error: 'Chunk was already uploaded', attachment: uploadState(latest) });
+    }
+
+    attachment.uploadedBytes = uploadedBytes;
+    attachment.complete = uploadedBytes === attachment.size;
+    res.json({ success: true, attachment: uploadState(attachment) });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// Console: download a completed attachment
+router.get('/:attachmentId', requireResponder, async (req, res) => {
+  try {
+    const sos = await SOS.findById(req.params.id);
+    const attachment = sos && sos.attachments.id(req.params.attachmentId);
+    if (!attachment || !attachment.complete) {
+      return res.status(404).json({ success: false, error: 'Attachment not found' });
+    }
+    // The bytes come from a farmer's phone: never let the browser sniff them into a
+    // page, and download anything that isn't a photo or voice note
+    res.set('Content-Type', attachment.mimeType);
+    res.set('Content-Length', String(attachment.size));
+    res.set('X-Content-Type-Options', 'nosniff');
+    if (!(ATTACHMENT_TYPES[attachment.kind] || []).includes(attachment.mimeType)) {
+      res.set('Content-Disposition', 'attachment');
+    }
+    readAttachment(sos.id, attachment.id)
+      .on('error', error => handleError(res, error))
+      .pipe(res);
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+export default router;
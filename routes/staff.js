@@ -0,0 +1,82 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import StaffMember from '../models/StaffMember.js';
+import { requirePermission } from '../middleware/access.js';
+import { actorOf } from '../services/access.js';
+import { recordInitialRoles } from '../services/roleAssignments.js';
+
+const router = express.Router();
+
+// Roles are changed through /api/roles/assignments, never here
+const EDITABLE_FIELDS = ['name', 'phone', 'email', 'active'];
+
+function handleError(res, error) {
+  if (error instanceof mongoose.Error.ValidationError || error instanceof mongoose.Error.CastError) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+  res.status(500).json({ success: false, error: error.message });
+}
+
+router.use(requirePermission('staff:manage'));
+
+// Admin: all staff members
+router.get('/', async (req, res) => {
+  try {
+    const staff = await StaffMember.find().sort({ name: 1 });
+    res.json({ success: true, staff });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// Admin: add a staff member with { roles } (editor by default). The access token
+// is shown once, in this response.
+router.post('/', async (req, res) => {
+  try {
+    const member = new StaffMember();
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) member[field] = req.body[field];
+    });
+    if (req.body.roles !== undefined) member.roles = req.body.roles;
+    const token = member.issueToken();
+    await member.save();
+    await recordInitialRoles('staff', member, actorOf(req.principal));
+    res.status(201).json({ success: true, staff: member, token });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// Admin: replace a lost or leaked token
+router.post('/:id/token', async (req, res) => {
+  try {
+    const member = await StaffMember.findById(req.params.id);
+    if (!member) {
+      return res.status(404).json({ success: false, error: 'Staff member not found' });
+    }
+    const token = member.issueToken();
+    await member.save();
+    res.json({ success: true, staff: member, token });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// Admin: update contact details, or deactivate a staff member ({ active: false })
+router.patch('/:id', async (req, res) => {
+  try {
+    const member = await StaffMember.findById(req.params.id);
+    if (!member) {
+      return res.status(404).json({ success: false, error: 'Staff member not found' });
+    }
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) member[field] = req.body[field];
+    });
+    await member.save();
+    res.json({ success: true, staff: member });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+export default router;
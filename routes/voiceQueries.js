@@ -0,0 +1,103 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { VOICE_CLIP_TYPES } from '../models/VoiceClip.js';
+import { getAnswerBundle } from '../services/answers/engine.js';
+import { answerVoiceQuery, receiveVoiceClip } from '../services/voiceIntake.js';
+import { normalizeLanguage } from '../services/i18n/index.js';
+import { optionalFarmer } from '../middleware/farmerAuth.js';
+
+const router = express.Router();
+
+const MAX_CLIP_BYTES = 2 * 1024 * 1024;
+
+// Answer a farmer's question from the knowledge base, citing the articles used, in
+// the language asked in (falling back to the page's). Low-confidence questions are
+// left for an expert with a holding reply in that language. With a device, the
+// question joins its conversation (conversationId, or a new one) and can follow up
+// on the one before; resolvedQuestion is how it was understood. A signed-in farmer's
+// conversations follow them across devices and their crop fills in for questions that name none.
+router.post('/', optionalFarmer, async (req, res) => {
+  try {
+    const query = typeof req.body.query === 'string' ? req.body.query.trim() : '';
+    if (!query) {
+      return res.status(400).json({ success: false, error: 'query is required' });
+    }
+
+    const { voiceQuery, conversation, result, response, language } = await answerVoiceQuery({
+      query,
+      language: normalizeLanguage(req.body.language) || req.language,
+      device: req.body.device,
+      conversationId: req.body.conversationId,
+      farmer: req.farmer,
+      fallbackLanguage: req.language
+    });
+
+    res.json({
+      success: true,
+      id: voiceQuery.id,
+      conversationId: conversation ? conversation.id : null,
+      resolvedQuestion: result.resolvedQuestion,
+      followUp: result.followUp,
+      response,
+      language,
+      intent: result.intent,
+      crop: result.crop,
+      confidence: result.confidence,
+      sources: result.sources,
+      needsExpert: result.needsExpert
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Upload a question recorded offline as an audio/* body, with device, clientKey,
+// language, recordedAt and the conversationId it was asked in in the query string. The clip
+// is stored queued (202) and the transcription worker runs it through the local speech
+// engine and answers the transcript like a spoken question; the result comes back
+// through /api/sync.
+// Uploading the same clientKey again returns the stored clip.
+router.post('/clips', optionalFarmer, express.raw({ type: 'audio/*', limit: MAX_CLIP_BYTES }), async (req, res) => {
+  const { device, clientKey } = req.query;
+  const mimeType = (req.get('content-type') || '').split(';')[0].trim();
+  if (typeof device !== 'string' || !device || typeof clientKey !== 'string' || !clientKey) {
+    return res.status(400).json({ success: false, error: 'device and clientKey are required' });
+  }
+  if (!VOICE_CLIP_TYPES.includes(mimeType) || !Buffer.isBuffer(req.body) || req.body.length === 0) {
+    return res.status(400).json({ success: false, error: `Send the clip as an ${VOICE_CLIP_TYPES.join(', ')} body` });
+  }
+
+  try {
+    const recordedAt = new Date(req.query.recordedAt);
+    const { conversationId } = req.query;
+    const { clip, replayed } = await receiveVoiceClip({
+      device,
+      clientKey,
+      language: normalizeLanguage(req.query.language) || req.language,
+      mimeType,
+      recordedAt: isNaN(recordedAt) ? undefined : recordedAt,
+      conversation: mongoose.isValidObjectId(conversationId) ? conversationId : undefined,
+      farmer: req.farmer,
+      audio: req.body
+    });
+    await clip.populate('query');
+    res.status(replayed ? 200 : 202).json({ success: true, clip: clip.toDeviceJSON() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Offline answer bundle for the voice page. The ETag is the bundle version, so a
+// device that is up to date gets a 304.
+router.get('/bundle', async (req, res) => {
+  try {
+    const bundle = await getAnswerBundle();
+    res.set('Cache-Control', 'no-cache');
+    res.set('ETag', `"${bundle.version}"`);
+    res.json({ success: true, bundle });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,115 @@
+import express from 'express';
+import { weatherService } from '../services/weather/index.js';
+import { parseCoordinates } from '../services/geo.js';
+import { findActiveAlerts, createManualAlert } from '../services/weatherAlerts.js';
+import { ingestCapAlert } from '../services/cap/ingest.js';
+import { requirePermission } from '../middleware/access.js';
+import { buildAdvisories } from '../public/js/advisory-core.js';
+import { catalogFor } from '../services/i18n/index.js';
+
+const router = express.Router();
+
+// Used when the device could not share its position
+const DEFAULT_LOCATION = {
+  lat: parseFloat(process.env.WEATHER_DEFAULT_LAT) || 20.59,
+  lon: parseFloat(process.env.WEATHER_DEFAULT_LON) || 78.96
+};
+
+// Advisory times are phrased in the farmer's local time
+const ADVISORY_TIME_ZONE = process.env.ADVISORY_TIME_ZONE || 'Asia/Kolkata';
+
+function requestedLocation(query) {
+  const hasCoordinates = query.lat !== undefined || query.lon !== undefined;
+  return {
+    hasCoordinates,
+    coordinates: hasCoordinates ? parseCoordinates(query.lat, query.lon) : DEFAULT_LOCATION
+  };
+}
+
+// Current conditions plus hourly and 7-day forecast for a location
+router.get('/', async (req, res) => {
+  const { hasCoordinates, coordinates } = requestedLocation(req.query);
+  if (!coordinates) {
+    return res.status(400).json({ success: false, error: 'lat and lon must be valid coordinates' });
+  }
+
+  try {
+    const { weather, cached } = await weatherService.getWeather(coordinates.lat, coordinates.lon);
+    res.json({ success: true, weather, cached, defaultLocation: !hasCoordinates });
+  } catch (error) {
+    console.error('Weather provider error:', error);
+    res.status(502).json({ success: false, error: 'Weather data is temporarily unavailable' });
+  }
+});
+
+// Spray, irrigation and harvest advice for the forecast at a location and the
+// farmer's crops (?crops=rice,wheat)
+router.get('/advisories', async (req, res) => {
+  const { coordinates } = requestedLocation(req.query);
+  if (!coordinates) {
+    return res.status(400).json({ success: false, error: 'lat and lon must be valid coordinates' });
+  }
+  const crops = String(req.query.crops || '').split(',').map(crop => crop.trim().toLowerCase()).filter(Boolean);
+  const timeZone = req.query.tz || ADVISORY_TIME_ZONE;
+  try {
+    new Intl.DateTimeFormat('en-IN', { timeZone });
+  } catch (error) {
+    return res.status(400).json({ success: false, error: `Unknown time zone "${timeZone}"` });
+  }
+
+  try {
+    const { weather } = await weatherService.getWeather(coordinates.lat, coordinates.lon);
+    const advisories = buildAdvisories(weather, crops, {
+      timeZone,
+      language: req.language,
+      messages: catalogFor(req.language).advisories
+    });
+    res.json({ success: true, advisories, forecastFetchedAt: weather.fetchedAt });
+  } catch (error) {
+    console.error('Weather provider error:', error);
+    res.status(502).json({ success: false, error: 'Weather data is temporarily unavailable' });
+  }
+});
+
+// Active official alerts covering the given position and/or district
+router.get('/alerts', async (req, res) => {
+  const coordinates = parseCoordinates(req.query.lat, req.query.lon);
+  if (!coordinates && !req.query.district) {
+    return res.status(400).json({ success: false, error: 'lat/lon or district is required' });
+  }
+
+  try {
+    const alerts = await findActiveAlerts({ ...coordinates, districtCode: req.query.district });
+    res.json({ success: true, alerts });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Editors: post an alert by hand, targeting a GeoJSON area and/or a district code
+router.post('/alerts', requirePermission('alerts:publish'), async (req, res) => {
+  try {
+    const alert = await createManualAlert(req.body);
+    res.status(201).json({ success: true, alert });
+  } catch (error) {
+    const status = error.name === 'ValidationError' || error.name === 'CastError' ? 400 : 500;
+    res.status(status).json({ success: false, error: error.message });
+  }
+});
+
+// Editors: submit a CAP 1.2 XML document directly, as an alternative to the feed or drop directory
+router.post('/alerts/cap', requirePermission('alerts:publish'), express.text({ type: ['application/xml', 'text/xml', 'application/cap+xml'], limit: '1mb' }), async (req, res) => {
+  if (typeof req.body !== 'string' || !req.body.trim()) {
+    return res.status(400).json({ success: false, error: 'Send the CAP document as application/xml' });
+  }
+
+  try {
+    const { result, reason, alerts } = await ingestCapAlert(req.body);
+    res.status(alerts.length > 0 ? 201 : 200).json({ success: true, result, reason, alerts });
+  } catch (error) {
+    const status = error.name === 'CapParseError' || error.name === 'ValidationError' ? 400 : 500;
+    res.status(status).json({ success: false, error: error.message });
+  }
+});
+
+export default router;
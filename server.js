@@ -6,6 +6,47 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
 import expressLayouts from 'express-ejs-layouts';
+import Article from './models/Article.js';
+import SOS from './models/SOS.js';
+import VoiceQuery from './models/VoiceQuery.js';
+import VoiceClip from './models/VoiceClip.js';
+import articlesRouter from './routes/articles.js';
+import weatherRouter from './routes/weather.js';
+import sosRouter from './routes/sos.js';
+import sosAttachmentsRouter from './routes/sosAttachments.js';
+import respondersRouter from './routes/responders.js';
+import officesRouter from './routes/offices.js';
+import notificationsRouter from './routes/notifications.js';
+import smsRouter from './routes/sms.js';
+import escalationPoliciesRouter from './routes/escalationPolicies.js';
+import contactsRouter from './routes/contacts.js';
+import voiceQueriesRouter from './routes/voiceQueries.js';
+import conversationsRouter from './routes/conversations.js';
+import expertsRouter from './routes/experts.js';
+import expertInboxRouter from './routes/expertInbox.js';
+import farmersRouter from './routes/farmers.js';
+import staffRouter from './routes/staff.js';
+import rolesRouter from './routes/roles.js';
+import accessRouter from './routes/access.js';
+import seedArticles from './data/articles.js';
+import seedEscalationPolicies from './data/escalationPolicies.js';
+import EscalationPolicy from './models/EscalationPolicy.js';
+import seedEmergencyContacts from './data/emergencyContacts.js';
+import EmergencyContact from './models/EmergencyContact.js';
+import seedAnswerTemplates from './data/answerTemplates.js';
+import { negotiateLocale } from './middleware/locale.js';
+import { requirePagePermission } from './middleware/access.js';
+import { optionalFarmer } from './middleware/farmerAuth.js';
+import AnswerTemplate from './models/AnswerTemplate.js';
+import { invalidateSearchIndex } from './services/articleSearch.js';
+import { invalidateAnswerIndex } from './services/answers/engine.js';
+import { findActiveAlerts } from './services/weatherAlerts.js';
+import { parseCoordinates } from './services/geo.js';
+import { isWebUrl } from './services/webUrls.js';
+import { startCapIngestion } from './services/cap/feeds.js';
+import { startNotificationWorker } from './services/notifications/gateway.js';
+import { startEscalationScheduler } from './services/escalation.js';
+import { startTranscriptionWorker } from './services/voiceIntake.js';
 
 dotenv.config();
 
@@ -14,6 +55,9 @@ const __dirname = path.dirname(__filename);
 
 const app = express();
 
+// Browser origins allowed to call the API from other sites (comma-separated); none by default
+const corsOrigins = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+
 // MongoDB connection
 const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/agriecho';
 mongoose.connect(MONGODB_URI, {
@@ -21,35 +65,58 @@ mongoose.connect(MONGODB_URI, {
   useUnifiedTopology: true,
 });
 
-// Schemas
-const sosSchema = new mongoose.Schema({
-  message: { type: String, required: true },
-  location: String,
-  severity: { type: String, enum: ['low', 'medium', 'high', 'critical'], default: 'medium' },
-  contact: String,
-  resolved: { type: Boolean, default: false },
-  createdAt: { type: Date, default: Date.now }
-});
+// Seed the knowledge base with starter articles on first boot
+mongoose.connection.once('open', async () => {
+  try {
+    if (await Article.estimatedDocumentCount() === 0) {
+      await Article.insertMany(seedArticles);
+      invalidateSearchIndex();
+      invalidateAnswerIndex();
+      console.log(`📚 Seeded ${seedArticles.length} knowledge base articles`);
+    }
+  } catch (error) {
+    console.error('Failed to seed articles:', error);
+  }
 
-const voiceQuerySchema = new mongoose.Schema({
-  query: { type: String, required: true },
-  response: String,
-  language: { type: String, default: 'en' },
-  processed: { type: Boolean, default: false },
-  createdAt: { type: Date, default: Date.now }
-});
+  try {
+    if (await EscalationPolicy.estimatedDocumentCount() === 0) {
+      await EscalationPolicy.insertMany(seedEscalationPolicies);
+      console.log(`⏫ Seeded ${seedEscalationPolicies.length} SOS escalation policies`);
+    }
+  } catch (error) {
+    console.error('Failed to seed escalation policies:', error);
+  }
+
+  try {
+    if (await EmergencyContact.estimatedDocumentCount() === 0) {
+      await EmergencyContact.insertMany(seedEmergencyContacts);
+      console.log(`📞 Seeded ${seedEmergencyContacts.length} emergency contacts`);
+    }
+  } catch (error) {
+    console.error('Failed to seed emergency contacts:', error);
+  }
 
-const weatherAlertSchema = new mongoose.Schema({
-  location: String,
-  alert: String,
-  severity: String,
-  validUntil: Date,
-  createdAt: { type: Date, default: Date.now }
+  try {
+    if (await AnswerTemplate.estimatedDocumentCount() === 0) {
+      await AnswerTemplate.insertMany(seedAnswerTemplates);
+      console.log(`🧑‍🌾 Seeded ${seedAnswerTemplates.length} expert answer templates`);
+    }
+  } catch (error) {
+    console.error('Failed to seed answer templates:', error);
+  }
+
+  // Official alerts from the configured CAP feed and/or drop directory
+  startCapIngestion();
+  startNotificationWorker();
+  startEscalationScheduler();
+  startTranscriptionWorker();
 });
 
-const SOS = mongoose.model('SOS', sosSchema);
-const VoiceQuery = mongoose.model('VoiceQuery', voiceQuerySchema);
-const WeatherAlert = mongoose.model('WeatherAlert', weatherAlertSchema);
+// Behind a reverse proxy, TRUST_PROXY (a hop count, or addresses Express accepts)
+// lets req.ip be the client's address, which per-client limits count by
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
 
 // Middleware
 app.set('view engine', 'ejs');
@@ -57,118 +124,126 @@ app.set('views', path.join(__dirname, 'views'));
 app.use(express.static(path.join(__dirname, 'public')));
 app.use(bodyParser.urlencoded({ extended: true }));
 app.use(bodyParser.json());
-app.use(cors());
+app.use(cors({ origin: corsOrigins.length > 0 ? corsOrigins : false }));
+app.use(negotiateLocale);
 app.use(expressLayouts);
 app.set('layout', 'layout');
 
 // Routes
 app.get('/', (req, res) => {
-  res.render('index', { title: 'AgriEcho - Smart Farming Assistant' });
+  res.render('index', { title: req.t('titles.home'), page: 'home' });
+});
+
+// Page handlers pass database errors on to Express, which answers with a 500
+app.get('/knowledge', async (req, res, next) => {
+  try {
+    const articles = await Article.find().sort({ createdAt: 1 });
+    res.render('knowledge', { title: req.t('titles.knowledge'), page: 'knowledge', articles });
+  } catch (error) {
+    next(error);
+  }
 });
 
-app.get('/knowledge', (req, res) => {
-  const articles = [
-    {
-      id: 1,
-      title: 'Soil Health Management',
-      content: 'Understanding soil pH, nutrients, and organic matter for optimal crop growth.',
-      category: 'soil',
-      readTime: '5 min',
-      audioAvailable: true
-    },
-    {
-      id: 2,
-      title: 'Crop Rotation Benefits',
-      content: 'How rotating crops improves soil fertility and reduces pest problems.',
-      category: 'crops',
-      readTime: '7 min',
-      audioAvailable: true
-    },
-    {
-      id: 3,
-      title: 'Organic Fertilizers Guide',
-      content: 'Natural fertilizer options and their application methods.',
-      category: 'fertilizer',
-      readTime: '6 min',
-      audioAvailable: false
-    },
-    {
-      id: 4,
-      title: 'Pest Control Methods',
-      content: 'Integrated pest management using natural and chemical methods.',
-      category: 'pest',
-      readTime: '8 min',
-      audioAvailable: true
+app.get('/knowledge/:id', async (req, res, next) => {
+  try {
+    const article = mongoose.isValidObjectId(req.params.id)
+      ? await Article.findById(req.params.id)
+      : null;
+    if (!article) {
+      return res.status(404).render('article', { title: req.t('titles.articleNotFound'), page: 'knowledge', article: null });
     }
-  ];
-  res.render('knowledge', { title: 'Knowledge Base', articles });
+    res.render('article', { title: req.t('titles.article', { title: article.title }), page: 'knowledge', article, isWebUrl });
+  } catch (error) {
+    next(error);
+  }
 });
 
-app.get('/weather', async (req, res) => {
-  const alerts = await WeatherAlert.find().sort({ createdAt: -1 }).limit(5);
-  res.render('weather', { title: 'Weather & Alerts', alerts });
+// Official alerts are only shown for the farmer's own area; the page fetches
+// them client-side once it knows the position if none was passed here
+app.get('/weather', async (req, res, next) => {
+  try {
+    const coordinates = parseCoordinates(req.query.lat, req.query.lon) || {};
+    const alerts = await findActiveAlerts({ ...coordinates, districtCode: req.query.district });
+    res.render('weather', { title: req.t('titles.weather'), page: 'weather', alerts });
+  } catch (error) {
+    next(error);
+  }
 });
 
 app.get('/sos', (req, res) => {
-  res.render('sos', { title: 'Emergency SOS' });
+  res.render('sos', { title: req.t('titles.sos'), page: 'sos', smsGatewayNumber: process.env.SMS_GATEWAY_NUMBER || '' });
+});
+
+// Field staff console; data is loaded from /api/sos with the page's session cookie
+app.get('/responder', requirePagePermission('sos:triage', { as: 'responder', page: 'responder' }), (req, res) => {
+  res.render('responder', { title: req.t('titles.responder'), page: 'responder' });
 });
 
 app.get('/voice', (req, res) => {
-  res.render('voice', { title: 'Voice Assistant' });
+  res.render('voice', { title: req.t('titles.voice'), page: 'voice' });
 });
 
-// API Routes
-app.post('/api/sos', async (req, res) => {
-  try {
-    const { message, location, severity, contact } = req.body;
-    const sos = new SOS({ message, location, severity, contact });
-    await sos.save();
-    
-    // Here you would typically send SMS or notify authorities
-    console.log('SOS Alert:', { message, location, severity });
-    
-    res.json({ success: true, message: 'SOS alert sent successfully' });
-  } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
-  }
+// Phone sign-in and farm profile; the session and profile are kept on the device
+app.get('/account', (req, res) => {
+  res.render('account', { title: req.t('titles.account'), page: 'account' });
 });
 
-app.post('/api/voice-query', async (req, res) => {
-  try {
-    const { query, language } = req.body;
-    const voiceQuery = new VoiceQuery({ query, language });
-    await voiceQuery.save();
-    
-    // Simple query processing (in real app, this would use AI/ML)
-    let response = "Thank you for your question. Our experts will respond soon.";
-    if (query.toLowerCase().includes('weather')) {
-      response = "Current weather is sunny with temperatures around 28°C. No rain expected today.";
-    } else if (query.toLowerCase().includes('pest')) {
-      response = "For pest control, try neem oil spray or consult our pest management guide in the knowledge base.";
-    }
-    
-    voiceQuery.response = response;
-    voiceQuery.processed = true;
-    await voiceQuery.save();
-    
-    res.json({ success: true, response });
-  } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
-  }
+// Agronomists answer farmers' open questions; data is loaded with the page's session cookie
+app.get('/expert', requirePagePermission('questions:answer', { as: 'expert', page: 'expert' }), (req, res) => {
+  res.render('expert', { title: req.t('titles.expert'), page: 'expert' });
 });
 
-app.get('/api/sync', async (req, res) => {
+// API Routes
+app.use('/api/articles', articlesRouter);
+app.use('/api/weather', weatherRouter);
+app.use('/api/sos/:id/attachments', sosAttachmentsRouter);
+app.use('/api/sos', sosRouter);
+app.use('/api/responders', respondersRouter);
+app.use('/api/offices', officesRouter);
+app.use('/api/notifications', notificationsRouter);
+app.use('/api/sms', smsRouter);
+app.use('/api/escalation-policies', escalationPoliciesRouter);
+app.use('/api/contacts', contactsRouter);
+app.use('/api/voice-query', voiceQueriesRouter);
+app.use('/api/conversations', conversationsRouter);
+app.use('/api/experts', expertsRouter);
+app.use('/api/expert-inbox', expertInboxRouter);
+app.use('/api/farmers', farmersRouter);
+app.use('/api/staff', staffRouter);
+app.use('/api/roles', rolesRouter);
+app.use('/api/access', accessRouter);
+
+app.get('/api/sync', optionalFarmer, async (req, res) => {
   try {
-    const pendingSOS = await SOS.find({ resolved: false }).sort({ createdAt: -1 });
-    const recentQueries = await VoiceQuery.find().sort({ createdAt: -1 }).limit(10);
-    const weatherAlerts = await WeatherAlert.find({ validUntil: { $gte: new Date() } });
+    // Only the signed-in farmer's own open alerts; the full list is for the responder console
+    const pendingSOS = req.farmer
+      ? await SOS.find({ farmer: req.farmer._id, resolved: false }).populate('assignedTo', 'name').sort({ createdAt: -1 })
+      : [];
+    // Only this device's own questions; other farmers' are not for sharing
+    const recentQueries = req.query.device
+      ? await VoiceQuery.find({ device: String(req.query.device) }).sort({ createdAt: -1 }).limit(10)
+      : [];
+    const coordinates = parseCoordinates(req.query.lat, req.query.lon) || {};
+    const weatherAlerts = await findActiveAlerts({ ...coordinates, districtCode: req.query.district });
+    // Expert answers to this device's questions; the device picks out the ones it is waiting for
+    const expertAnswers = req.query.device
+      ? await VoiceQuery.find({ device: String(req.query.device), status: { $in: ['answered', 'rejected'] }, expert: { $exists: true } })
+        .populate('expert', 'name').sort({ createdAt: -1 }).limit(20)
+      : [];
+    // Transcripts of clips this device recorded offline, with the answers to them
+    const transcripts = req.query.device
+      ? await VoiceClip.find({ device: String(req.query.device), status: { $in: ['transcribed', 'failed'] } })
+        .populate('query').sort({ createdAt: -1 }).limit(20)
+      : [];
     
     res.json({
       success: true,
       data: {
-        sos: pendingSOS,
+        sos: pendingSOS.map(sos => sos.toPublicJSON()),
         queries: recentQueries,
-        weather: weatherAlerts
+        weather: weatherAlerts,
+        answers: expertAnswers.map(query => query.toDeviceJSON()),
+        transcripts: transcripts.map(clip => clip.toDeviceJSON())
       }
     });
   } catch (error) {
@@ -0,0 +1,51 @@
+import crypto from 'crypto';
+import Responder from '../models/Responder.js';
+import Expert from '../models/Expert.js';
+import StaffMember from '../models/StaffMember.js';
+import { findFarmerBySession } from './farmerAccounts.js';
+
+// Staff account kinds, in the order a token is looked up
+const STAFF_ACCOUNTS = [
+  { type: 'responder', model: Responder },
+  { type: 'expert', model: Expert },
+  { type: 'staff', model: StaffMember }
+];
+
+function isAdminToken(token) {
+  const expected = process.env.ADMIN_TOKEN;
+  if (!expected) return false;
+  const a = crypto.createHash('sha256').update(token).digest();
+  const b = crypto.createHash('sha256').update(expected).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+// Who a bearer token belongs to: { type, id, name, roles, account }, or null.
+// ADMIN_TOKEN is a built-in admin for setting up the first staff accounts. Farmer
+// session tokens are signed (they contain a "."); staff tokens are random hex.
+export async function findPrincipal(token) {
+  if (typeof token !== 'string' || !token) return null;
+
+  if (isAdminToken(token)) {
+    return { type: 'admin-token', id: null, name: 'ADMIN_TOKEN', roles: ['admin'], account: null };
+  }
+
+  if (token.includes('.')) {
+    const farmer = await findFarmerBySession(token);
+    return farmer
+      ? { type: 'farmer', id: farmer._id, name: farmer.name || farmer.phone, roles: ['farmer'], account: farmer }
+      : null;
+  }
+
+  for (const { type, model } of STAFF_ACCOUNTS) {
+    const account = await model.findByToken(token);
+    if (account) {
+      return { type, id: account._id, name: account.name, roles: account.roles, account };
+    }
+  }
+  return null;
+}
+
+// How a principal is recorded in audit trails
+export function actorOf(principal) {
+  return { type: principal.type, id: principal.id, name: principal.name };
+}
@@ -0,0 +1,11 @@
+import { composeAnswer } from '../../../public/js/answer-core.js';
+
+// Default backend: answers with the best passage's own sentences, so nothing is made up
+// and no model has to be installed
+const extractiveBackend = {
+  async generate({ retrieved }) {
+    return composeAnswer(retrieved);
+  }
+};
+
+export default extractiveBackend;
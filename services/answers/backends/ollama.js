@@ -0,0 +1,47 @@
+import { LANGUAGES } from '../../i18n/index.js';
+
+// Generates answers with a model served by a local Ollama instance (ANSWER_MODEL_URL,
+// ANSWER_MODEL). The model is told to answer only from the retrieved passages, in the
+// farmer's language whatever language the passages are in.
+const DEFAULT_URL = 'http://localhost:11434';
+const DEFAULT_MODEL = 'llama3.2';
+const DEFAULT_TIMEOUT = 20000;
+
+function buildPrompt(question, language, retrieved) {
+  const context = retrieved
+    .map(({ passage }, index) => `[${index + 1}] ${passage.articleTitle} - ${passage.heading}: ${passage.text}`)
+    .join('\n');
+  return [
+    'You are an agricultural extension assistant for smallholder farmers.',
+    'Answer the question in two or three short sentences using only the passages below.',
+    'If they do not contain the answer, reply exactly: UNKNOWN.',
+    `Answer in ${LANGUAGES[language] ? LANGUAGES[language].name : `the language with code "${language}"`}.`,
+    '',
+    context,
+    '',
+    `Question: ${question}`
+  ].join('\n');
+}
+
+const ollamaBackend = {
+  async generate({ question, language, retrieved }) {
+    const response = await fetch(`${process.env.ANSWER_MODEL_URL || DEFAULT_URL}/api/generate`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        model: process.env.ANSWER_MODEL || DEFAULT_MODEL,
+        prompt: buildPrompt(question, language, retrieved),
+        stream: false
+      }),
+      signal: AbortSignal.timeout(parseInt(process.env.ANSWER_MODEL_TIMEOUT, 10) || DEFAULT_TIMEOUT)
+    });
+    if (!response.ok) {
+      throw new Error(`Model server returned ${response.status}`);
+    }
+
+    const text = ((await response.json()).response || '').trim();
+    return { text: text === 'UNKNOWN' ? '' : text, used: retrieved, language };
+  }
+};
+
+export default ollamaBackend;
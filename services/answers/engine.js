@@ -0,0 +1,123 @@
+import crypto from 'crypto';
+import Article from '../../models/Article.js';
+import {
+  INTENTS, CROPS, buildPassages, createAnswerModel, resolveFollowUp, retrievePassages, scoreConfidence, citeSources
+} from '../../public/js/answer-core.js';
+import extractiveBackend from './backends/extractive.js';
+import ollamaBackend from './backends/ollama.js';
+import { LANGUAGES, translate } from '../i18n/index.js';
+
+// A backend turns the retrieved passages into answer text:
+//   { async generate({ question, language, classification, retrieved }) -> { text, used?, language? } }
+// `used` lists the passages the text is based on, for citations (all of them by default).
+// `language` is the language of the text when the backend can write in the requested
+// one; otherwise it is taken to be that of the passages. An empty text means the backend
+// could not answer.
+const backends = { extractive: extractiveBackend, ollama: ollamaBackend };
+
+const DEFAULT_MIN_CONFIDENCE = 0.5;
+// Rebuild at least this often so other server instances' edits are picked up
+const INDEX_MAX_AGE = 5 * 60 * 1000;
+
+let cached = null;
+let builtAt = 0;
+
+export function registerBackend(name, backend) {
+  backends[name] = backend;
+}
+
+function minConfidence() {
+  const value = parseFloat(process.env.ANSWER_MIN_CONFIDENCE);
+  return Number.isFinite(value) ? value : DEFAULT_MIN_CONFIDENCE;
+}
+
+// The offline answer bundle holds everything the model is built from, so a device
+// answers exactly as the extractive backend would. Its version is a content hash.
+function buildBundle(articles) {
+  const passages = buildPassages(articles.map(article => article.toJSON()))
+    .map(({ id, articleId, articleTitle, heading, text, category, language }) =>
+      ({ id, articleId, articleTitle, heading, text, category, language }));
+  const content = { minConfidence: minConfidence(), intents: INTENTS, crops: CROPS, passages };
+  const version = crypto.createHash('sha1').update(JSON.stringify(content)).digest('hex').slice(0, 12);
+  return { version, builtAt: new Date(), ...content };
+}
+
+async function getAnswerModel() {
+  if (!cached || Date.now() - builtAt > INDEX_MAX_AGE) {
+    const bundle = buildBundle(await Article.find().sort({ createdAt: 1 }));
+    cached = { bundle, model: createAnswerModel(bundle) };
+    builtAt = Date.now();
+  }
+  return cached;
+}
+
+export async function getAnswerBundle() {
+  return (await getAnswerModel()).bundle;
+}
+
+export function invalidateAnswerIndex() {
+  cached = null;
+}
+
+// ANSWER_BACKEND picks the backend; the extractive one steps in if it fails
+async function generate(request) {
+  const name = process.env.ANSWER_BACKEND || 'extractive';
+  const backend = backends[name];
+  if (backend) {
+    try {
+      return { backend: name, ...(await backend.generate(request)) };
+    } catch (error) {
+      console.error(`Answer backend ${name} failed:`, error.message);
+    }
+  } else {
+    console.error(`No answer backend named ${name}`);
+  }
+  return { backend: 'extractive', ...(await extractiveBackend.generate(request)) };
+}
+
+// Answer a question from the knowledge base, preferring passages in options.language.
+// options.previous ({ question, intent, crop }) is the question before it in the
+// conversation, for follow-ups; resolvedQuestion is the question as it was understood.
+// needsExpert is set when the confidence is below ANSWER_MIN_CONFIDENCE or no answer
+// could be composed. `language` is the language the answer came out in; when that is
+// not the one asked for, the answer starts by saying so in the language asked for.
+export async function answerQuestion(question, options = {}) {
+  const language = options.language || 'en';
+  const { bundle, model } = await getAnswerModel();
+  const resolved = resolveFollowUp(model, question, options.previous);
+  const classification = { intent: resolved.intent, crop: resolved.crop };
+  const retrieved = retrievePassages(model, resolved.question, classification, { language });
+  const confidence = scoreConfidence(model, classification, retrieved);
+  const result = {
+    ...classification,
+    resolvedQuestion: resolved.question,
+    followUp: resolved.followUp,
+    confidence,
+    answer: null,
+    language: null,
+    sources: [],
+    backend: null,
+    needsExpert: true
+  };
+
+  if (confidence < bundle.minConfidence) {
+    return result;
+  }
+
+  const generated = await generate({ question: resolved.question, language, classification, retrieved });
+  if (!generated.text) {
+    return { ...result, backend: generated.backend };
+  }
+  const used = generated.used || retrieved;
+  const answerLanguage = generated.language || used[0].passage.language;
+  const answer = answerLanguage === language || !LANGUAGES[answerLanguage] ? generated.text
+    : `${translate(language, 'voice.answerInOtherLanguage', { language: LANGUAGES[answerLanguage].nativeName })} ${generated.text}`;
+  return {
+    ...result,
+    answer,
+    language: answerLanguage,
+    sources: citeSources(used),
+    backend: generated.backend,
+    needsExpert: false
+  };
+}
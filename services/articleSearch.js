@@ -0,0 +1,26 @@
+import Article from '../models/Article.js';
+import { buildIndex, search } from '../public/js/search-core.js';
+
+// Rebuild at least this often so other server instances' edits are picked up
+const INDEX_MAX_AGE = 5 * 60 * 1000;
+
+let cachedIndex = null;
+let builtAt = 0;
+
+async function getIndex() {
+  if (!cachedIndex || Date.now() - builtAt > INDEX_MAX_AGE) {
+    const articles = await Article.find();
+    cachedIndex = buildIndex(articles.map(article => article.toJSON()));
+    builtAt = Date.now();
+  }
+  return cachedIndex;
+}
+
+export function invalidateSearchIndex() {
+  cachedIndex = null;
+}
+
+export async function searchArticles(query, options) {
+  const index = await getIndex();
+  return search(index, query, options);
+}
@@ -0,0 +1,42 @@
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import path from 'path';
+
+// SOS attachments and offline voice clips live on local disk, one file each
+const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || 'uploads', 'sos');
+const VOICE_DIR = path.resolve(process.env.UPLOAD_DIR || 'uploads', 'voice');
+
+function attachmentPath(sosId, attachmentId) {
+  return path.join(UPLOAD_DIR, String(sosId), String(attachmentId));
+}
+
+// Write a chunk at its offset and cut the file there, so a chunk retried after a
+// crash overwrites the partial write instead of appending after it
+export async function writeChunk(sosId, attachmentId, offset, buffer) {
+  const filePath = attachmentPath(sosId, attachmentId);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const handle = await fs.open(filePath, fs.constants.O_CREAT | fs.constants.O_WRONLY);
+  try {
+    await handle.write(buffer, 0, buffer.length, offset);
+    await handle.truncate(offset + buffer.length);
+  } finally {
+    await handle.close();
+  }
+}
+
+export function readAttachment(sosId, attachmentId) {
+  return createReadStream(attachmentPath(sosId, attachmentId));
+}
+
+function voiceClipPath(clipId) {
+  return path.join(VOICE_DIR, String(clipId));
+}
+
+export async function writeVoiceClip(clipId, buffer) {
+  await fs.mkdir(VOICE_DIR, { recursive: true });
+  await fs.writeFile(voiceClipPath(clipId), buffer);
+}
+
+export function readVoiceClip(clipId) {
+  return fs.readFile(voiceClipPath(clipId));
+}
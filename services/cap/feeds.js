@@ -0,0 +1,107 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { ingestCapAlert } from './ingest.js';
+import { extractFeedLinks, isCapAlert } from './parser.js';
+
+const DEFAULT_INTERVAL = 5 * 60 * 1000;
+const REQUEST_TIMEOUT = 15000;
+const MAX_SEEN_LINKS = 1000;
+
+function logResult(source, outcome) {
+  if (outcome.result === 'duplicate') return;
+  const detail = outcome.reason ? ` (${outcome.reason})` : '';
+  console.log(`📡 CAP ${source}: ${outcome.result}${detail}`);
+}
+
+// Ingest every *.xml file dropped into the directory, then move it to
+// processed/ or failed/ so it is not picked up again
+export async function processDropDirectory(directory) {
+  await fs.mkdir(path.join(directory, 'processed'), { recursive: true });
+  await fs.mkdir(path.join(directory, 'failed'), { recursive: true });
+
+  const files = (await fs.readdir(directory)).filter(file => file.toLowerCase().endsWith('.xml'));
+  for (const file of files) {
+    const filePath = path.join(directory, file);
+    let destination = 'processed';
+    try {
+      logResult(file, await ingestCapAlert(await fs.readFile(filePath, 'utf8')));
+    } catch (error) {
+      console.error(`Failed to ingest CAP file ${file}:`, error.message);
+      destination = 'failed';
+    }
+    await fs.rename(filePath, path.join(directory, destination, file));
+  }
+}
+
+async function fetchText(url) {
+  const response = await fetch(url, { signal: AbortSignal.timeout(REQUEST_TIMEOUT) });
+  if (!response.ok) {
+    throw new Error(`CAP feed request failed: HTTP ${response.status}`);
+  }
+  return response.text();
+}
+
+// A feed URL may serve a single CAP alert or an Atom/RSS index linking to alerts.
+// Links already fetched are remembered so each poll only downloads new alerts.
+export function createFeedPoller(feedUrl) {
+  const seenLinks = new Set();
+
+  return async function poll() {
+    const body = await fetchText(feedUrl);
+    if (isCapAlert(body)) {
+      logResult(feedUrl, await ingestCapAlert(body));
+      return;
+    }
+
+    for (const link of extractFeedLinks(body)) {
+      if (seenLinks.has(link)) continue;
+      try {
+        const url = new URL(link, feedUrl).toString();
+        logResult(url, await ingestCapAlert(await fetchText(url)));
+        seenLinks.add(link);
+      } catch (error) {
+        console.error(`Failed to ingest CAP alert ${link}:`, error.message);
+      }
+      if (seenLinks.size > MAX_SEEN_LINKS) {
+        seenLinks.delete(seenLinks.values().next().value);
+      }
+    }
+  };
+}
+
+// Start the configured CAP sources (CAP_DROP_DIR, CAP_FEED_URL). Returns a stop function.
+export function startCapIngestion(options = {}) {
+  const dropDir = options.dropDir || process.env.CAP_DROP_DIR;
+  const feedUrl = options.feedUrl || process.env.CAP_FEED_URL;
+  const interval = options.interval || parseInt(process.env.CAP_POLL_INTERVAL, 10) || DEFAULT_INTERVAL;
+
+  const tasks = [];
+  if (dropDir) {
+    tasks.push(['drop directory', () => processDropDirectory(dropDir)]);
+  }
+  if (feedUrl) {
+    tasks.push(['feed', createFeedPoller(feedUrl)]);
+  }
+  if (tasks.length === 0) {
+    return () => {};
+  }
+
+  // Skip a tick rather than overlap a run that is still going
+  let running = false;
+  async function run() {
+    if (running) return;
+    running = true;
+    for (const [name, task] of tasks) {
+      try {
+        await task();
+      } catch (error) {
+        console.error(`CAP ${name} ingestion failed:`, error.message);
+      }
+    }
+    running = false;
+  }
+
+  run();
+  const timer = setInterval(run, interval);
+  return () => clearInterval(timer);
+}
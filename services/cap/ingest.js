@@ -0,0 +1,95 @@
+import WeatherAlert from '../../models/WeatherAlert.js';
+import { parseCapAlert } from './parser.js';
+
+// Preferred language for alerts published in several languages
+const PREFERRED_LANGUAGE = (process.env.CAP_LANGUAGE || 'en').toLowerCase();
+
+function pickInfo(infos) {
+  return infos.find(info => info.language.toLowerCase().startsWith(PREFERRED_LANGUAGE)) || infos[0];
+}
+
+// District geocodes are named differently by each authority; prefer one that says so
+function pickDistrictCode(geocodes) {
+  const district = geocodes.find(geocode => /district/i.test(geocode.valueName)) || geocodes[0];
+  return district ? district.value : undefined;
+}
+
+function referenceFilter(references) {
+  return {
+    $or: references.map(reference => ({
+      'cap.sender': reference.sender,
+      'cap.identifier': reference.identifier
+    }))
+  };
+}
+
+// Store a CAP 1.2 document as WeatherAlert records, one per <area>.
+// Updates supersede and cancellations cancel the alerts they reference.
+// Resolves to { result, alerts } where result is one of
+// created | updated | cancelled | duplicate | ignored.
+export async function ingestCapAlert(xml) {
+  const cap = parseCapAlert(xml);
+
+  // Exercises, tests and drafts must never reach farmers
+  if (cap.status !== 'Actual') {
+    return { result: 'ignored', reason: `status ${cap.status}`, alerts: [] };
+  }
+  if (!['Alert', 'Update', 'Cancel'].includes(cap.msgType)) {
+    return { result: 'ignored', reason: `msgType ${cap.msgType}`, alerts: [] };
+  }
+
+  const existing = await WeatherAlert.exists({ 'cap.sender': cap.sender, 'cap.identifier': cap.identifier });
+  if (existing) {
+    return { result: 'duplicate', alerts: [] };
+  }
+
+  if (cap.msgType !== 'Alert' && cap.references.length > 0) {
+    await WeatherAlert.updateMany(
+      { ...referenceFilter(cap.references), status: 'active' },
+      { status: cap.msgType === 'Cancel' ? 'cancelled' : 'superseded' }
+    );
+  }
+  if (cap.msgType === 'Cancel') {
+    return { result: 'cancelled', alerts: [] };
+  }
+
+  const info = pickInfo(cap.infos);
+  if (!info) {
+    return { result: 'ignored', reason: 'no info block', alerts: [] };
+  }
+  if (info.expires && info.expires < new Date()) {
+    return { result: 'ignored', reason: 'already expired', alerts: [] };
+  }
+
+  const records = info.areas
+    .map(area => ({
+      location: area.areaDesc,
+      area: area.geometry || undefined,
+      districtCode: pickDistrictCode(area.geocodes)
+    }))
+    .filter(area => area.area || area.districtCode)
+    .map(area => ({
+      ...area,
+      alert: info.description || info.headline || info.event,
+      severity: info.severity,
+      validUntil: info.expires,
+      source: 'cap',
+      cap: {
+        identifier: cap.identifier,
+        sender: cap.sender,
+        sent: cap.sent,
+        msgType: cap.msgType,
+        event: info.event,
+        headline: info.headline,
+        instruction: info.instruction,
+        references: cap.references.map(reference => `${reference.sender},${reference.identifier}`)
+      }
+    }));
+
+  if (records.length === 0) {
+    return { result: 'ignored', reason: 'no area with a polygon, circle or geocode', alerts: [] };
+  }
+
+  const alerts = await WeatherAlert.insertMany(records);
+  return { result: cap.msgType === 'Update' ? 'updated' : 'created', alerts };
+}
@@ -0,0 +1,164 @@
+import { XMLParser } from 'fast-xml-parser';
+import { circleRing } from '../geo.js';
+
+const xmlParser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@',
+  removeNSPrefix: true,
+  parseTagValue: false,
+  trimValues: true,
+  isArray: (name) => ['info', 'area', 'polygon', 'circle', 'geocode', 'entry', 'item', 'link'].includes(name)
+});
+
+export class CapParseError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CapParseError';
+  }
+}
+
+// CAP severity -> the alert levels the app renders
+const SEVERITY_LEVELS = {
+  Extreme: 'critical',
+  Severe: 'critical',
+  Moderate: 'warning',
+  Minor: 'info',
+  Unknown: 'info'
+};
+
+function text(value) {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'object') return String(value['#text'] || '').trim();
+  return String(value).trim();
+}
+
+function parseDate(value) {
+  const date = new Date(text(value));
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// "lat,lon" as used by CAP, validated against coordinate ranges
+function parsePoint(pair) {
+  const [lat, lon] = pair.split(',').map(Number);
+  if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+    return null;
+  }
+  return { lat, lon };
+}
+
+// CAP polygons are whitespace-separated "lat,lon" pairs; GeoJSON wants closed [lon, lat] rings
+function polygonRing(value) {
+  const points = text(value).split(/\s+/).filter(Boolean).map(parsePoint);
+  if (points.length < 3 || points.includes(null)) return null;
+  const ring = points.map(point => [point.lon, point.lat]);
+  const [first, last] = [ring[0], ring[ring.length - 1]];
+  if (first[0] !== last[0] || first[1] !== last[1]) {
+    ring.push(first);
+  }
+  return ring.length >= 4 ? ring : null;
+}
+
+// CAP circles are "lat,lon radius" with the radius in kilometres
+function circleToRing(value) {
+  const [pair, radius] = text(value).split(/\s+/);
+  const center = pair ? parsePoint(pair) : null;
+  const radiusKm = parseFloat(radius);
+  if (!center || !(radiusKm > 0)) return null;
+  return circleRing(center, radiusKm);
+}
+
+function parseArea(area) {
+  const rings = [
+    ...(area.polygon || []).map(polygonRing),
+    ...(area.circle || []).map(circleToRing)
+  ].filter(Boolean);
+
+  let geometry = null;
+  if (rings.length === 1) {
+    geometry = { type: 'Polygon', coordinates: [rings[0]] };
+  } else if (rings.length > 1) {
+    geometry = { type: 'MultiPolygon', coordinates: rings.map(ring => [ring]) };
+  }
+
+  return {
+    areaDesc: text(area.areaDesc),
+    geometry,
+    geocodes: (area.geocode || []).map(geocode => ({
+      valueName: text(geocode.valueName),
+      value: text(geocode.value)
+    })).filter(geocode => geocode.value)
+  };
+}
+
+function parseInfo(info) {
+  return {
+    language: text(info.language) || 'en-US',
+    event: text(info.event),
+    severity: SEVERITY_LEVELS[text(info.severity)] || 'warning',
+    headline: text(info.headline),
+    description: text(info.description),
+    instruction: text(info.instruction),
+    expires: parseDate(info.expires),
+    areas: (info.area || []).map(parseArea)
+  };
+}
+
+// CAP references are space-separated "sender,identifier,sent" triples
+function parseReferences(value) {
+  return text(value).split(/\s+/).filter(Boolean).map(reference => {
+    const [sender, identifier, sent] = reference.split(',');
+    return { sender, identifier, sent: sent ? new Date(sent) : null };
+  }).filter(reference => reference.sender && reference.identifier);
+}
+
+// Parse a CAP 1.2 <alert> document into a plain object. Throws on documents that
+// are not CAP alerts or are missing the fields needed to track them.
+export function parseCapAlert(xml) {
+  let document;
+  try {
+    document = xmlParser.parse(xml, true);
+  } catch (error) {
+    throw new CapParseError(`Invalid XML: ${error.message}`);
+  }
+
+  const alert = document.alert;
+  if (!alert || typeof alert !== 'object') {
+    throw new CapParseError('Document is not a CAP alert');
+  }
+
+  const parsed = {
+    identifier: text(alert.identifier),
+    sender: text(alert.sender),
+    sent: parseDate(alert.sent),
+    status: text(alert.status),
+    msgType: text(alert.msgType),
+    references: parseReferences(alert.references),
+    infos: (alert.info || []).map(parseInfo)
+  };
+
+  if (!parsed.identifier || !parsed.sender || !parsed.msgType) {
+    throw new CapParseError('CAP alert is missing identifier, sender or msgType');
+  }
+  return parsed;
+}
+
+// Links to individual CAP alerts from an Atom or RSS feed, as published by most alerting authorities
+export function extractFeedLinks(xml) {
+  const document = xmlParser.parse(xml);
+  if (document.feed) {
+    return (document.feed.entry || []).map(entry => {
+      const links = entry.link || [];
+      const link = links.find(l => l['@type'] && l['@type'].includes('cap')) ||
+        links.find(l => !l['@rel'] || l['@rel'] === 'alternate') || links[0];
+      return link ? link['@href'] : null;
+    }).filter(Boolean);
+  }
+  if (document.rss && document.rss.channel) {
+    return (document.rss.channel.item || []).map(item => text((item.link || [])[0])).filter(Boolean);
+  }
+  return [];
+}
+
+export function isCapAlert(xml) {
+  return Boolean(xmlParser.parse(xml).alert);
+}
@@ -0,0 +1,79 @@
+import EmergencyContact, { CONTACT_CATEGORIES } from '../models/EmergencyContact.js';
+import AgriOffice from '../models/AgriOffice.js';
+import { distanceKm, fromGeoPoint, toGeoPoint } from './geo.js';
+
+// How far the nearest directory entry or office can be to count as "local"
+const LOCAL_DISTANCE_KM = 50;
+const SCOPE_RANK = { national: 0, state: 1, district: 2, nearby: 3 };
+
+function code(value) {
+  return typeof value === 'string' && value.trim() ? value.trim().toUpperCase() : undefined;
+}
+
+function nearQuery(coordinates) {
+  return { $near: { $geometry: toGeoPoint(coordinates), $maxDistance: LOCAL_DISTANCE_KM * 1000 } };
+}
+
+// The farmer's country/state/district: as given, or taken from the nearest
+// directory entry that belongs to a district
+export async function resolveRegion({ coordinates, country, state, district }) {
+  const defaultCountry = code(process.env.CONTACTS_DEFAULT_COUNTRY) || 'IN';
+  if (code(state) || code(district)) {
+    return { country: code(country) || defaultCountry, state: code(state), district: code(district) };
+  }
+  if (coordinates) {
+    const nearest = await EmergencyContact.findOne({ active: true, district: { $nin: [null, ''] }, position: nearQuery(coordinates) });
+    if (nearest) {
+      return { country: nearest.country, state: nearest.state, district: nearest.district };
+    }
+  }
+  return { country: code(country) || defaultCountry };
+}
+
+function toEntry(contact, scope, coordinates) {
+  return {
+    id: contact.id,
+    name: contact.name,
+    category: contact.category,
+    phone: contact.phone,
+    email: contact.email,
+    address: contact.address,
+    description: contact.description,
+    scope,
+    priority: contact.priority || 0,
+    distanceKm: coordinates && contact.position
+      ? Math.round(distanceKm(coordinates, fromGeoPoint(contact.position)) * 10) / 10
+      : null
+  };
+}
+
+function distanceOrLast(entry) {
+  return entry.distanceKm === null ? Infinity : entry.distanceKm;
+}
+
+// Contacts for a region, grouped in CONTACT_CATEGORIES order. Within a category only
+// the most local entries are kept (a district ambulance replaces the national one),
+// highest priority and then nearest first. Without a local agri officer on file,
+// the nearest agricultural office stands in.
+export async function resolveContacts(region, coordinates) {
+  const candidates = await EmergencyContact.find({ active: true, country: region.country });
+  const entries = candidates
+    .filter(contact => (!contact.state || contact.state === region.state) &&
+      (!contact.district || contact.district === region.district))
+    .map(contact => toEntry(contact, contact.scope, coordinates));
+
+  if (coordinates && !entries.some(entry => entry.category === 'agri-officer' && entry.scope !== 'national')) {
+    const office = await AgriOffice.findOne({ active: true, phone: { $nin: [null, ''] }, position: nearQuery(coordinates) });
+    if (office) {
+      entries.push({ ...toEntry(office, 'nearby', coordinates), category: 'agri-officer', description: office.address });
+    }
+  }
+
+  return CONTACT_CATEGORIES.flatMap(category => {
+    const inCategory = entries.filter(entry => entry.category === category);
+    const mostLocal = Math.max(...inCategory.map(entry => SCOPE_RANK[entry.scope]));
+    return inCategory
+      .filter(entry => SCOPE_RANK[entry.scope] === mostLocal)
+      .sort((a, b) => (b.priority - a.priority) || (distanceOrLast(a) - distanceOrLast(b)));
+  });
+}
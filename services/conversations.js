@@ -0,0 +1,100 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Conversation from '../models/Conversation.js';
+import HistoryCode from '../models/HistoryCode.js';
+
+// Only questions this recent are used to make sense of a follow-up
+const FOLLOW_UP_WINDOW = 30 * 60 * 1000;
+const MAX_TURNS = 100;
+const TITLE_LENGTH = 80;
+const HISTORY_CODE_TTL = 24 * 60 * 60 * 1000;
+const HISTORY_CODE_LENGTH = 8;
+// No 0/O or 1/I, which are easy to mix up when typing a code in
+const HISTORY_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const DUPLICATE_KEY_ERROR = 11000;
+
+// Conversations a device may see: its own and, once signed in, the farmer's from any device
+export function ownerFilter(device, farmer) {
+  if (!farmer) return { device };
+  return device ? { $or: [{ device }, { farmer: farmer._id }] } : { farmer: farmer._id };
+}
+
+// The device's (or signed-in farmer's) conversation with this id, or a new unsaved
+// one when there is no such conversation (the id is unknown, belongs to someone else
+// or none was given)
+export async function openConversation(id, device, language, farmer = null) {
+  if (id && mongoose.isValidObjectId(id)) {
+    const conversation = await Conversation.findOne({ _id: id, ...ownerFilter(device, farmer) });
+    if (conversation) {
+      if (farmer && !conversation.farmer) conversation.farmer = farmer._id;
+      return conversation;
+    }
+  }
+  return new Conversation({ device, language, farmer: farmer ? farmer._id : undefined });
+}
+
+// The last question asked in the conversation, if recent enough to follow up on
+export function previousQuestion(conversation, now = new Date()) {
+  const turn = conversation.turns.slice().reverse().find(item => item.role === 'user');
+  if (!turn || now - turn.createdAt > FOLLOW_UP_WINDOW) return null;
+  return { question: turn.resolvedQuery || turn.text, intent: turn.intent, crop: turn.crop };
+}
+
+// Append turns, keeping the most recent MAX_TURNS, and save
+export async function addTurns(conversation, turns) {
+  if (!conversation.title) {
+    const first = turns.find(turn => turn.role === 'user');
+    if (first) conversation.title = first.text.slice(0, TITLE_LENGTH);
+  }
+  conversation.turns.push(...turns);
+  if (conversation.turns.length > MAX_TURNS) {
+    conversation.turns.splice(0, conversation.turns.length - MAX_TURNS);
+  }
+  conversation.updatedAt = new Date();
+  await conversation.save();
+  return conversation;
+}
+
+// Add an expert's answer (or reason for not answering) to the conversation the
+// question was asked in. `question` has its expert populated.
+export async function recordExpertReply(question) {
+  if (!question.conversation) return null;
+  const conversation = await Conversation.findById(question.conversation);
+  if (!conversation) return null;
+
+  return addTurns(conversation, [{
+    role: 'assistant',
+    text: question.status === 'rejected' ? question.rejectionReason : question.response,
+    expertName: question.expert && question.expert.name ? question.expert.name : undefined,
+    voiceQuery: question._id
+  }]);
+}
+
+function generateHistoryCode() {
+  return Array.from({ length: HISTORY_CODE_LENGTH },
+    () => HISTORY_CODE_ALPHABET[crypto.randomInt(HISTORY_CODE_ALPHABET.length)]).join('');
+}
+
+// A one-time code for moving this device's history to another device
+export async function createHistoryCode(device) {
+  for (;;) {
+    try {
+      return await HistoryCode.create({
+        code: generateHistoryCode(),
+        device,
+        expiresAt: new Date(Date.now() + HISTORY_CODE_TTL)
+      });
+    } catch (error) {
+      if (error.code !== DUPLICATE_KEY_ERROR) throw error;
+    }
+  }
+}
+
+// The device a history code was issued for, or null if it is unknown or expired.
+// The code can't be used again.
+export async function redeemHistoryCode(code) {
+  const normalized = String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  if (!normalized) return null;
+  const historyCode = await HistoryCode.findOneAndDelete({ code: normalized, expiresAt: { $gt: new Date() } });
+  return historyCode ? historyCode.device : null;
+}
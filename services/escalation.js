@@ -0,0 +1,140 @@
+import SOS, { SOS_STATUSES } from '../models/SOS.js';
+import Responder from '../models/Responder.js';
+import AgriOffice from '../models/AgriOffice.js';
+import EscalationPolicy from '../models/EscalationPolicy.js';
+import { contactsFor, responderContacts, configuredContacts, notifySOSEscalation } from './sosNotifications.js';
+import { resolveRegion, resolveContacts } from './contactDirectory.js';
+import { fromGeoPoint } from './geo.js';
+
+const DEFAULT_INTERVAL = 60000;
+
+// The most specific active policy matching the incident; the oldest wins a tie
+export function selectPolicy(policies, sos) {
+  return policies
+    .filter(policy => policy.active && policy.matches(sos))
+    .sort((a, b) => (b.specificity() - a.specificity()) || (a.createdAt - b.createdAt))[0] || null;
+}
+
+function hasReached(sos, status) {
+  return SOS_STATUSES.indexOf(sos.status) >= SOS_STATUSES.indexOf(status);
+}
+
+function describeTarget(step) {
+  return step.target === 'tier' ? `tier ${step.tier}` : step.target;
+}
+
+function officeLanguage(contact) {
+  return { ...contact, language: process.env.SOS_NOTIFY_LANGUAGE || 'en' };
+}
+
+// Who stands in for the office when the alert was routed to none (e.g. it came
+// without a position): the agriculture officers in the contact directory for its
+// region, else SOS_NOTIFY_CONTACTS
+async function officeFallback(sos) {
+  const coordinates = sos.position ? fromGeoPoint(sos.position) : null;
+  const directory = await resolveContacts(await resolveRegion({ coordinates }), coordinates);
+  const officers = directory.filter(entry => entry.category === 'agri-officer')
+    .flatMap(entry => contactsFor(entry, sos.severity).map(contact => ({ ...officeLanguage(contact), label: entry.name })));
+  return officers.length > 0 ? officers : configuredContacts();
+}
+
+// Contacts for a step, each with a label for the audit trail. An office step uses the
+// office the alert was routed to, or officeFallback when there is none to reach.
+async function resolveRecipients(sos, step) {
+  if (step.target === 'tier') {
+    const responders = await Responder.find({ active: true, tier: step.tier }).sort({ name: 1 });
+    return responders.flatMap(responder => responderContacts(responder, sos.severity)
+      .map(contact => ({ ...contact, label: responder.name })));
+  }
+  if (step.target === 'office') {
+    const officeId = sos.routing && sos.routing.office && sos.routing.office.office;
+    const office = officeId ? await AgriOffice.findOne({ _id: officeId, active: true }) : null;
+    const contacts = office
+      ? contactsFor(office, sos.severity).map(contact => ({ ...officeLanguage(contact), label: office.name }))
+      : [];
+    return contacts.length > 0 ? contacts : officeFallback(sos);
+  }
+  return step.contacts.map(contact => ({ channel: contact.channel, to: contact.to, language: contact.language }));
+}
+
+// Fire the policy steps that are due for the incident and not yet on its audit trail
+async function escalateIncident(sos, policy, now) {
+  const elapsedMinutes = (now - sos.createdAt) / 60000;
+  let fired = 0;
+
+  for (const [index, step] of policy.steps.entries()) {
+    if (elapsedMinutes < step.afterMinutes || hasReached(sos, step.unlessStatus)) continue;
+    if (sos.escalations.some(escalation => String(escalation.policy) === policy.id && escalation.step === index)) continue;
+
+    const recipients = await resolveRecipients(sos, step);
+    // Nobody to tell yet: leave the step off the audit trail so a later run retries it
+    if (recipients.length === 0) continue;
+    const escalation = {
+      policy: policy._id,
+      policyName: policy.name,
+      step: index,
+      afterMinutes: step.afterMinutes,
+      unlessStatus: step.unlessStatus,
+      target: describeTarget(step),
+      recipients: recipients.map(contact => contact.label
+        ? `${contact.label} (${contact.channel}:${contact.to})` : `${contact.channel}:${contact.to}`),
+      at: now
+    };
+
+    // Record before notifying, guarded so overlapping runs fire each step only once
+    const result = await SOS.updateOne(
+      { _id: sos._id, resolved: false, escalations: { $not: { $elemMatch: { policy: policy._id, step: index } } } },
+      { $push: { escalations: escalation } }
+    );
+    if (result.modifiedCount === 0) continue;
+
+    sos.escalations.push(escalation);
+    fired++;
+    console.log(`⏫ Escalated SOS ${sos.id} to ${escalation.target} (${policy.name}, step ${index + 1})`);
+    await notifySOSEscalation(sos, recipients.map(({ label, ...contact }) => contact), step);
+  }
+  return fired;
+}
+
+// Check every open incident against the escalation policies; returns the number of steps fired
+export async function runEscalations(now = new Date()) {
+  const policies = await EscalationPolicy.find({ active: true });
+  if (policies.length === 0) return 0;
+
+  const earliestStep = Math.min(...policies.flatMap(policy => policy.steps.map(step => step.afterMinutes)));
+  const incidents = await SOS.find({ resolved: false, createdAt: { $lte: new Date(now - earliestStep * 60000) } });
+
+  let fired = 0;
+  for (const sos of incidents) {
+    const policy = selectPolicy(policies, sos);
+    if (!policy) continue;
+    try {
+      fired += await escalateIncident(sos, policy, now);
+    } catch (error) {
+      console.error(`Failed to escalate SOS ${sos.id}:`, error.message);
+    }
+  }
+  return fired;
+}
+
+// Start the escalation scheduler (ESCALATION_CHECK_INTERVAL). Returns a stop function.
+export function startEscalationScheduler(options = {}) {
+  const interval = options.interval || parseInt(process.env.ESCALATION_CHECK_INTERVAL, 10) || DEFAULT_INTERVAL;
+
+  // Skip a tick rather than overlap a run that is still going
+  let running = false;
+  async function run() {
+    if (running) return;
+    running = true;
+    try {
+      await runEscalations();
+    } catch (error) {
+      console.error('Escalation check failed:', error.message);
+    }
+    running = false;
+  }
+
+  run();
+  const timer = setInterval(run, interval);
+  return () => clearInterval(timer);
+}
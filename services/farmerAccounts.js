@@ -0,0 +1,171 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Farmer from '../models/Farmer.js';
+import LoginCode from '../models/LoginCode.js';
+import Conversation from '../models/Conversation.js';
+import VoiceClip from '../models/VoiceClip.js';
+import VoiceQuery from '../models/VoiceQuery.js';
+import { notify } from './notifications/gateway.js';
+
+const CODE_LENGTH = 6;
+const CODE_TTL = 10 * 60 * 1000;
+const RESEND_AFTER = 60 * 1000;
+const MAX_CODE_ATTEMPTS = 5;
+const DEFAULT_SESSION_DAYS = 90;
+const DUPLICATE_KEY_ERROR = 11000;
+
+// Sign-in needs FARMER_SESSION_SECRET; without it farmer accounts are turned off
+export function accountsEnabled() {
+  return Boolean(process.env.FARMER_SESSION_SECRET);
+}
+
+// Phone numbers as E.164. Local ten-digit numbers (with or without a trunk 0) get
+// FARMER_PHONE_COUNTRY_CODE. Returns null for anything that isn't a phone number.
+export function normalizePhone(value) {
+  const raw = String(value || '').trim().replace(/[\s().-]/g, '');
+  const countryCode = process.env.FARMER_PHONE_COUNTRY_CODE || '91';
+  let digits;
+  if (raw.startsWith('+')) {
+    digits = raw.slice(1);
+  } else if (raw.startsWith('00')) {
+    digits = raw.slice(2);
+  } else {
+    const local = raw.replace(/^0/, '');
+    if (!/^\d{10}$/.test(local)) return null;
+    digits = `${countryCode}${local}`;
+  }
+  return /^[1-9]\d{7,14}$/.test(digits) ? `+${digits}` : null;
+}
+
+function hashCode(phone, code) {
+  return crypto.createHmac('sha256', process.env.FARMER_SESSION_SECRET).update(`${phone}:${code}`).digest('hex');
+}
+
+// Text a new sign-in code to `phone` (already normalized) in `language`. Resolves to
+// { expiresAt }, or { retryAfter } in seconds when a code was sent too recently.
+export async function sendLoginCode(phone, language) {
+  const existing = await LoginCode.findOne({ phone });
+  if (existing && Date.now() - existing.createdAt < RESEND_AFTER) {
+    return { retryAfter: Math.ceil((RESEND_AFTER - (Date.now() - existing.createdAt)) / 1000) };
+  }
+
+  const code = String(crypto.randomInt(10 ** CODE_LENGTH)).padStart(CODE_LENGTH, '0');
+  const expiresAt = new Date(Date.now() + CODE_TTL);
+  await LoginCode.findOneAndUpdate(
+    { phone },
+    { codeHash: hashCode(phone, code), attempts: 0, expiresAt, createdAt: new Date() },
+    { upsert: true }
+  );
+  await notify({
+    channel: 'sms',
+    to: phone,
+    template: 'login_code',
+    language,
+    data: { code, minutes: CODE_TTL / 60000 }
+  });
+  return { expiresAt };
+}
+
+// Use up the code sent to `phone`. Each try counts against the code, right or wrong.
+export async function checkLoginCode(phone, code) {
+  const loginCode = await LoginCode.findOneAndUpdate(
+    { phone, expiresAt: { $gt: new Date() }, attempts: { $lt: MAX_CODE_ATTEMPTS } },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!loginCode || loginCode.codeHash !== hashCode(phone, String(code || '').trim())) {
+    return false;
+  }
+  await loginCode.deleteOne();
+  return true;
+}
+
+// The farmer with this phone number, signing them up on their first sign-in.
+// Resolves to { farmer, created }.
+export async function findOrCreateFarmer(phone, language) {
+  const existing = await Farmer.findOne({ phone });
+  if (existing) {
+    return { farmer: existing, created: false };
+  }
+  try {
+    return { farmer: await Farmer.create({ phone, language }), created: true };
+  } catch (error) {
+    // Two sign-ins raced past the lookup; the unique index let only one through
+    if (error.code === DUPLICATE_KEY_ERROR) {
+      return { farmer: await Farmer.findOne({ phone }), created: false };
+    }
+    throw error;
+  }
+}
+
+function sessionDays() {
+  return parseInt(process.env.FARMER_SESSION_DAYS, 10) || DEFAULT_SESSION_DAYS;
+}
+
+function sign(payload) {
+  return crypto.createHmac('sha256', process.env.FARMER_SESSION_SECRET).update(payload).digest('base64url');
+}
+
+// Session tokens are signed rather than stored, so a device can read its own expiry
+// and keep the farmer signed in while it is offline:
+//   base64url({ sub: farmer id, ver: sessionVersion, exp: seconds }).signature
+export function issueSessionToken(farmer) {
+  const expiresAt = new Date(Date.now() + sessionDays() * 24 * 60 * 60 * 1000);
+  const payload = Buffer.from(JSON.stringify({
+    sub: farmer.id,
+    ver: farmer.sessionVersion,
+    exp: Math.floor(expiresAt.getTime() / 1000)
+  })).toString('base64url');
+  return { token: `${payload}.${sign(payload)}`, expiresAt };
+}
+
+// The farmer a session token belongs to, or null if it is forged, expired or was
+// signed out everywhere
+export async function findFarmerBySession(token) {
+  if (!accountsEnabled() || typeof token !== 'string') return null;
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+  if (!claims || !mongoose.isValidObjectId(claims.sub) || !(claims.exp * 1000 > Date.now())) return null;
+
+  const farmer = await Farmer.findById(claims.sub);
+  return farmer && farmer.sessionVersion === claims.ver ? farmer : null;
+}
+
+// Device ids are made up on the phone, so holding one proves nothing by itself. A
+// device registers its id while the server has never seen it and keeps the proof
+// returned, which it shows to bring its history into an account.
+export function deviceProof(device) {
+  return sign(`device:${device}`);
+}
+
+export function checkDeviceProof(device, proof) {
+  if (typeof device !== 'string' || !device || typeof proof !== 'string') return false;
+  const expected = Buffer.from(deviceProof(device));
+  const actual = Buffer.from(proof);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// The proof for a device id nothing has been stored under yet, or null for an id
+// already in use (which may be someone else's)
+export async function registerDevice(device) {
+  const inUse = await Conversation.exists({ device }) || await VoiceQuery.exists({ device }) || await VoiceClip.exists({ device });
+  return inUse ? null : deviceProof(device);
+}
+
+// Conversations this device had before the farmer signed in become theirs, so
+// signing in on another device brings them along. Only call it with a device whose
+// proof was checked.
+export function claimDeviceConversations(farmer, device) {
+  return Conversation.updateMany({ device, farmer: null }, { $set: { farmer: farmer._id } });
+}
@@ -0,0 +1,51 @@
+const EARTH_RADIUS_KM = 6371;
+
+function toRadians(degrees) {
+  return (degrees * Math.PI) / 180;
+}
+
+// Great-circle distance between two { lat, lon } points in kilometres
+export function distanceKm(a, b) {
+  const dLat = toRadians(b.lat - a.lat);
+  const dLon = toRadians(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+}
+
+// Parse and range-check latitude/longitude from query strings or request bodies
+export function parseCoordinates(lat, lon) {
+  const latitude = parseFloat(lat);
+  const longitude = parseFloat(lon);
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude) ||
+      Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+    return null;
+  }
+  return { lat: latitude, lon: longitude };
+}
+
+// Approximate a circle as a closed GeoJSON ring of [lon, lat] points
+export function circleRing(center, radiusKm, points = 32) {
+  const ring = [];
+  const angularDistance = radiusKm / EARTH_RADIUS_KM;
+  const lat1 = toRadians(center.lat);
+  const lon1 = toRadians(center.lon);
+  for (let i = 0; i < points; i++) {
+    const bearing = (2 * Math.PI * i) / points;
+    const lat2 = Math.asin(Math.sin(lat1) * Math.cos(angularDistance) +
+      Math.cos(lat1) * Math.sin(angularDistance) * Math.cos(bearing));
+    const lon2 = lon1 + Math.atan2(Math.sin(bearing) * Math.sin(angularDistance) * Math.cos(lat1),
+      Math.cos(angularDistance) - Math.sin(lat1) * Math.sin(lat2));
+    ring.push([(lon2 * 180) / Math.PI, (lat2 * 180) / Math.PI]);
+  }
+  ring.push(ring[0]);
+  return ring;
+}
+
+export function toGeoPoint({ lat, lon }) {
+  return { type: 'Point', coordinates: [lon, lat] };
+}
+
+export function fromGeoPoint(point) {
+  return { lat: point.coordinates[1], lon: point.coordinates[0] };
+}
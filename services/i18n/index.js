@@ -0,0 +1,87 @@
+import en from './locales/en.js';
+import hi from './locales/hi.js';
+import bn from './locales/bn.js';
+import te from './locales/te.js';
+import ta from './locales/ta.js';
+import mr from './locales/mr.js';
+import gu from './locales/gu.js';
+import kn from './locales/kn.js';
+
+// The app languages, in the order the language pickers list them. `speech` is the
+// locale used for speech recognition and read-aloud.
+export const LANGUAGES = {
+  en: { name: 'English', nativeName: 'English', speech: 'en-US' },
+  hi: { name: 'Hindi', nativeName: 'हिंदी', speech: 'hi-IN' },
+  bn: { name: 'Bengali', nativeName: 'বাংলা', speech: 'bn-IN' },
+  te: { name: 'Telugu', nativeName: 'తెలుగు', speech: 'te-IN' },
+  ta: { name: 'Tamil', nativeName: 'தமிழ்', speech: 'ta-IN' },
+  mr: { name: 'Marathi', nativeName: 'मराठी', speech: 'mr-IN' },
+  gu: { name: 'Gujarati', nativeName: 'ગુજરાતી', speech: 'gu-IN' },
+  kn: { name: 'Kannada', nativeName: 'ಕನ್ನಡ', speech: 'kn-IN' }
+};
+
+export const DEFAULT_LANGUAGE = 'en';
+
+const CATALOGS = { en, hi, bn, te, ta, mr, gu, kn };
+
+function merge(base, overrides) {
+  const merged = { ...base };
+  Object.entries(overrides || {}).forEach(([key, value]) => {
+    merged[key] = value && typeof value === 'object' && !Array.isArray(value) && base[key] && typeof base[key] === 'object'
+      ? merge(base[key], value)
+      : value;
+  });
+  return merged;
+}
+
+// Each catalog with the English messages filled in for any it lacks
+const merged = Object.fromEntries(Object.entries(CATALOGS)
+  .map(([language, catalog]) => [language, language === DEFAULT_LANGUAGE ? catalog : merge(en, catalog)]));
+
+// 'hi-IN', 'HI' and 'hi' are all Hindi; null for languages the app does not have
+export function normalizeLanguage(value) {
+  if (typeof value !== 'string') return null;
+  const language = value.trim().toLowerCase().split(/[-_]/)[0];
+  return LANGUAGES[language] ? language : null;
+}
+
+// The best app language for an Accept-Language header, by its q-values
+export function negotiateLanguage(header) {
+  const ranges = String(header || '').split(',')
+    .map((part, index) => {
+      const [range, ...params] = part.trim().split(';');
+      const q = params.map(param => param.trim()).find(param => param.startsWith('q='));
+      return { language: normalizeLanguage(range), quality: q ? parseFloat(q.slice(2)) : 1, index };
+    })
+    .filter(range => range.language && range.quality > 0)
+    .sort((a, b) => (b.quality - a.quality) || (a.index - b.index));
+  return ranges.length > 0 ? ranges[0].language : null;
+}
+
+export function catalogFor(language) {
+  return merged[normalizeLanguage(language) || DEFAULT_LANGUAGE];
+}
+
+function lookup(catalog, key) {
+  return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalog);
+}
+
+function fill(message, params) {
+  return message.replace(/\{(\w+)\}/g, (match, name) => params[name] === undefined ? match : String(params[name]));
+}
+
+// The message for a dotted key, e.g. translate('hi', 'sos.sent'). A { one, other } message
+// is chosen by params.count. Unknown keys come back as the key itself.
+export function translate(language, key, params = {}) {
+  const code = normalizeLanguage(language) || DEFAULT_LANGUAGE;
+  let message = lookup(merged[code], key);
+  if (message && typeof message === 'object' && 'other' in message) {
+    const form = new Intl.PluralRules(code).select(Number(params.count) || 0);
+    message = message[form] || message.other;
+  }
+  return typeof message === 'string' ? fill(message, params) : key;
+}
+
+export function translator(language) {
+  return (key, params) => translate(language, key, params);
+}
@@ -0,0 +1,489 @@
+// Bengali messages; missing keys fall back to English
+export default {
+  common: {
+    online: 'অনলাইন',
+    offline: 'অফলাইন',
+    refresh: 'রিফ্রেশ করুন',
+    clear: 'মুছুন',
+    close: 'বন্ধ করুন',
+    share: 'শেয়ার করুন',
+    install: 'ইনস্টল করুন',
+    signIn: 'সাইন ইন করুন',
+    signOut: 'সাইন আউট করুন',
+    accessToken: 'অ্যাক্সেস টোকেন',
+    tokenPlaceholder: 'আপনার অ্যাডমিনের দেওয়া টোকেন এখানে দিন',
+    callNow: 'এখনই কল করুন',
+    loading: 'লোড হচ্ছে...',
+    saveOffline: 'অফলাইনে সংরক্ষণ করুন',
+    onlineOnly: 'শুধু অনলাইন',
+    availableOffline: 'অফলাইনে পাওয়া যায়',
+    requestFailed: 'অনুরোধ ব্যর্থ হয়েছে',
+    language: 'ভাষা',
+    km: '{distance} কিমি',
+    severity: { low: 'কম', medium: 'মাঝারি', high: 'বেশি', critical: 'গুরুতর' },
+    categories: { soil: 'মাটি', crops: 'ফসল', fertilizer: 'সার', pest: 'কীটপতঙ্গ নিয়ন্ত্রণ' }
+  },
+  titles: {
+    home: 'AgriEcho - স্মার্ট কৃষি সহায়ক',
+    knowledge: 'জ্ঞানভাণ্ডার',
+    article: '{title} - জ্ঞানভাণ্ডার',
+    articleNotFound: 'লেখা পাওয়া যায়নি - জ্ঞানভাণ্ডার',
+    weather: 'আবহাওয়া ও সতর্কতা',
+    sos: 'জরুরি SOS',
+    responder: 'রেসপন্ডার কনসোল',
+    voice: 'ভয়েস সহায়ক',
+    expert: 'বিশেষজ্ঞ ইনবক্স',
+    account: 'আমার অ্যাকাউন্ট'
+  },
+  nav: {
+    home: 'হোম',
+    learn: 'শিখুন',
+    weather: 'আবহাওয়া',
+    sos: 'SOS',
+    ask: 'জিজ্ঞাসা',
+    knowledge: 'জ্ঞান',
+    voice: 'ভয়েস'
+  },
+  layout: {
+    description: 'AgriEcho - অফলাইনে চলা স্মার্ট কৃষি সহায়ক',
+    installPrompt: 'অফলাইনে ব্যবহারের জন্য AgriEcho ইনস্টল করুন',
+    tagline: 'স্মার্ট কৃষি সহায়ক',
+    madeFor: 'কৃষকদের জন্য {heart} দিয়ে তৈরি',
+    chooseLanguage: 'ভাষা বেছে নিন',
+    account: 'আমার অ্যাকাউন্ট'
+  },
+  home: {
+    welcome: '{brand}-এ স্বাগতম',
+    intro: 'আপনার স্মার্ট কৃষি সঙ্গী, যা অফলাইনে কাজ করে এবং ইন্টারনেট ফিরলে সিঙ্ক হয়।',
+    farmers: '১০,০০০+ কৃষক',
+    tips: '৫০০+ পরামর্শ',
+    worksOffline: 'অফলাইনে চলে',
+    heroAlt: 'মাঠে কৃষক',
+    featuresTitle: 'আধুনিক কৃষির জন্য স্মার্ট সুবিধা',
+    knowledgeTitle: 'জ্ঞানভাণ্ডার',
+    knowledgeText: 'ইন্টারনেট ছাড়াও কৃষি নির্দেশিকা, পরামর্শ ও ভালো পদ্ধতি পড়ুন।',
+    knowledgeBadge: 'অফলাইনে প্রস্তুত',
+    weatherTitle: 'আবহাওয়া সতর্কতা',
+    weatherText: 'খারাপ আবহাওয়া থেকে ফসল বাঁচাতে সময়মতো আবহাওয়ার খবর ও সতর্কতা পান।',
+    weatherBadge: 'তাৎক্ষণিক',
+    sosTitle: 'জরুরি SOS',
+    sosText: 'ফসলের রোগ, প্রাকৃতিক দুর্যোগ বা জরুরি সাহায্যের জন্য সতর্কবার্তা পাঠান।',
+    sosBadge: 'গুরুতর',
+    voiceTitle: 'ভয়েস সহায়ক',
+    voiceText: 'নিজের ভাষায় কথা বলে প্রশ্ন করুন। হাত খালি রেখে চাষের জন্য আদর্শ।',
+    voiceBadge: 'বহুভাষিক',
+    syncTitle: 'ডেটা সিঙ্ক অবস্থা',
+    synced: 'সব ডেটা সিঙ্ক হয়েছে',
+    syncing: 'ডেটা সিঙ্ক হচ্ছে...',
+    syncOffline: 'অফলাইন মোড - অনলাইনে এলে ডেটা সিঙ্ক হবে',
+    offlineArticles: 'অফলাইন লেখা',
+    weatherData: 'আবহাওয়ার ডেটা'
+  },
+  knowledge: {
+    heading: 'জ্ঞানভাণ্ডার',
+    intro: 'বিশেষজ্ঞদের কৃষি নির্দেশিকা ও ভালো পদ্ধতি থেকে শিখুন',
+    searchPlaceholder: 'লেখা খুঁজুন...',
+    all: 'সব',
+    readMore: 'আরও পড়ুন',
+    noResults: 'আপনার খোঁজের সঙ্গে কোনো লেখা মেলেনি।',
+    savedOffline: 'অফলাইনে রাখা লেখা',
+    totalArticles: 'মোট লেখা',
+    audioAvailable: 'অডিও আছে',
+    openFull: 'পুরো লেখা খুলুন',
+    searchedOffline: 'অফলাইন - {count}টি সংরক্ষিত লেখায় খোঁজা হয়েছে',
+    resultsFound: { one: '{count}টি ফল পাওয়া গেছে', other: '{count}টি ফল পাওয়া গেছে' },
+    shareText: 'AgriEcho-র এই কৃষি লেখাটি দেখুন',
+    linkCopied: 'লেখার লিংক কপি হয়েছে!'
+  },
+  article: {
+    back: 'জ্ঞানভাণ্ডারে ফিরে যান',
+    notFound: 'লেখা পাওয়া যায়নি',
+    notFoundText: 'লেখাটি সরিয়ে ফেলা হয়েছে বা লিংকটি ভুল।',
+    listen: 'শুনুন',
+    pause: 'থামান',
+    resume: 'আবার শুরু করুন',
+    references: 'তথ্যসূত্র'
+  },
+  player: {
+    unsupported: 'এই ব্রাউজারে পড়ে শোনানোর সুবিধা নেই',
+    resuming: 'অনুচ্ছেদ {number} থেকে আবার শুরু হচ্ছে',
+    position: 'অনুচ্ছেদ {current} / {total}',
+    previous: 'আগের অনুচ্ছেদ',
+    playPause: 'চালান বা থামান',
+    next: 'পরের অনুচ্ছেদ',
+    speed: 'চালানোর গতি',
+    stop: 'বন্ধ করুন'
+  },
+  weather: {
+    heading: 'আবহাওয়া ও সতর্কতা',
+    intro: 'আবহাওয়া ও কৃষি সতর্কতা সম্পর্কে জানুন',
+    yourLocation: 'আপনার অবস্থান',
+    currentLocation: 'বর্তমান অবস্থান',
+    locationUnknown: 'অবস্থান অজানা',
+    visibility: 'দৃশ্যমানতা',
+    humidity: 'আর্দ্রতা',
+    windSpeed: 'বাতাসের গতি',
+    next24Hours: 'পরের ২৪ ঘণ্টা',
+    loadingHourly: 'ঘণ্টাভিত্তিক পূর্বাভাস লোড হচ্ছে...',
+    sevenDay: '৭ দিনের পূর্বাভাস',
+    loadingForecast: 'পূর্বাভাস লোড হচ্ছে...',
+    activeAlerts: 'সক্রিয় আবহাওয়া সতর্কতা',
+    officialAlert: 'সরকারি সতর্কতা',
+    validUntil: '{date} পর্যন্ত বৈধ',
+    ongoing: 'চলছে',
+    cropAdvisories: 'ফসল পরামর্শ',
+    selectCrops: 'সেচ ও ফসল কাটার পরামর্শের জন্য আপনার ফসল বেছে নিন:',
+    advisoriesPending: 'পূর্বাভাস লোড হলে পরামর্শ দেখা যাবে।',
+    updated: '{time}-এ আপডেট হয়েছে',
+    today: 'আজ',
+    tomorrow: 'আগামীকাল',
+    cachedStale: 'পুরনো সংরক্ষিত আবহাওয়ার ডেটা দেখানো হচ্ছে (অফলাইন মোড)',
+    cached: 'সংরক্ষিত আবহাওয়ার ডেটা দেখানো হচ্ছে (অফলাইন মোড)',
+    unavailableOffline: 'অফলাইনে আবহাওয়া পাওয়া যাচ্ছে না',
+    connectOnce: 'পূর্বাভাস ডাউনলোড করতে একবার ইন্টারনেটে যুক্ত হন।',
+    alertsUpdated: 'আবহাওয়া সতর্কতা আপডেট হয়েছে',
+    backOnline: 'আবার অনলাইন - আবহাওয়ার ডেটা আপডেট হয়েছে',
+    offlineMode: 'অফলাইন মোড - সংরক্ষিত আবহাওয়ার ডেটা দেখানো হচ্ছে',
+    conditions: {
+      Sunny: 'রৌদ্রোজ্জ্বল',
+      'Partly Cloudy': 'আংশিক মেঘলা',
+      Cloudy: 'মেঘলা',
+      Fog: 'কুয়াশা',
+      'Light Rain': 'হালকা বৃষ্টি',
+      'Heavy Rain': 'ভারী বৃষ্টি',
+      Thunderstorm: 'বজ্রঝড়',
+      Snow: 'তুষার'
+    }
+  },
+  advisories: {
+    crops: {
+      rice: 'ধান', wheat: 'গম', maize: 'ভুট্টা', cotton: 'তুলা',
+      sugarcane: 'আখ', soybean: 'সয়াবিন', tomato: 'টমেটো', onion: 'পেঁয়াজ'
+    },
+    sprayProblems: {
+      rain: 'স্প্রে শুকানোর আগে বৃষ্টির সম্ভাবনা আছে',
+      wind: 'বাতাস খুব জোরে, স্প্রে উড়ে যাবে',
+      calm: 'বাতাস খুব স্থির, ছোট ফোঁটা ভেসে ছড়িয়ে যেতে পারে',
+      heat: 'খুব গরম, স্প্রে বাষ্প হয়ে যাবে',
+      humidity: 'আর্দ্রতা নিরাপদ সীমার বাইরে',
+      unknown: 'পূর্বাভাসের ডেটা পাওয়া যাচ্ছে না'
+    },
+    noSprayTitle: 'স্প্রে করার নিরাপদ সময় নেই',
+    noSprayMessage: 'পরের {hours} ঘণ্টা স্প্রে করবেন না: {problem}।',
+    sprayTitle: 'স্প্রে করার সময়',
+    sprayMessage: 'কীটনাশক স্প্রের জন্য শান্ত, শুকনো আবহাওয়া: {times}।',
+    irrigationTitle: '{crop} সেচ',
+    irrigateOn: '{days} তারিখে {crop}-এ সেচ দিন।',
+    rainDay: '{day} ({rain} মিমি বৃষ্টি)',
+    rainWaters: '{days} তারিখে বৃষ্টি জমিতে জল দেবে।',
+    noIrrigation: 'এই সপ্তাহে {crop}-এ সেচের দরকার নেই; বৃষ্টির সম্ভাবনা আছে।',
+    harvestTitle: '{crop} কাটা ও শুকানো',
+    noDryingWindow: 'এই সপ্তাহে {days} দিনের শুকনো আবহাওয়া নেই। সম্ভব হলে ফসল কাটা পিছিয়ে দিন, বা ঢেকে শুকানোর ব্যবস্থা করুন।',
+    dryingWindow: 'ফসল তৈরি হলে {range} কেটে রোদে শুকান ({days} শুকনো দিন)।'
+  },
+  sos: {
+    heading: 'জরুরি SOS',
+    intro: 'তাৎক্ষণিক সাহায্যের জন্য জরুরি সতর্কবার্তা পাঠান',
+    quickActions: 'দ্রুত জরুরি পদক্ষেপ',
+    types: {
+      'crop-disease': 'ফসলের রোগ',
+      'weather-damage': 'আবহাওয়ায় ক্ষতি',
+      'equipment-failure': 'যন্ত্র বিকল',
+      'pest-attack': 'পোকার আক্রমণ',
+      'medical-emergency': 'চিকিৎসা জরুরি অবস্থা',
+      'natural-disaster': 'প্রাকৃতিক দুর্যোগ',
+      'need-help': 'সাহায্য দরকার',
+      other: 'অন্যান্য'
+    },
+    quickMessages: {
+      'crop-disease': 'ফসলে রোগের প্রাদুর্ভাব দেখা গেছে',
+      'weather-damage': 'আবহাওয়ায় ফসলের ক্ষতি হয়েছে',
+      'equipment-failure': 'কৃষি যন্ত্র বিকল হয়েছে',
+      'pest-attack': 'পোকার তীব্র আক্রমণ',
+      'medical-emergency': 'খামারে চিকিৎসা জরুরি অবস্থা',
+      'need-help': 'চাষে সাধারণ সাহায্য দরকার'
+    },
+    detailedReport: 'বিস্তারিত জরুরি রিপোর্ট',
+    typeLabel: 'জরুরি অবস্থার ধরন',
+    selectType: 'জরুরি অবস্থার ধরন বেছে নিন',
+    severityLabel: 'গুরুত্বের মাত্রা',
+    severityOptions: {
+      low: 'কম - অপেক্ষা করা যায়',
+      medium: 'মাঝারি - শীঘ্র সাহায্য দরকার',
+      high: 'বেশি - জরুরি',
+      critical: 'গুরুতর - এখনই সাহায্য দরকার'
+    },
+    locationLabel: 'অবস্থানের বিবরণ',
+    locationPlaceholder: 'আপনার অবস্থান বা ঠিকানা লিখুন',
+    useLocation: 'বর্তমান অবস্থান ব্যবহার করুন',
+    messageLabel: 'জরুরি অবস্থার বিবরণ দিন',
+    messagePlaceholder: 'কী হয়েছে এবং কী সাহায্য দরকার লিখুন...',
+    contactLabel: 'যোগাযোগের তথ্য',
+    contactPlaceholder: 'জরুরি যোগাযোগের জন্য আপনার ফোন নম্বর',
+    attachmentsLabel: 'ছবি ও ভয়েস নোট',
+    addPhoto: 'ছবি যোগ করুন',
+    recordVoice: 'ভয়েস নোট রেকর্ড করুন',
+    stopRecording: 'থামান (সর্বোচ্চ {seconds} সেকেন্ড)',
+    attachedPhoto: 'যুক্ত ছবি',
+    removeAttachment: 'সংযুক্তি সরান',
+    send: 'SOS সতর্কবার্তা পাঠান',
+    statusHeading: 'জরুরি অবস্থা',
+    connectionStatus: 'সংযোগের অবস্থা',
+    onlineStatus: 'অনলাইন - সতর্কবার্তা সঙ্গে সঙ্গে যায়',
+    offlineStatus: 'অফলাইন - সতর্কবার্তা সারিতে রাখা হবে',
+    pendingAlerts: 'বাকি সতর্কবার্তা',
+    pendingCount: { one: '{count}টি সতর্কবার্তা পাঠানো বাকি', other: '{count}টি সতর্কবার্তা পাঠানো বাকি' },
+    sentToday: 'আজ পাঠানো',
+    sentCount: { one: '{count}টি সতর্কবার্তা সফলভাবে পাঠানো হয়েছে', other: '{count}টি সতর্কবার্তা সফলভাবে পাঠানো হয়েছে' },
+    smsHeading: 'ডেটা সংযোগ নেই?',
+    smsText: 'বাকি সতর্কবার্তা মোবাইল নেটওয়ার্কে SMS হিসেবে যেতে পারে। সতর্কবার্তা লেখা মেসেজ অ্যাপ খুলতে ট্যাপ করুন, তারপর পাঠান চাপুন।',
+    smsOpened: '{time} মেসেজে খোলা হয়েছে',
+    queuedAt: '{time} সারিতে রাখা হয়েছে',
+    sendAgain: 'আবার পাঠান',
+    sendSMS: 'SMS-এ পাঠান',
+    myAlerts: 'আমার সতর্কবার্তা',
+    steps: {
+      received: 'পাওয়া গেছে',
+      acknowledged: 'স্বীকৃত',
+      assigned: 'রেসপন্ডার নিযুক্ত',
+      en_route: 'পথে',
+      resolved: 'সমাধান হয়েছে'
+    },
+    attachmentsUploaded: { one: '{count}টি সংযুক্তি আপলোড হয়েছে', other: '{count}টি সংযুক্তি আপলোড হয়েছে' },
+    nearestOffice: 'নিকটতম অফিস: {name}',
+    contactsHeading: 'জরুরি যোগাযোগ',
+    contactsFor: '{area}-এর যোগাযোগ',
+    nationalNumbers: 'জাতীয় জরুরি নম্বর',
+    savedForOffline: '{where} · {date} অফলাইন ব্যবহারের জন্য সংরক্ষিত',
+    distanceAway: '{distance} কিমি দূরে',
+    contactCategories: {
+      emergency: 'জরুরি',
+      ambulance: 'চিকিৎসা জরুরি',
+      police: 'পুলিশ',
+      fire: 'দমকল',
+      disaster: 'দুর্যোগ নিয়ন্ত্রণ',
+      'agri-officer': 'কৃষি আধিকারিক',
+      kvk: 'কৃষি বিজ্ঞান কেন্দ্র',
+      veterinary: 'পশু চিকিৎসা পরিষেবা',
+      helpline: 'হেল্পলাইন'
+    },
+    ambulanceService: '108 - জাতীয় অ্যাম্বুলেন্স পরিষেবা',
+    policeControl: '100 - পুলিশ কন্ট্রোল রুম',
+    fireServices: '101 - দমকল ও উদ্ধার পরিষেবা',
+    kisanCallCentre: '1800-180-1551 - কিষাণ কল সেন্টার',
+    attachmentsNotSaved: 'এই সতর্কবার্তার সঙ্গে ছবি ও ভয়েস নোট সংরক্ষণ করা যায়নি',
+    recordingUnsupported: 'এই ব্রাউজারে ভয়েস রেকর্ডিং সমর্থিত নয়',
+    recordingFailed: 'ভয়েস নোট রেকর্ড করা যায়নি',
+    attachmentLimit: 'আপনি সর্বোচ্চ {max}টি ছবি বা ভয়েস নোট যোগ করতে পারেন',
+    sent: 'SOS সতর্কবার্তা সফলভাবে পাঠানো হয়েছে!',
+    savedOfflineRetry: 'SOS অফলাইনে সংরক্ষিত - সংযোগ ফিরলে পাঠানো হবে',
+    savedOfflineSMS: 'SOS সতর্কবার্তা অফলাইনে সংরক্ষিত - নিচে SMS-এ পাঠান, নয়তো অনলাইনে এলে পাঠানো হবে',
+    savedOffline: 'SOS সতর্কবার্তা অফলাইনে সংরক্ষিত - অনলাইনে এলে পাঠানো হবে',
+    pendingSent: { one: '{count}টি বাকি সতর্কবার্তা সফলভাবে পাঠানো হয়েছে', other: '{count}টি বাকি সতর্কবার্তা সফলভাবে পাঠানো হয়েছে' },
+    locationCaptured: 'অবস্থান সফলভাবে পাওয়া গেছে',
+    locationFailed: 'আপনার অবস্থান পাওয়া যায়নি',
+    geolocationUnsupported: 'এই ব্রাউজারে অবস্থান সুবিধা নেই',
+    confirmCall: 'আপনি কি {number}-এ কল করতে চান?',
+    emergencyNumber: 'জরুরি নম্বর: {number}',
+    backOnline: 'আবার অনলাইন - বাকি সতর্কবার্তা সিঙ্ক হচ্ছে',
+    goneOffline: 'অফলাইন হয়ে গেছেন - সতর্কবার্তা সারিতে রাখা হবে'
+  },
+  voice: {
+    heading: 'ভয়েস সহায়ক',
+    intro: 'নিজের কণ্ঠে চাষ সম্পর্কে প্রশ্ন করুন',
+    tapToRecord: 'রেকর্ডিং শুরু করতে ট্যাপ করুন',
+    listening: 'শুনছি...',
+    processing: 'প্রক্রিয়া চলছে...',
+    recognitionError: 'ত্রুটি হয়েছে। আবার চেষ্টা করুন।',
+    recognitionUnsupported: 'এই ব্রাউজারে কণ্ঠস্বর চেনার সুবিধা নেই',
+    selectLanguage: 'ভাষা বেছে নিন:',
+    conversation: 'কথোপকথন',
+    welcome: 'নমস্কার! আমি আপনার কৃষি সহায়ক। আপনি আমাকে এসব বিষয়ে জিজ্ঞাসা করতে পারেন:',
+    topics: {
+      diseases: 'ফসলের রোগ ও চিকিৎসা',
+      weather: 'আবহাওয়া অনুযায়ী চাষের পরামর্শ',
+      soil: 'মাটির স্বাস্থ্য ও সার',
+      pests: 'কীটপতঙ্গ নিয়ন্ত্রণের উপায়',
+      practices: 'চাষের ভালো পদ্ধতি'
+    },
+    tapMicrophone: 'শুধু মাইক্রোফোনে ট্যাপ করে কথা বলা শুরু করুন!',
+    quickQuestions: 'দ্রুত প্রশ্ন',
+    questions: {
+      plantRice: { ask: 'ধান রোপণের সবচেয়ে ভালো সময় কখন?', label: 'ধান রোপণের সময়?' },
+      aphids: { ask: 'ফসলে জাব পোকা কীভাবে দমন করব?', label: 'জাব পোকা দমন?' },
+      tomatoFertilizer: { ask: 'টমেটোর জন্য কোন সার ভালো?', label: 'টমেটোর সার?' },
+      soilQuality: { ask: 'মাটির মান কীভাবে বাড়াব?', label: 'মাটির মান বাড়ানো?' },
+      diseaseSigns: { ask: 'গাছের রোগের লক্ষণ কী কী?', label: 'রোগের লক্ষণ?' },
+      weatherImpact: { ask: 'আবহাওয়া চাষে কী প্রভাব ফেলে?', label: 'আবহাওয়ার প্রভাব?' }
+    },
+    recentQuestions: 'সাম্প্রতিক প্রশ্ন',
+    questionsAsked: { one: '{count}টি প্রশ্ন করা হয়েছে', other: '{count}টি প্রশ্ন করা হয়েছে' },
+    expertResponse: 'আপনার প্রশ্নের জন্য ধন্যবাদ। আমাদের জ্ঞানভাণ্ডারে নির্ভরযোগ্য উত্তর পাওয়া যায়নি, তাই এটি আমাদের বিশেষজ্ঞদের কাছে পাঠানো হয়েছে। তাঁরা শীঘ্রই উত্তর দেবেন।',
+    offlineSaved: 'আপনার প্রশ্নের জন্য ধন্যবাদ। আমি এখন অফলাইনে আছি, তবে আপনার প্রশ্ন সংরক্ষিত হয়েছে। সংযোগ ফিরলে বিস্তারিত উত্তর দেব।',
+    recordingClip: 'আপনার প্রশ্ন রেকর্ড হচ্ছে... থামাতে ট্যাপ করুন',
+    clipQueued: 'আপনার রেকর্ড করা প্রশ্ন সংরক্ষিত হয়েছে। অনলাইনে ফিরলে এটি লিখে নিয়ে উত্তর দেওয়া হবে।',
+    clipFailed: 'আপনার প্রশ্ন রেকর্ড করা যায়নি। মাইক্রোফোনের অনুমতি দেখে আবার চেষ্টা করুন।',
+    expertReplied: '{expert} "{question}"-এর উত্তর দিয়েছেন',
+    sentToExpert: 'বিশেষজ্ঞের কাছে পাঠানো হয়েছে · উত্তর এলে আপনাকে জানানো হবে',
+    source: 'সূত্র: {sources}',
+    answeredOffline: 'অফলাইনে উত্তর দেওয়া',
+    answerInOtherLanguage: 'এই উত্তরটি শুধু {language}-এ পাওয়া যায়:',
+    confirmClear: 'আপনি কি কথোপকথনের ইতিহাস মুছতে চান?',
+    cleared: 'কথোপকথন মুছে ফেলা হয়েছে। আজ কীভাবে সাহায্য করতে পারি?',
+    historyCode: 'ইতিহাস সরান',
+    restoreHistory: 'ইতিহাস ফিরিয়ে আনুন',
+    historyCodeShown: 'এই কথোপকথনের ইতিহাস আপনার অন্য ফোনে নিতে 24 ঘণ্টার মধ্যে সেখানে "ইতিহাস ফিরিয়ে আনুন"-এ কোড {code} লিখুন।',
+    noHistoryToMove: 'সরানোর মতো কোনো কথোপকথনের ইতিহাস এখনও নেই',
+    historyNotMovable: 'এই ইতিহাস সরাতে সাইন ইন করুন; এই ফোনটিকে মালিক হিসেবে যাচাই করা যায়নি',
+    enterHistoryCode: 'আপনার পুরনো ফোনে "ইতিহাস সরান"-এ দেখানো কোডটি লিখুন:',
+    historyCodeInvalid: 'এই কোডটি বৈধ নয় বা মেয়াদ শেষ হয়ে গেছে',
+    historyRestored: 'কথোপকথনের ইতিহাস ফিরিয়ে আনা হয়েছে',
+    historyNeedsConnection: 'ইতিহাস সরাতে ইন্টারনেটে যুক্ত হন',
+    historyCleared: 'কথোপকথনের ইতিহাস মুছে ফেলা হয়েছে'
+  },
+  responder: {
+    heading: 'রেসপন্ডার কনসোল',
+    intro: 'কৃষকদের SOS ঘটনা বাছাই, দায়িত্ব দেওয়া ও সমাধান করুন',
+    open: 'খোলা',
+    assignedToMe: 'আমাকে দেওয়া',
+    resolved: 'সমাধান হয়েছে',
+    statuses: {
+      received: 'নতুন',
+      acknowledged: 'স্বীকার করা হয়েছে',
+      assigned: 'দায়িত্ব দেওয়া হয়েছে',
+      en_route: 'পথে',
+      resolved: 'সমাধান হয়েছে'
+    },
+    loadFailed: 'ঘটনাগুলি লোড করা যায়নি',
+    empty: 'এখানে কোনো ঘটনা নেই।',
+    acknowledgedBy: '{name} স্বীকার করেছেন',
+    assignedTo: '{name}-কে দেওয়া হয়েছে',
+    resolvedBy: '{name} সমাধান করেছেন',
+    aResponder: 'একজন রেসপন্ডার',
+    viaSMS: 'SMS-এর মাধ্যমে',
+    resolution: 'সমাধান:',
+    nearestResponders: 'নিকটতম রেসপন্ডার: {responders}',
+    office: 'অফিস: {office}',
+    noneInRange: 'সীমার মধ্যে কেউ নেই',
+    escalatedTo: '{target}-এর কাছে পাঠানো হয়েছে: {minutes} মিনিট পরেও {status} হয়নি',
+    nobodyToNotify: 'জানানোর মতো কেউ নেই',
+    attachmentLoading: 'লোড হচ্ছে…',
+    stillUploading: '{count}টি এখনও আপলোড হচ্ছে',
+    farmerPhoto: 'কৃষকের পাঠানো ছবি',
+    attachmentFailed: 'সংযুক্তি লোড করা যায়নি',
+    acknowledge: 'স্বীকার করুন',
+    assignTo: 'যাকে দেবেন',
+    assign: 'দায়িত্ব দিন',
+    enRoute: 'পথে',
+    resolve: 'সমাধান করুন',
+    notePlaceholder: 'অন্য রেসপন্ডারদের জন্য একটি নোট লিখুন',
+    addNote: 'নোট যোগ করুন',
+    acknowledgedToast: 'ঘটনা স্বীকার করা হয়েছে',
+    assignedToast: 'ঘটনার দায়িত্ব দেওয়া হয়েছে',
+    enRouteToast: 'কৃষককে জানানো হয়েছে যে সাহায্য পথে আছে',
+    noteAdded: 'নোট যোগ হয়েছে',
+    resolvePrompt: 'এই ঘটনার সমাধান কীভাবে হলো?',
+    resolvedToast: 'ঘটনার সমাধান হয়েছে'
+  },
+  expert: {
+    heading: 'বিশেষজ্ঞ ইনবক্স',
+    intro: 'জ্ঞানভাণ্ডার যে চাষের প্রশ্নগুলির উত্তর দিতে পারেনি, সেগুলির উত্তর দিন',
+    queue: 'সারি',
+    claimedByMe: 'আমার নেওয়া',
+    done: 'সম্পন্ন',
+    loadFailed: 'প্রশ্নগুলি লোড করা যায়নি',
+    empty: 'এখানে কোনো প্রশ্ন নেই।',
+    statuses: {
+      'pending-expert': 'বিশেষজ্ঞের অপেক্ষায়',
+      claimed: 'নেওয়া হয়েছে',
+      answered: 'উত্তর দেওয়া হয়েছে',
+      rejected: 'বাতিল'
+    },
+    match: 'জ্ঞানভাণ্ডারে {percent}% মিল',
+    specialty: 'আপনার বিশেষত্ব',
+    answer: 'উত্তর:',
+    rejected: 'বাতিল:',
+    claim: 'নিন',
+    claimed: 'প্রশ্নটি নেওয়া হয়েছে',
+    template: 'উত্তরের টেমপ্লেট',
+    startFromTemplate: 'একটি টেমপ্লেট দিয়ে শুরু করুন…',
+    answerPlaceholder: 'কৃষক যে উত্তর শুনবেন তা লিখুন',
+    sendAnswer: 'উত্তর পাঠান',
+    reject: 'বাতিল করুন',
+    release: 'ছেড়ে দিন',
+    released: 'প্রশ্নটি সারিতে ফেরত গেছে',
+    yourCrop: 'আপনার ফসল',
+    answerSent: 'উত্তর কৃষকের কাছে পাঠানো হয়েছে',
+    rejectPrompt: 'এই প্রশ্নের উত্তর কেন দেওয়া যাবে না? কৃষক এটি দেখবেন।',
+    followUp: 'পরবর্তী প্রশ্ন, এভাবে বোঝা হয়েছে: {question}',
+    rejectedToast: 'প্রশ্নটি বাতিল করা হয়েছে'
+  },
+  access: {
+    staffOnly: 'এই পাতাটি AgriEcho কর্মীদের জন্য।',
+    signInFor: 'এই পাতাটি খুলতে আপনার কর্মী অ্যাক্সেস টোকেন দিয়ে সাইন ইন করুন।',
+    forbidden: '{name}-এর এই পাতায় প্রবেশের অনুমতি নেই। অন্য অ্যাকাউন্ট দিয়ে সাইন ইন করুন।'
+  },
+  account: {
+    heading: 'আমার অ্যাকাউন্ট',
+    intro: 'ফোন নম্বর দিয়ে সাইন ইন করুন, তাহলে আপনার খামারের তথ্য যেকোনো ফোনে পাবেন।',
+    phoneLabel: 'ফোন নম্বর',
+    phonePlaceholder: '10 সংখ্যার মোবাইল নম্বর',
+    sendCode: 'কোড পাঠান',
+    codeSent: 'আমরা {phone} নম্বরে SMS-এ কোড পাঠিয়েছি।',
+    codeLabel: 'SMS-এর কোড',
+    codePlaceholder: '6 সংখ্যার কোড',
+    changeNumber: 'অন্য নম্বর ব্যবহার করুন',
+    resendIn: 'এইমাত্র কোড পাঠানো হয়েছে। {seconds} সেকেন্ড পরে নতুন কোড চাইতে পারবেন।',
+    wrongCode: 'কোডটি ভুল বা মেয়াদ শেষ হয়ে গেছে।',
+    needsConnection: 'সাইন ইন করতে ইন্টারনেট সংযোগ লাগবে।',
+    unavailable: 'অ্যাকাউন্ট এখন পাওয়া যাচ্ছে না।',
+    welcome: 'স্বাগতম! নিচে আপনার খামারের তথ্য দিন।',
+    signedIn: 'সাইন ইন হয়েছে',
+    signedInAs: '{phone} দিয়ে সাইন ইন',
+    profile: 'খামারের প্রোফাইল',
+    nameLabel: 'আপনার নাম',
+    villageLabel: 'গ্রাম',
+    districtLabel: 'জেলা',
+    districtCodeLabel: 'জেলা কোড (সরকারি সতর্কতার জন্য)',
+    farmLocationLabel: 'খামারের অবস্থান',
+    farmLocationSet: '{lat}, {lon}',
+    farmLocationUnset: 'সেট করা নেই',
+    useCurrentLocation: 'আমার বর্তমান অবস্থান',
+    locationFailed: 'আপনার অবস্থান পাওয়া যায়নি।',
+    languageLabel: 'পছন্দের ভাষা',
+    cropsLabel: 'আপনি যে ফসল চাষ করেন',
+    save: 'প্রোফাইল সংরক্ষণ করুন',
+    saved: 'প্রোফাইল সংরক্ষিত হয়েছে',
+    savedOffline: 'প্রোফাইল এই ফোনে সংরক্ষিত হয়েছে। অনলাইনে এলে পাঠানো হবে।',
+    signOutEverywhere: 'সব ফোন থেকে সাইন আউট করুন',
+    signedOutEverywhere: 'সব ফোন থেকে সাইন আউট হয়েছে'
+  },
+  app: {
+    newVersion: 'নতুন সংস্করণ এসেছে! আপডেটের জন্য রিফ্রেশ করুন।',
+    installed: 'AgriEcho সফলভাবে ইনস্টল হয়েছে!',
+    backOnline: 'আবার অনলাইন! ডেটা সিঙ্ক হচ্ছে...',
+    nowOffline: 'আপনি এখন অফলাইনে। ডেটা এই ডিভাইসেই সংরক্ষিত হবে।',
+    syncComplete: 'সব ডেটা সফলভাবে সিঙ্ক হয়েছে!',
+    syncIncomplete: 'কিছু ডেটা সিঙ্ক করা যায়নি',
+    sosSynced: { one: '{count}টি SOS সতর্কবার্তা সিঙ্ক হয়েছে', other: '{count}টি SOS সতর্কবার্তা সিঙ্ক হয়েছে' },
+    queriesSynced: { one: '{count}টি ভয়েস প্রশ্ন সিঙ্ক হয়েছে', other: '{count}টি ভয়েস প্রশ্ন সিঙ্ক হয়েছে' },
+    expertCouldNotAnswer: 'বিশেষজ্ঞ "{question}"-এর উত্তর দিতে পারেননি: {reason}',
+    expertAnswered: { one: 'একজন বিশেষজ্ঞ আপনার প্রশ্নের উত্তর দিয়েছেন', other: 'বিশেষজ্ঞরা আপনার {count}টি প্রশ্নের উত্তর দিয়েছেন' },
+    geolocationUnsupported: 'অবস্থান সুবিধা নেই',
+    cannotSyncOffline: 'অফলাইনে থাকা অবস্থায় সিঙ্ক করা যায় না',
+    manualSync: 'সিঙ্ক শুরু হচ্ছে...',
+    allSynced: 'সব ডেটা সিঙ্ক হয়েছে!',
+    stillPending: { one: '{count}টি আইটেম এখনও বাকি', other: '{count}টি আইটেম এখনও বাকি' },
+    waitingToSync: { one: '{count}টি আইটেম সিঙ্কের অপেক্ষায়', other: '{count}টি আইটেম সিঙ্কের অপেক্ষায়' },
+    failedToSync: { one: '{count}টি আইটেম সিঙ্ক হয়নি', other: '{count}টি আইটেম সিঙ্ক হয়নি' },
+    articleSaved: 'লেখাটি অফলাইনে পড়ার জন্য সংরক্ষিত!',
+    articleRemoved: 'লেখাটি অফলাইন সংগ্রহ থেকে সরানো হয়েছে',
+    articlesCleared: 'সব অফলাইন লেখা মুছে ফেলা হয়েছে',
+    photoCompressFailed: 'ছবি ছোট করা যায়নি',
+    photoReadFailed: 'ছবি পড়া যায়নি',
+    uploadFailed: 'আপলোড ব্যর্থ হয়েছে',
+    clipNotUnderstood: 'দুঃখিত, আপনার রেকর্ড করা প্রশ্ন বোঝা যায়নি। অনুগ্রহ করে আবার জিজ্ঞাসা করুন।',
+    clipsAnswered: { one: 'আপনার রেকর্ড করা প্রশ্নের উত্তর এসেছে', other: '{count}টি রেকর্ড করা প্রশ্নের উত্তর এসেছে' },
+    signedOut: 'আপনি সাইন আউট হয়ে গেছেন। আমার অ্যাকাউন্ট থেকে আবার সাইন ইন করুন।'
+  }
+};
@@ -0,0 +1,493 @@
+// English messages. This catalog is complete; the others fall back to it key by key.
+// {placeholders} are filled from the values passed in; a { one, other } entry is
+// picked by the count.
+export default {
+  common: {
+    online: 'Online',
+    offline: 'Offline',
+    refresh: 'Refresh',
+    clear: 'Clear',
+    close: 'Close',
+    share: 'Share',
+    install: 'Install',
+    signIn: 'Sign In',
+    signOut: 'Sign Out',
+    accessToken: 'Access token',
+    tokenPlaceholder: 'Paste the token issued by your administrator',
+    callNow: 'Call Now',
+    loading: 'Loading...',
+    saveOffline: 'Save Offline',
+    onlineOnly: 'Online Only',
+    availableOffline: 'Available Offline',
+    requestFailed: 'Request failed',
+    language: 'Language',
+    km: '{distance} km',
+    severity: { low: 'Low', medium: 'Medium', high: 'High', critical: 'Critical' },
+    categories: { soil: 'Soil', crops: 'Crops', fertilizer: 'Fertilizer', pest: 'Pest Control' }
+  },
+  titles: {
+    home: 'AgriEcho - Smart Farming Assistant',
+    knowledge: 'Knowledge Base',
+    article: '{title} - Knowledge Base',
+    articleNotFound: 'Article Not Found - Knowledge Base',
+    weather: 'Weather & Alerts',
+    sos: 'Emergency SOS',
+    responder: 'Responder Console',
+    voice: 'Voice Assistant',
+    expert: 'Expert Inbox',
+    account: 'My Account'
+  },
+  nav: {
+    home: 'Home',
+    learn: 'Learn',
+    weather: 'Weather',
+    sos: 'SOS',
+    ask: 'Ask',
+    knowledge: 'Knowledge',
+    voice: 'Voice'
+  },
+  layout: {
+    description: 'AgriEcho - Smart farming assistant with offline capabilities',
+    installPrompt: 'Install AgriEcho for offline access',
+    tagline: 'Smart Farming Assistant',
+    madeFor: 'Made with {heart} for Farmers',
+    chooseLanguage: 'Choose language',
+    account: 'My account'
+  },
+  home: {
+    welcome: 'Welcome to {brand}',
+    intro: "Your smart farming companion that works offline and syncs when you're back online.",
+    farmers: '10,000+ Farmers',
+    tips: '500+ Tips',
+    worksOffline: 'Works Offline',
+    heroAlt: 'Farmer in field',
+    featuresTitle: 'Smart Features for Modern Farming',
+    knowledgeTitle: 'Knowledge Base',
+    knowledgeText: 'Access farming guides, tips, and best practices even without internet connection.',
+    knowledgeBadge: 'Offline Ready',
+    weatherTitle: 'Weather Alerts',
+    weatherText: 'Get timely weather updates and alerts to protect your crops from adverse conditions.',
+    weatherBadge: 'Real-time',
+    sosTitle: 'Emergency SOS',
+    sosText: 'Send emergency alerts for crop diseases, natural disasters, or urgent help needed.',
+    sosBadge: 'Critical',
+    voiceTitle: 'Voice Assistant',
+    voiceText: 'Ask questions using your voice in your local language. Perfect for hands-free farming.',
+    voiceBadge: 'Multilingual',
+    syncTitle: 'Data Sync Status',
+    synced: 'All data synchronized',
+    syncing: 'Syncing data...',
+    syncOffline: 'Offline mode - data will sync when online',
+    offlineArticles: 'Offline Articles',
+    weatherData: 'Weather Data'
+  },
+  knowledge: {
+    heading: 'Knowledge Base',
+    intro: 'Learn from expert farming guides and best practices',
+    searchPlaceholder: 'Search articles...',
+    all: 'All',
+    readMore: 'Read More',
+    noResults: 'No articles match your search.',
+    savedOffline: 'Articles Saved Offline',
+    totalArticles: 'Total Articles',
+    audioAvailable: 'Audio Available',
+    openFull: 'Open Full Article',
+    searchedOffline: 'Offline - searched {count} saved articles',
+    resultsFound: { one: '{count} result found', other: '{count} results found' },
+    shareText: 'Check out this farming article from AgriEcho',
+    linkCopied: 'Article link copied to clipboard!'
+  },
+  article: {
+    back: 'Back to Knowledge Base',
+    notFound: 'Article Not Found',
+    notFoundText: 'This article may have been removed or the link is incorrect.',
+    listen: 'Listen',
+    pause: 'Pause',
+    resume: 'Resume',
+    references: 'References'
+  },
+  player: {
+    unsupported: 'Read aloud is not supported in this browser',
+    resuming: 'Resuming from paragraph {number}',
+    position: 'Paragraph {current} of {total}',
+    previous: 'Previous paragraph',
+    playPause: 'Play or pause',
+    next: 'Next paragraph',
+    speed: 'Playback speed',
+    stop: 'Stop'
+  },
+  weather: {
+    heading: 'Weather & Alerts',
+    intro: 'Stay informed about weather conditions and farming alerts',
+    yourLocation: 'Your Location',
+    currentLocation: 'Current Location',
+    locationUnknown: 'Location Unknown',
+    visibility: 'Visibility',
+    humidity: 'Humidity',
+    windSpeed: 'Wind Speed',
+    next24Hours: 'Next 24 Hours',
+    loadingHourly: 'Loading hourly forecast...',
+    sevenDay: '7-Day Forecast',
+    loadingForecast: 'Loading forecast...',
+    activeAlerts: 'Active Weather Alerts',
+    officialAlert: 'Official Alert',
+    validUntil: 'Valid until: {date}',
+    ongoing: 'Ongoing',
+    cropAdvisories: 'Crop Advisories',
+    selectCrops: 'Select your crops for irrigation and harvest advice:',
+    advisoriesPending: 'Advisories appear once the forecast has loaded.',
+    updated: 'Updated {time}',
+    today: 'Today',
+    tomorrow: 'Tomorrow',
+    cachedStale: 'Showing older cached weather data (offline mode)',
+    cached: 'Showing cached weather data (offline mode)',
+    unavailableOffline: 'Weather unavailable offline',
+    connectOnce: 'Connect to the internet once to download the forecast.',
+    alertsUpdated: 'Weather alerts updated',
+    backOnline: 'Back online - weather data updated',
+    offlineMode: 'Offline mode - showing cached weather data',
+    conditions: {
+      Sunny: 'Sunny',
+      'Partly Cloudy': 'Partly Cloudy',
+      Cloudy: 'Cloudy',
+      Fog: 'Fog',
+      'Light Rain': 'Light Rain',
+      'Heavy Rain': 'Heavy Rain',
+      Thunderstorm: 'Thunderstorm',
+      Snow: 'Snow'
+    }
+  },
+  // Crop advisory text for public/js/advisory-core.js
+  advisories: {
+    crops: {
+      rice: 'Rice', wheat: 'Wheat', maize: 'Maize', cotton: 'Cotton',
+      sugarcane: 'Sugarcane', soybean: 'Soybean', tomato: 'Tomato', onion: 'Onion'
+    },
+    sprayProblems: {
+      rain: 'rain is expected before spray would dry',
+      wind: 'winds are too strong and spray would drift',
+      calm: 'air is too still, so fine droplets could hang and drift',
+      heat: 'it is too hot and spray would evaporate',
+      humidity: 'humidity is outside the safe range',
+      unknown: 'forecast data is unavailable'
+    },
+    noSprayTitle: 'No Safe Spray Window',
+    noSprayMessage: 'Avoid spraying for the next {hours} hours: {problem}.',
+    sprayTitle: 'Spray Windows',
+    sprayMessage: 'Calm, dry conditions for pesticide spraying: {times}.',
+    irrigationTitle: '{crop} Irrigation',
+    irrigateOn: 'Irrigate {crop} on {days}.',
+    rainDay: '{day} ({rain} mm rain)',
+    rainWaters: 'Rain will water the field on {days}.',
+    noIrrigation: 'No irrigation needed for {crop} this week; rain is expected.',
+    harvestTitle: '{crop} Harvest & Drying',
+    noDryingWindow: 'No {days}-day dry spell this week. Delay harvest if you can, or plan covered drying.',
+    dryingWindow: 'If the crop is ready, harvest and sun-dry it {range} ({days} dry days).'
+  },
+  sos: {
+    heading: 'Emergency SOS',
+    intro: 'Send emergency alerts for immediate assistance',
+    quickActions: 'Quick Emergency Actions',
+    types: {
+      'crop-disease': 'Crop Disease',
+      'weather-damage': 'Weather Damage',
+      'equipment-failure': 'Equipment Failure',
+      'pest-attack': 'Pest Attack',
+      'medical-emergency': 'Medical Emergency',
+      'natural-disaster': 'Natural Disaster',
+      'need-help': 'Need Help',
+      other: 'Other'
+    },
+    quickMessages: {
+      'crop-disease': 'Crop disease outbreak detected',
+      'weather-damage': 'Crops damaged by weather conditions',
+      'equipment-failure': 'Farming equipment breakdown',
+      'pest-attack': 'Severe pest infestation',
+      'medical-emergency': 'Medical emergency on farm',
+      'need-help': 'General farming assistance needed'
+    },
+    detailedReport: 'Detailed Emergency Report',
+    typeLabel: 'Type of Emergency',
+    selectType: 'Select emergency type',
+    severityLabel: 'Severity Level',
+    severityOptions: {
+      low: 'Low - Can wait',
+      medium: 'Medium - Need help soon',
+      high: 'High - Urgent',
+      critical: 'Critical - Immediate help needed'
+    },
+    locationLabel: 'Location Details',
+    locationPlaceholder: 'Describe your location or address',
+    useLocation: 'Use Current Location',
+    messageLabel: 'Describe the Emergency',
+    messagePlaceholder: 'Describe what happened and what help you need...',
+    contactLabel: 'Contact Information',
+    contactPlaceholder: 'Your phone number for emergency contact',
+    attachmentsLabel: 'Photos & Voice Notes',
+    addPhoto: 'Add Photo',
+    recordVoice: 'Record Voice Note',
+    stopRecording: 'Stop (max {seconds}s)',
+    attachedPhoto: 'Attached photo',
+    removeAttachment: 'Remove attachment',
+    send: 'Send SOS Alert',
+    statusHeading: 'Emergency Status',
+    connectionStatus: 'Connection Status',
+    onlineStatus: 'Online - Alerts sent immediately',
+    offlineStatus: 'Offline - Alerts will be queued',
+    pendingAlerts: 'Pending Alerts',
+    pendingCount: { one: '{count} alert waiting to be sent', other: '{count} alerts waiting to be sent' },
+    sentToday: 'Sent Today',
+    sentCount: { one: '{count} alert sent successfully', other: '{count} alerts sent successfully' },
+    smsHeading: 'No Data Connection?',
+    smsText: 'Waiting alerts can go out as a text message over the mobile network. Tap to open your messaging app with the alert filled in, then press send.',
+    smsOpened: 'Opened in messages {time}',
+    queuedAt: 'Queued {time}',
+    sendAgain: 'Send Again',
+    sendSMS: 'Send via SMS',
+    myAlerts: 'My Alerts',
+    steps: {
+      received: 'Received',
+      acknowledged: 'Acknowledged',
+      assigned: 'Responder Assigned',
+      en_route: 'En Route',
+      resolved: 'Resolved'
+    },
+    attachmentsUploaded: { one: '{count} attachment uploaded', other: '{count} attachments uploaded' },
+    nearestOffice: 'Nearest office: {name}',
+    contactsHeading: 'Emergency Contacts',
+    contactsFor: 'Contacts for {area}',
+    nationalNumbers: 'National emergency numbers',
+    savedForOffline: '{where} · saved for offline use {date}',
+    distanceAway: '{distance} km away',
+    contactCategories: {
+      emergency: 'Emergency',
+      ambulance: 'Medical Emergency',
+      police: 'Police',
+      fire: 'Fire Department',
+      disaster: 'Disaster Control',
+      'agri-officer': 'Agricultural Officer',
+      kvk: 'Krishi Vigyan Kendra',
+      veterinary: 'Veterinary Services',
+      helpline: 'Helpline'
+    },
+    ambulanceService: '108 - National Ambulance Service',
+    policeControl: '100 - Police Control Room',
+    fireServices: '101 - Fire & Rescue Services',
+    kisanCallCentre: '1800-180-1551 - Kisan Call Centre',
+    attachmentsNotSaved: 'Photos and voice notes could not be saved with this alert',
+    recordingUnsupported: 'Voice recording is not supported by this browser',
+    recordingFailed: 'Could not record a voice note',
+    attachmentLimit: 'You can attach up to {max} photos or voice notes',
+    sent: 'SOS alert sent successfully!',
+    savedOfflineRetry: 'SOS saved offline - will send when connection is restored',
+    savedOfflineSMS: 'SOS alert saved offline - send it by SMS below, or it will send when online',
+    savedOffline: 'SOS alert saved offline - will send when online',
+    pendingSent: { one: '{count} pending alert sent successfully', other: '{count} pending alerts sent successfully' },
+    locationCaptured: 'Location captured successfully',
+    locationFailed: 'Could not get your location',
+    geolocationUnsupported: 'Geolocation is not supported by this browser',
+    confirmCall: 'Do you want to call {number}?',
+    emergencyNumber: 'Emergency number: {number}',
+    backOnline: 'Back online - syncing pending alerts',
+    goneOffline: 'Gone offline - alerts will be queued'
+  },
+  voice: {
+    heading: 'Voice Assistant',
+    intro: 'Ask questions about farming using your voice',
+    tapToRecord: 'Tap to start recording',
+    listening: 'Listening...',
+    processing: 'Processing...',
+    recognitionError: 'Error occurred. Try again.',
+    recognitionUnsupported: 'Speech recognition not supported in this browser',
+    selectLanguage: 'Select Language:',
+    conversation: 'Conversation',
+    welcome: "Hello! I'm your farming assistant. You can ask me questions about:",
+    topics: {
+      diseases: 'Crop diseases and treatments',
+      weather: 'Weather-related farming advice',
+      soil: 'Soil health and fertilizers',
+      pests: 'Pest control methods',
+      practices: 'Best farming practices'
+    },
+    tapMicrophone: 'Just tap the microphone and start speaking!',
+    quickQuestions: 'Quick Questions',
+    questions: {
+      plantRice: { ask: 'What is the best time to plant rice?', label: 'Best time to plant rice?' },
+      aphids: { ask: 'How to control aphids on crops?', label: 'Control aphids on crops?' },
+      tomatoFertilizer: { ask: 'What fertilizer is good for tomatoes?', label: 'Fertilizer for tomatoes?' },
+      soilQuality: { ask: 'How to improve soil quality?', label: 'Improve soil quality?' },
+      diseaseSigns: { ask: 'Signs of plant diseases?', label: 'Plant disease signs?' },
+      weatherImpact: { ask: 'Weather impact on farming?', label: 'Weather impact?' }
+    },
+    recentQuestions: 'Recent Questions',
+    questionsAsked: { one: '{count} question asked', other: '{count} questions asked' },
+    expertResponse: "Thank you for your question. I couldn't find a reliable answer in our knowledge base, so it has been passed to our experts. They will respond soon.",
+    offlineSaved: "Thank you for your question. I'm currently offline, but your question has been saved. I'll provide a detailed answer when connectivity is restored.",
+    recordingClip: 'Recording your question... tap to stop',
+    clipQueued: "Your recorded question has been saved. It will be transcribed and answered when you're back online.",
+    clipFailed: 'Could not record your question. Check microphone access and try again.',
+    expertReplied: '{expert} replied to "{question}"',
+    sentToExpert: 'Sent to an expert · you will be notified when they answer',
+    source: 'Source: {sources}',
+    answeredOffline: 'answered offline',
+    answerInOtherLanguage: 'This answer is only available in {language}:',
+    confirmClear: 'Are you sure you want to clear the conversation history?',
+    cleared: 'Conversation cleared. How can I help you today?',
+    historyCode: 'Move history',
+    restoreHistory: 'Restore history',
+    historyCodeShown: 'Enter code {code} under "Restore history" on your other phone within 24 hours to move this conversation history there.',
+    noHistoryToMove: 'There is no conversation history to move yet',
+    historyNotMovable: 'Sign in to move this history; this phone could not be verified as its owner',
+    enterHistoryCode: 'Enter the code shown under "Move history" on your old phone:',
+    historyCodeInvalid: 'That code is not valid or has expired',
+    historyRestored: 'Conversation history restored',
+    historyNeedsConnection: 'Connect to the internet to move your history',
+    historyCleared: 'Conversation history cleared'
+  },
+  responder: {
+    heading: 'Responder Console',
+    intro: 'Triage, assign and resolve SOS incidents from farmers',
+    open: 'Open',
+    assignedToMe: 'Assigned to Me',
+    resolved: 'Resolved',
+    statuses: {
+      received: 'New',
+      acknowledged: 'Acknowledged',
+      assigned: 'Assigned',
+      en_route: 'En route',
+      resolved: 'Resolved'
+    },
+    loadFailed: 'Could not load incidents',
+    empty: 'No incidents here.',
+    acknowledgedBy: 'Acknowledged by {name}',
+    assignedTo: 'Assigned to {name}',
+    resolvedBy: 'Resolved by {name}',
+    aResponder: 'a responder',
+    viaSMS: 'via SMS',
+    resolution: 'Resolution:',
+    nearestResponders: 'Nearest responders: {responders}',
+    office: 'Office: {office}',
+    noneInRange: 'none in range',
+    escalatedTo: 'Escalated to {target}: not {status} after {minutes} min',
+    nobodyToNotify: 'nobody to notify',
+    attachmentLoading: 'Loading…',
+    stillUploading: '{count} still uploading',
+    farmerPhoto: 'Photo from the farmer',
+    attachmentFailed: 'Attachment could not be loaded',
+    acknowledge: 'Acknowledge',
+    assignTo: 'Assign to',
+    assign: 'Assign',
+    enRoute: 'En Route',
+    resolve: 'Resolve',
+    notePlaceholder: 'Add a note for other responders',
+    addNote: 'Add Note',
+    acknowledgedToast: 'Incident acknowledged',
+    assignedToast: 'Incident assigned',
+    enRouteToast: 'Farmer notified that help is on the way',
+    noteAdded: 'Note added',
+    resolvePrompt: 'How was this incident resolved?',
+    resolvedToast: 'Incident resolved'
+  },
+  expert: {
+    heading: 'Expert Inbox',
+    intro: 'Answer the farming questions the knowledge base could not',
+    queue: 'Queue',
+    claimedByMe: 'Claimed by Me',
+    done: 'Done',
+    loadFailed: 'Could not load questions',
+    empty: 'No questions here.',
+    statuses: {
+      'pending-expert': 'pending expert',
+      claimed: 'claimed',
+      answered: 'answered',
+      rejected: 'rejected'
+    },
+    match: '{percent}% match in knowledge base',
+    specialty: 'your specialty',
+    answer: 'Answer:',
+    rejected: 'Rejected:',
+    claim: 'Claim',
+    claimed: 'Question claimed',
+    template: 'Answer template',
+    startFromTemplate: 'Start from a template…',
+    answerPlaceholder: 'Write the answer the farmer will hear',
+    sendAnswer: 'Send Answer',
+    reject: 'Reject',
+    release: 'Release',
+    released: 'Question returned to the queue',
+    yourCrop: 'your crop',
+    answerSent: 'Answer sent to the farmer',
+    rejectPrompt: "Why can't this question be answered? The farmer will see this.",
+    followUp: 'Follow-up, read as: {question}',
+    rejectedToast: 'Question rejected'
+  },
+  access: {
+    staffOnly: 'This page is for AgriEcho staff.',
+    signInFor: 'Sign in with your staff access token to open this page.',
+    forbidden: '{name} does not have access to this page. Sign in with another account.'
+  },
+  account: {
+    heading: 'My Account',
+    intro: 'Sign in with your phone number to keep your farm details on every phone you use.',
+    phoneLabel: 'Phone number',
+    phonePlaceholder: '10-digit mobile number',
+    sendCode: 'Send Code',
+    codeSent: 'We sent a code by SMS to {phone}.',
+    codeLabel: 'Code from the SMS',
+    codePlaceholder: '6-digit code',
+    changeNumber: 'Use another number',
+    resendIn: 'A code was just sent. You can ask for a new one in {seconds} seconds.',
+    wrongCode: 'That code is wrong or has expired.',
+    needsConnection: 'Signing in needs an internet connection.',
+    unavailable: 'Accounts are not available right now.',
+    welcome: 'Welcome! Add your farm details below.',
+    signedIn: 'Signed in',
+    signedInAs: 'Signed in as {phone}',
+    profile: 'Farm Profile',
+    nameLabel: 'Your name',
+    villageLabel: 'Village',
+    districtLabel: 'District',
+    districtCodeLabel: 'District code (for official alerts)',
+    farmLocationLabel: 'Farm location',
+    farmLocationSet: '{lat}, {lon}',
+    farmLocationUnset: 'Not set',
+    useCurrentLocation: 'Use where I am',
+    locationFailed: 'Could not get your location.',
+    languageLabel: 'Preferred language',
+    cropsLabel: 'Crops you grow',
+    save: 'Save Profile',
+    saved: 'Profile saved',
+    savedOffline: 'Profile saved on this phone. It will be sent when you are back online.',
+    signOutEverywhere: 'Sign out on all phones',
+    signedOutEverywhere: 'Signed out on all phones'
+  },
+  // Messages shown by the shared scripts in public/js
+  app: {
+    newVersion: 'New version available! Refresh to update.',
+    installed: 'AgriEcho installed successfully!',
+    backOnline: 'Back online! Syncing data...',
+    nowOffline: 'You are now offline. Data will be saved locally.',
+    syncComplete: 'All data synchronized successfully!',
+    syncIncomplete: 'Some data could not be synchronized',
+    sosSynced: { one: '{count} SOS alert synchronized', other: '{count} SOS alerts synchronized' },
+    queriesSynced: { one: '{count} voice question synchronized', other: '{count} voice questions synchronized' },
+    expertCouldNotAnswer: 'An expert could not answer "{question}": {reason}',
+    expertAnswered: { one: 'An expert has answered your question', other: 'Experts have answered {count} of your questions' },
+    geolocationUnsupported: 'Geolocation is not supported',
+    cannotSyncOffline: 'Cannot sync while offline',
+    manualSync: 'Starting manual sync...',
+    allSynced: 'All data synchronized!',
+    stillPending: { one: '{count} item still pending', other: '{count} items still pending' },
+    waitingToSync: { one: '{count} item waiting to sync', other: '{count} items waiting to sync' },
+    failedToSync: { one: '{count} item failed to sync', other: '{count} items failed to sync' },
+    articleSaved: 'Article saved for offline reading!',
+    articleRemoved: 'Article removed from offline storage',
+    articlesCleared: 'All offline articles cleared',
+    photoCompressFailed: 'Could not compress photo',
+    photoReadFailed: 'Could not read photo',
+    uploadFailed: 'Upload failed',
+    clipNotUnderstood: "Sorry, your recorded question couldn't be understood. Please ask again.",
+    clipsAnswered: { one: 'Your recorded question has been answered', other: '{count} recorded questions have been answered' },
+    signedOut: 'You were signed out. Sign in again from My Account.'
+  }
+};
@@ -0,0 +1,489 @@
+// Gujarati messages; missing keys fall back to English
+export default {
+  common: {
+    online: 'ઓનલાઇન',
+    offline: 'ઓફલાઇન',
+    refresh: 'રિફ્રેશ કરો',
+    clear: 'સાફ કરો',
+    close: 'બંધ કરો',
+    share: 'શેર કરો',
+    install: 'ઇન્સ્ટોલ કરો',
+    signIn: 'સાઇન ઇન કરો',
+    signOut: 'સાઇન આઉટ કરો',
+    accessToken: 'ઍક્સેસ ટોકન',
+    tokenPlaceholder: 'તમારા એડમિને આપેલો ટોકન અહીં મૂકો',
+    callNow: 'હમણાં કૉલ કરો',
+    loading: 'લોડ થઈ રહ્યું છે...',
+    saveOffline: 'ઓફલાઇન સાચવો',
+    onlineOnly: 'ફક્ત ઓનલાઇન',
+    availableOffline: 'ઓફલાઇન ઉપલબ્ધ',
+    requestFailed: 'વિનંતી નિષ્ફળ ગઈ',
+    language: 'ભાષા',
+    km: '{distance} કિમી',
+    severity: { low: 'ઓછી', medium: 'મધ્યમ', high: 'વધુ', critical: 'ગંભીર' },
+    categories: { soil: 'જમીન', crops: 'પાક', fertilizer: 'ખાતર', pest: 'જીવાત નિયંત્રણ' }
+  },
+  titles: {
+    home: 'AgriEcho - સ્માર્ટ ખેતી સહાયક',
+    knowledge: 'જ્ઞાનકોશ',
+    article: '{title} - જ્ઞાનકોશ',
+    articleNotFound: 'લેખ મળ્યો નથી - જ્ઞાનકોશ',
+    weather: 'હવામાન અને ચેતવણીઓ',
+    sos: 'કટોકટી SOS',
+    responder: 'રિસ્પોન્ડર કન્સોલ',
+    voice: 'વૉઇસ સહાયક',
+    expert: 'નિષ્ણાત ઇનબોક્સ',
+    account: 'મારું ખાતું'
+  },
+  nav: {
+    home: 'હોમ',
+    learn: 'શીખો',
+    weather: 'હવામાન',
+    sos: 'SOS',
+    ask: 'પૂછો',
+    knowledge: 'જ્ઞાન',
+    voice: 'અવાજ'
+  },
+  layout: {
+    description: 'AgriEcho - ઓફલાઇન ચાલતો સ્માર્ટ ખેતી સહાયક',
+    installPrompt: 'ઓફલાઇન ઉપયોગ માટે AgriEcho ઇન્સ્ટોલ કરો',
+    tagline: 'સ્માર્ટ ખેતી સહાયક',
+    madeFor: 'ખેડૂતો માટે {heart} થી બનાવેલું',
+    chooseLanguage: 'ભાષા પસંદ કરો',
+    account: 'મારું ખાતું'
+  },
+  home: {
+    welcome: '{brand} માં આપનું સ્વાગત છે',
+    intro: 'તમારો સ્માર્ટ ખેતી સાથી જે ઓફલાઇન ચાલે છે અને ઇન્ટરનેટ પાછું આવે ત્યારે સિંક થાય છે.',
+    farmers: '10,000+ ખેડૂતો',
+    tips: '500+ સૂચનો',
+    worksOffline: 'ઓફલાઇન ચાલે છે',
+    heroAlt: 'ખેતરમાં ખેડૂત',
+    featuresTitle: 'આધુનિક ખેતી માટે સ્માર્ટ સુવિધાઓ',
+    knowledgeTitle: 'જ્ઞાનકોશ',
+    knowledgeText: 'ઇન્ટરનેટ વિના પણ ખેતીની માર્ગદર્શિકાઓ, સૂચનો અને સારી પદ્ધતિઓ વાંચો.',
+    knowledgeBadge: 'ઓફલાઇન તૈયાર',
+    weatherTitle: 'હવામાન ચેતવણીઓ',
+    weatherText: 'ખરાબ હવામાનથી પાક બચાવવા સમયસર હવામાન માહિતી અને ચેતવણીઓ મેળવો.',
+    weatherBadge: 'તાત્કાલિક',
+    sosTitle: 'કટોકટી SOS',
+    sosText: 'પાકના રોગ, કુદરતી આફત કે તાત્કાલિક મદદ માટે કટોકટી ચેતવણી મોકલો.',
+    sosBadge: 'ગંભીર',
+    voiceTitle: 'વૉઇસ સહાયક',
+    voiceText: 'તમારી ભાષામાં બોલીને પ્રશ્નો પૂછો. હાથ વાપર્યા વિના ખેતી માટે ઉત્તમ.',
+    voiceBadge: 'બહુભાષી',
+    syncTitle: 'ડેટા સિંક સ્થિતિ',
+    synced: 'બધો ડેટા સિંક થઈ ગયો',
+    syncing: 'ડેટા સિંક થઈ રહ્યો છે...',
+    syncOffline: 'ઓફલાઇન મોડ - ઓનલાઇન થતાં ડેટા સિંક થશે',
+    offlineArticles: 'ઓફલાઇન લેખો',
+    weatherData: 'હવામાન ડેટા'
+  },
+  knowledge: {
+    heading: 'જ્ઞાનકોશ',
+    intro: 'નિષ્ણાતોની ખેતી માર્ગદર્શિકાઓ અને સારી પદ્ધતિઓમાંથી શીખો',
+    searchPlaceholder: 'લેખો શોધો...',
+    all: 'બધા',
+    readMore: 'વધુ વાંચો',
+    noResults: 'તમારી શોધ સાથે કોઈ લેખ મેળ ખાતો નથી.',
+    savedOffline: 'ઓફલાઇન સાચવેલા લેખો',
+    totalArticles: 'કુલ લેખો',
+    audioAvailable: 'ઓડિયો ઉપલબ્ધ',
+    openFull: 'પૂરો લેખ ખોલો',
+    searchedOffline: 'ઓફલાઇન - {count} સાચવેલા લેખોમાં શોધ્યું',
+    resultsFound: { one: '{count} પરિણામ મળ્યું', other: '{count} પરિણામો મળ્યાં' },
+    shareText: 'AgriEcho નો આ ખેતી લેખ જુઓ',
+    linkCopied: 'લેખની લિંક કૉપિ થઈ ગઈ!'
+  },
+  article: {
+    back: 'જ્ઞાનકોશ પર પાછા જાઓ',
+    notFound: 'લેખ મળ્યો નથી',
+    notFoundText: 'આ લેખ કાઢી નાખવામાં આવ્યો હોય અથવા લિંક ખોટી હોય.',
+    listen: 'સાંભળો',
+    pause: 'થોભાવો',
+    resume: 'ફરી શરૂ કરો',
+    references: 'સંદર્ભો'
+  },
+  player: {
+    unsupported: 'આ બ્રાઉઝરમાં વાંચીને સંભળાવવાની સુવિધા નથી',
+    resuming: 'ફકરો {number} થી ફરી શરૂ કરી રહ્યા છીએ',
+    position: 'ફકરો {current} / {total}',
+    previous: 'પાછલો ફકરો',
+    playPause: 'ચલાવો કે થોભાવો',
+    next: 'આગળનો ફકરો',
+    speed: 'ચલાવવાની ઝડપ',
+    stop: 'બંધ કરો'
+  },
+  weather: {
+    heading: 'હવામાન અને ચેતવણીઓ',
+    intro: 'હવામાન અને ખેતી સંબંધિત ચેતવણીઓથી માહિતગાર રહો',
+    yourLocation: 'તમારું સ્થાન',
+    currentLocation: 'હાલનું સ્થાન',
+    locationUnknown: 'સ્થાન અજ્ઞાત',
+    visibility: 'દૃશ્યતા',
+    humidity: 'ભેજ',
+    windSpeed: 'પવનની ઝડપ',
+    next24Hours: 'આગામી 24 કલાક',
+    loadingHourly: 'કલાકવાર આગાહી લોડ થઈ રહી છે...',
+    sevenDay: '7 દિવસની આગાહી',
+    loadingForecast: 'આગાહી લોડ થઈ રહી છે...',
+    activeAlerts: 'સક્રિય હવામાન ચેતવણીઓ',
+    officialAlert: 'સત્તાવાર ચેતવણી',
+    validUntil: '{date} સુધી માન્ય',
+    ongoing: 'ચાલુ',
+    cropAdvisories: 'પાક સલાહ',
+    selectCrops: 'સિંચાઈ અને કાપણીની સલાહ માટે તમારા પાક પસંદ કરો:',
+    advisoriesPending: 'આગાહી લોડ થયા પછી સલાહ દેખાશે.',
+    updated: '{time} એ અપડેટ થયું',
+    today: 'આજે',
+    tomorrow: 'આવતીકાલે',
+    cachedStale: 'જૂનો સાચવેલો હવામાન ડેટા બતાવી રહ્યા છીએ (ઓફલાઇન મોડ)',
+    cached: 'સાચવેલો હવામાન ડેટા બતાવી રહ્યા છીએ (ઓફલાઇન મોડ)',
+    unavailableOffline: 'ઓફલાઇન હવામાન ઉપલબ્ધ નથી',
+    connectOnce: 'આગાહી ડાઉનલોડ કરવા એક વાર ઇન્ટરનેટ સાથે જોડાઓ.',
+    alertsUpdated: 'હવામાન ચેતવણીઓ અપડેટ થઈ',
+    backOnline: 'ફરી ઓનલાઇન - હવામાન ડેટા અપડેટ થયો',
+    offlineMode: 'ઓફલાઇન મોડ - સાચવેલો હવામાન ડેટા બતાવી રહ્યા છીએ',
+    conditions: {
+      Sunny: 'તડકો',
+      'Partly Cloudy': 'આંશિક વાદળછાયું',
+      Cloudy: 'વાદળછાયું',
+      Fog: 'ધુમ્મસ',
+      'Light Rain': 'હળવો વરસાદ',
+      'Heavy Rain': 'ભારે વરસાદ',
+      Thunderstorm: 'વાવાઝોડું',
+      Snow: 'બરફ'
+    }
+  },
+  advisories: {
+    crops: {
+      rice: 'ડાંગર', wheat: 'ઘઉં', maize: 'મકાઈ', cotton: 'કપાસ',
+      sugarcane: 'શેરડી', soybean: 'સોયાબીન', tomato: 'ટામેટાં', onion: 'ડુંગળી'
+    },
+    sprayProblems: {
+      rain: 'છંટકાવ સુકાય તે પહેલાં વરસાદની શક્યતા છે',
+      wind: 'પવન ખૂબ જોરમાં છે અને છંટકાવ ઊડી જશે',
+      calm: 'હવા ખૂબ સ્થિર છે, ઝીણાં ટીપાં તરતાં રહીને ફેલાઈ શકે',
+      heat: 'ખૂબ ગરમી છે અને છંટકાવ વરાળ બની જશે',
+      humidity: 'ભેજ સલામત મર્યાદાની બહાર છે',
+      unknown: 'આગાહીનો ડેટા ઉપલબ્ધ નથી'
+    },
+    noSprayTitle: 'છંટકાવ માટે કોઈ સલામત સમય નથી',
+    noSprayMessage: 'આગામી {hours} કલાક છંટકાવ ટાળો: {problem}.',
+    sprayTitle: 'છંટકાવનો સમય',
+    sprayMessage: 'જંતુનાશક છંટકાવ માટે શાંત, સૂકું હવામાન: {times}.',
+    irrigationTitle: '{crop} સિંચાઈ',
+    irrigateOn: '{crop} ને {days} એ પાણી આપો.',
+    rainDay: '{day} ({rain} મિમી વરસાદ)',
+    rainWaters: '{days} એ વરસાદ ખેતરને પાણી આપશે.',
+    noIrrigation: 'આ અઠવાડિયે {crop} ને સિંચાઈની જરૂર નથી; વરસાદની શક્યતા છે.',
+    harvestTitle: '{crop} કાપણી અને સૂકવણી',
+    noDryingWindow: 'આ અઠવાડિયે {days} દિવસનું સૂકું હવામાન નથી. શક્ય હોય તો કાપણી મોડી કરો, અથવા ઢાંકીને સૂકવવાની તૈયારી કરો.',
+    dryingWindow: 'પાક તૈયાર હોય તો {range} કાપીને તડકે સૂકવો ({days} સૂકા દિવસ).'
+  },
+  sos: {
+    heading: 'કટોકટી SOS',
+    intro: 'તાત્કાલિક મદદ માટે કટોકટી ચેતવણી મોકલો',
+    quickActions: 'ઝડપી કટોકટી પગલાં',
+    types: {
+      'crop-disease': 'પાકનો રોગ',
+      'weather-damage': 'હવામાનથી નુકસાન',
+      'equipment-failure': 'સાધન બગડ્યું',
+      'pest-attack': 'જીવાતનો હુમલો',
+      'medical-emergency': 'તબીબી કટોકટી',
+      'natural-disaster': 'કુદરતી આફત',
+      'need-help': 'મદદ જોઈએ',
+      other: 'અન્ય'
+    },
+    quickMessages: {
+      'crop-disease': 'પાકમાં રોગનો ફેલાવો જોવા મળ્યો',
+      'weather-damage': 'હવામાનથી પાકને નુકસાન થયું',
+      'equipment-failure': 'ખેતીનું સાધન બગડી ગયું',
+      'pest-attack': 'જીવાતનો ગંભીર ઉપદ્રવ',
+      'medical-emergency': 'ખેતર પર તબીબી કટોકટી',
+      'need-help': 'ખેતીમાં સામાન્ય મદદ જોઈએ'
+    },
+    detailedReport: 'વિગતવાર કટોકટી અહેવાલ',
+    typeLabel: 'કટોકટીનો પ્રકાર',
+    selectType: 'કટોકટીનો પ્રકાર પસંદ કરો',
+    severityLabel: 'ગંભીરતાનું સ્તર',
+    severityOptions: {
+      low: 'ઓછી - રાહ જોઈ શકાય',
+      medium: 'મધ્યમ - જલદી મદદ જોઈએ',
+      high: 'વધુ - તાત્કાલિક',
+      critical: 'ગંભીર - હમણાં જ મદદ જોઈએ'
+    },
+    locationLabel: 'સ્થાનની વિગતો',
+    locationPlaceholder: 'તમારું સ્થાન કે સરનામું જણાવો',
+    useLocation: 'હાલનું સ્થાન વાપરો',
+    messageLabel: 'કટોકટીનું વર્ણન કરો',
+    messagePlaceholder: 'શું થયું અને તમને કઈ મદદ જોઈએ તે જણાવો...',
+    contactLabel: 'સંપર્ક માહિતી',
+    contactPlaceholder: 'કટોકટી સંપર્ક માટે તમારો ફોન નંબર',
+    attachmentsLabel: 'ફોટા અને વૉઇસ નોટ',
+    addPhoto: 'ફોટો ઉમેરો',
+    recordVoice: 'વૉઇસ નોટ રેકોર્ડ કરો',
+    stopRecording: 'બંધ કરો (વધુમાં વધુ {seconds} સેકન્ડ)',
+    attachedPhoto: 'જોડેલો ફોટો',
+    removeAttachment: 'જોડાણ દૂર કરો',
+    send: 'SOS ચેતવણી મોકલો',
+    statusHeading: 'કટોકટી સ્થિતિ',
+    connectionStatus: 'કનેક્શન સ્થિતિ',
+    onlineStatus: 'ઓનલાઇન - ચેતવણીઓ તરત મોકલાય છે',
+    offlineStatus: 'ઓફલાઇન - ચેતવણીઓ કતારમાં રહેશે',
+    pendingAlerts: 'બાકી ચેતવણીઓ',
+    pendingCount: { one: '{count} ચેતવણી મોકલવાની બાકી છે', other: '{count} ચેતવણીઓ મોકલવાની બાકી છે' },
+    sentToday: 'આજે મોકલેલી',
+    sentCount: { one: '{count} ચેતવણી સફળતાપૂર્વક મોકલાઈ', other: '{count} ચેતવણીઓ સફળતાપૂર્વક મોકલાઈ' },
+    smsHeading: 'ડેટા કનેક્શન નથી?',
+    smsText: 'બાકી ચેતવણીઓ મોબાઇલ નેટવર્ક પર SMS તરીકે જઈ શકે છે. ચેતવણી ભરેલી મેસેજ એપ ખોલવા ટૅપ કરો, પછી મોકલો દબાવો.',
+    smsOpened: '{time} મેસેજમાં ખોલ્યું',
+    queuedAt: '{time} કતારમાં મૂક્યું',
+    sendAgain: 'ફરી મોકલો',
+    sendSMS: 'SMS થી મોકલો',
+    myAlerts: 'મારી ચેતવણીઓ',
+    steps: {
+      received: 'મળી',
+      acknowledged: 'સ્વીકારી',
+      assigned: 'રિસ્પોન્ડર નિયુક્ત',
+      en_route: 'રસ્તામાં',
+      resolved: 'ઉકેલાઈ'
+    },
+    attachmentsUploaded: { one: '{count} જોડાણ અપલોડ થયું', other: '{count} જોડાણો અપલોડ થયાં' },
+    nearestOffice: 'નજીકની કચેરી: {name}',
+    contactsHeading: 'કટોકટી સંપર્કો',
+    contactsFor: '{area} માટે સંપર્કો',
+    nationalNumbers: 'રાષ્ટ્રીય કટોકટી નંબરો',
+    savedForOffline: '{where} · {date} એ ઓફલાઇન ઉપયોગ માટે સાચવ્યું',
+    distanceAway: '{distance} કિમી દૂર',
+    contactCategories: {
+      emergency: 'કટોકટી',
+      ambulance: 'તબીબી કટોકટી',
+      police: 'પોલીસ',
+      fire: 'ફાયર બ્રિગેડ',
+      disaster: 'આપત્તિ નિયંત્રણ',
+      'agri-officer': 'ખેતીવાડી અધિકારી',
+      kvk: 'કૃષિ વિજ્ઞાન કેન્દ્ર',
+      veterinary: 'પશુ ચિકિત્સા સેવાઓ',
+      helpline: 'હેલ્પલાઇન'
+    },
+    ambulanceService: '108 - રાષ્ટ્રીય એમ્બ્યુલન્સ સેવા',
+    policeControl: '100 - પોલીસ કંટ્રોલ રૂમ',
+    fireServices: '101 - ફાયર અને બચાવ સેવાઓ',
+    kisanCallCentre: '1800-180-1551 - કિસાન કૉલ સેન્ટર',
+    attachmentsNotSaved: 'આ ચેતવણી સાથે ફોટા અને વૉઇસ નોટ સાચવી શકાયાં નહીં',
+    recordingUnsupported: 'આ બ્રાઉઝરમાં વૉઇસ રેકોર્ડિંગની સુવિધા નથી',
+    recordingFailed: 'વૉઇસ નોટ રેકોર્ડ થઈ શકી નહીં',
+    attachmentLimit: 'તમે વધુમાં વધુ {max} ફોટા કે વૉઇસ નોટ જોડી શકો છો',
+    sent: 'SOS ચેતવણી સફળતાપૂર્વક મોકલાઈ!',
+    savedOfflineRetry: 'SOS ઓફલાઇન સાચવ્યું - કનેક્શન પાછું આવતાં મોકલાશે',
+    savedOfflineSMS: 'SOS ચેતવણી ઓફલાઇન સાચવી - નીચે SMS થી મોકલો, અથવા ઓનલાઇન થતાં તે મોકલાશે',
+    savedOffline: 'SOS ચેતવણી ઓફલાઇન સાચવી - ઓનલાઇન થતાં મોકલાશે',
+    pendingSent: { one: '{count} બાકી ચેતવણી સફળતાપૂર્વક મોકલાઈ', other: '{count} બાકી ચેતવણીઓ સફળતાપૂર્વક મોકલાઈ' },
+    locationCaptured: 'સ્થાન સફળતાપૂર્વક મળ્યું',
+    locationFailed: 'તમારું સ્થાન મળી શક્યું નહીં',
+    geolocationUnsupported: 'આ બ્રાઉઝરમાં સ્થાનની સુવિધા નથી',
+    confirmCall: 'શું તમે {number} પર કૉલ કરવા માંગો છો?',
+    emergencyNumber: 'કટોકટી નંબર: {number}',
+    backOnline: 'ફરી ઓનલાઇન - બાકી ચેતવણીઓ સિંક થઈ રહી છે',
+    goneOffline: 'ઓફલાઇન થયા - ચેતવણીઓ કતારમાં રહેશે'
+  },
+  voice: {
+    heading: 'વૉઇસ સહાયક',
+    intro: 'તમારા અવાજમાં ખેતી વિશે પ્રશ્નો પૂછો',
+    tapToRecord: 'રેકોર્ડિંગ શરૂ કરવા ટૅપ કરો',
+    listening: 'સાંભળી રહ્યા છીએ...',
+    processing: 'પ્રક્રિયા ચાલી રહી છે...',
+    recognitionError: 'ભૂલ થઈ. ફરી પ્રયાસ કરો.',
+    recognitionUnsupported: 'આ બ્રાઉઝરમાં અવાજ ઓળખની સુવિધા નથી',
+    selectLanguage: 'ભાષા પસંદ કરો:',
+    conversation: 'વાતચીત',
+    welcome: 'નમસ્તે! હું તમારો ખેતી સહાયક છું. તમે મને આ વિશે પૂછી શકો છો:',
+    topics: {
+      diseases: 'પાકના રોગો અને સારવાર',
+      weather: 'હવામાન આધારિત ખેતી સલાહ',
+      soil: 'જમીનનું સ્વાસ્થ્ય અને ખાતર',
+      pests: 'જીવાત નિયંત્રણની રીતો',
+      practices: 'ખેતીની શ્રેષ્ઠ પદ્ધતિઓ'
+    },
+    tapMicrophone: 'બસ માઇક્રોફોન પર ટૅપ કરો અને બોલવાનું શરૂ કરો!',
+    quickQuestions: 'ઝડપી પ્રશ્નો',
+    questions: {
+      plantRice: { ask: 'ડાંગર રોપવાનો શ્રેષ્ઠ સમય કયો છે?', label: 'ડાંગર રોપવાનો સમય?' },
+      aphids: { ask: 'પાક પર મોલોમશી કેવી રીતે નિયંત્રિત કરવી?', label: 'મોલોમશી નિયંત્રણ?' },
+      tomatoFertilizer: { ask: 'ટામેટાં માટે કયું ખાતર સારું છે?', label: 'ટામેટાં માટે ખાતર?' },
+      soilQuality: { ask: 'જમીનની ગુણવત્તા કેવી રીતે સુધારવી?', label: 'જમીન સુધારણા?' },
+      diseaseSigns: { ask: 'છોડના રોગનાં લક્ષણો શું છે?', label: 'રોગનાં લક્ષણો?' },
+      weatherImpact: { ask: 'હવામાનની ખેતી પર શી અસર થાય છે?', label: 'હવામાનની અસર?' }
+    },
+    recentQuestions: 'તાજેતરના પ્રશ્નો',
+    questionsAsked: { one: '{count} પ્રશ્ન પૂછાયો', other: '{count} પ્રશ્નો પૂછાયા' },
+    expertResponse: 'તમારા પ્રશ્ન બદલ આભાર. અમારા જ્ઞાનકોશમાં ભરોસાપાત્ર જવાબ મળ્યો નથી, તેથી તે અમારા નિષ્ણાતોને મોકલવામાં આવ્યો છે. તેઓ જલદી જવાબ આપશે.',
+    offlineSaved: 'તમારા પ્રશ્ન બદલ આભાર. હું હમણાં ઓફલાઇન છું, પણ તમારો પ્રશ્ન સાચવી લીધો છે. કનેક્શન પાછું આવતાં હું વિગતવાર જવાબ આપીશ.',
+    recordingClip: 'તમારો પ્રશ્ન રેકોર્ડ થઈ રહ્યો છે... રોકવા માટે ટેપ કરો',
+    clipQueued: 'તમારો રેકોર્ડ કરેલો પ્રશ્ન સાચવી લીધો છે. ઓનલાઇન થતાં તેને લખીને જવાબ આપવામાં આવશે.',
+    clipFailed: 'તમારો પ્રશ્ન રેકોર્ડ થઈ શક્યો નહીં. માઇક્રોફોનની પરવાનગી તપાસીને ફરી પ્રયાસ કરો.',
+    expertReplied: '{expert} એ "{question}" નો જવાબ આપ્યો',
+    sentToExpert: 'નિષ્ણાતને મોકલ્યું · જવાબ આવે ત્યારે તમને જાણ કરાશે',
+    source: 'સ્રોત: {sources}',
+    answeredOffline: 'ઓફલાઇન જવાબ આપ્યો',
+    answerInOtherLanguage: 'આ જવાબ ફક્ત {language} માં ઉપલબ્ધ છે:',
+    confirmClear: 'શું તમે વાતચીતનો ઇતિહાસ સાફ કરવા માંગો છો?',
+    cleared: 'વાતચીત સાફ થઈ ગઈ. આજે હું તમારી શી મદદ કરું?',
+    historyCode: 'ઇતિહાસ ખસેડો',
+    restoreHistory: 'ઇતિહાસ પાછો લાવો',
+    historyCodeShown: 'આ વાતચીતનો ઇતિહાસ તમારા બીજા ફોન પર લઈ જવા માટે 24 કલાકમાં ત્યાં "ઇતિહાસ પાછો લાવો" માં કોડ {code} દાખલ કરો.',
+    noHistoryToMove: 'ખસેડવા માટે હજી કોઈ વાતચીતનો ઇતિહાસ નથી',
+    historyNotMovable: 'આ ઇતિહાસ ખસેડવા માટે સાઇન ઇન કરો; આ ફોનને માલિક તરીકે ચકાસી શકાયો નથી',
+    enterHistoryCode: 'તમારા જૂના ફોન પર "ઇતિહાસ ખસેડો" માં દેખાયેલો કોડ દાખલ કરો:',
+    historyCodeInvalid: 'આ કોડ માન્ય નથી અથવા તેની મુદત પૂરી થઈ ગઈ છે',
+    historyRestored: 'વાતચીતનો ઇતિહાસ પાછો આવી ગયો',
+    historyNeedsConnection: 'ઇતિહાસ ખસેડવા માટે ઇન્ટરનેટ સાથે જોડાઓ',
+    historyCleared: 'વાતચીતનો ઇતિહાસ સાફ થયો'
+  },
+  responder: {
+    heading: 'રિસ્પોન્ડર કન્સોલ',
+    intro: 'ખેડૂતોની SOS ઘટનાઓની છટણી કરો, સોંપો અને ઉકેલો',
+    open: 'ખુલ્લી',
+    assignedToMe: 'મને સોંપાયેલી',
+    resolved: 'ઉકેલાયેલી',
+    statuses: {
+      received: 'નવી',
+      acknowledged: 'સ્વીકારાઈ',
+      assigned: 'સોંપાઈ',
+      en_route: 'રસ્તામાં',
+      resolved: 'ઉકેલાઈ'
+    },
+    loadFailed: 'ઘટનાઓ લોડ થઈ શકી નહીં',
+    empty: 'અહીં કોઈ ઘટના નથી.',
+    acknowledgedBy: '{name} એ સ્વીકારી',
+    assignedTo: '{name} ને સોંપાઈ',
+    resolvedBy: '{name} એ ઉકેલી',
+    aResponder: 'એક રિસ્પોન્ડર',
+    viaSMS: 'SMS દ્વારા',
+    resolution: 'ઉકેલ:',
+    nearestResponders: 'નજીકના રિસ્પોન્ડર: {responders}',
+    office: 'કચેરી: {office}',
+    noneInRange: 'મર્યાદામાં કોઈ નથી',
+    escalatedTo: '{target} સુધી મોકલાઈ: {minutes} મિનિટ પછી પણ {status} નથી',
+    nobodyToNotify: 'જાણ કરવા માટે કોઈ નથી',
+    attachmentLoading: 'લોડ થઈ રહ્યું છે…',
+    stillUploading: '{count} હજી અપલોડ થઈ રહ્યા છે',
+    farmerPhoto: 'ખેડૂતે મોકલેલો ફોટો',
+    attachmentFailed: 'જોડાણ લોડ થઈ શક્યું નહીં',
+    acknowledge: 'સ્વીકારો',
+    assignTo: 'આમને સોંપો',
+    assign: 'સોંપો',
+    enRoute: 'રસ્તામાં',
+    resolve: 'ઉકેલો',
+    notePlaceholder: 'બીજા રિસ્પોન્ડર માટે નોંધ લખો',
+    addNote: 'નોંધ ઉમેરો',
+    acknowledgedToast: 'ઘટના સ્વીકારાઈ',
+    assignedToast: 'ઘટના સોંપાઈ',
+    enRouteToast: 'ખેડૂતને જાણ કરાઈ કે મદદ રસ્તામાં છે',
+    noteAdded: 'નોંધ ઉમેરાઈ',
+    resolvePrompt: 'આ ઘટના કેવી રીતે ઉકેલાઈ?',
+    resolvedToast: 'ઘટના ઉકેલાઈ'
+  },
+  expert: {
+    heading: 'નિષ્ણાત ઇનબોક્સ',
+    intro: 'જ્ઞાનકોશ જેનો જવાબ ન આપી શક્યો એવા ખેતીના પ્રશ્નોના જવાબ આપો',
+    queue: 'કતાર',
+    claimedByMe: 'મેં લીધેલા',
+    done: 'પૂર્ણ',
+    loadFailed: 'પ્રશ્નો લોડ થઈ શક્યા નહીં',
+    empty: 'અહીં કોઈ પ્રશ્ન નથી.',
+    statuses: {
+      'pending-expert': 'નિષ્ણાતની રાહમાં',
+      claimed: 'લેવાયો',
+      answered: 'જવાબ અપાયો',
+      rejected: 'નકારાયો'
+    },
+    match: 'જ્ઞાનકોશમાં {percent}% મેળ',
+    specialty: 'તમારી વિશેષતા',
+    answer: 'જવાબ:',
+    rejected: 'નકારાયો:',
+    claim: 'લો',
+    claimed: 'પ્રશ્ન લેવાયો',
+    template: 'જવાબનો નમૂનો',
+    startFromTemplate: 'કોઈ નમૂનાથી શરૂ કરો…',
+    answerPlaceholder: 'ખેડૂત સાંભળશે તે જવાબ લખો',
+    sendAnswer: 'જવાબ મોકલો',
+    reject: 'નકારો',
+    release: 'છોડો',
+    released: 'પ્રશ્ન કતારમાં પાછો મોકલાયો',
+    yourCrop: 'તમારો પાક',
+    answerSent: 'જવાબ ખેડૂતને મોકલાયો',
+    rejectPrompt: 'આ પ્રશ્નનો જવાબ કેમ આપી શકાય તેમ નથી? ખેડૂત આ જોશે.',
+    followUp: 'આગળનો પ્રશ્ન, આ રીતે સમજાયો: {question}',
+    rejectedToast: 'પ્રશ્ન નકારાયો'
+  },
+  access: {
+    staffOnly: 'આ પેજ AgriEcho કર્મચારીઓ માટે છે.',
+    signInFor: 'આ પેજ ખોલવા માટે તમારા સ્ટાફ ઍક્સેસ ટોકનથી સાઇન ઇન કરો.',
+    forbidden: '{name}ને આ પેજની પરવાનગી નથી. બીજા ખાતાથી સાઇન ઇન કરો.'
+  },
+  account: {
+    heading: 'મારું ખાતું',
+    intro: 'તમારા ફોન નંબરથી સાઇન ઇન કરો, જેથી ખેતરની માહિતી દરેક ફોન પર મળે.',
+    phoneLabel: 'ફોન નંબર',
+    phonePlaceholder: '10 અંકનો મોબાઇલ નંબર',
+    sendCode: 'કોડ મોકલો',
+    codeSent: 'અમે {phone} પર SMS થી કોડ મોકલ્યો છે.',
+    codeLabel: 'SMS માં આવેલો કોડ',
+    codePlaceholder: '6 અંકનો કોડ',
+    changeNumber: 'બીજો નંબર વાપરો',
+    resendIn: 'હમણાં જ કોડ મોકલ્યો છે. {seconds} સેકન્ડ પછી નવો કોડ માંગી શકો છો.',
+    wrongCode: 'આ કોડ ખોટો છે અથવા તેની મુદત પૂરી થઈ ગઈ છે.',
+    needsConnection: 'સાઇન ઇન માટે ઇન્ટરનેટ કનેક્શન જોઈએ.',
+    unavailable: 'ખાતાં હાલમાં ઉપલબ્ધ નથી.',
+    welcome: 'સ્વાગત છે! નીચે તમારા ખેતરની માહિતી ભરો.',
+    signedIn: 'સાઇન ઇન થયું',
+    signedInAs: '{phone} થી સાઇન ઇન',
+    profile: 'ખેતરની પ્રોફાઇલ',
+    nameLabel: 'તમારું નામ',
+    villageLabel: 'ગામ',
+    districtLabel: 'જિલ્લો',
+    districtCodeLabel: 'જિલ્લા કોડ (સત્તાવાર ચેતવણીઓ માટે)',
+    farmLocationLabel: 'ખેતરનું સ્થાન',
+    farmLocationSet: '{lat}, {lon}',
+    farmLocationUnset: 'સેટ નથી',
+    useCurrentLocation: 'હું જ્યાં છું તે સ્થાન',
+    locationFailed: 'તમારું સ્થાન મળી શક્યું નહીં.',
+    languageLabel: 'પસંદગીની ભાષા',
+    cropsLabel: 'તમે ઉગાડો છો તે પાક',
+    save: 'પ્રોફાઇલ સાચવો',
+    saved: 'પ્રોફાઇલ સાચવી',
+    savedOffline: 'પ્રોફાઇલ આ ફોન પર સાચવી. ઓનલાઇન થતાં મોકલવામાં આવશે.',
+    signOutEverywhere: 'બધા ફોનમાંથી સાઇન આઉટ કરો',
+    signedOutEverywhere: 'બધા ફોનમાંથી સાઇન આઉટ થયું'
+  },
+  app: {
+    newVersion: 'નવું સંસ્કરણ ઉપલબ્ધ છે! અપડેટ માટે રિફ્રેશ કરો.',
+    installed: 'AgriEcho સફળતાપૂર્વક ઇન્સ્ટોલ થયું!',
+    backOnline: 'ફરી ઓનલાઇન! ડેટા સિંક થઈ રહ્યો છે...',
+    nowOffline: 'તમે હમણાં ઓફલાઇન છો. ડેટા આ ઉપકરણ પર જ સચવાશે.',
+    syncComplete: 'બધો ડેટા સફળતાપૂર્વક સિંક થયો!',
+    syncIncomplete: 'થોડો ડેટા સિંક થઈ શક્યો નહીં',
+    sosSynced: { one: '{count} SOS ચેતવણી સિંક થઈ', other: '{count} SOS ચેતવણીઓ સિંક થઈ' },
+    queriesSynced: { one: '{count} વૉઇસ પ્રશ્ન સિંક થયો', other: '{count} વૉઇસ પ્રશ્નો સિંક થયા' },
+    expertCouldNotAnswer: 'નિષ્ણાત "{question}" નો જવાબ આપી શક્યા નહીં: {reason}',
+    expertAnswered: { one: 'એક નિષ્ણાતે તમારા પ્રશ્નનો જવાબ આપ્યો છે', other: 'નિષ્ણાતોએ તમારા {count} પ્રશ્નોના જવાબ આપ્યા છે' },
+    geolocationUnsupported: 'સ્થાનની સુવિધા ઉપલબ્ધ નથી',
+    cannotSyncOffline: 'ઓફલાઇન હોય ત્યારે સિંક થઈ શકતું નથી',
+    manualSync: 'સિંક શરૂ થઈ રહ્યું છે...',
+    allSynced: 'બધો ડેટા સિંક થયો!',
+    stillPending: { one: '{count} આઇટમ હજી બાકી છે', other: '{count} આઇટમ હજી બાકી છે' },
+    waitingToSync: { one: '{count} આઇટમ સિંક થવાની રાહમાં છે', other: '{count} આઇટમ સિંક થવાની રાહમાં છે' },
+    failedToSync: { one: '{count} આઇટમ સિંક ન થઈ', other: '{count} આઇટમ સિંક ન થઈ' },
+    articleSaved: 'લેખ ઓફલાઇન વાંચવા માટે સાચવ્યો!',
+    articleRemoved: 'લેખ ઓફલાઇન સંગ્રહમાંથી દૂર કર્યો',
+    articlesCleared: 'બધા ઓફલાઇન લેખો દૂર કર્યા',
+    photoCompressFailed: 'ફોટો નાનો કરી શકાયો નહીં',
+    photoReadFailed: 'ફોટો વાંચી શકાયો નહીં',
+    uploadFailed: 'અપલોડ નિષ્ફળ ગયું',
+    clipNotUnderstood: 'માફ કરશો, તમારો રેકોર્ડ કરેલો પ્રશ્ન સમજાયો નહીં. કૃપા કરીને ફરી પૂછો.',
+    clipsAnswered: { one: 'તમારા રેકોર્ડ કરેલા પ્રશ્નનો જવાબ આવી ગયો છે', other: '{count} રેકોર્ડ કરેલા પ્રશ્નોના જવાબ આવી ગયા છે' },
+    signedOut: 'તમે સાઇન આઉટ થઈ ગયા છો. મારું ખાતું માંથી ફરી સાઇન ઇન કરો.'
+  }
+};
@@ -0,0 +1,489 @@
+// Hindi messages; missing keys fall back to English
+export default {
+  common: {
+    online: 'ऑनलाइन',
+    offline: 'ऑफ़लाइन',
+    refresh: 'रीफ़्रेश करें',
+    clear: 'साफ़ करें',
+    close: 'बंद करें',
+    share: 'शेयर करें',
+    install: 'इंस्टॉल करें',
+    signIn: 'साइन इन करें',
+    signOut: 'साइन आउट करें',
+    accessToken: 'एक्सेस टोकन',
+    tokenPlaceholder: 'अपने व्यवस्थापक से मिला टोकन यहाँ डालें',
+    callNow: 'अभी कॉल करें',
+    loading: 'लोड हो रहा है...',
+    saveOffline: 'ऑफ़लाइन सहेजें',
+    onlineOnly: 'केवल ऑनलाइन',
+    availableOffline: 'ऑफ़लाइन उपलब्ध',
+    requestFailed: 'अनुरोध विफल रहा',
+    language: 'भाषा',
+    km: '{distance} किमी',
+    severity: { low: 'कम', medium: 'मध्यम', high: 'अधिक', critical: 'गंभीर' },
+    categories: { soil: 'मिट्टी', crops: 'फ़सलें', fertilizer: 'खाद', pest: 'कीट नियंत्रण' }
+  },
+  titles: {
+    home: 'AgriEcho - स्मार्ट खेती सहायक',
+    knowledge: 'ज्ञान कोश',
+    article: '{title} - ज्ञान कोश',
+    articleNotFound: 'लेख नहीं मिला - ज्ञान कोश',
+    weather: 'मौसम और चेतावनियाँ',
+    sos: 'आपातकालीन SOS',
+    responder: 'रिस्पॉन्डर कंसोल',
+    voice: 'वॉइस सहायक',
+    expert: 'विशेषज्ञ इनबॉक्स',
+    account: 'मेरा खाता'
+  },
+  nav: {
+    home: 'होम',
+    learn: 'सीखें',
+    weather: 'मौसम',
+    sos: 'SOS',
+    ask: 'पूछें',
+    knowledge: 'ज्ञान',
+    voice: 'आवाज़'
+  },
+  layout: {
+    description: 'AgriEcho - ऑफ़लाइन चलने वाला स्मार्ट खेती सहायक',
+    installPrompt: 'ऑफ़लाइन उपयोग के लिए AgriEcho इंस्टॉल करें',
+    tagline: 'स्मार्ट खेती सहायक',
+    madeFor: 'किसानों के लिए {heart} से बनाया गया',
+    chooseLanguage: 'भाषा चुनें',
+    account: 'मेरा खाता'
+  },
+  home: {
+    welcome: '{brand} में आपका स्वागत है',
+    intro: 'आपका स्मार्ट खेती साथी जो ऑफ़लाइन काम करता है और इंटरनेट लौटने पर सिंक हो जाता है।',
+    farmers: '10,000+ किसान',
+    tips: '500+ सुझाव',
+    worksOffline: 'ऑफ़लाइन चलता है',
+    heroAlt: 'खेत में किसान',
+    featuresTitle: 'आधुनिक खेती के लिए स्मार्ट सुविधाएँ',
+    knowledgeTitle: 'ज्ञान कोश',
+    knowledgeText: 'बिना इंटरनेट के भी खेती की गाइड, सुझाव और अच्छे तरीके पढ़ें।',
+    knowledgeBadge: 'ऑफ़लाइन तैयार',
+    weatherTitle: 'मौसम चेतावनियाँ',
+    weatherText: 'खराब मौसम से फ़सल बचाने के लिए समय पर मौसम की जानकारी और चेतावनियाँ पाएँ।',
+    weatherBadge: 'तुरंत',
+    sosTitle: 'आपातकालीन SOS',
+    sosText: 'फ़सल रोग, प्राकृतिक आपदा या तुरंत मदद के लिए आपातकालीन चेतावनी भेजें।',
+    sosBadge: 'गंभीर',
+    voiceTitle: 'वॉइस सहायक',
+    voiceText: 'अपनी भाषा में बोलकर सवाल पूछें। बिना हाथ लगाए खेती के लिए बढ़िया।',
+    voiceBadge: 'बहुभाषी',
+    syncTitle: 'डेटा सिंक स्थिति',
+    synced: 'सारा डेटा सिंक हो गया',
+    syncing: 'डेटा सिंक हो रहा है...',
+    syncOffline: 'ऑफ़लाइन मोड - ऑनलाइन होने पर डेटा सिंक होगा',
+    offlineArticles: 'ऑफ़लाइन लेख',
+    weatherData: 'मौसम डेटा'
+  },
+  knowledge: {
+    heading: 'ज्ञान कोश',
+    intro: 'विशेषज्ञों की खेती गाइड और अच्छे तरीकों से सीखें',
+    searchPlaceholder: 'लेख खोजें...',
+    all: 'सभी',
+    readMore: 'और पढ़ें',
+    noResults: 'आपकी खोज से कोई लेख नहीं मिला।',
+    savedOffline: 'ऑफ़लाइन सहेजे गए लेख',
+    totalArticles: 'कुल लेख',
+    audioAvailable: 'ऑडियो उपलब्ध',
+    openFull: 'पूरा लेख खोलें',
+    searchedOffline: 'ऑफ़लाइन - {count} सहेजे गए लेखों में खोजा गया',
+    resultsFound: { one: '{count} परिणाम मिला', other: '{count} परिणाम मिले' },
+    shareText: 'AgriEcho का यह खेती लेख देखें',
+    linkCopied: 'लेख का लिंक कॉपी हो गया!'
+  },
+  article: {
+    back: 'ज्ञान कोश पर वापस जाएँ',
+    notFound: 'लेख नहीं मिला',
+    notFoundText: 'यह लेख हटा दिया गया है या लिंक गलत है।',
+    listen: 'सुनें',
+    pause: 'रोकें',
+    resume: 'फिर से शुरू करें',
+    references: 'संदर्भ'
+  },
+  player: {
+    unsupported: 'इस ब्राउज़र में पढ़कर सुनाने की सुविधा नहीं है',
+    resuming: 'अनुच्छेद {number} से फिर शुरू कर रहे हैं',
+    position: 'अनुच्छेद {current} / {total}',
+    previous: 'पिछला अनुच्छेद',
+    playPause: 'चलाएँ या रोकें',
+    next: 'अगला अनुच्छेद',
+    speed: 'चलाने की गति',
+    stop: 'बंद करें'
+  },
+  weather: {
+    heading: 'मौसम और चेतावनियाँ',
+    intro: 'मौसम की स्थिति और खेती से जुड़ी चेतावनियों की जानकारी रखें',
+    yourLocation: 'आपका स्थान',
+    currentLocation: 'वर्तमान स्थान',
+    locationUnknown: 'स्थान अज्ञात',
+    visibility: 'दृश्यता',
+    humidity: 'नमी',
+    windSpeed: 'हवा की गति',
+    next24Hours: 'अगले 24 घंटे',
+    loadingHourly: 'घंटेवार पूर्वानुमान लोड हो रहा है...',
+    sevenDay: '7 दिन का पूर्वानुमान',
+    loadingForecast: 'पूर्वानुमान लोड हो रहा है...',
+    activeAlerts: 'सक्रिय मौसम चेतावनियाँ',
+    officialAlert: 'आधिकारिक चेतावनी',
+    validUntil: 'मान्य: {date} तक',
+    ongoing: 'जारी',
+    cropAdvisories: 'फ़सल सलाह',
+    selectCrops: 'सिंचाई और कटाई की सलाह के लिए अपनी फ़सलें चुनें:',
+    advisoriesPending: 'पूर्वानुमान लोड होने के बाद सलाह दिखेगी।',
+    updated: '{time} पर अपडेट हुआ',
+    today: 'आज',
+    tomorrow: 'कल',
+    cachedStale: 'पुराना सहेजा गया मौसम डेटा दिखा रहे हैं (ऑफ़लाइन मोड)',
+    cached: 'सहेजा गया मौसम डेटा दिखा रहे हैं (ऑफ़लाइन मोड)',
+    unavailableOffline: 'ऑफ़लाइन मौसम उपलब्ध नहीं',
+    connectOnce: 'पूर्वानुमान डाउनलोड करने के लिए एक बार इंटरनेट से जुड़ें।',
+    alertsUpdated: 'मौसम चेतावनियाँ अपडेट हुईं',
+    backOnline: 'फिर से ऑनलाइन - मौसम डेटा अपडेट हुआ',
+    offlineMode: 'ऑफ़लाइन मोड - सहेजा गया मौसम डेटा दिखा रहे हैं',
+    conditions: {
+      Sunny: 'धूप',
+      'Partly Cloudy': 'आंशिक बादल',
+      Cloudy: 'बादल',
+      Fog: 'कोहरा',
+      'Light Rain': 'हल्की बारिश',
+      'Heavy Rain': 'भारी बारिश',
+      Thunderstorm: 'आंधी-तूफ़ान',
+      Snow: 'बर्फ़'
+    }
+  },
+  advisories: {
+    crops: {
+      rice: 'धान', wheat: 'गेहूँ', maize: 'मक्का', cotton: 'कपास',
+      sugarcane: 'गन्ना', soybean: 'सोयाबीन', tomato: 'टमाटर', onion: 'प्याज़'
+    },
+    sprayProblems: {
+      rain: 'छिड़काव सूखने से पहले बारिश की संभावना है',
+      wind: 'हवा बहुत तेज़ है और छिड़काव उड़ जाएगा',
+      calm: 'हवा बहुत ठहरी है, बारीक बूँदें टिककर फैल सकती हैं',
+      heat: 'बहुत गर्मी है और छिड़काव भाप बन जाएगा',
+      humidity: 'नमी सुरक्षित सीमा से बाहर है',
+      unknown: 'पूर्वानुमान डेटा उपलब्ध नहीं है'
+    },
+    noSprayTitle: 'छिड़काव का कोई सुरक्षित समय नहीं',
+    noSprayMessage: 'अगले {hours} घंटे छिड़काव न करें: {problem}।',
+    sprayTitle: 'छिड़काव का समय',
+    sprayMessage: 'कीटनाशक छिड़काव के लिए शांत, सूखा मौसम: {times}।',
+    irrigationTitle: '{crop} सिंचाई',
+    irrigateOn: '{crop} की सिंचाई {days} को करें।',
+    rainDay: '{day} ({rain} मिमी बारिश)',
+    rainWaters: '{days} को बारिश खेत को पानी देगी।',
+    noIrrigation: 'इस हफ़्ते {crop} को सिंचाई की ज़रूरत नहीं; बारिश की संभावना है।',
+    harvestTitle: '{crop} कटाई और सुखाई',
+    noDryingWindow: 'इस हफ़्ते {days} दिन का सूखा मौसम नहीं है। हो सके तो कटाई टालें, या ढककर सुखाने की योजना बनाएँ।',
+    dryingWindow: 'फ़सल तैयार हो तो {range} कटाई करके धूप में सुखाएँ ({days} सूखे दिन)।'
+  },
+  sos: {
+    heading: 'आपातकालीन SOS',
+    intro: 'तुरंत मदद के लिए आपातकालीन चेतावनी भेजें',
+    quickActions: 'त्वरित आपातकालीन कार्य',
+    types: {
+      'crop-disease': 'फ़सल रोग',
+      'weather-damage': 'मौसम से नुकसान',
+      'equipment-failure': 'उपकरण खराबी',
+      'pest-attack': 'कीट हमला',
+      'medical-emergency': 'चिकित्सा आपातकाल',
+      'natural-disaster': 'प्राकृतिक आपदा',
+      'need-help': 'मदद चाहिए',
+      other: 'अन्य'
+    },
+    quickMessages: {
+      'crop-disease': 'फ़सल में रोग फैलने का पता चला',
+      'weather-damage': 'मौसम से फ़सल को नुकसान हुआ',
+      'equipment-failure': 'खेती का उपकरण खराब हो गया',
+      'pest-attack': 'गंभीर कीट प्रकोप',
+      'medical-emergency': 'खेत पर चिकित्सा आपातकाल',
+      'need-help': 'खेती में सामान्य मदद चाहिए'
+    },
+    detailedReport: 'विस्तृत आपातकालीन रिपोर्ट',
+    typeLabel: 'आपातकाल का प्रकार',
+    selectType: 'आपातकाल का प्रकार चुनें',
+    severityLabel: 'गंभीरता स्तर',
+    severityOptions: {
+      low: 'कम - इंतज़ार कर सकते हैं',
+      medium: 'मध्यम - जल्दी मदद चाहिए',
+      high: 'अधिक - ज़रूरी',
+      critical: 'गंभीर - तुरंत मदद चाहिए'
+    },
+    locationLabel: 'स्थान का विवरण',
+    locationPlaceholder: 'अपना स्थान या पता बताएँ',
+    useLocation: 'वर्तमान स्थान उपयोग करें',
+    messageLabel: 'आपातकाल का वर्णन करें',
+    messagePlaceholder: 'क्या हुआ और आपको क्या मदद चाहिए, बताएँ...',
+    contactLabel: 'संपर्क जानकारी',
+    contactPlaceholder: 'आपातकालीन संपर्क के लिए आपका फ़ोन नंबर',
+    attachmentsLabel: 'फ़ोटो और वॉइस नोट',
+    addPhoto: 'फ़ोटो जोड़ें',
+    recordVoice: 'वॉइस नोट रिकॉर्ड करें',
+    stopRecording: 'रोकें (अधिकतम {seconds} सेकंड)',
+    attachedPhoto: 'जोड़ी गई फ़ोटो',
+    removeAttachment: 'अटैचमेंट हटाएँ',
+    send: 'SOS चेतावनी भेजें',
+    statusHeading: 'आपातकाल स्थिति',
+    connectionStatus: 'कनेक्शन स्थिति',
+    onlineStatus: 'ऑनलाइन - चेतावनी तुरंत भेजी जाती है',
+    offlineStatus: 'ऑफ़लाइन - चेतावनी कतार में रखी जाएगी',
+    pendingAlerts: 'बाकी चेतावनियाँ',
+    pendingCount: { one: '{count} चेतावनी भेजी जानी बाकी है', other: '{count} चेतावनियाँ भेजी जानी बाकी हैं' },
+    sentToday: 'आज भेजी गईं',
+    sentCount: { one: '{count} चेतावनी सफलतापूर्वक भेजी गई', other: '{count} चेतावनियाँ सफलतापूर्वक भेजी गईं' },
+    smsHeading: 'डेटा कनेक्शन नहीं है?',
+    smsText: 'बाकी चेतावनियाँ मोबाइल नेटवर्क से SMS के रूप में जा सकती हैं। चेतावनी भरे हुए मैसेज ऐप को खोलने के लिए टैप करें, फिर भेजें दबाएँ।',
+    smsOpened: '{time} मैसेज में खोला गया',
+    queuedAt: '{time} कतार में रखा गया',
+    sendAgain: 'फिर से भेजें',
+    sendSMS: 'SMS से भेजें',
+    myAlerts: 'मेरी चेतावनियाँ',
+    steps: {
+      received: 'प्राप्त',
+      acknowledged: 'स्वीकार किया',
+      assigned: 'रिस्पॉन्डर नियुक्त',
+      en_route: 'रास्ते में',
+      resolved: 'हल हुआ'
+    },
+    attachmentsUploaded: { one: '{count} अटैचमेंट अपलोड हुआ', other: '{count} अटैचमेंट अपलोड हुए' },
+    nearestOffice: 'नज़दीकी कार्यालय: {name}',
+    contactsHeading: 'आपातकालीन संपर्क',
+    contactsFor: '{area} के संपर्क',
+    nationalNumbers: 'राष्ट्रीय आपातकालीन नंबर',
+    savedForOffline: '{where} · {date} को ऑफ़लाइन उपयोग के लिए सहेजा गया',
+    distanceAway: '{distance} किमी दूर',
+    contactCategories: {
+      emergency: 'आपातकाल',
+      ambulance: 'चिकित्सा आपातकाल',
+      police: 'पुलिस',
+      fire: 'अग्निशमन विभाग',
+      disaster: 'आपदा नियंत्रण',
+      'agri-officer': 'कृषि अधिकारी',
+      kvk: 'कृषि विज्ञान केंद्र',
+      veterinary: 'पशु चिकित्सा सेवा',
+      helpline: 'हेल्पलाइन'
+    },
+    ambulanceService: '108 - राष्ट्रीय एम्बुलेंस सेवा',
+    policeControl: '100 - पुलिस नियंत्रण कक्ष',
+    fireServices: '101 - अग्निशमन और बचाव सेवा',
+    kisanCallCentre: '1800-180-1551 - किसान कॉल सेंटर',
+    attachmentsNotSaved: 'इस चेतावनी के साथ फ़ोटो और वॉइस नोट सहेजे नहीं जा सके',
+    recordingUnsupported: 'इस ब्राउज़र में वॉइस रिकॉर्डिंग की सुविधा नहीं है',
+    recordingFailed: 'वॉइस नोट रिकॉर्ड नहीं हो सका',
+    attachmentLimit: 'आप अधिकतम {max} फ़ोटो या वॉइस नोट जोड़ सकते हैं',
+    sent: 'SOS चेतावनी सफलतापूर्वक भेजी गई!',
+    savedOfflineRetry: 'SOS ऑफ़लाइन सहेजा गया - कनेक्शन लौटने पर भेजा जाएगा',
+    savedOfflineSMS: 'SOS चेतावनी ऑफ़लाइन सहेजी गई - नीचे SMS से भेजें, या ऑनलाइन होने पर यह भेजी जाएगी',
+    savedOffline: 'SOS चेतावनी ऑफ़लाइन सहेजी गई - ऑनलाइन होने पर भेजी जाएगी',
+    pendingSent: { one: '{count} बाकी चेतावनी सफलतापूर्वक भेजी गई', other: '{count} बाकी चेतावनियाँ सफलतापूर्वक भेजी गईं' },
+    locationCaptured: 'स्थान सफलतापूर्वक मिल गया',
+    locationFailed: 'आपका स्थान नहीं मिल सका',
+    geolocationUnsupported: 'इस ब्राउज़र में स्थान की सुविधा नहीं है',
+    confirmCall: 'क्या आप {number} पर कॉल करना चाहते हैं?',
+    emergencyNumber: 'आपातकालीन नंबर: {number}',
+    backOnline: 'फिर से ऑनलाइन - बाकी चेतावनियाँ सिंक हो रही हैं',
+    goneOffline: 'ऑफ़लाइन हो गए - चेतावनियाँ कतार में रखी जाएँगी'
+  },
+  voice: {
+    heading: 'वॉइस सहायक',
+    intro: 'अपनी आवाज़ में खेती से जुड़े सवाल पूछें',
+    tapToRecord: 'रिकॉर्डिंग शुरू करने के लिए टैप करें',
+    listening: 'सुन रहे हैं...',
+    processing: 'प्रोसेस हो रहा है...',
+    recognitionError: 'त्रुटि हुई। फिर से कोशिश करें।',
+    recognitionUnsupported: 'इस ब्राउज़र में आवाज़ पहचान की सुविधा नहीं है',
+    selectLanguage: 'भाषा चुनें:',
+    conversation: 'बातचीत',
+    welcome: 'नमस्ते! मैं आपका खेती सहायक हूँ। आप मुझसे इनके बारे में पूछ सकते हैं:',
+    topics: {
+      diseases: 'फ़सल रोग और उपचार',
+      weather: 'मौसम से जुड़ी खेती सलाह',
+      soil: 'मिट्टी की सेहत और खाद',
+      pests: 'कीट नियंत्रण के तरीके',
+      practices: 'खेती के अच्छे तरीके'
+    },
+    tapMicrophone: 'बस माइक्रोफ़ोन पर टैप करें और बोलना शुरू करें!',
+    quickQuestions: 'त्वरित सवाल',
+    questions: {
+      plantRice: { ask: 'धान बोने का सबसे अच्छा समय क्या है?', label: 'धान बोने का सही समय?' },
+      aphids: { ask: 'फ़सलों पर माहू (एफिड) को कैसे नियंत्रित करें?', label: 'माहू पर नियंत्रण?' },
+      tomatoFertilizer: { ask: 'टमाटर के लिए कौन सी खाद अच्छी है?', label: 'टमाटर के लिए खाद?' },
+      soilQuality: { ask: 'मिट्टी की गुणवत्ता कैसे सुधारें?', label: 'मिट्टी सुधार?' },
+      diseaseSigns: { ask: 'पौधों के रोग के लक्षण क्या हैं?', label: 'पौधों के रोग के लक्षण?' },
+      weatherImpact: { ask: 'मौसम का खेती पर क्या असर होता है?', label: 'मौसम का असर?' }
+    },
+    recentQuestions: 'हाल के सवाल',
+    questionsAsked: { one: '{count} सवाल पूछा गया', other: '{count} सवाल पूछे गए' },
+    expertResponse: 'आपके सवाल के लिए धन्यवाद। हमारे ज्ञान कोश में भरोसेमंद जवाब नहीं मिला, इसलिए इसे हमारे विशेषज्ञों को भेज दिया गया है। वे जल्द जवाब देंगे।',
+    offlineSaved: 'आपके सवाल के लिए धन्यवाद। मैं अभी ऑफ़लाइन हूँ, पर आपका सवाल सहेज लिया गया है। कनेक्शन लौटने पर मैं विस्तृत जवाब दूँगा।',
+    recordingClip: 'अपना सवाल रिकॉर्ड हो रहा है... रोकने के लिए टैप करें',
+    clipQueued: 'आपका रिकॉर्ड किया सवाल सहेज लिया गया है। ऑनलाइन होने पर इसे लिखकर जवाब दिया जाएगा।',
+    clipFailed: 'आपका सवाल रिकॉर्ड नहीं हो सका। माइक्रोफ़ोन की अनुमति जाँचें और फिर कोशिश करें।',
+    expertReplied: '{expert} ने "{question}" का जवाब दिया',
+    sentToExpert: 'विशेषज्ञ को भेजा गया · जवाब आने पर आपको सूचना मिलेगी',
+    source: 'स्रोत: {sources}',
+    answeredOffline: 'ऑफ़लाइन जवाब दिया',
+    answerInOtherLanguage: 'यह जवाब केवल {language} में उपलब्ध है:',
+    confirmClear: 'क्या आप बातचीत का इतिहास साफ़ करना चाहते हैं?',
+    cleared: 'बातचीत साफ़ हो गई। आज मैं आपकी क्या मदद करूँ?',
+    historyCode: 'इतिहास ले जाएँ',
+    restoreHistory: 'इतिहास वापस लाएँ',
+    historyCodeShown: 'यह बातचीत का इतिहास अपने दूसरे फ़ोन पर ले जाने के लिए 24 घंटे के भीतर वहाँ "इतिहास वापस लाएँ" में कोड {code} डालें।',
+    noHistoryToMove: 'ले जाने के लिए अभी कोई बातचीत का इतिहास नहीं है',
+    historyNotMovable: 'यह इतिहास ले जाने के लिए साइन इन करें; इस फ़ोन की मालिक के रूप में पुष्टि नहीं हो सकी',
+    enterHistoryCode: 'अपने पुराने फ़ोन पर "इतिहास ले जाएँ" में दिखा कोड डालें:',
+    historyCodeInvalid: 'यह कोड मान्य नहीं है या इसकी अवधि समाप्त हो गई है',
+    historyRestored: 'बातचीत का इतिहास वापस आ गया',
+    historyNeedsConnection: 'इतिहास ले जाने के लिए इंटरनेट से जुड़ें',
+    historyCleared: 'बातचीत का इतिहास साफ़ हो गया'
+  },
+  responder: {
+    heading: 'रिस्पॉन्डर कंसोल',
+    intro: 'किसानों की SOS घटनाओं को छाँटें, सौंपें और सुलझाएँ',
+    open: 'खुली',
+    assignedToMe: 'मुझे सौंपी गई',
+    resolved: 'सुलझी हुई',
+    statuses: {
+      received: 'नई',
+      acknowledged: 'स्वीकार की गई',
+      assigned: 'सौंपी गई',
+      en_route: 'रास्ते में',
+      resolved: 'सुलझी हुई'
+    },
+    loadFailed: 'घटनाएँ लोड नहीं हो सकीं',
+    empty: 'यहाँ कोई घटना नहीं है।',
+    acknowledgedBy: '{name} ने स्वीकार की',
+    assignedTo: '{name} को सौंपी गई',
+    resolvedBy: '{name} ने सुलझाई',
+    aResponder: 'एक रिस्पॉन्डर',
+    viaSMS: 'SMS से',
+    resolution: 'समाधान:',
+    nearestResponders: 'नज़दीकी रिस्पॉन्डर: {responders}',
+    office: 'कार्यालय: {office}',
+    noneInRange: 'दायरे में कोई नहीं',
+    escalatedTo: '{target} तक बढ़ाई गई: {minutes} मिनट बाद भी {status} नहीं',
+    nobodyToNotify: 'सूचित करने के लिए कोई नहीं',
+    attachmentLoading: 'लोड हो रहा है…',
+    stillUploading: '{count} अभी अपलोड हो रहे हैं',
+    farmerPhoto: 'किसान की भेजी फ़ोटो',
+    attachmentFailed: 'अटैचमेंट लोड नहीं हो सका',
+    acknowledge: 'स्वीकार करें',
+    assignTo: 'इन्हें सौंपें',
+    assign: 'सौंपें',
+    enRoute: 'रास्ते में',
+    resolve: 'सुलझाएँ',
+    notePlaceholder: 'दूसरे रिस्पॉन्डरों के लिए नोट लिखें',
+    addNote: 'नोट जोड़ें',
+    acknowledgedToast: 'घटना स्वीकार की गई',
+    assignedToast: 'घटना सौंपी गई',
+    enRouteToast: 'किसान को बता दिया गया कि मदद रास्ते में है',
+    noteAdded: 'नोट जोड़ा गया',
+    resolvePrompt: 'यह घटना कैसे सुलझी?',
+    resolvedToast: 'घटना सुलझ गई'
+  },
+  expert: {
+    heading: 'विशेषज्ञ इनबॉक्स',
+    intro: 'खेती के वे सवाल जिनका जवाब ज्ञान कोश में नहीं मिला, उनका जवाब दें',
+    queue: 'कतार',
+    claimedByMe: 'मेरे लिए गए',
+    done: 'पूरे हुए',
+    loadFailed: 'सवाल लोड नहीं हो सके',
+    empty: 'यहाँ कोई सवाल नहीं है।',
+    statuses: {
+      'pending-expert': 'विशेषज्ञ की प्रतीक्षा में',
+      claimed: 'लिया गया',
+      answered: 'जवाब दिया गया',
+      rejected: 'अस्वीकार किया गया'
+    },
+    match: 'ज्ञान कोश में {percent}% मेल',
+    specialty: 'आपकी विशेषज्ञता',
+    answer: 'जवाब:',
+    rejected: 'अस्वीकार:',
+    claim: 'लें',
+    claimed: 'सवाल ले लिया गया',
+    template: 'जवाब का टेम्पलेट',
+    startFromTemplate: 'किसी टेम्पलेट से शुरू करें…',
+    answerPlaceholder: 'वह जवाब लिखें जो किसान सुनेगा',
+    sendAnswer: 'जवाब भेजें',
+    reject: 'अस्वीकार करें',
+    release: 'छोड़ें',
+    released: 'सवाल कतार में लौटा दिया गया',
+    yourCrop: 'आपकी फ़सल',
+    answerSent: 'जवाब किसान को भेज दिया गया',
+    rejectPrompt: 'इस सवाल का जवाब क्यों नहीं दिया जा सकता? किसान यह देखेगा।',
+    followUp: 'अगला सवाल, इस तरह समझा गया: {question}',
+    rejectedToast: 'सवाल अस्वीकार किया गया'
+  },
+  access: {
+    staffOnly: 'यह पेज AgriEcho कर्मचारियों के लिए है।',
+    signInFor: 'यह पेज खोलने के लिए अपने स्टाफ़ एक्सेस टोकन से साइन इन करें।',
+    forbidden: '{name} को इस पेज की अनुमति नहीं है। किसी दूसरे खाते से साइन इन करें।'
+  },
+  account: {
+    heading: 'मेरा खाता',
+    intro: 'अपने फ़ोन नंबर से साइन इन करें ताकि आपके खेत की जानकारी हर फ़ोन पर मिले।',
+    phoneLabel: 'फ़ोन नंबर',
+    phonePlaceholder: '10 अंकों का मोबाइल नंबर',
+    sendCode: 'कोड भेजें',
+    codeSent: 'हमने {phone} पर SMS से कोड भेजा है।',
+    codeLabel: 'SMS में आया कोड',
+    codePlaceholder: '6 अंकों का कोड',
+    changeNumber: 'दूसरा नंबर इस्तेमाल करें',
+    resendIn: 'अभी-अभी कोड भेजा गया है। {seconds} सेकंड बाद नया कोड मांग सकते हैं।',
+    wrongCode: 'यह कोड गलत है या इसकी समय-सीमा खत्म हो गई है।',
+    needsConnection: 'साइन इन के लिए इंटरनेट कनेक्शन चाहिए।',
+    unavailable: 'खाते अभी उपलब्ध नहीं हैं।',
+    welcome: 'स्वागत है! नीचे अपने खेत की जानकारी भरें।',
+    signedIn: 'साइन इन हो गया',
+    signedInAs: '{phone} से साइन इन',
+    profile: 'खेत की प्रोफ़ाइल',
+    nameLabel: 'आपका नाम',
+    villageLabel: 'गाँव',
+    districtLabel: 'ज़िला',
+    districtCodeLabel: 'ज़िला कोड (सरकारी चेतावनियों के लिए)',
+    farmLocationLabel: 'खेत का स्थान',
+    farmLocationSet: '{lat}, {lon}',
+    farmLocationUnset: 'सेट नहीं है',
+    useCurrentLocation: 'मेरा मौजूदा स्थान',
+    locationFailed: 'आपका स्थान नहीं मिल सका।',
+    languageLabel: 'पसंदीदा भाषा',
+    cropsLabel: 'आप कौन सी फ़सलें उगाते हैं',
+    save: 'प्रोफ़ाइल सहेजें',
+    saved: 'प्रोफ़ाइल सहेजी गई',
+    savedOffline: 'प्रोफ़ाइल इस फ़ोन पर सहेजी गई। ऑनलाइन होने पर भेज दी जाएगी।',
+    signOutEverywhere: 'सभी फ़ोन से साइन आउट करें',
+    signedOutEverywhere: 'सभी फ़ोन से साइन आउट हो गया'
+  },
+  app: {
+    newVersion: 'नया संस्करण उपलब्ध है! अपडेट के लिए रीफ़्रेश करें।',
+    installed: 'AgriEcho सफलतापूर्वक इंस्टॉल हो गया!',
+    backOnline: 'फिर से ऑनलाइन! डेटा सिंक हो रहा है...',
+    nowOffline: 'आप अभी ऑफ़लाइन हैं। डेटा इसी डिवाइस पर सहेजा जाएगा।',
+    syncComplete: 'सारा डेटा सफलतापूर्वक सिंक हो गया!',
+    syncIncomplete: 'कुछ डेटा सिंक नहीं हो सका',
+    sosSynced: { one: '{count} SOS चेतावनी सिंक हुई', other: '{count} SOS चेतावनियाँ सिंक हुईं' },
+    queriesSynced: { one: '{count} वॉइस सवाल सिंक हुआ', other: '{count} वॉइस सवाल सिंक हुए' },
+    expertCouldNotAnswer: 'विशेषज्ञ "{question}" का जवाब नहीं दे सके: {reason}',
+    expertAnswered: { one: 'एक विशेषज्ञ ने आपके सवाल का जवाब दिया है', other: 'विशेषज्ञों ने आपके {count} सवालों के जवाब दिए हैं' },
+    geolocationUnsupported: 'स्थान की सुविधा उपलब्ध नहीं है',
+    cannotSyncOffline: 'ऑफ़लाइन रहते हुए सिंक नहीं हो सकता',
+    manualSync: 'सिंक शुरू हो रहा है...',
+    allSynced: 'सारा डेटा सिंक हो गया!',
+    stillPending: { one: '{count} आइटम अभी बाकी है', other: '{count} आइटम अभी बाकी हैं' },
+    waitingToSync: { one: '{count} आइटम सिंक होना बाकी है', other: '{count} आइटम सिंक होने बाकी हैं' },
+    failedToSync: { one: '{count} आइटम सिंक नहीं हुआ', other: '{count} आइटम सिंक नहीं हुए' },
+    articleSaved: 'लेख ऑफ़लाइन पढ़ने के लिए सहेजा गया!',
+    articleRemoved: 'लेख ऑफ़लाइन संग्रह से हटाया गया',
+    articlesCleared: 'सभी ऑफ़लाइन लेख हटा दिए गए',
+    photoCompressFailed: 'फ़ोटो छोटी नहीं हो सकी',
+    photoReadFailed: 'फ़ोटो पढ़ी नहीं जा सकी',
+    uploadFailed: 'अपलोड विफल रहा',
+    clipNotUnderstood: 'माफ़ कीजिए, आपका रिकॉर्ड किया सवाल समझ नहीं आया। कृपया फिर से पूछें।',
+    clipsAnswered: { one: 'आपके रिकॉर्ड किए सवाल का जवाब आ गया है', other: '{count} रिकॉर्ड किए सवालों के जवाब आ गए हैं' },
+    signedOut: 'आप साइन आउट हो गए हैं। मेरा खाता से फिर से साइन इन करें।'
+  }
+};
@@ -0,0 +1,489 @@
+// Kannada messages; missing keys fall back to English
+export default {
+  common: {
+    online: 'ಆನ್‌ಲೈನ್',
+    offline: 'ಆಫ್‌ಲೈನ್',
+    refresh: 'ರಿಫ್ರೆಶ್ ಮಾಡಿ',
+    clear: 'ಅಳಿಸಿ',
+    close: 'ಮುಚ್ಚಿ',
+    share: 'ಹಂಚಿಕೊಳ್ಳಿ',
+    install: 'ಇನ್‌ಸ್ಟಾಲ್ ಮಾಡಿ',
+    signIn: 'ಸೈನ್ ಇನ್ ಮಾಡಿ',
+    signOut: 'ಸೈನ್ ಔಟ್ ಮಾಡಿ',
+    accessToken: 'ಪ್ರವೇಶ ಟೋಕನ್',
+    tokenPlaceholder: 'ನಿಮ್ಮ ನಿರ್ವಾಹಕರು ನೀಡಿದ ಟೋಕನ್ ಇಲ್ಲಿ ಅಂಟಿಸಿ',
+    callNow: 'ಈಗ ಕರೆ ಮಾಡಿ',
+    loading: 'ಲೋಡ್ ಆಗುತ್ತಿದೆ...',
+    saveOffline: 'ಆಫ್‌ಲೈನ್‌ಗೆ ಉಳಿಸಿ',
+    onlineOnly: 'ಆನ್‌ಲೈನ್ ಮಾತ್ರ',
+    availableOffline: 'ಆಫ್‌ಲೈನ್‌ನಲ್ಲಿ ಲಭ್ಯ',
+    requestFailed: 'ವಿನಂತಿ ವಿಫಲವಾಯಿತು',
+    language: 'ಭಾಷೆ',
+    km: '{distance} ಕಿ.ಮೀ',
+    severity: { low: 'ಕಡಿಮೆ', medium: 'ಮಧ್ಯಮ', high: 'ಹೆಚ್ಚು', critical: 'ಗಂಭೀರ' },
+    categories: { soil: 'ಮಣ್ಣು', crops: 'ಬೆಳೆಗಳು', fertilizer: 'ಗೊಬ್ಬರ', pest: 'ಕೀಟ ನಿಯಂತ್ರಣ' }
+  },
+  titles: {
+    home: 'AgriEcho - ಸ್ಮಾರ್ಟ್ ಕೃಷಿ ಸಹಾಯಕ',
+    knowledge: 'ಜ್ಞಾನ ಭಂಡಾರ',
+    article: '{title} - ಜ್ಞಾನ ಭಂಡಾರ',
+    articleNotFound: 'ಲೇಖನ ಸಿಗಲಿಲ್ಲ - ಜ್ಞಾನ ಭಂಡಾರ',
+    weather: 'ಹವಾಮಾನ ಮತ್ತು ಎಚ್ಚರಿಕೆಗಳು',
+    sos: 'ತುರ್ತು SOS',
+    responder: 'ರೆಸ್ಪಾಂಡರ್ ಕನ್ಸೋಲ್',
+    voice: 'ಧ್ವನಿ ಸಹಾಯಕ',
+    expert: 'ತಜ್ಞರ ಇನ್‌ಬಾಕ್ಸ್',
+    account: 'ನನ್ನ ಖಾತೆ'
+  },
+  nav: {
+    home: 'ಮುಖಪುಟ',
+    learn: 'ಕಲಿಯಿರಿ',
+    weather: 'ಹವಾಮಾನ',
+    sos: 'SOS',
+    ask: 'ಕೇಳಿ',
+    knowledge: 'ಜ್ಞಾನ',
+    voice: 'ಧ್ವನಿ'
+  },
+  layout: {
+    description: 'AgriEcho - ಆಫ್‌ಲೈನ್‌ನಲ್ಲಿ ಕೆಲಸ ಮಾಡುವ ಸ್ಮಾರ್ಟ್ ಕೃಷಿ ಸಹಾಯಕ',
+    installPrompt: 'ಆಫ್‌ಲೈನ್ ಬಳಕೆಗಾಗಿ AgriEcho ಇನ್‌ಸ್ಟಾಲ್ ಮಾಡಿ',
+    tagline: 'ಸ್ಮಾರ್ಟ್ ಕೃಷಿ ಸಹಾಯಕ',
+    madeFor: 'ರೈತರಿಗಾಗಿ {heart} ನಿಂದ ತಯಾರಿಸಲಾಗಿದೆ',
+    chooseLanguage: 'ಭಾಷೆ ಆಯ್ಕೆಮಾಡಿ',
+    account: 'ನನ್ನ ಖಾತೆ'
+  },
+  home: {
+    welcome: '{brand} ಗೆ ಸ್ವಾಗತ',
+    intro: 'ಆಫ್‌ಲೈನ್‌ನಲ್ಲಿ ಕೆಲಸ ಮಾಡಿ, ಇಂಟರ್ನೆಟ್ ಮರಳಿದಾಗ ಸಿಂಕ್ ಆಗುವ ನಿಮ್ಮ ಸ್ಮಾರ್ಟ್ ಕೃಷಿ ಸಂಗಾತಿ.',
+    farmers: '10,000+ ರೈತರು',
+    tips: '500+ ಸಲಹೆಗಳು',
+    worksOffline: 'ಆಫ್‌ಲೈನ್‌ನಲ್ಲಿ ಕೆಲಸ ಮಾಡುತ್ತದೆ',
+    heroAlt: 'ಹೊಲದಲ್ಲಿ ರೈತ',
+    featuresTitle: 'ಆಧುನಿಕ ಕೃಷಿಗಾಗಿ ಸ್ಮಾರ್ಟ್ ಸೌಲಭ್ಯಗಳು',
+    knowledgeTitle: 'ಜ್ಞಾನ ಭಂಡಾರ',
+    knowledgeText: 'ಇಂಟರ್ನೆಟ್ ಇಲ್ಲದಿದ್ದರೂ ಕೃಷಿ ಮಾರ್ಗದರ್ಶಿಗಳು, ಸಲಹೆಗಳು ಮತ್ತು ಉತ್ತಮ ಪದ್ಧತಿಗಳನ್ನು ಓದಿ.',
+    knowledgeBadge: 'ಆಫ್‌ಲೈನ್‌ಗೆ ಸಿದ್ಧ',
+    weatherTitle: 'ಹವಾಮಾನ ಎಚ್ಚರಿಕೆಗಳು',
+    weatherText: 'ಕೆಟ್ಟ ಹವಾಮಾನದಿಂದ ಬೆಳೆ ರಕ್ಷಿಸಲು ಸಮಯಕ್ಕೆ ಸರಿಯಾಗಿ ಹವಾಮಾನ ಮಾಹಿತಿ ಮತ್ತು ಎಚ್ಚರಿಕೆಗಳನ್ನು ಪಡೆಯಿರಿ.',
+    weatherBadge: 'ತಕ್ಷಣ',
+    sosTitle: 'ತುರ್ತು SOS',
+    sosText: 'ಬೆಳೆ ರೋಗ, ನೈಸರ್ಗಿಕ ವಿಪತ್ತು ಅಥವಾ ತುರ್ತು ಸಹಾಯಕ್ಕಾಗಿ ಎಚ್ಚರಿಕೆ ಕಳುಹಿಸಿ.',
+    sosBadge: 'ಗಂಭೀರ',
+    voiceTitle: 'ಧ್ವನಿ ಸಹಾಯಕ',
+    voiceText: 'ನಿಮ್ಮ ಭಾಷೆಯಲ್ಲಿ ಮಾತನಾಡಿ ಪ್ರಶ್ನೆ ಕೇಳಿ. ಕೈಗಳನ್ನು ಬಳಸದೆ ಕೃಷಿಗೆ ಸೂಕ್ತ.',
+    voiceBadge: 'ಬಹುಭಾಷಾ',
+    syncTitle: 'ಡೇಟಾ ಸಿಂಕ್ ಸ್ಥಿತಿ',
+    synced: 'ಎಲ್ಲಾ ಡೇಟಾ ಸಿಂಕ್ ಆಗಿದೆ',
+    syncing: 'ಡೇಟಾ ಸಿಂಕ್ ಆಗುತ್ತಿದೆ...',
+    syncOffline: 'ಆಫ್‌ಲೈನ್ ಮೋಡ್ - ಆನ್‌ಲೈನ್ ಬಂದಾಗ ಡೇಟಾ ಸಿಂಕ್ ಆಗುತ್ತದೆ',
+    offlineArticles: 'ಆಫ್‌ಲೈನ್ ಲೇಖನಗಳು',
+    weatherData: 'ಹವಾಮಾನ ಡೇಟಾ'
+  },
+  knowledge: {
+    heading: 'ಜ್ಞಾನ ಭಂಡಾರ',
+    intro: 'ತಜ್ಞರ ಕೃಷಿ ಮಾರ್ಗದರ್ಶಿಗಳು ಮತ್ತು ಉತ್ತಮ ಪದ್ಧತಿಗಳಿಂದ ಕಲಿಯಿರಿ',
+    searchPlaceholder: 'ಲೇಖನಗಳನ್ನು ಹುಡುಕಿ...',
+    all: 'ಎಲ್ಲಾ',
+    readMore: 'ಇನ್ನಷ್ಟು ಓದಿ',
+    noResults: 'ನಿಮ್ಮ ಹುಡುಕಾಟಕ್ಕೆ ಹೊಂದುವ ಲೇಖನಗಳಿಲ್ಲ.',
+    savedOffline: 'ಆಫ್‌ಲೈನ್‌ಗೆ ಉಳಿಸಿದ ಲೇಖನಗಳು',
+    totalArticles: 'ಒಟ್ಟು ಲೇಖನಗಳು',
+    audioAvailable: 'ಆಡಿಯೊ ಲಭ್ಯ',
+    openFull: 'ಪೂರ್ಣ ಲೇಖನ ತೆರೆಯಿರಿ',
+    searchedOffline: 'ಆಫ್‌ಲೈನ್ - ಉಳಿಸಿದ {count} ಲೇಖನಗಳಲ್ಲಿ ಹುಡುಕಲಾಗಿದೆ',
+    resultsFound: { one: '{count} ಫಲಿತಾಂಶ ಸಿಕ್ಕಿದೆ', other: '{count} ಫಲಿತಾಂಶಗಳು ಸಿಕ್ಕಿವೆ' },
+    shareText: 'AgriEcho ನ ಈ ಕೃಷಿ ಲೇಖನ ನೋಡಿ',
+    linkCopied: 'ಲೇಖನದ ಲಿಂಕ್ ನಕಲಾಗಿದೆ!'
+  },
+  article: {
+    back: 'ಜ್ಞಾನ ಭಂಡಾರಕ್ಕೆ ಹಿಂತಿರುಗಿ',
+    notFound: 'ಲೇಖನ ಸಿಗಲಿಲ್ಲ',
+    notFoundText: 'ಈ ಲೇಖನವನ್ನು ತೆಗೆದುಹಾಕಿರಬಹುದು ಅಥವಾ ಲಿಂಕ್ ತಪ್ಪಾಗಿದೆ.',
+    listen: 'ಕೇಳಿ',
+    pause: 'ವಿರಾಮ',
+    resume: 'ಮುಂದುವರಿಸಿ',
+    references: 'ಉಲ್ಲೇಖಗಳು'
+  },
+  player: {
+    unsupported: 'ಈ ಬ್ರೌಸರ್‌ನಲ್ಲಿ ಓದಿ ಹೇಳುವ ಸೌಲಭ್ಯವಿಲ್ಲ',
+    resuming: 'ಪ್ಯಾರಾ {number} ರಿಂದ ಮುಂದುವರಿಸಲಾಗುತ್ತಿದೆ',
+    position: 'ಪ್ಯಾರಾ {current} / {total}',
+    previous: 'ಹಿಂದಿನ ಪ್ಯಾರಾ',
+    playPause: 'ಪ್ಲೇ ಅಥವಾ ವಿರಾಮ',
+    next: 'ಮುಂದಿನ ಪ್ಯಾರಾ',
+    speed: 'ಪ್ಲೇ ವೇಗ',
+    stop: 'ನಿಲ್ಲಿಸಿ'
+  },
+  weather: {
+    heading: 'ಹವಾಮಾನ ಮತ್ತು ಎಚ್ಚರಿಕೆಗಳು',
+    intro: 'ಹವಾಮಾನ ಮತ್ತು ಕೃಷಿ ಎಚ್ಚರಿಕೆಗಳ ಬಗ್ಗೆ ಮಾಹಿತಿ ಪಡೆಯಿರಿ',
+    yourLocation: 'ನಿಮ್ಮ ಸ್ಥಳ',
+    currentLocation: 'ಪ್ರಸ್ತುತ ಸ್ಥಳ',
+    locationUnknown: 'ಸ್ಥಳ ತಿಳಿದಿಲ್ಲ',
+    visibility: 'ಗೋಚರತೆ',
+    humidity: 'ತೇವಾಂಶ',
+    windSpeed: 'ಗಾಳಿಯ ವೇಗ',
+    next24Hours: 'ಮುಂದಿನ 24 ಗಂಟೆಗಳು',
+    loadingHourly: 'ಗಂಟೆವಾರು ಮುನ್ಸೂಚನೆ ಲೋಡ್ ಆಗುತ್ತಿದೆ...',
+    sevenDay: '7 ದಿನಗಳ ಮುನ್ಸೂಚನೆ',
+    loadingForecast: 'ಮುನ್ಸೂಚನೆ ಲೋಡ್ ಆಗುತ್ತಿದೆ...',
+    activeAlerts: 'ಸಕ್ರಿಯ ಹವಾಮಾನ ಎಚ್ಚರಿಕೆಗಳು',
+    officialAlert: 'ಅಧಿಕೃತ ಎಚ್ಚರಿಕೆ',
+    validUntil: '{date} ವರೆಗೆ ಮಾನ್ಯ',
+    ongoing: 'ಚಾಲ್ತಿಯಲ್ಲಿದೆ',
+    cropAdvisories: 'ಬೆಳೆ ಸಲಹೆಗಳು',
+    selectCrops: 'ನೀರಾವರಿ ಮತ್ತು ಕೊಯ್ಲು ಸಲಹೆಗಾಗಿ ನಿಮ್ಮ ಬೆಳೆಗಳನ್ನು ಆಯ್ಕೆಮಾಡಿ:',
+    advisoriesPending: 'ಮುನ್ಸೂಚನೆ ಲೋಡ್ ಆದ ನಂತರ ಸಲಹೆಗಳು ಕಾಣಿಸುತ್ತವೆ.',
+    updated: '{time} ಕ್ಕೆ ನವೀಕರಿಸಲಾಗಿದೆ',
+    today: 'ಇಂದು',
+    tomorrow: 'ನಾಳೆ',
+    cachedStale: 'ಹಳೆಯ ಉಳಿಸಿದ ಹವಾಮಾನ ಡೇಟಾ ತೋರಿಸಲಾಗುತ್ತಿದೆ (ಆಫ್‌ಲೈನ್ ಮೋಡ್)',
+    cached: 'ಉಳಿಸಿದ ಹವಾಮಾನ ಡೇಟಾ ತೋರಿಸಲಾಗುತ್ತಿದೆ (ಆಫ್‌ಲೈನ್ ಮೋಡ್)',
+    unavailableOffline: 'ಆಫ್‌ಲೈನ್‌ನಲ್ಲಿ ಹವಾಮಾನ ಲಭ್ಯವಿಲ್ಲ',
+    connectOnce: 'ಮುನ್ಸೂಚನೆ ಡೌನ್‌ಲೋಡ್ ಮಾಡಲು ಒಮ್ಮೆ ಇಂಟರ್ನೆಟ್‌ಗೆ ಸಂಪರ್ಕಿಸಿ.',
+    alertsUpdated: 'ಹವಾಮಾನ ಎಚ್ಚರಿಕೆಗಳು ನವೀಕರಿಸಲಾಗಿದೆ',
+    backOnline: 'ಮತ್ತೆ ಆನ್‌ಲೈನ್ - ಹವಾಮಾನ ಡೇಟಾ ನವೀಕರಿಸಲಾಗಿದೆ',
+    offlineMode: 'ಆಫ್‌ಲೈನ್ ಮೋಡ್ - ಉಳಿಸಿದ ಹವಾಮಾನ ಡೇಟಾ ತೋರಿಸಲಾಗುತ್ತಿದೆ',
+    conditions: {
+      Sunny: 'ಬಿಸಿಲು',
+      'Partly Cloudy': 'ಭಾಗಶಃ ಮೋಡ',
+      Cloudy: 'ಮೋಡ ಕವಿದಿದೆ',
+      Fog: 'ಮಂಜು',
+      'Light Rain': 'ಹಗುರ ಮಳೆ',
+      'Heavy Rain': 'ಭಾರೀ ಮಳೆ',
+      Thunderstorm: 'ಗುಡುಗು ಸಹಿತ ಮಳೆ',
+      Snow: 'ಹಿಮ'
+    }
+  },
+  advisories: {
+    crops: {
+      rice: 'ಭತ್ತ', wheat: 'ಗೋಧಿ', maize: 'ಮೆಕ್ಕೆಜೋಳ', cotton: 'ಹತ್ತಿ',
+      sugarcane: 'ಕಬ್ಬು', soybean: 'ಸೋಯಾಬೀನ್', tomato: 'ಟೊಮೆಟೊ', onion: 'ಈರುಳ್ಳಿ'
+    },
+    sprayProblems: {
+      rain: 'ಸಿಂಪಡಣೆ ಒಣಗುವ ಮೊದಲು ಮಳೆ ಬರುವ ಸಾಧ್ಯತೆಯಿದೆ',
+      wind: 'ಗಾಳಿ ತುಂಬಾ ಬಲವಾಗಿದೆ, ಸಿಂಪಡಣೆ ಹಾರಿಹೋಗುತ್ತದೆ',
+      calm: 'ಗಾಳಿ ತುಂಬಾ ನಿಶ್ಚಲವಾಗಿದೆ, ಸಣ್ಣ ಹನಿಗಳು ತೇಲಿ ಹರಡಬಹುದು',
+      heat: 'ತುಂಬಾ ಬಿಸಿಯಾಗಿದೆ, ಸಿಂಪಡಣೆ ಆವಿಯಾಗುತ್ತದೆ',
+      humidity: 'ತೇವಾಂಶ ಸುರಕ್ಷಿತ ಮಿತಿಯ ಹೊರಗಿದೆ',
+      unknown: 'ಮುನ್ಸೂಚನೆ ಡೇಟಾ ಲಭ್ಯವಿಲ್ಲ'
+    },
+    noSprayTitle: 'ಸಿಂಪಡಣೆಗೆ ಸುರಕ್ಷಿತ ಸಮಯವಿಲ್ಲ',
+    noSprayMessage: 'ಮುಂದಿನ {hours} ಗಂಟೆ ಸಿಂಪಡಿಸಬೇಡಿ: {problem}.',
+    sprayTitle: 'ಸಿಂಪಡಣೆ ಸಮಯಗಳು',
+    sprayMessage: 'ಕೀಟನಾಶಕ ಸಿಂಪಡಣೆಗೆ ಶಾಂತ, ಒಣ ಹವಾಮಾನ: {times}.',
+    irrigationTitle: '{crop} ನೀರಾವರಿ',
+    irrigateOn: '{days} ರಂದು {crop} ಗೆ ನೀರು ಹಾಯಿಸಿ.',
+    rainDay: '{day} ({rain} ಮಿ.ಮೀ ಮಳೆ)',
+    rainWaters: '{days} ರಂದು ಮಳೆ ಹೊಲಕ್ಕೆ ನೀರು ಒದಗಿಸುತ್ತದೆ.',
+    noIrrigation: 'ಈ ವಾರ {crop} ಗೆ ನೀರಾವರಿ ಬೇಕಿಲ್ಲ; ಮಳೆಯ ನಿರೀಕ್ಷೆಯಿದೆ.',
+    harvestTitle: '{crop} ಕೊಯ್ಲು ಮತ್ತು ಒಣಗಿಸುವಿಕೆ',
+    noDryingWindow: 'ಈ ವಾರ {days} ದಿನಗಳ ಒಣ ಹವಾಮಾನವಿಲ್ಲ. ಸಾಧ್ಯವಾದರೆ ಕೊಯ್ಲು ಮುಂದೂಡಿ, ಅಥವಾ ಮುಚ್ಚಿ ಒಣಗಿಸಲು ಯೋಜಿಸಿ.',
+    dryingWindow: 'ಬೆಳೆ ಸಿದ್ಧವಾಗಿದ್ದರೆ {range} ಕೊಯ್ದು ಬಿಸಿಲಿನಲ್ಲಿ ಒಣಗಿಸಿ ({days} ಒಣ ದಿನಗಳು).'
+  },
+  sos: {
+    heading: 'ತುರ್ತು SOS',
+    intro: 'ತಕ್ಷಣದ ಸಹಾಯಕ್ಕಾಗಿ ತುರ್ತು ಎಚ್ಚರಿಕೆ ಕಳುಹಿಸಿ',
+    quickActions: 'ತ್ವರಿತ ತುರ್ತು ಕ್ರಮಗಳು',
+    types: {
+      'crop-disease': 'ಬೆಳೆ ರೋಗ',
+      'weather-damage': 'ಹವಾಮಾನ ಹಾನಿ',
+      'equipment-failure': 'ಉಪಕರಣ ದೋಷ',
+      'pest-attack': 'ಕೀಟ ದಾಳಿ',
+      'medical-emergency': 'ವೈದ್ಯಕೀಯ ತುರ್ತು',
+      'natural-disaster': 'ನೈಸರ್ಗಿಕ ವಿಪತ್ತು',
+      'need-help': 'ಸಹಾಯ ಬೇಕು',
+      other: 'ಇತರೆ'
+    },
+    quickMessages: {
+      'crop-disease': 'ಬೆಳೆಯಲ್ಲಿ ರೋಗ ಹರಡಿರುವುದು ಕಂಡುಬಂದಿದೆ',
+      'weather-damage': 'ಹವಾಮಾನದಿಂದ ಬೆಳೆಗಳಿಗೆ ಹಾನಿಯಾಗಿದೆ',
+      'equipment-failure': 'ಕೃಷಿ ಉಪಕರಣ ಕೆಟ್ಟುಹೋಗಿದೆ',
+      'pest-attack': 'ತೀವ್ರ ಕೀಟ ಬಾಧೆ',
+      'medical-emergency': 'ಹೊಲದಲ್ಲಿ ವೈದ್ಯಕೀಯ ತುರ್ತು',
+      'need-help': 'ಕೃಷಿಯಲ್ಲಿ ಸಾಮಾನ್ಯ ಸಹಾಯ ಬೇಕು'
+    },
+    detailedReport: 'ವಿವರವಾದ ತುರ್ತು ವರದಿ',
+    typeLabel: 'ತುರ್ತು ಪ್ರಕಾರ',
+    selectType: 'ತುರ್ತು ಪ್ರಕಾರ ಆಯ್ಕೆಮಾಡಿ',
+    severityLabel: 'ತೀವ್ರತೆಯ ಮಟ್ಟ',
+    severityOptions: {
+      low: 'ಕಡಿಮೆ - ಕಾಯಬಹುದು',
+      medium: 'ಮಧ್ಯಮ - ಬೇಗ ಸಹಾಯ ಬೇಕು',
+      high: 'ಹೆಚ್ಚು - ತುರ್ತು',
+      critical: 'ಗಂಭೀರ - ತಕ್ಷಣ ಸಹಾಯ ಬೇಕು'
+    },
+    locationLabel: 'ಸ್ಥಳದ ವಿವರಗಳು',
+    locationPlaceholder: 'ನಿಮ್ಮ ಸ್ಥಳ ಅಥವಾ ವಿಳಾಸ ವಿವರಿಸಿ',
+    useLocation: 'ಪ್ರಸ್ತುತ ಸ್ಥಳ ಬಳಸಿ',
+    messageLabel: 'ತುರ್ತು ಪರಿಸ್ಥಿತಿ ವಿವರಿಸಿ',
+    messagePlaceholder: 'ಏನಾಯಿತು ಮತ್ತು ನಿಮಗೆ ಯಾವ ಸಹಾಯ ಬೇಕು ಎಂದು ವಿವರಿಸಿ...',
+    contactLabel: 'ಸಂಪರ್ಕ ಮಾಹಿತಿ',
+    contactPlaceholder: 'ತುರ್ತು ಸಂಪರ್ಕಕ್ಕಾಗಿ ನಿಮ್ಮ ಫೋನ್ ಸಂಖ್ಯೆ',
+    attachmentsLabel: 'ಫೋಟೋಗಳು ಮತ್ತು ಧ್ವನಿ ಟಿಪ್ಪಣಿಗಳು',
+    addPhoto: 'ಫೋಟೋ ಸೇರಿಸಿ',
+    recordVoice: 'ಧ್ವನಿ ಟಿಪ್ಪಣಿ ರೆಕಾರ್ಡ್ ಮಾಡಿ',
+    stopRecording: 'ನಿಲ್ಲಿಸಿ (ಗರಿಷ್ಠ {seconds} ಸೆಕೆಂಡು)',
+    attachedPhoto: 'ಲಗತ್ತಿಸಿದ ಫೋಟೋ',
+    removeAttachment: 'ಲಗತ್ತು ತೆಗೆಯಿರಿ',
+    send: 'SOS ಎಚ್ಚರಿಕೆ ಕಳುಹಿಸಿ',
+    statusHeading: 'ತುರ್ತು ಸ್ಥಿತಿ',
+    connectionStatus: 'ಸಂಪರ್ಕ ಸ್ಥಿತಿ',
+    onlineStatus: 'ಆನ್‌ಲೈನ್ - ಎಚ್ಚರಿಕೆಗಳು ತಕ್ಷಣ ಕಳುಹಿಸಲ್ಪಡುತ್ತವೆ',
+    offlineStatus: 'ಆಫ್‌ಲೈನ್ - ಎಚ್ಚರಿಕೆಗಳು ಸರದಿಯಲ್ಲಿ ಇರುತ್ತವೆ',
+    pendingAlerts: 'ಬಾಕಿ ಎಚ್ಚರಿಕೆಗಳು',
+    pendingCount: { one: '{count} ಎಚ್ಚರಿಕೆ ಕಳುಹಿಸಲು ಬಾಕಿ ಇದೆ', other: '{count} ಎಚ್ಚರಿಕೆಗಳು ಕಳುಹಿಸಲು ಬಾಕಿ ಇವೆ' },
+    sentToday: 'ಇಂದು ಕಳುಹಿಸಿದವು',
+    sentCount: { one: '{count} ಎಚ್ಚರಿಕೆ ಯಶಸ್ವಿಯಾಗಿ ಕಳುಹಿಸಲಾಗಿದೆ', other: '{count} ಎಚ್ಚರಿಕೆಗಳು ಯಶಸ್ವಿಯಾಗಿ ಕಳುಹಿಸಲಾಗಿದೆ' },
+    smsHeading: 'ಡೇಟಾ ಸಂಪರ್ಕ ಇಲ್ಲವೇ?',
+    smsText: 'ಬಾಕಿ ಎಚ್ಚರಿಕೆಗಳು ಮೊಬೈಲ್ ನೆಟ್‌ವರ್ಕ್ ಮೂಲಕ SMS ಆಗಿ ಹೋಗಬಹುದು. ಎಚ್ಚರಿಕೆ ತುಂಬಿದ ಮೆಸೇಜ್ ಆ್ಯಪ್ ತೆರೆಯಲು ಟ್ಯಾಪ್ ಮಾಡಿ, ನಂತರ ಕಳುಹಿಸು ಒತ್ತಿ.',
+    smsOpened: '{time} ಮೆಸೇಜ್‌ನಲ್ಲಿ ತೆರೆಯಲಾಗಿದೆ',
+    queuedAt: '{time} ಸರದಿಗೆ ಸೇರಿಸಲಾಗಿದೆ',
+    sendAgain: 'ಮತ್ತೆ ಕಳುಹಿಸಿ',
+    sendSMS: 'SMS ಮೂಲಕ ಕಳುಹಿಸಿ',
+    myAlerts: 'ನನ್ನ ಎಚ್ಚರಿಕೆಗಳು',
+    steps: {
+      received: 'ಸ್ವೀಕರಿಸಲಾಗಿದೆ',
+      acknowledged: 'ಗಮನಿಸಲಾಗಿದೆ',
+      assigned: 'ರೆಸ್ಪಾಂಡರ್ ನಿಯೋಜಿಸಲಾಗಿದೆ',
+      en_route: 'ದಾರಿಯಲ್ಲಿದ್ದಾರೆ',
+      resolved: 'ಪರಿಹರಿಸಲಾಗಿದೆ'
+    },
+    attachmentsUploaded: { one: '{count} ಲಗತ್ತು ಅಪ್‌ಲೋಡ್ ಆಗಿದೆ', other: '{count} ಲಗತ್ತುಗಳು ಅಪ್‌ಲೋಡ್ ಆಗಿವೆ' },
+    nearestOffice: 'ಹತ್ತಿರದ ಕಚೇರಿ: {name}',
+    contactsHeading: 'ತುರ್ತು ಸಂಪರ್ಕಗಳು',
+    contactsFor: '{area} ಸಂಪರ್ಕಗಳು',
+    nationalNumbers: 'ರಾಷ್ಟ್ರೀಯ ತುರ್ತು ಸಂಖ್ಯೆಗಳು',
+    savedForOffline: '{where} · {date} ರಂದು ಆಫ್‌ಲೈನ್ ಬಳಕೆಗೆ ಉಳಿಸಲಾಗಿದೆ',
+    distanceAway: '{distance} ಕಿ.ಮೀ ದೂರ',
+    contactCategories: {
+      emergency: 'ತುರ್ತು',
+      ambulance: 'ವೈದ್ಯಕೀಯ ತುರ್ತು',
+      police: 'ಪೊಲೀಸ್',
+      fire: 'ಅಗ್ನಿಶಾಮಕ ದಳ',
+      disaster: 'ವಿಪತ್ತು ನಿಯಂತ್ರಣ',
+      'agri-officer': 'ಕೃಷಿ ಅಧಿಕಾರಿ',
+      kvk: 'ಕೃಷಿ ವಿಜ್ಞಾನ ಕೇಂದ್ರ',
+      veterinary: 'ಪಶುವೈದ್ಯಕೀಯ ಸೇವೆಗಳು',
+      helpline: 'ಸಹಾಯವಾಣಿ'
+    },
+    ambulanceService: '108 - ರಾಷ್ಟ್ರೀಯ ಆಂಬ್ಯುಲೆನ್ಸ್ ಸೇವೆ',
+    policeControl: '100 - ಪೊಲೀಸ್ ನಿಯಂತ್ರಣ ಕೊಠಡಿ',
+    fireServices: '101 - ಅಗ್ನಿಶಾಮಕ ಮತ್ತು ರಕ್ಷಣಾ ಸೇವೆಗಳು',
+    kisanCallCentre: '1800-180-1551 - ಕಿಸಾನ್ ಕಾಲ್ ಸೆಂಟರ್',
+    attachmentsNotSaved: 'ಈ ಎಚ್ಚರಿಕೆಯೊಂದಿಗೆ ಫೋಟೋ ಮತ್ತು ಧ್ವನಿ ಟಿಪ್ಪಣಿಗಳನ್ನು ಉಳಿಸಲಾಗಲಿಲ್ಲ',
+    recordingUnsupported: 'ಈ ಬ್ರೌಸರ್‌ನಲ್ಲಿ ಧ್ವನಿ ರೆಕಾರ್ಡಿಂಗ್ ಸೌಲಭ್ಯವಿಲ್ಲ',
+    recordingFailed: 'ಧ್ವನಿ ಟಿಪ್ಪಣಿ ರೆಕಾರ್ಡ್ ಆಗಲಿಲ್ಲ',
+    attachmentLimit: 'ನೀವು ಗರಿಷ್ಠ {max} ಫೋಟೋ ಅಥವಾ ಧ್ವನಿ ಟಿಪ್ಪಣಿಗಳನ್ನು ಲಗತ್ತಿಸಬಹುದು',
+    sent: 'SOS ಎಚ್ಚರಿಕೆ ಯಶಸ್ವಿಯಾಗಿ ಕಳುಹಿಸಲಾಗಿದೆ!',
+    savedOfflineRetry: 'SOS ಆಫ್‌ಲೈನ್‌ನಲ್ಲಿ ಉಳಿಸಲಾಗಿದೆ - ಸಂಪರ್ಕ ಮರಳಿದಾಗ ಕಳುಹಿಸಲಾಗುತ್ತದೆ',
+    savedOfflineSMS: 'SOS ಎಚ್ಚರಿಕೆ ಆಫ್‌ಲೈನ್‌ನಲ್ಲಿ ಉಳಿಸಲಾಗಿದೆ - ಕೆಳಗೆ SMS ಮೂಲಕ ಕಳುಹಿಸಿ, ಇಲ್ಲವೇ ಆನ್‌ಲೈನ್ ಬಂದಾಗ ಕಳುಹಿಸಲಾಗುತ್ತದೆ',
+    savedOffline: 'SOS ಎಚ್ಚರಿಕೆ ಆಫ್‌ಲೈನ್‌ನಲ್ಲಿ ಉಳಿಸಲಾಗಿದೆ - ಆನ್‌ಲೈನ್ ಬಂದಾಗ ಕಳುಹಿಸಲಾಗುತ್ತದೆ',
+    pendingSent: { one: '{count} ಬಾಕಿ ಎಚ್ಚರಿಕೆ ಯಶಸ್ವಿಯಾಗಿ ಕಳುಹಿಸಲಾಗಿದೆ', other: '{count} ಬಾಕಿ ಎಚ್ಚರಿಕೆಗಳು ಯಶಸ್ವಿಯಾಗಿ ಕಳುಹಿಸಲಾಗಿದೆ' },
+    locationCaptured: 'ಸ್ಥಳ ಯಶಸ್ವಿಯಾಗಿ ಪಡೆಯಲಾಗಿದೆ',
+    locationFailed: 'ನಿಮ್ಮ ಸ್ಥಳ ಪಡೆಯಲಾಗಲಿಲ್ಲ',
+    geolocationUnsupported: 'ಈ ಬ್ರೌಸರ್‌ನಲ್ಲಿ ಸ್ಥಳ ಸೌಲಭ್ಯವಿಲ್ಲ',
+    confirmCall: 'ನೀವು {number} ಗೆ ಕರೆ ಮಾಡಲು ಬಯಸುವಿರಾ?',
+    emergencyNumber: 'ತುರ್ತು ಸಂಖ್ಯೆ: {number}',
+    backOnline: 'ಮತ್ತೆ ಆನ್‌ಲೈನ್ - ಬಾಕಿ ಎಚ್ಚರಿಕೆಗಳು ಸಿಂಕ್ ಆಗುತ್ತಿವೆ',
+    goneOffline: 'ಆಫ್‌ಲೈನ್ ಆಗಿದೆ - ಎಚ್ಚರಿಕೆಗಳು ಸರದಿಯಲ್ಲಿ ಇರುತ್ತವೆ'
+  },
+  voice: {
+    heading: 'ಧ್ವನಿ ಸಹಾಯಕ',
+    intro: 'ನಿಮ್ಮ ಧ್ವನಿಯಲ್ಲಿ ಕೃಷಿ ಪ್ರಶ್ನೆಗಳನ್ನು ಕೇಳಿ',
+    tapToRecord: 'ರೆಕಾರ್ಡಿಂಗ್ ಆರಂಭಿಸಲು ಟ್ಯಾಪ್ ಮಾಡಿ',
+    listening: 'ಕೇಳುತ್ತಿದೆ...',
+    processing: 'ಸಂಸ್ಕರಿಸಲಾಗುತ್ತಿದೆ...',
+    recognitionError: 'ದೋಷ ಉಂಟಾಗಿದೆ. ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.',
+    recognitionUnsupported: 'ಈ ಬ್ರೌಸರ್‌ನಲ್ಲಿ ಧ್ವನಿ ಗುರುತಿಸುವಿಕೆ ಸೌಲಭ್ಯವಿಲ್ಲ',
+    selectLanguage: 'ಭಾಷೆ ಆಯ್ಕೆಮಾಡಿ:',
+    conversation: 'ಸಂಭಾಷಣೆ',
+    welcome: 'ನಮಸ್ಕಾರ! ನಾನು ನಿಮ್ಮ ಕೃಷಿ ಸಹಾಯಕ. ನೀವು ನನ್ನನ್ನು ಇವುಗಳ ಬಗ್ಗೆ ಕೇಳಬಹುದು:',
+    topics: {
+      diseases: 'ಬೆಳೆ ರೋಗಗಳು ಮತ್ತು ಚಿಕಿತ್ಸೆ',
+      weather: 'ಹವಾಮಾನ ಆಧಾರಿತ ಕೃಷಿ ಸಲಹೆ',
+      soil: 'ಮಣ್ಣಿನ ಆರೋಗ್ಯ ಮತ್ತು ಗೊಬ್ಬರಗಳು',
+      pests: 'ಕೀಟ ನಿಯಂತ್ರಣ ವಿಧಾನಗಳು',
+      practices: 'ಉತ್ತಮ ಕೃಷಿ ಪದ್ಧತಿಗಳು'
+    },
+    tapMicrophone: 'ಮೈಕ್ರೊಫೋನ್ ಟ್ಯಾಪ್ ಮಾಡಿ ಮಾತನಾಡಲು ಆರಂಭಿಸಿ!',
+    quickQuestions: 'ತ್ವರಿತ ಪ್ರಶ್ನೆಗಳು',
+    questions: {
+      plantRice: { ask: 'ಭತ್ತ ನಾಟಿ ಮಾಡಲು ಉತ್ತಮ ಸಮಯ ಯಾವುದು?', label: 'ಭತ್ತ ನಾಟಿ ಸಮಯ?' },
+      aphids: { ask: 'ಬೆಳೆಗಳಲ್ಲಿ ಹೇನುಗಳನ್ನು ಹೇಗೆ ನಿಯಂತ್ರಿಸುವುದು?', label: 'ಹೇನು ನಿಯಂತ್ರಣ?' },
+      tomatoFertilizer: { ask: 'ಟೊಮೆಟೊಗೆ ಯಾವ ಗೊಬ್ಬರ ಉತ್ತಮ?', label: 'ಟೊಮೆಟೊಗೆ ಗೊಬ್ಬರ?' },
+      soilQuality: { ask: 'ಮಣ್ಣಿನ ಗುಣಮಟ್ಟವನ್ನು ಹೇಗೆ ಸುಧಾರಿಸುವುದು?', label: 'ಮಣ್ಣಿನ ಸುಧಾರಣೆ?' },
+      diseaseSigns: { ask: 'ಸಸ್ಯ ರೋಗಗಳ ಲಕ್ಷಣಗಳು ಯಾವುವು?', label: 'ರೋಗದ ಲಕ್ಷಣಗಳು?' },
+      weatherImpact: { ask: 'ಹವಾಮಾನ ಕೃಷಿಯ ಮೇಲೆ ಯಾವ ಪರಿಣಾಮ ಬೀರುತ್ತದೆ?', label: 'ಹವಾಮಾನದ ಪರಿಣಾಮ?' }
+    },
+    recentQuestions: 'ಇತ್ತೀಚಿನ ಪ್ರಶ್ನೆಗಳು',
+    questionsAsked: { one: '{count} ಪ್ರಶ್ನೆ ಕೇಳಲಾಗಿದೆ', other: '{count} ಪ್ರಶ್ನೆಗಳನ್ನು ಕೇಳಲಾಗಿದೆ' },
+    expertResponse: 'ನಿಮ್ಮ ಪ್ರಶ್ನೆಗೆ ಧನ್ಯವಾದಗಳು. ನಮ್ಮ ಜ್ಞಾನ ಭಂಡಾರದಲ್ಲಿ ವಿಶ್ವಾಸಾರ್ಹ ಉತ್ತರ ಸಿಗಲಿಲ್ಲ, ಆದ್ದರಿಂದ ಅದನ್ನು ನಮ್ಮ ತಜ್ಞರಿಗೆ ಕಳುಹಿಸಲಾಗಿದೆ. ಅವರು ಶೀಘ್ರದಲ್ಲೇ ಉತ್ತರಿಸುತ್ತಾರೆ.',
+    offlineSaved: 'ನಿಮ್ಮ ಪ್ರಶ್ನೆಗೆ ಧನ್ಯವಾದಗಳು. ನಾನು ಈಗ ಆಫ್‌ಲೈನ್‌ನಲ್ಲಿದ್ದೇನೆ, ಆದರೆ ನಿಮ್ಮ ಪ್ರಶ್ನೆ ಉಳಿಸಲಾಗಿದೆ. ಸಂಪರ್ಕ ಮರಳಿದಾಗ ವಿವರವಾದ ಉತ್ತರ ನೀಡುತ್ತೇನೆ.',
+    recordingClip: 'ನಿಮ್ಮ ಪ್ರಶ್ನೆ ರೆಕಾರ್ಡ್ ಆಗುತ್ತಿದೆ... ನಿಲ್ಲಿಸಲು ಟ್ಯಾಪ್ ಮಾಡಿ',
+    clipQueued: 'ನೀವು ರೆಕಾರ್ಡ್ ಮಾಡಿದ ಪ್ರಶ್ನೆ ಉಳಿಸಲಾಗಿದೆ. ಆನ್‌ಲೈನ್‌ಗೆ ಬಂದಾಗ ಅದನ್ನು ಬರಹಕ್ಕೆ ಇಳಿಸಿ ಉತ್ತರಿಸಲಾಗುತ್ತದೆ.',
+    clipFailed: 'ನಿಮ್ಮ ಪ್ರಶ್ನೆಯನ್ನು ರೆಕಾರ್ಡ್ ಮಾಡಲಾಗಲಿಲ್ಲ. ಮೈಕ್ರೊಫೋನ್ ಅನುಮತಿಯನ್ನು ಪರಿಶೀಲಿಸಿ ಮತ್ತೆ ಪ್ರಯತ್ನಿಸಿ.',
+    expertReplied: '{expert} ಅವರು "{question}" ಗೆ ಉತ್ತರಿಸಿದ್ದಾರೆ',
+    sentToExpert: 'ತಜ್ಞರಿಗೆ ಕಳುಹಿಸಲಾಗಿದೆ · ಅವರು ಉತ್ತರಿಸಿದಾಗ ನಿಮಗೆ ತಿಳಿಸಲಾಗುತ್ತದೆ',
+    source: 'ಮೂಲ: {sources}',
+    answeredOffline: 'ಆಫ್‌ಲೈನ್‌ನಲ್ಲಿ ಉತ್ತರಿಸಲಾಗಿದೆ',
+    answerInOtherLanguage: 'ಈ ಉತ್ತರ {language} ನಲ್ಲಿ ಮಾತ್ರ ಲಭ್ಯವಿದೆ:',
+    confirmClear: 'ಸಂಭಾಷಣೆಯ ಇತಿಹಾಸ ಅಳಿಸಲು ಬಯಸುವಿರಾ?',
+    cleared: 'ಸಂಭಾಷಣೆ ಅಳಿಸಲಾಗಿದೆ. ಇಂದು ನಾನು ನಿಮಗೆ ಹೇಗೆ ಸಹಾಯ ಮಾಡಲಿ?',
+    historyCode: 'ಇತಿಹಾಸ ಸರಿಸಿ',
+    restoreHistory: 'ಇತಿಹಾಸ ಮರುಸ್ಥಾಪಿಸಿ',
+    historyCodeShown: 'ಈ ಸಂಭಾಷಣೆಯ ಇತಿಹಾಸವನ್ನು ನಿಮ್ಮ ಇನ್ನೊಂದು ಫೋನ್‌ಗೆ ಸರಿಸಲು 24 ಗಂಟೆಗಳೊಳಗೆ ಅಲ್ಲಿ "ಇತಿಹಾಸ ಮರುಸ್ಥಾಪಿಸಿ" ಯಲ್ಲಿ ಕೋಡ್ {code} ನಮೂದಿಸಿ.',
+    noHistoryToMove: 'ಸರಿಸಲು ಇನ್ನೂ ಯಾವುದೇ ಸಂಭಾಷಣೆಯ ಇತಿಹಾಸವಿಲ್ಲ',
+    historyNotMovable: 'ಈ ಇತಿಹಾಸವನ್ನು ಸರಿಸಲು ಸೈನ್ ಇನ್ ಮಾಡಿ; ಈ ಫೋನ್ ಅನ್ನು ಮಾಲೀಕರೆಂದು ಪರಿಶೀಲಿಸಲಾಗಲಿಲ್ಲ',
+    enterHistoryCode: 'ನಿಮ್ಮ ಹಳೆಯ ಫೋನ್‌ನಲ್ಲಿ "ಇತಿಹಾಸ ಸರಿಸಿ" ಯಲ್ಲಿ ತೋರಿಸಿದ ಕೋಡ್ ನಮೂದಿಸಿ:',
+    historyCodeInvalid: 'ಈ ಕೋಡ್ ಮಾನ್ಯವಲ್ಲ ಅಥವಾ ಅವಧಿ ಮುಗಿದಿದೆ',
+    historyRestored: 'ಸಂಭಾಷಣೆಯ ಇತಿಹಾಸ ಮರುಸ್ಥಾಪಿಸಲಾಗಿದೆ',
+    historyNeedsConnection: 'ಇತಿಹಾಸ ಸರಿಸಲು ಇಂಟರ್ನೆಟ್‌ಗೆ ಸಂಪರ್ಕಿಸಿ',
+    historyCleared: 'ಸಂಭಾಷಣೆಯ ಇತಿಹಾಸ ಅಳಿಸಲಾಗಿದೆ'
+  },
+  responder: {
+    heading: 'ರೆಸ್ಪಾಂಡರ್ ಕನ್ಸೋಲ್',
+    intro: 'ರೈತರ SOS ಘಟನೆಗಳನ್ನು ವಿಂಗಡಿಸಿ, ನಿಯೋಜಿಸಿ ಮತ್ತು ಪರಿಹರಿಸಿ',
+    open: 'ತೆರೆದಿರುವವು',
+    assignedToMe: 'ನನಗೆ ನಿಯೋಜಿಸಿದವು',
+    resolved: 'ಪರಿಹರಿಸಿದವು',
+    statuses: {
+      received: 'ಹೊಸದು',
+      acknowledged: 'ಸ್ವೀಕರಿಸಲಾಗಿದೆ',
+      assigned: 'ನಿಯೋಜಿಸಲಾಗಿದೆ',
+      en_route: 'ದಾರಿಯಲ್ಲಿದೆ',
+      resolved: 'ಪರಿಹರಿಸಲಾಗಿದೆ'
+    },
+    loadFailed: 'ಘಟನೆಗಳನ್ನು ಲೋಡ್ ಮಾಡಲಾಗಲಿಲ್ಲ',
+    empty: 'ಇಲ್ಲಿ ಯಾವುದೇ ಘಟನೆ ಇಲ್ಲ.',
+    acknowledgedBy: '{name} ಸ್ವೀಕರಿಸಿದ್ದಾರೆ',
+    assignedTo: '{name} ಅವರಿಗೆ ನಿಯೋಜಿಸಲಾಗಿದೆ',
+    resolvedBy: '{name} ಪರಿಹರಿಸಿದ್ದಾರೆ',
+    aResponder: 'ಒಬ್ಬ ರೆಸ್ಪಾಂಡರ್',
+    viaSMS: 'SMS ಮೂಲಕ',
+    resolution: 'ಪರಿಹಾರ:',
+    nearestResponders: 'ಹತ್ತಿರದ ರೆಸ್ಪಾಂಡರ್‌ಗಳು: {responders}',
+    office: 'ಕಚೇರಿ: {office}',
+    noneInRange: 'ವ್ಯಾಪ್ತಿಯಲ್ಲಿ ಯಾರೂ ಇಲ್ಲ',
+    escalatedTo: '{target} ಗೆ ಕಳುಹಿಸಲಾಗಿದೆ: {minutes} ನಿಮಿಷಗಳ ನಂತರವೂ {status} ಆಗಿಲ್ಲ',
+    nobodyToNotify: 'ತಿಳಿಸಲು ಯಾರೂ ಇಲ್ಲ',
+    attachmentLoading: 'ಲೋಡ್ ಆಗುತ್ತಿದೆ…',
+    stillUploading: '{count} ಇನ್ನೂ ಅಪ್‌ಲೋಡ್ ಆಗುತ್ತಿವೆ',
+    farmerPhoto: 'ರೈತರು ಕಳುಹಿಸಿದ ಫೋಟೋ',
+    attachmentFailed: 'ಲಗತ್ತನ್ನು ಲೋಡ್ ಮಾಡಲಾಗಲಿಲ್ಲ',
+    acknowledge: 'ಸ್ವೀಕರಿಸಿ',
+    assignTo: 'ಇವರಿಗೆ ನಿಯೋಜಿಸಿ',
+    assign: 'ನಿಯೋಜಿಸಿ',
+    enRoute: 'ದಾರಿಯಲ್ಲಿದೆ',
+    resolve: 'ಪರಿಹರಿಸಿ',
+    notePlaceholder: 'ಇತರ ರೆಸ್ಪಾಂಡರ್‌ಗಳಿಗಾಗಿ ಟಿಪ್ಪಣಿ ಬರೆಯಿರಿ',
+    addNote: 'ಟಿಪ್ಪಣಿ ಸೇರಿಸಿ',
+    acknowledgedToast: 'ಘಟನೆಯನ್ನು ಸ್ವೀಕರಿಸಲಾಗಿದೆ',
+    assignedToast: 'ಘಟನೆಯನ್ನು ನಿಯೋಜಿಸಲಾಗಿದೆ',
+    enRouteToast: 'ಸಹಾಯ ದಾರಿಯಲ್ಲಿದೆ ಎಂದು ರೈತರಿಗೆ ತಿಳಿಸಲಾಗಿದೆ',
+    noteAdded: 'ಟಿಪ್ಪಣಿ ಸೇರಿಸಲಾಗಿದೆ',
+    resolvePrompt: 'ಈ ಘಟನೆಯನ್ನು ಹೇಗೆ ಪರಿಹರಿಸಲಾಯಿತು?',
+    resolvedToast: 'ಘಟನೆಯನ್ನು ಪರಿಹರಿಸಲಾಗಿದೆ'
+  },
+  expert: {
+    heading: 'ತಜ್ಞರ ಇನ್‌ಬಾಕ್ಸ್',
+    intro: 'ಜ್ಞಾನ ಭಂಡಾರ ಉತ್ತರಿಸಲಾಗದ ಕೃಷಿ ಪ್ರಶ್ನೆಗಳಿಗೆ ಉತ್ತರಿಸಿ',
+    queue: 'ಸರತಿ',
+    claimedByMe: 'ನಾನು ತೆಗೆದುಕೊಂಡವು',
+    done: 'ಮುಗಿದವು',
+    loadFailed: 'ಪ್ರಶ್ನೆಗಳನ್ನು ಲೋಡ್ ಮಾಡಲಾಗಲಿಲ್ಲ',
+    empty: 'ಇಲ್ಲಿ ಯಾವುದೇ ಪ್ರಶ್ನೆ ಇಲ್ಲ.',
+    statuses: {
+      'pending-expert': 'ತಜ್ಞರಿಗಾಗಿ ಕಾಯುತ್ತಿದೆ',
+      claimed: 'ತೆಗೆದುಕೊಳ್ಳಲಾಗಿದೆ',
+      answered: 'ಉತ್ತರಿಸಲಾಗಿದೆ',
+      rejected: 'ತಿರಸ್ಕರಿಸಲಾಗಿದೆ'
+    },
+    match: 'ಜ್ಞಾನ ಭಂಡಾರದಲ್ಲಿ {percent}% ಹೊಂದಾಣಿಕೆ',
+    specialty: 'ನಿಮ್ಮ ವಿಶೇಷ ಕ್ಷೇತ್ರ',
+    answer: 'ಉತ್ತರ:',
+    rejected: 'ತಿರಸ್ಕರಿಸಲಾಗಿದೆ:',
+    claim: 'ತೆಗೆದುಕೊಳ್ಳಿ',
+    claimed: 'ಪ್ರಶ್ನೆಯನ್ನು ತೆಗೆದುಕೊಳ್ಳಲಾಗಿದೆ',
+    template: 'ಉತ್ತರದ ಮಾದರಿ',
+    startFromTemplate: 'ಒಂದು ಮಾದರಿಯಿಂದ ಪ್ರಾರಂಭಿಸಿ…',
+    answerPlaceholder: 'ರೈತರು ಕೇಳುವ ಉತ್ತರವನ್ನು ಬರೆಯಿರಿ',
+    sendAnswer: 'ಉತ್ತರ ಕಳುಹಿಸಿ',
+    reject: 'ತಿರಸ್ಕರಿಸಿ',
+    release: 'ಬಿಡಿ',
+    released: 'ಪ್ರಶ್ನೆಯನ್ನು ಸರತಿಗೆ ಹಿಂತಿರುಗಿಸಲಾಗಿದೆ',
+    yourCrop: 'ನಿಮ್ಮ ಬೆಳೆ',
+    answerSent: 'ಉತ್ತರವನ್ನು ರೈತರಿಗೆ ಕಳುಹಿಸಲಾಗಿದೆ',
+    rejectPrompt: 'ಈ ಪ್ರಶ್ನೆಗೆ ಏಕೆ ಉತ್ತರಿಸಲಾಗುವುದಿಲ್ಲ? ರೈತರು ಇದನ್ನು ನೋಡುತ್ತಾರೆ.',
+    followUp: 'ಮುಂದಿನ ಪ್ರಶ್ನೆ, ಹೀಗೆ ಅರ್ಥೈಸಲಾಗಿದೆ: {question}',
+    rejectedToast: 'ಪ್ರಶ್ನೆಯನ್ನು ತಿರಸ್ಕರಿಸಲಾಗಿದೆ'
+  },
+  access: {
+    staffOnly: 'ಈ ಪುಟ AgriEcho ಸಿಬ್ಬಂದಿಗಾಗಿ.',
+    signInFor: 'ಈ ಪುಟವನ್ನು ತೆರೆಯಲು ನಿಮ್ಮ ಸಿಬ್ಬಂದಿ ಪ್ರವೇಶ ಟೋಕನ್‌ನಿಂದ ಸೈನ್ ಇನ್ ಮಾಡಿ.',
+    forbidden: '{name} ಅವರಿಗೆ ಈ ಪುಟಕ್ಕೆ ಅನುಮತಿ ಇಲ್ಲ. ಬೇರೆ ಖಾತೆಯಿಂದ ಸೈನ್ ಇನ್ ಮಾಡಿ.'
+  },
+  account: {
+    heading: 'ನನ್ನ ಖಾತೆ',
+    intro: 'ನಿಮ್ಮ ಫೋನ್ ಸಂಖ್ಯೆಯಿಂದ ಸೈನ್ ಇನ್ ಮಾಡಿ, ನಿಮ್ಮ ಜಮೀನಿನ ವಿವರಗಳು ಪ್ರತಿ ಫೋನ್‌ನಲ್ಲೂ ಸಿಗುತ್ತವೆ.',
+    phoneLabel: 'ಫೋನ್ ಸಂಖ್ಯೆ',
+    phonePlaceholder: '10 ಅಂಕಿಯ ಮೊಬೈಲ್ ಸಂಖ್ಯೆ',
+    sendCode: 'ಕೋಡ್ ಕಳುಹಿಸಿ',
+    codeSent: '{phone} ಗೆ SMS ಮೂಲಕ ಕೋಡ್ ಕಳುಹಿಸಿದ್ದೇವೆ.',
+    codeLabel: 'SMS ನಲ್ಲಿನ ಕೋಡ್',
+    codePlaceholder: '6 ಅಂಕಿಯ ಕೋಡ್',
+    changeNumber: 'ಬೇರೆ ಸಂಖ್ಯೆ ಬಳಸಿ',
+    resendIn: 'ಈಗಷ್ಟೇ ಕೋಡ್ ಕಳುಹಿಸಲಾಗಿದೆ. {seconds} ಸೆಕೆಂಡುಗಳ ನಂತರ ಹೊಸ ಕೋಡ್ ಕೇಳಬಹುದು.',
+    wrongCode: 'ಈ ಕೋಡ್ ತಪ್ಪಾಗಿದೆ ಅಥವಾ ಅವಧಿ ಮುಗಿದಿದೆ.',
+    needsConnection: 'ಸೈನ್ ಇನ್ ಮಾಡಲು ಇಂಟರ್ನೆಟ್ ಸಂಪರ್ಕ ಬೇಕು.',
+    unavailable: 'ಖಾತೆಗಳು ಈಗ ಲಭ್ಯವಿಲ್ಲ.',
+    welcome: 'ಸ್ವಾಗತ! ಕೆಳಗೆ ನಿಮ್ಮ ಜಮೀನಿನ ವಿವರಗಳನ್ನು ಸೇರಿಸಿ.',
+    signedIn: 'ಸೈನ್ ಇನ್ ಆಗಿದೆ',
+    signedInAs: '{phone} ಮೂಲಕ ಸೈನ್ ಇನ್',
+    profile: 'ಜಮೀನಿನ ಪ್ರೊಫೈಲ್',
+    nameLabel: 'ನಿಮ್ಮ ಹೆಸರು',
+    villageLabel: 'ಗ್ರಾಮ',
+    districtLabel: 'ಜಿಲ್ಲೆ',
+    districtCodeLabel: 'ಜಿಲ್ಲಾ ಕೋಡ್ (ಅಧಿಕೃತ ಎಚ್ಚರಿಕೆಗಳಿಗಾಗಿ)',
+    farmLocationLabel: 'ಜಮೀನಿನ ಸ್ಥಳ',
+    farmLocationSet: '{lat}, {lon}',
+    farmLocationUnset: 'ಹೊಂದಿಸಿಲ್ಲ',
+    useCurrentLocation: 'ನಾನು ಇರುವ ಸ್ಥಳ',
+    locationFailed: 'ನಿಮ್ಮ ಸ್ಥಳ ಪಡೆಯಲಾಗಲಿಲ್ಲ.',
+    languageLabel: 'ಆದ್ಯತೆಯ ಭಾಷೆ',
+    cropsLabel: 'ನೀವು ಬೆಳೆಯುವ ಬೆಳೆಗಳು',
+    save: 'ಪ್ರೊಫೈಲ್ ಉಳಿಸಿ',
+    saved: 'ಪ್ರೊಫೈಲ್ ಉಳಿಸಲಾಗಿದೆ',
+    savedOffline: 'ಪ್ರೊಫೈಲ್ ಈ ಫೋನ್‌ನಲ್ಲಿ ಉಳಿಸಲಾಗಿದೆ. ಆನ್‌ಲೈನ್‌ಗೆ ಬಂದಾಗ ಕಳುಹಿಸಲಾಗುತ್ತದೆ.',
+    signOutEverywhere: 'ಎಲ್ಲಾ ಫೋನ್‌ಗಳಿಂದ ಸೈನ್ ಔಟ್',
+    signedOutEverywhere: 'ಎಲ್ಲಾ ಫೋನ್‌ಗಳಿಂದ ಸೈನ್ ಔಟ್ ಆಗಿದೆ'
+  },
+  app: {
+    newVersion: 'ಹೊಸ ಆವೃತ್ತಿ ಲಭ್ಯವಿದೆ! ನವೀಕರಿಸಲು ರಿಫ್ರೆಶ್ ಮಾಡಿ.',
+    installed: 'AgriEcho ಯಶಸ್ವಿಯಾಗಿ ಇನ್‌ಸ್ಟಾಲ್ ಆಗಿದೆ!',
+    backOnline: 'ಮತ್ತೆ ಆನ್‌ಲೈನ್! ಡೇಟಾ ಸಿಂಕ್ ಆಗುತ್ತಿದೆ...',
+    nowOffline: 'ನೀವು ಈಗ ಆಫ್‌ಲೈನ್‌ನಲ್ಲಿದ್ದೀರಿ. ಡೇಟಾ ಈ ಸಾಧನದಲ್ಲೇ ಉಳಿಯುತ್ತದೆ.',
+    syncComplete: 'ಎಲ್ಲಾ ಡೇಟಾ ಯಶಸ್ವಿಯಾಗಿ ಸಿಂಕ್ ಆಗಿದೆ!',
+    syncIncomplete: 'ಕೆಲವು ಡೇಟಾ ಸಿಂಕ್ ಆಗಲಿಲ್ಲ',
+    sosSynced: { one: '{count} SOS ಎಚ್ಚರಿಕೆ ಸಿಂಕ್ ಆಗಿದೆ', other: '{count} SOS ಎಚ್ಚರಿಕೆಗಳು ಸಿಂಕ್ ಆಗಿವೆ' },
+    queriesSynced: { one: '{count} ಧ್ವನಿ ಪ್ರಶ್ನೆ ಸಿಂಕ್ ಆಗಿದೆ', other: '{count} ಧ್ವನಿ ಪ್ರಶ್ನೆಗಳು ಸಿಂಕ್ ಆಗಿವೆ' },
+    expertCouldNotAnswer: 'ತಜ್ಞರು "{question}" ಗೆ ಉತ್ತರಿಸಲಾಗಲಿಲ್ಲ: {reason}',
+    expertAnswered: { one: 'ಒಬ್ಬ ತಜ್ಞರು ನಿಮ್ಮ ಪ್ರಶ್ನೆಗೆ ಉತ್ತರಿಸಿದ್ದಾರೆ', other: 'ತಜ್ಞರು ನಿಮ್ಮ {count} ಪ್ರಶ್ನೆಗಳಿಗೆ ಉತ್ತರಿಸಿದ್ದಾರೆ' },
+    geolocationUnsupported: 'ಸ್ಥಳ ಸೌಲಭ್ಯ ಲಭ್ಯವಿಲ್ಲ',
+    cannotSyncOffline: 'ಆಫ್‌ಲೈನ್‌ನಲ್ಲಿರುವಾಗ ಸಿಂಕ್ ಮಾಡಲಾಗುವುದಿಲ್ಲ',
+    manualSync: 'ಸಿಂಕ್ ಆರಂಭವಾಗುತ್ತಿದೆ...',
+    allSynced: 'ಎಲ್ಲಾ ಡೇಟಾ ಸಿಂಕ್ ಆಗಿದೆ!',
+    stillPending: { one: '{count} ಐಟಂ ಇನ್ನೂ ಬಾಕಿ ಇದೆ', other: '{count} ಐಟಂಗಳು ಇನ್ನೂ ಬಾಕಿ ಇವೆ' },
+    waitingToSync: { one: '{count} ಐಟಂ ಸಿಂಕ್‌ಗಾಗಿ ಕಾಯುತ್ತಿದೆ', other: '{count} ಐಟಂಗಳು ಸಿಂಕ್‌ಗಾಗಿ ಕಾಯುತ್ತಿವೆ' },
+    failedToSync: { one: '{count} ಐಟಂ ಸಿಂಕ್ ಆಗಲಿಲ್ಲ', other: '{count} ಐಟಂಗಳು ಸಿಂಕ್ ಆಗಲಿಲ್ಲ' },
+    articleSaved: 'ಲೇಖನವನ್ನು ಆಫ್‌ಲೈನ್ ಓದುವಿಕೆಗಾಗಿ ಉಳಿಸಲಾಗಿದೆ!',
+    articleRemoved: 'ಲೇಖನವನ್ನು ಆಫ್‌ಲೈನ್ ಸಂಗ್ರಹದಿಂದ ತೆಗೆಯಲಾಗಿದೆ',
+    articlesCleared: 'ಎಲ್ಲಾ ಆಫ್‌ಲೈನ್ ಲೇಖನಗಳನ್ನು ಅಳಿಸಲಾಗಿದೆ',
+    photoCompressFailed: 'ಫೋಟೋ ಚಿಕ್ಕದು ಮಾಡಲಾಗಲಿಲ್ಲ',
+    photoReadFailed: 'ಫೋಟೋ ಓದಲಾಗಲಿಲ್ಲ',
+    uploadFailed: 'ಅಪ್‌ಲೋಡ್ ವಿಫಲವಾಯಿತು',
+    clipNotUnderstood: 'ಕ್ಷಮಿಸಿ, ನೀವು ರೆಕಾರ್ಡ್ ಮಾಡಿದ ಪ್ರಶ್ನೆ ಅರ್ಥವಾಗಲಿಲ್ಲ. ದಯವಿಟ್ಟು ಮತ್ತೆ ಕೇಳಿ.',
+    clipsAnswered: { one: 'ನೀವು ರೆಕಾರ್ಡ್ ಮಾಡಿದ ಪ್ರಶ್ನೆಗೆ ಉತ್ತರ ಬಂದಿದೆ', other: 'ರೆಕಾರ್ಡ್ ಮಾಡಿದ {count} ಪ್ರಶ್ನೆಗಳಿಗೆ ಉತ್ತರ ಬಂದಿದೆ' },
+    signedOut: 'ನೀವು ಸೈನ್ ಔಟ್ ಆಗಿದ್ದೀರಿ. ನನ್ನ ಖಾತೆಯಿಂದ ಮತ್ತೆ ಸೈನ್ ಇನ್ ಮಾಡಿ.'
+  }
+};
@@ -0,0 +1,489 @@
+// Marathi messages; missing keys fall back to English
+export default {
+  common: {
+    online: 'ऑनलाइन',
+    offline: 'ऑफलाइन',
+    refresh: 'रिफ्रेश करा',
+    clear: 'साफ करा',
+    close: 'बंद करा',
+    share: 'शेअर करा',
+    install: 'इन्स्टॉल करा',
+    signIn: 'साइन इन करा',
+    signOut: 'साइन आउट करा',
+    accessToken: 'ॲक्सेस टोकन',
+    tokenPlaceholder: 'तुमच्या प्रशासकाने दिलेला टोकन येथे टाका',
+    callNow: 'आता कॉल करा',
+    loading: 'लोड होत आहे...',
+    saveOffline: 'ऑफलाइन जतन करा',
+    onlineOnly: 'फक्त ऑनलाइन',
+    availableOffline: 'ऑफलाइन उपलब्ध',
+    requestFailed: 'विनंती अयशस्वी झाली',
+    language: 'भाषा',
+    km: '{distance} किमी',
+    severity: { low: 'कमी', medium: 'मध्यम', high: 'जास्त', critical: 'गंभीर' },
+    categories: { soil: 'माती', crops: 'पिके', fertilizer: 'खत', pest: 'कीड नियंत्रण' }
+  },
+  titles: {
+    home: 'AgriEcho - स्मार्ट शेती सहाय्यक',
+    knowledge: 'ज्ञानकोश',
+    article: '{title} - ज्ञानकोश',
+    articleNotFound: 'लेख सापडला नाही - ज्ञानकोश',
+    weather: 'हवामान आणि इशारे',
+    sos: 'आपत्कालीन SOS',
+    responder: 'रिस्पॉन्डर कन्सोल',
+    voice: 'व्हॉइस सहाय्यक',
+    expert: 'तज्ज्ञ इनबॉक्स',
+    account: 'माझे खाते'
+  },
+  nav: {
+    home: 'होम',
+    learn: 'शिका',
+    weather: 'हवामान',
+    sos: 'SOS',
+    ask: 'विचारा',
+    knowledge: 'ज्ञान',
+    voice: 'आवाज'
+  },
+  layout: {
+    description: 'AgriEcho - ऑफलाइन चालणारा स्मार्ट शेती सहाय्यक',
+    installPrompt: 'ऑफलाइन वापरासाठी AgriEcho इन्स्टॉल करा',
+    tagline: 'स्मार्ट शेती सहाय्यक',
+    madeFor: 'शेतकऱ्यांसाठी {heart} ने बनवलेले',
+    chooseLanguage: 'भाषा निवडा',
+    account: 'माझे खाते'
+  },
+  home: {
+    welcome: '{brand} मध्ये आपले स्वागत आहे',
+    intro: 'तुमचा स्मार्ट शेती सोबती जो ऑफलाइन चालतो आणि इंटरनेट परत आल्यावर सिंक होतो.',
+    farmers: '10,000+ शेतकरी',
+    tips: '500+ सल्ले',
+    worksOffline: 'ऑफलाइन चालते',
+    heroAlt: 'शेतातील शेतकरी',
+    featuresTitle: 'आधुनिक शेतीसाठी स्मार्ट सुविधा',
+    knowledgeTitle: 'ज्ञानकोश',
+    knowledgeText: 'इंटरनेट नसतानाही शेती मार्गदर्शक, सल्ले आणि चांगल्या पद्धती वाचा.',
+    knowledgeBadge: 'ऑफलाइन तयार',
+    weatherTitle: 'हवामान इशारे',
+    weatherText: 'खराब हवामानापासून पिकांचे रक्षण करण्यासाठी वेळेवर हवामान माहिती आणि इशारे मिळवा.',
+    weatherBadge: 'तात्काळ',
+    sosTitle: 'आपत्कालीन SOS',
+    sosText: 'पीक रोग, नैसर्गिक आपत्ती किंवा तातडीच्या मदतीसाठी आपत्कालीन इशारा पाठवा.',
+    sosBadge: 'गंभीर',
+    voiceTitle: 'व्हॉइस सहाय्यक',
+    voiceText: 'तुमच्या भाषेत बोलून प्रश्न विचारा. हात मोकळे ठेवून शेतीसाठी उत्तम.',
+    voiceBadge: 'बहुभाषिक',
+    syncTitle: 'डेटा सिंक स्थिती',
+    synced: 'सर्व डेटा सिंक झाला',
+    syncing: 'डेटा सिंक होत आहे...',
+    syncOffline: 'ऑफलाइन मोड - ऑनलाइन आल्यावर डेटा सिंक होईल',
+    offlineArticles: 'ऑफलाइन लेख',
+    weatherData: 'हवामान डेटा'
+  },
+  knowledge: {
+    heading: 'ज्ञानकोश',
+    intro: 'तज्ज्ञांच्या शेती मार्गदर्शकांमधून आणि चांगल्या पद्धतींमधून शिका',
+    searchPlaceholder: 'लेख शोधा...',
+    all: 'सर्व',
+    readMore: 'अधिक वाचा',
+    noResults: 'तुमच्या शोधाशी जुळणारे लेख नाहीत.',
+    savedOffline: 'ऑफलाइन जतन केलेले लेख',
+    totalArticles: 'एकूण लेख',
+    audioAvailable: 'ऑडिओ उपलब्ध',
+    openFull: 'पूर्ण लेख उघडा',
+    searchedOffline: 'ऑफलाइन - {count} जतन केलेल्या लेखांमध्ये शोधले',
+    resultsFound: { one: '{count} निकाल सापडला', other: '{count} निकाल सापडले' },
+    shareText: 'AgriEcho वरील हा शेती लेख पहा',
+    linkCopied: 'लेखाची लिंक कॉपी झाली!'
+  },
+  article: {
+    back: 'ज्ञानकोशाकडे परत जा',
+    notFound: 'लेख सापडला नाही',
+    notFoundText: 'हा लेख काढून टाकला असेल किंवा लिंक चुकीची आहे.',
+    listen: 'ऐका',
+    pause: 'थांबवा',
+    resume: 'पुन्हा सुरू करा',
+    references: 'संदर्भ'
+  },
+  player: {
+    unsupported: 'या ब्राउझरमध्ये वाचून दाखवण्याची सुविधा नाही',
+    resuming: 'परिच्छेद {number} पासून पुन्हा सुरू करत आहे',
+    position: 'परिच्छेद {current} / {total}',
+    previous: 'मागील परिच्छेद',
+    playPause: 'चालू किंवा थांबवा',
+    next: 'पुढील परिच्छेद',
+    speed: 'वाचनाचा वेग',
+    stop: 'बंद करा'
+  },
+  weather: {
+    heading: 'हवामान आणि इशारे',
+    intro: 'हवामान आणि शेतीविषयक इशाऱ्यांची माहिती ठेवा',
+    yourLocation: 'तुमचे ठिकाण',
+    currentLocation: 'सध्याचे ठिकाण',
+    locationUnknown: 'ठिकाण माहीत नाही',
+    visibility: 'दृश्यमानता',
+    humidity: 'आर्द्रता',
+    windSpeed: 'वाऱ्याचा वेग',
+    next24Hours: 'पुढील 24 तास',
+    loadingHourly: 'तासानुसार अंदाज लोड होत आहे...',
+    sevenDay: '7 दिवसांचा अंदाज',
+    loadingForecast: 'अंदाज लोड होत आहे...',
+    activeAlerts: 'सक्रिय हवामान इशारे',
+    officialAlert: 'अधिकृत इशारा',
+    validUntil: '{date} पर्यंत लागू',
+    ongoing: 'चालू',
+    cropAdvisories: 'पीक सल्ला',
+    selectCrops: 'सिंचन आणि कापणी सल्ल्यासाठी तुमची पिके निवडा:',
+    advisoriesPending: 'अंदाज लोड झाल्यावर सल्ला दिसेल.',
+    updated: '{time} ला अपडेट झाले',
+    today: 'आज',
+    tomorrow: 'उद्या',
+    cachedStale: 'जुना जतन केलेला हवामान डेटा दाखवत आहे (ऑफलाइन मोड)',
+    cached: 'जतन केलेला हवामान डेटा दाखवत आहे (ऑफलाइन मोड)',
+    unavailableOffline: 'ऑफलाइन हवामान उपलब्ध नाही',
+    connectOnce: 'अंदाज डाउनलोड करण्यासाठी एकदा इंटरनेटशी जोडा.',
+    alertsUpdated: 'हवामान इशारे अपडेट झाले',
+    backOnline: 'पुन्हा ऑनलाइन - हवामान डेटा अपडेट झाला',
+    offlineMode: 'ऑफलाइन मोड - जतन केलेला हवामान डेटा दाखवत आहे',
+    conditions: {
+      Sunny: 'ऊन',
+      'Partly Cloudy': 'अंशतः ढगाळ',
+      Cloudy: 'ढगाळ',
+      Fog: 'धुके',
+      'Light Rain': 'हलका पाऊस',
+      'Heavy Rain': 'मुसळधार पाऊस',
+      Thunderstorm: 'वादळी पाऊस',
+      Snow: 'बर्फ'
+    }
+  },
+  advisories: {
+    crops: {
+      rice: 'भात', wheat: 'गहू', maize: 'मका', cotton: 'कापूस',
+      sugarcane: 'ऊस', soybean: 'सोयाबीन', tomato: 'टोमॅटो', onion: 'कांदा'
+    },
+    sprayProblems: {
+      rain: 'फवारणी सुकण्याआधी पावसाची शक्यता आहे',
+      wind: 'वारा खूप जोरात आहे आणि फवारणी उडून जाईल',
+      calm: 'हवा खूप स्थिर आहे, बारीक थेंब तरंगून पसरू शकतात',
+      heat: 'खूप उष्णता आहे आणि फवारणी उडून जाईल',
+      humidity: 'आर्द्रता सुरक्षित मर्यादेबाहेर आहे',
+      unknown: 'अंदाजाचा डेटा उपलब्ध नाही'
+    },
+    noSprayTitle: 'फवारणीसाठी सुरक्षित वेळ नाही',
+    noSprayMessage: 'पुढील {hours} तास फवारणी टाळा: {problem}.',
+    sprayTitle: 'फवारणीची वेळ',
+    sprayMessage: 'कीटकनाशक फवारणीसाठी शांत, कोरडे हवामान: {times}.',
+    irrigationTitle: '{crop} सिंचन',
+    irrigateOn: '{crop} ला {days} रोजी पाणी द्या.',
+    rainDay: '{day} ({rain} मिमी पाऊस)',
+    rainWaters: '{days} रोजी पाऊस शेताला पाणी देईल.',
+    noIrrigation: 'या आठवड्यात {crop} ला सिंचनाची गरज नाही; पावसाची शक्यता आहे.',
+    harvestTitle: '{crop} कापणी आणि वाळवणी',
+    noDryingWindow: 'या आठवड्यात {days} दिवसांचे कोरडे हवामान नाही. शक्य असल्यास कापणी पुढे ढकला, किंवा झाकून वाळवण्याची तयारी करा.',
+    dryingWindow: 'पीक तयार असल्यास {range} कापणी करून उन्हात वाळवा ({days} कोरडे दिवस).'
+  },
+  sos: {
+    heading: 'आपत्कालीन SOS',
+    intro: 'तातडीच्या मदतीसाठी आपत्कालीन इशारा पाठवा',
+    quickActions: 'त्वरित आपत्कालीन कृती',
+    types: {
+      'crop-disease': 'पीक रोग',
+      'weather-damage': 'हवामानामुळे नुकसान',
+      'equipment-failure': 'उपकरण बिघाड',
+      'pest-attack': 'कीड हल्ला',
+      'medical-emergency': 'वैद्यकीय आपत्काल',
+      'natural-disaster': 'नैसर्गिक आपत्ती',
+      'need-help': 'मदत हवी',
+      other: 'इतर'
+    },
+    quickMessages: {
+      'crop-disease': 'पिकात रोगाचा प्रादुर्भाव आढळला',
+      'weather-damage': 'हवामानामुळे पिकांचे नुकसान झाले',
+      'equipment-failure': 'शेती उपकरण बिघडले',
+      'pest-attack': 'गंभीर कीड प्रादुर्भाव',
+      'medical-emergency': 'शेतावर वैद्यकीय आपत्काल',
+      'need-help': 'शेतीसाठी सर्वसाधारण मदत हवी'
+    },
+    detailedReport: 'सविस्तर आपत्कालीन अहवाल',
+    typeLabel: 'आपत्कालाचा प्रकार',
+    selectType: 'आपत्कालाचा प्रकार निवडा',
+    severityLabel: 'गंभीरतेची पातळी',
+    severityOptions: {
+      low: 'कमी - थांबू शकतो',
+      medium: 'मध्यम - लवकर मदत हवी',
+      high: 'जास्त - तातडीचे',
+      critical: 'गंभीर - ताबडतोब मदत हवी'
+    },
+    locationLabel: 'ठिकाणाचा तपशील',
+    locationPlaceholder: 'तुमचे ठिकाण किंवा पत्ता सांगा',
+    useLocation: 'सध्याचे ठिकाण वापरा',
+    messageLabel: 'आपत्कालाचे वर्णन करा',
+    messagePlaceholder: 'काय घडले आणि तुम्हाला कोणती मदत हवी ते सांगा...',
+    contactLabel: 'संपर्क माहिती',
+    contactPlaceholder: 'आपत्कालीन संपर्कासाठी तुमचा फोन नंबर',
+    attachmentsLabel: 'फोटो आणि व्हॉइस नोट',
+    addPhoto: 'फोटो जोडा',
+    recordVoice: 'व्हॉइस नोट रेकॉर्ड करा',
+    stopRecording: 'थांबवा (जास्तीत जास्त {seconds} सेकंद)',
+    attachedPhoto: 'जोडलेला फोटो',
+    removeAttachment: 'जोडणी काढा',
+    send: 'SOS इशारा पाठवा',
+    statusHeading: 'आपत्काल स्थिती',
+    connectionStatus: 'कनेक्शन स्थिती',
+    onlineStatus: 'ऑनलाइन - इशारे लगेच पाठवले जातात',
+    offlineStatus: 'ऑफलाइन - इशारे रांगेत ठेवले जातील',
+    pendingAlerts: 'प्रलंबित इशारे',
+    pendingCount: { one: '{count} इशारा पाठवायचा बाकी आहे', other: '{count} इशारे पाठवायचे बाकी आहेत' },
+    sentToday: 'आज पाठवले',
+    sentCount: { one: '{count} इशारा यशस्वीपणे पाठवला', other: '{count} इशारे यशस्वीपणे पाठवले' },
+    smsHeading: 'डेटा कनेक्शन नाही?',
+    smsText: 'प्रलंबित इशारे मोबाइल नेटवर्कवरून SMS म्हणून जाऊ शकतात. इशारा भरलेले मेसेज ॲप उघडण्यासाठी टॅप करा, मग पाठवा दाबा.',
+    smsOpened: '{time} मेसेजमध्ये उघडले',
+    queuedAt: '{time} रांगेत ठेवले',
+    sendAgain: 'पुन्हा पाठवा',
+    sendSMS: 'SMS ने पाठवा',
+    myAlerts: 'माझे इशारे',
+    steps: {
+      received: 'मिळाला',
+      acknowledged: 'स्वीकारला',
+      assigned: 'रिस्पॉन्डर नेमला',
+      en_route: 'मार्गावर',
+      resolved: 'सोडवला'
+    },
+    attachmentsUploaded: { one: '{count} जोडणी अपलोड झाली', other: '{count} जोडण्या अपलोड झाल्या' },
+    nearestOffice: 'जवळचे कार्यालय: {name}',
+    contactsHeading: 'आपत्कालीन संपर्क',
+    contactsFor: '{area} साठी संपर्क',
+    nationalNumbers: 'राष्ट्रीय आपत्कालीन क्रमांक',
+    savedForOffline: '{where} · {date} रोजी ऑफलाइन वापरासाठी जतन केले',
+    distanceAway: '{distance} किमी दूर',
+    contactCategories: {
+      emergency: 'आपत्काल',
+      ambulance: 'वैद्यकीय आपत्काल',
+      police: 'पोलीस',
+      fire: 'अग्निशमन दल',
+      disaster: 'आपत्ती नियंत्रण',
+      'agri-officer': 'कृषी अधिकारी',
+      kvk: 'कृषी विज्ञान केंद्र',
+      veterinary: 'पशुवैद्यकीय सेवा',
+      helpline: 'हेल्पलाइन'
+    },
+    ambulanceService: '108 - राष्ट्रीय रुग्णवाहिका सेवा',
+    policeControl: '100 - पोलीस नियंत्रण कक्ष',
+    fireServices: '101 - अग्निशमन व बचाव सेवा',
+    kisanCallCentre: '1800-180-1551 - किसान कॉल सेंटर',
+    attachmentsNotSaved: 'या इशाऱ्यासोबत फोटो आणि व्हॉइस नोट जतन होऊ शकले नाहीत',
+    recordingUnsupported: 'या ब्राउझरमध्ये व्हॉइस रेकॉर्डिंगची सुविधा नाही',
+    recordingFailed: 'व्हॉइस नोट रेकॉर्ड होऊ शकली नाही',
+    attachmentLimit: 'तुम्ही जास्तीत जास्त {max} फोटो किंवा व्हॉइस नोट जोडू शकता',
+    sent: 'SOS इशारा यशस्वीपणे पाठवला!',
+    savedOfflineRetry: 'SOS ऑफलाइन जतन केला - कनेक्शन परत आल्यावर पाठवला जाईल',
+    savedOfflineSMS: 'SOS इशारा ऑफलाइन जतन केला - खाली SMS ने पाठवा, किंवा ऑनलाइन आल्यावर तो पाठवला जाईल',
+    savedOffline: 'SOS इशारा ऑफलाइन जतन केला - ऑनलाइन आल्यावर पाठवला जाईल',
+    pendingSent: { one: '{count} प्रलंबित इशारा यशस्वीपणे पाठवला', other: '{count} प्रलंबित इशारे यशस्वीपणे पाठवले' },
+    locationCaptured: 'ठिकाण यशस्वीपणे मिळाले',
+    locationFailed: 'तुमचे ठिकाण मिळू शकले नाही',
+    geolocationUnsupported: 'या ब्राउझरमध्ये ठिकाण सुविधा नाही',
+    confirmCall: 'तुम्हाला {number} वर कॉल करायचा आहे का?',
+    emergencyNumber: 'आपत्कालीन क्रमांक: {number}',
+    backOnline: 'पुन्हा ऑनलाइन - प्रलंबित इशारे सिंक होत आहेत',
+    goneOffline: 'ऑफलाइन झालात - इशारे रांगेत ठेवले जातील'
+  },
+  voice: {
+    heading: 'व्हॉइस सहाय्यक',
+    intro: 'तुमच्या आवाजात शेतीविषयक प्रश्न विचारा',
+    tapToRecord: 'रेकॉर्डिंग सुरू करण्यासाठी टॅप करा',
+    listening: 'ऐकत आहे...',
+    processing: 'प्रक्रिया सुरू आहे...',
+    recognitionError: 'त्रुटी आली. पुन्हा प्रयत्न करा.',
+    recognitionUnsupported: 'या ब्राउझरमध्ये आवाज ओळख सुविधा नाही',
+    selectLanguage: 'भाषा निवडा:',
+    conversation: 'संभाषण',
+    welcome: 'नमस्कार! मी तुमचा शेती सहाय्यक आहे. तुम्ही मला यांबद्दल विचारू शकता:',
+    topics: {
+      diseases: 'पीक रोग आणि उपचार',
+      weather: 'हवामानावर आधारित शेती सल्ला',
+      soil: 'मातीचे आरोग्य आणि खते',
+      pests: 'कीड नियंत्रणाच्या पद्धती',
+      practices: 'शेतीच्या चांगल्या पद्धती'
+    },
+    tapMicrophone: 'फक्त मायक्रोफोनवर टॅप करा आणि बोलायला सुरुवात करा!',
+    quickQuestions: 'झटपट प्रश्न',
+    questions: {
+      plantRice: { ask: 'भात लावण्याची सर्वोत्तम वेळ कोणती?', label: 'भात लावणीची योग्य वेळ?' },
+      aphids: { ask: 'पिकांवरील मावा कसा नियंत्रित करावा?', label: 'मावा नियंत्रण?' },
+      tomatoFertilizer: { ask: 'टोमॅटोसाठी कोणते खत चांगले आहे?', label: 'टोमॅटोसाठी खत?' },
+      soilQuality: { ask: 'मातीची गुणवत्ता कशी सुधारावी?', label: 'माती सुधारणा?' },
+      diseaseSigns: { ask: 'वनस्पती रोगांची लक्षणे कोणती?', label: 'रोगाची लक्षणे?' },
+      weatherImpact: { ask: 'हवामानाचा शेतीवर काय परिणाम होतो?', label: 'हवामानाचा परिणाम?' }
+    },
+    recentQuestions: 'अलीकडील प्रश्न',
+    questionsAsked: { one: '{count} प्रश्न विचारला', other: '{count} प्रश्न विचारले' },
+    expertResponse: 'तुमच्या प्रश्नाबद्दल धन्यवाद. आमच्या ज्ञानकोशात विश्वासार्ह उत्तर सापडले नाही, म्हणून तो आमच्या तज्ज्ञांकडे पाठवला आहे. ते लवकरच उत्तर देतील.',
+    offlineSaved: 'तुमच्या प्रश्नाबद्दल धन्यवाद. मी सध्या ऑफलाइन आहे, पण तुमचा प्रश्न जतन केला आहे. कनेक्शन परत आल्यावर मी सविस्तर उत्तर देईन.',
+    recordingClip: 'तुमचा प्रश्न रेकॉर्ड होत आहे... थांबवण्यासाठी टॅप करा',
+    clipQueued: 'तुमचा रेकॉर्ड केलेला प्रश्न जतन केला आहे. ऑनलाइन आल्यावर तो लिहून त्याचे उत्तर दिले जाईल.',
+    clipFailed: 'तुमचा प्रश्न रेकॉर्ड करता आला नाही. मायक्रोफोनची परवानगी तपासा आणि पुन्हा प्रयत्न करा.',
+    expertReplied: '{expert} यांनी "{question}" ला उत्तर दिले',
+    sentToExpert: 'तज्ज्ञांकडे पाठवले · उत्तर आल्यावर तुम्हाला कळवले जाईल',
+    source: 'स्रोत: {sources}',
+    answeredOffline: 'ऑफलाइन उत्तर दिले',
+    answerInOtherLanguage: 'हे उत्तर फक्त {language} मध्ये उपलब्ध आहे:',
+    confirmClear: 'तुम्हाला संभाषणाचा इतिहास साफ करायचा आहे का?',
+    cleared: 'संभाषण साफ झाले. आज मी तुम्हाला कशी मदत करू?',
+    historyCode: 'इतिहास हलवा',
+    restoreHistory: 'इतिहास परत आणा',
+    historyCodeShown: 'हा संभाषण इतिहास तुमच्या दुसऱ्या फोनवर नेण्यासाठी 24 तासांच्या आत तिथे "इतिहास परत आणा" मध्ये कोड {code} टाका.',
+    noHistoryToMove: 'हलवण्यासाठी अजून कोणताही संभाषण इतिहास नाही',
+    historyNotMovable: 'हा इतिहास हलवण्यासाठी साइन इन करा; हा फोन मालक म्हणून पडताळता आला नाही',
+    enterHistoryCode: 'तुमच्या जुन्या फोनवर "इतिहास हलवा" मध्ये दिसलेला कोड टाका:',
+    historyCodeInvalid: 'हा कोड वैध नाही किंवा त्याची मुदत संपली आहे',
+    historyRestored: 'संभाषण इतिहास परत आला',
+    historyNeedsConnection: 'इतिहास हलवण्यासाठी इंटरनेटशी जोडा',
+    historyCleared: 'संभाषणाचा इतिहास साफ झाला'
+  },
+  responder: {
+    heading: 'रिस्पॉन्डर कन्सोल',
+    intro: 'शेतकऱ्यांच्या SOS घटनांची छाननी करा, त्या सोपवा आणि सोडवा',
+    open: 'उघड्या',
+    assignedToMe: 'मला सोपवलेल्या',
+    resolved: 'सोडवलेल्या',
+    statuses: {
+      received: 'नवी',
+      acknowledged: 'स्वीकारली',
+      assigned: 'सोपवली',
+      en_route: 'वाटेवर',
+      resolved: 'सोडवली'
+    },
+    loadFailed: 'घटना लोड करता आल्या नाहीत',
+    empty: 'येथे कोणतीही घटना नाही.',
+    acknowledgedBy: '{name} यांनी स्वीकारली',
+    assignedTo: '{name} यांना सोपवली',
+    resolvedBy: '{name} यांनी सोडवली',
+    aResponder: 'एक रिस्पॉन्डर',
+    viaSMS: 'SMS द्वारे',
+    resolution: 'निवारण:',
+    nearestResponders: 'जवळचे रिस्पॉन्डर: {responders}',
+    office: 'कार्यालय: {office}',
+    noneInRange: 'कक्षेत कोणीही नाही',
+    escalatedTo: '{target} कडे पाठवली: {minutes} मिनिटांनंतरही {status} नाही',
+    nobodyToNotify: 'कळवण्यासाठी कोणीही नाही',
+    attachmentLoading: 'लोड होत आहे…',
+    stillUploading: '{count} अजून अपलोड होत आहेत',
+    farmerPhoto: 'शेतकऱ्याने पाठवलेला फोटो',
+    attachmentFailed: 'संलग्नक लोड करता आले नाही',
+    acknowledge: 'स्वीकारा',
+    assignTo: 'यांना सोपवा',
+    assign: 'सोपवा',
+    enRoute: 'वाटेवर',
+    resolve: 'सोडवा',
+    notePlaceholder: 'इतर रिस्पॉन्डरसाठी टीप लिहा',
+    addNote: 'टीप जोडा',
+    acknowledgedToast: 'घटना स्वीकारली',
+    assignedToast: 'घटना सोपवली',
+    enRouteToast: 'मदत वाटेवर असल्याचे शेतकऱ्याला कळवले',
+    noteAdded: 'टीप जोडली',
+    resolvePrompt: 'ही घटना कशी सोडवली?',
+    resolvedToast: 'घटना सोडवली'
+  },
+  expert: {
+    heading: 'तज्ज्ञ इनबॉक्स',
+    intro: 'ज्ञानकोशाला ज्यांचे उत्तर देता आले नाही अशा शेतीच्या प्रश्नांची उत्तरे द्या',
+    queue: 'रांग',
+    claimedByMe: 'मी घेतलेले',
+    done: 'पूर्ण झालेले',
+    loadFailed: 'प्रश्न लोड करता आले नाहीत',
+    empty: 'येथे कोणताही प्रश्न नाही.',
+    statuses: {
+      'pending-expert': 'तज्ज्ञाच्या प्रतीक्षेत',
+      claimed: 'घेतला',
+      answered: 'उत्तर दिले',
+      rejected: 'नाकारला'
+    },
+    match: 'ज्ञानकोशात {percent}% जुळणी',
+    specialty: 'तुमचे विशेष क्षेत्र',
+    answer: 'उत्तर:',
+    rejected: 'नाकारला:',
+    claim: 'घ्या',
+    claimed: 'प्रश्न घेतला',
+    template: 'उत्तराचा साचा',
+    startFromTemplate: 'एखाद्या साच्यापासून सुरुवात करा…',
+    answerPlaceholder: 'शेतकरी ऐकेल ते उत्तर लिहा',
+    sendAnswer: 'उत्तर पाठवा',
+    reject: 'नाकारा',
+    release: 'सोडा',
+    released: 'प्रश्न रांगेत परत पाठवला',
+    yourCrop: 'तुमचे पीक',
+    answerSent: 'उत्तर शेतकऱ्याला पाठवले',
+    rejectPrompt: 'या प्रश्नाचे उत्तर का देता येत नाही? शेतकरी हे पाहील.',
+    followUp: 'पुढचा प्रश्न, असा समजला: {question}',
+    rejectedToast: 'प्रश्न नाकारला'
+  },
+  access: {
+    staffOnly: 'हे पान AgriEcho कर्मचाऱ्यांसाठी आहे.',
+    signInFor: 'हे पान उघडण्यासाठी तुमच्या कर्मचारी ॲक्सेस टोकनने साइन इन करा.',
+    forbidden: '{name} यांना या पानाची परवानगी नाही. दुसऱ्या खात्याने साइन इन करा.'
+  },
+  account: {
+    heading: 'माझे खाते',
+    intro: 'तुमच्या फोन नंबरने साइन इन करा, म्हणजे शेताची माहिती प्रत्येक फोनवर मिळेल.',
+    phoneLabel: 'फोन नंबर',
+    phonePlaceholder: '10 अंकी मोबाइल नंबर',
+    sendCode: 'कोड पाठवा',
+    codeSent: 'आम्ही {phone} वर SMS ने कोड पाठवला आहे.',
+    codeLabel: 'SMS मधील कोड',
+    codePlaceholder: '6 अंकी कोड',
+    changeNumber: 'दुसरा नंबर वापरा',
+    resendIn: 'आत्ताच कोड पाठवला आहे. {seconds} सेकंदांनी नवीन कोड मागू शकता.',
+    wrongCode: 'हा कोड चुकीचा आहे किंवा त्याची मुदत संपली आहे.',
+    needsConnection: 'साइन इन करण्यासाठी इंटरनेट कनेक्शन हवे.',
+    unavailable: 'खाती सध्या उपलब्ध नाहीत.',
+    welcome: 'स्वागत आहे! खाली तुमच्या शेताची माहिती भरा.',
+    signedIn: 'साइन इन झाले',
+    signedInAs: '{phone} ने साइन इन',
+    profile: 'शेताची प्रोफाइल',
+    nameLabel: 'तुमचे नाव',
+    villageLabel: 'गाव',
+    districtLabel: 'जिल्हा',
+    districtCodeLabel: 'जिल्हा कोड (अधिकृत सूचनांसाठी)',
+    farmLocationLabel: 'शेताचे ठिकाण',
+    farmLocationSet: '{lat}, {lon}',
+    farmLocationUnset: 'सेट केलेले नाही',
+    useCurrentLocation: 'माझे सध्याचे ठिकाण',
+    locationFailed: 'तुमचे ठिकाण मिळू शकले नाही.',
+    languageLabel: 'पसंतीची भाषा',
+    cropsLabel: 'तुम्ही घेत असलेली पिके',
+    save: 'प्रोफाइल जतन करा',
+    saved: 'प्रोफाइल जतन झाली',
+    savedOffline: 'प्रोफाइल या फोनवर जतन झाली. ऑनलाइन आल्यावर पाठवली जाईल.',
+    signOutEverywhere: 'सर्व फोनवरून साइन आउट करा',
+    signedOutEverywhere: 'सर्व फोनवरून साइन आउट झाले'
+  },
+  app: {
+    newVersion: 'नवीन आवृत्ती उपलब्ध आहे! अपडेटसाठी रिफ्रेश करा.',
+    installed: 'AgriEcho यशस्वीपणे इन्स्टॉल झाले!',
+    backOnline: 'पुन्हा ऑनलाइन! डेटा सिंक होत आहे...',
+    nowOffline: 'तुम्ही आता ऑफलाइन आहात. डेटा याच डिव्हाइसवर जतन केला जाईल.',
+    syncComplete: 'सर्व डेटा यशस्वीपणे सिंक झाला!',
+    syncIncomplete: 'काही डेटा सिंक होऊ शकला नाही',
+    sosSynced: { one: '{count} SOS इशारा सिंक झाला', other: '{count} SOS इशारे सिंक झाले' },
+    queriesSynced: { one: '{count} व्हॉइस प्रश्न सिंक झाला', other: '{count} व्हॉइस प्रश्न सिंक झाले' },
+    expertCouldNotAnswer: 'तज्ज्ञ "{question}" चे उत्तर देऊ शकले नाहीत: {reason}',
+    expertAnswered: { one: 'एका तज्ज्ञांनी तुमच्या प्रश्नाचे उत्तर दिले आहे', other: 'तज्ज्ञांनी तुमच्या {count} प्रश्नांची उत्तरे दिली आहेत' },
+    geolocationUnsupported: 'ठिकाण सुविधा उपलब्ध नाही',
+    cannotSyncOffline: 'ऑफलाइन असताना सिंक करता येत नाही',
+    manualSync: 'सिंक सुरू होत आहे...',
+    allSynced: 'सर्व डेटा सिंक झाला!',
+    stillPending: { one: '{count} आयटम अजून बाकी आहे', other: '{count} आयटम अजून बाकी आहेत' },
+    waitingToSync: { one: '{count} आयटम सिंक होणे बाकी आहे', other: '{count} आयटम सिंक होणे बाकी आहेत' },
+    failedToSync: { one: '{count} आयटम सिंक झाला नाही', other: '{count} आयटम सिंक झाले नाहीत' },
+    articleSaved: 'लेख ऑफलाइन वाचनासाठी जतन केला!',
+    articleRemoved: 'लेख ऑफलाइन संग्रहातून काढला',
+    articlesCleared: 'सर्व ऑफलाइन लेख काढले',
+    photoCompressFailed: 'फोटो लहान करता आला नाही',
+    photoReadFailed: 'फोटो वाचता आला नाही',
+    uploadFailed: 'अपलोड अयशस्वी झाले',
+    clipNotUnderstood: 'माफ करा, तुमचा रेकॉर्ड केलेला प्रश्न समजला नाही. कृपया पुन्हा विचारा.',
+    clipsAnswered: { one: 'तुमच्या रेकॉर्ड केलेल्या प्रश्नाचे उत्तर आले आहे', other: '{count} रेकॉर्ड केलेल्या प्रश्नांची उत्तरे आली आहेत' },
+    signedOut: 'तुम्ही साइन आउट झाला आहात. माझे खाते मधून पुन्हा साइन इन करा.'
+  }
+};
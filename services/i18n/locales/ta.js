@@ -0,0 +1,489 @@
+// Tamil messages; missing keys fall back to English
+export default {
+  common: {
+    online: 'ஆன்லைன்',
+    offline: 'ஆஃப்லைன்',
+    refresh: 'புதுப்பிக்கவும்',
+    clear: 'அழிக்கவும்',
+    close: 'மூடவும்',
+    share: 'பகிரவும்',
+    install: 'நிறுவவும்',
+    signIn: 'உள்நுழையவும்',
+    signOut: 'வெளியேறவும்',
+    accessToken: 'அணுகல் டோக்கன்',
+    tokenPlaceholder: 'உங்கள் நிர்வாகி வழங்கிய டோக்கனை இங்கே ஒட்டவும்',
+    callNow: 'இப்போது அழைக்கவும்',
+    loading: 'ஏற்றுகிறது...',
+    saveOffline: 'ஆஃப்லைனில் சேமிக்கவும்',
+    onlineOnly: 'ஆன்லைனில் மட்டும்',
+    availableOffline: 'ஆஃப்லைனில் கிடைக்கும்',
+    requestFailed: 'கோரிக்கை தோல்வியடைந்தது',
+    language: 'மொழி',
+    km: '{distance} கி.மீ',
+    severity: { low: 'குறைவு', medium: 'நடுத்தரம்', high: 'அதிகம்', critical: 'மிகத் தீவிரம்' },
+    categories: { soil: 'மண்', crops: 'பயிர்கள்', fertilizer: 'உரம்', pest: 'பூச்சி கட்டுப்பாடு' }
+  },
+  titles: {
+    home: 'AgriEcho - ஸ்மார்ட் விவசாய உதவியாளர்',
+    knowledge: 'அறிவுக் களஞ்சியம்',
+    article: '{title} - அறிவுக் களஞ்சியம்',
+    articleNotFound: 'கட்டுரை கிடைக்கவில்லை - அறிவுக் களஞ்சியம்',
+    weather: 'வானிலை & எச்சரிக்கைகள்',
+    sos: 'அவசர SOS',
+    responder: 'மீட்பாளர் கன்சோல்',
+    voice: 'குரல் உதவியாளர்',
+    expert: 'நிபுணர் இன்பாக்ஸ்',
+    account: 'எனது கணக்கு'
+  },
+  nav: {
+    home: 'முகப்பு',
+    learn: 'கற்க',
+    weather: 'வானிலை',
+    sos: 'SOS',
+    ask: 'கேட்க',
+    knowledge: 'அறிவு',
+    voice: 'குரல்'
+  },
+  layout: {
+    description: 'AgriEcho - ஆஃப்லைனில் இயங்கும் ஸ்மார்ட் விவசாய உதவியாளர்',
+    installPrompt: 'ஆஃப்லைன் பயன்பாட்டிற்கு AgriEcho-வை நிறுவவும்',
+    tagline: 'ஸ்மார்ட் விவசாய உதவியாளர்',
+    madeFor: 'விவசாயிகளுக்காக {heart} உடன் உருவாக்கப்பட்டது',
+    chooseLanguage: 'மொழியைத் தேர்ந்தெடுக்கவும்',
+    account: 'எனது கணக்கு'
+  },
+  home: {
+    welcome: '{brand}-க்கு வரவேற்கிறோம்',
+    intro: 'ஆஃப்லைனில் இயங்கி, இணையம் திரும்பியதும் ஒத்திசைக்கும் உங்கள் ஸ்மார்ட் விவசாயத் துணை.',
+    farmers: '10,000+ விவசாயிகள்',
+    tips: '500+ குறிப்புகள்',
+    worksOffline: 'ஆஃப்லைனில் இயங்கும்',
+    heroAlt: 'வயலில் விவசாயி',
+    featuresTitle: 'நவீன விவசாயத்திற்கான ஸ்மார்ட் வசதிகள்',
+    knowledgeTitle: 'அறிவுக் களஞ்சியம்',
+    knowledgeText: 'இணையம் இல்லாவிட்டாலும் விவசாய வழிகாட்டிகள், குறிப்புகள், சிறந்த முறைகளைப் படிக்கவும்.',
+    knowledgeBadge: 'ஆஃப்லைனுக்குத் தயார்',
+    weatherTitle: 'வானிலை எச்சரிக்கைகள்',
+    weatherText: 'மோசமான வானிலையிலிருந்து பயிர்களைக் காக்க சரியான நேரத்தில் வானிலை தகவலும் எச்சரிக்கைகளும் பெறுங்கள்.',
+    weatherBadge: 'உடனடி',
+    sosTitle: 'அவசர SOS',
+    sosText: 'பயிர் நோய், இயற்கைப் பேரிடர் அல்லது அவசர உதவிக்கு எச்சரிக்கை அனுப்பவும்.',
+    sosBadge: 'மிகத் தீவிரம்',
+    voiceTitle: 'குரல் உதவியாளர்',
+    voiceText: 'உங்கள் மொழியில் பேசிக் கேள்விகள் கேளுங்கள். கைகளைப் பயன்படுத்தாமல் விவசாயம் செய்ய ஏற்றது.',
+    voiceBadge: 'பன்மொழி',
+    syncTitle: 'தரவு ஒத்திசைவு நிலை',
+    synced: 'எல்லா தரவும் ஒத்திசைக்கப்பட்டது',
+    syncing: 'தரவு ஒத்திசைக்கப்படுகிறது...',
+    syncOffline: 'ஆஃப்லைன் பயன்முறை - ஆன்லைனில் வந்ததும் தரவு ஒத்திசைக்கப்படும்',
+    offlineArticles: 'ஆஃப்லைன் கட்டுரைகள்',
+    weatherData: 'வானிலை தரவு'
+  },
+  knowledge: {
+    heading: 'அறிவுக் களஞ்சியம்',
+    intro: 'நிபுணர்களின் விவசாய வழிகாட்டிகள் மற்றும் சிறந்த முறைகளிலிருந்து கற்றுக்கொள்ளுங்கள்',
+    searchPlaceholder: 'கட்டுரைகளைத் தேடவும்...',
+    all: 'அனைத்தும்',
+    readMore: 'மேலும் படிக்க',
+    noResults: 'உங்கள் தேடலுக்குப் பொருந்தும் கட்டுரைகள் இல்லை.',
+    savedOffline: 'ஆஃப்லைனில் சேமித்த கட்டுரைகள்',
+    totalArticles: 'மொத்த கட்டுரைகள்',
+    audioAvailable: 'ஒலி கிடைக்கும்',
+    openFull: 'முழு கட்டுரையைத் திறக்கவும்',
+    searchedOffline: 'ஆஃப்லைன் - சேமித்த {count} கட்டுரைகளில் தேடப்பட்டது',
+    resultsFound: { one: '{count} முடிவு கிடைத்தது', other: '{count} முடிவுகள் கிடைத்தன' },
+    shareText: 'AgriEcho-வின் இந்த விவசாயக் கட்டுரையைப் பாருங்கள்',
+    linkCopied: 'கட்டுரை இணைப்பு நகலெடுக்கப்பட்டது!'
+  },
+  article: {
+    back: 'அறிவுக் களஞ்சியத்திற்குத் திரும்பு',
+    notFound: 'கட்டுரை கிடைக்கவில்லை',
+    notFoundText: 'இந்தக் கட்டுரை நீக்கப்பட்டிருக்கலாம் அல்லது இணைப்பு தவறானது.',
+    listen: 'கேளுங்கள்',
+    pause: 'இடைநிறுத்து',
+    resume: 'தொடரவும்',
+    references: 'மேற்கோள்கள்'
+  },
+  player: {
+    unsupported: 'இந்த உலாவியில் வாசித்துக் காட்டும் வசதி இல்லை',
+    resuming: 'பத்தி {number} இலிருந்து தொடர்கிறது',
+    position: 'பத்தி {current} / {total}',
+    previous: 'முந்தைய பத்தி',
+    playPause: 'இயக்கு அல்லது இடைநிறுத்து',
+    next: 'அடுத்த பத்தி',
+    speed: 'இயக்க வேகம்',
+    stop: 'நிறுத்து'
+  },
+  weather: {
+    heading: 'வானிலை & எச்சரிக்கைகள்',
+    intro: 'வானிலை நிலை மற்றும் விவசாய எச்சரிக்கைகளை அறிந்து கொள்ளுங்கள்',
+    yourLocation: 'உங்கள் இருப்பிடம்',
+    currentLocation: 'தற்போதைய இருப்பிடம்',
+    locationUnknown: 'இருப்பிடம் தெரியவில்லை',
+    visibility: 'பார்வைத் தூரம்',
+    humidity: 'ஈரப்பதம்',
+    windSpeed: 'காற்றின் வேகம்',
+    next24Hours: 'அடுத்த 24 மணி நேரம்',
+    loadingHourly: 'மணிநேர முன்னறிவிப்பு ஏற்றுகிறது...',
+    sevenDay: '7 நாள் முன்னறிவிப்பு',
+    loadingForecast: 'முன்னறிவிப்பு ஏற்றுகிறது...',
+    activeAlerts: 'நடப்பு வானிலை எச்சரிக்கைகள்',
+    officialAlert: 'அதிகாரப்பூர்வ எச்சரிக்கை',
+    validUntil: '{date} வரை செல்லுபடியாகும்',
+    ongoing: 'நடப்பில் உள்ளது',
+    cropAdvisories: 'பயிர் ஆலோசனைகள்',
+    selectCrops: 'பாசனம் மற்றும் அறுவடை ஆலோசனைக்கு உங்கள் பயிர்களைத் தேர்ந்தெடுக்கவும்:',
+    advisoriesPending: 'முன்னறிவிப்பு ஏற்றப்பட்டதும் ஆலோசனைகள் தோன்றும்.',
+    updated: '{time} மணிக்குப் புதுப்பிக்கப்பட்டது',
+    today: 'இன்று',
+    tomorrow: 'நாளை',
+    cachedStale: 'பழைய சேமித்த வானிலை தரவு காட்டப்படுகிறது (ஆஃப்லைன் பயன்முறை)',
+    cached: 'சேமித்த வானிலை தரவு காட்டப்படுகிறது (ஆஃப்லைன் பயன்முறை)',
+    unavailableOffline: 'ஆஃப்லைனில் வானிலை கிடைக்காது',
+    connectOnce: 'முன்னறிவிப்பைப் பதிவிறக்க ஒருமுறை இணையத்துடன் இணைக்கவும்.',
+    alertsUpdated: 'வானிலை எச்சரிக்கைகள் புதுப்பிக்கப்பட்டன',
+    backOnline: 'மீண்டும் ஆன்லைன் - வானிலை தரவு புதுப்பிக்கப்பட்டது',
+    offlineMode: 'ஆஃப்லைன் பயன்முறை - சேமித்த வானிலை தரவு காட்டப்படுகிறது',
+    conditions: {
+      Sunny: 'வெயில்',
+      'Partly Cloudy': 'ஓரளவு மேகமூட்டம்',
+      Cloudy: 'மேகமூட்டம்',
+      Fog: 'மூடுபனி',
+      'Light Rain': 'லேசான மழை',
+      'Heavy Rain': 'கனமழை',
+      Thunderstorm: 'இடியுடன் கூடிய மழை',
+      Snow: 'பனி'
+    }
+  },
+  advisories: {
+    crops: {
+      rice: 'நெல்', wheat: 'கோதுமை', maize: 'மக்காச்சோளம்', cotton: 'பருத்தி',
+      sugarcane: 'கரும்பு', soybean: 'சோயாபீன்', tomato: 'தக்காளி', onion: 'வெங்காயம்'
+    },
+    sprayProblems: {
+      rain: 'தெளிப்பு காய்வதற்கு முன் மழை பெய்யக்கூடும்',
+      wind: 'காற்று மிக வேகமாக உள்ளது, தெளிப்பு அடித்துச் செல்லப்படும்',
+      calm: 'காற்று மிக அமைதியாக உள்ளது, நுண்துளிகள் மிதந்து பரவலாம்',
+      heat: 'வெப்பம் அதிகம், தெளிப்பு ஆவியாகிவிடும்',
+      humidity: 'ஈரப்பதம் பாதுகாப்பான வரம்பிற்கு வெளியே உள்ளது',
+      unknown: 'முன்னறிவிப்பு தரவு கிடைக்கவில்லை'
+    },
+    noSprayTitle: 'தெளிக்கப் பாதுகாப்பான நேரம் இல்லை',
+    noSprayMessage: 'அடுத்த {hours} மணி நேரம் தெளிக்க வேண்டாம்: {problem}.',
+    sprayTitle: 'தெளிப்பு நேரங்கள்',
+    sprayMessage: 'பூச்சிக்கொல்லி தெளிக்க அமைதியான, உலர்ந்த வானிலை: {times}.',
+    irrigationTitle: '{crop} பாசனம்',
+    irrigateOn: '{days} அன்று {crop}-க்கு நீர் பாய்ச்சவும்.',
+    rainDay: '{day} ({rain} மி.மீ மழை)',
+    rainWaters: '{days} அன்று மழை வயலுக்கு நீர் தரும்.',
+    noIrrigation: 'இந்த வாரம் {crop}-க்கு பாசனம் தேவையில்லை; மழை எதிர்பார்க்கப்படுகிறது.',
+    harvestTitle: '{crop} அறுவடை & உலர்த்துதல்',
+    noDryingWindow: 'இந்த வாரம் {days} நாள் வறண்ட வானிலை இல்லை. முடிந்தால் அறுவடையைத் தள்ளிவையுங்கள், அல்லது மூடி உலர்த்தத் திட்டமிடுங்கள்.',
+    dryingWindow: 'பயிர் தயாராக இருந்தால் {range} அறுவடை செய்து வெயிலில் உலர்த்தவும் ({days} வறண்ட நாட்கள்).'
+  },
+  sos: {
+    heading: 'அவசர SOS',
+    intro: 'உடனடி உதவிக்கு அவசர எச்சரிக்கைகளை அனுப்பவும்',
+    quickActions: 'விரைவு அவசர நடவடிக்கைகள்',
+    types: {
+      'crop-disease': 'பயிர் நோய்',
+      'weather-damage': 'வானிலை சேதம்',
+      'equipment-failure': 'கருவி பழுது',
+      'pest-attack': 'பூச்சித் தாக்குதல்',
+      'medical-emergency': 'மருத்துவ அவசரம்',
+      'natural-disaster': 'இயற்கைப் பேரிடர்',
+      'need-help': 'உதவி தேவை',
+      other: 'மற்றவை'
+    },
+    quickMessages: {
+      'crop-disease': 'பயிரில் நோய் பரவல் கண்டறியப்பட்டது',
+      'weather-damage': 'வானிலையால் பயிர்கள் சேதமடைந்தன',
+      'equipment-failure': 'விவசாயக் கருவி பழுதடைந்தது',
+      'pest-attack': 'கடுமையான பூச்சித் தாக்குதல்',
+      'medical-emergency': 'பண்ணையில் மருத்துவ அவசரம்',
+      'need-help': 'விவசாயத்தில் பொது உதவி தேவை'
+    },
+    detailedReport: 'விரிவான அவசர அறிக்கை',
+    typeLabel: 'அவசர வகை',
+    selectType: 'அவசர வகையைத் தேர்ந்தெடுக்கவும்',
+    severityLabel: 'தீவிர நிலை',
+    severityOptions: {
+      low: 'குறைவு - காத்திருக்கலாம்',
+      medium: 'நடுத்தரம் - விரைவில் உதவி தேவை',
+      high: 'அதிகம் - அவசரம்',
+      critical: 'மிகத் தீவிரம் - உடனடி உதவி தேவை'
+    },
+    locationLabel: 'இருப்பிட விவரங்கள்',
+    locationPlaceholder: 'உங்கள் இருப்பிடம் அல்லது முகவரியை விவரிக்கவும்',
+    useLocation: 'தற்போதைய இருப்பிடத்தைப் பயன்படுத்து',
+    messageLabel: 'அவசரத்தை விவரிக்கவும்',
+    messagePlaceholder: 'என்ன நடந்தது, உங்களுக்கு என்ன உதவி தேவை என்று விவரிக்கவும்...',
+    contactLabel: 'தொடர்பு தகவல்',
+    contactPlaceholder: 'அவசரத் தொடர்புக்கான உங்கள் தொலைபேசி எண்',
+    attachmentsLabel: 'புகைப்படங்கள் & குரல் குறிப்புகள்',
+    addPhoto: 'புகைப்படம் சேர்',
+    recordVoice: 'குரல் குறிப்பைப் பதிவு செய்',
+    stopRecording: 'நிறுத்து (அதிகபட்சம் {seconds} வினாடி)',
+    attachedPhoto: 'இணைத்த புகைப்படம்',
+    removeAttachment: 'இணைப்பை நீக்கு',
+    send: 'SOS எச்சரிக்கையை அனுப்பு',
+    statusHeading: 'அவசர நிலை',
+    connectionStatus: 'இணைப்பு நிலை',
+    onlineStatus: 'ஆன்லைன் - எச்சரிக்கைகள் உடனே அனுப்பப்படும்',
+    offlineStatus: 'ஆஃப்லைன் - எச்சரிக்கைகள் வரிசையில் வைக்கப்படும்',
+    pendingAlerts: 'நிலுவையில் உள்ள எச்சரிக்கைகள்',
+    pendingCount: { one: '{count} எச்சரிக்கை அனுப்பக் காத்திருக்கிறது', other: '{count} எச்சரிக்கைகள் அனுப்பக் காத்திருக்கின்றன' },
+    sentToday: 'இன்று அனுப்பியவை',
+    sentCount: { one: '{count} எச்சரிக்கை வெற்றிகரமாக அனுப்பப்பட்டது', other: '{count} எச்சரிக்கைகள் வெற்றிகரமாக அனுப்பப்பட்டன' },
+    smsHeading: 'தரவு இணைப்பு இல்லையா?',
+    smsText: 'நிலுவையில் உள்ள எச்சரிக்கைகள் மொபைல் நெட்வொர்க் வழியாக SMS ஆகச் செல்லலாம். எச்சரிக்கை நிரப்பப்பட்ட செய்தி செயலியைத் திறக்கத் தட்டி, அனுப்பு என்பதை அழுத்தவும்.',
+    smsOpened: '{time} செய்திகளில் திறக்கப்பட்டது',
+    queuedAt: '{time} வரிசையில் வைக்கப்பட்டது',
+    sendAgain: 'மீண்டும் அனுப்பு',
+    sendSMS: 'SMS வழியாக அனுப்பு',
+    myAlerts: 'எனது எச்சரிக்கைகள்',
+    steps: {
+      received: 'பெறப்பட்டது',
+      acknowledged: 'ஏற்கப்பட்டது',
+      assigned: 'மீட்பாளர் நியமிக்கப்பட்டார்',
+      en_route: 'வழியில்',
+      resolved: 'தீர்க்கப்பட்டது'
+    },
+    attachmentsUploaded: { one: '{count} இணைப்பு பதிவேற்றப்பட்டது', other: '{count} இணைப்புகள் பதிவேற்றப்பட்டன' },
+    nearestOffice: 'அருகிலுள்ள அலுவலகம்: {name}',
+    contactsHeading: 'அவசரத் தொடர்புகள்',
+    contactsFor: '{area} தொடர்புகள்',
+    nationalNumbers: 'தேசிய அவசர எண்கள்',
+    savedForOffline: '{where} · {date} அன்று ஆஃப்லைன் பயன்பாட்டிற்குச் சேமிக்கப்பட்டது',
+    distanceAway: '{distance} கி.மீ தொலைவில்',
+    contactCategories: {
+      emergency: 'அவசரம்',
+      ambulance: 'மருத்துவ அவசரம்',
+      police: 'காவல்துறை',
+      fire: 'தீயணைப்புத் துறை',
+      disaster: 'பேரிடர் கட்டுப்பாடு',
+      'agri-officer': 'வேளாண் அலுவலர்',
+      kvk: 'வேளாண் அறிவியல் நிலையம்',
+      veterinary: 'கால்நடை மருத்துவ சேவைகள்',
+      helpline: 'உதவி எண்'
+    },
+    ambulanceService: '108 - தேசிய ஆம்புலன்ஸ் சேவை',
+    policeControl: '100 - காவல் கட்டுப்பாட்டு அறை',
+    fireServices: '101 - தீயணைப்பு & மீட்பு சேவைகள்',
+    kisanCallCentre: '1800-180-1551 - கிசான் அழைப்பு மையம்',
+    attachmentsNotSaved: 'இந்த எச்சரிக்கையுடன் புகைப்படங்களையும் குரல் குறிப்புகளையும் சேமிக்க முடியவில்லை',
+    recordingUnsupported: 'இந்த உலாவியில் குரல் பதிவு வசதி இல்லை',
+    recordingFailed: 'குரல் குறிப்பைப் பதிவு செய்ய முடியவில்லை',
+    attachmentLimit: 'அதிகபட்சம் {max} புகைப்படங்கள் அல்லது குரல் குறிப்புகளை இணைக்கலாம்',
+    sent: 'SOS எச்சரிக்கை வெற்றிகரமாக அனுப்பப்பட்டது!',
+    savedOfflineRetry: 'SOS ஆஃப்லைனில் சேமிக்கப்பட்டது - இணைப்பு திரும்பியதும் அனுப்பப்படும்',
+    savedOfflineSMS: 'SOS எச்சரிக்கை ஆஃப்லைனில் சேமிக்கப்பட்டது - கீழே SMS வழியாக அனுப்புங்கள், அல்லது ஆன்லைனில் வந்ததும் அனுப்பப்படும்',
+    savedOffline: 'SOS எச்சரிக்கை ஆஃப்லைனில் சேமிக்கப்பட்டது - ஆன்லைனில் வந்ததும் அனுப்பப்படும்',
+    pendingSent: { one: 'நிலுவையில் இருந்த {count} எச்சரிக்கை வெற்றிகரமாக அனுப்பப்பட்டது', other: 'நிலுவையில் இருந்த {count} எச்சரிக்கைகள் வெற்றிகரமாக அனுப்பப்பட்டன' },
+    locationCaptured: 'இருப்பிடம் வெற்றிகரமாகப் பெறப்பட்டது',
+    locationFailed: 'உங்கள் இருப்பிடத்தைப் பெற முடியவில்லை',
+    geolocationUnsupported: 'இந்த உலாவியில் இருப்பிட வசதி இல்லை',
+    confirmCall: '{number} எண்ணை அழைக்க விரும்புகிறீர்களா?',
+    emergencyNumber: 'அவசர எண்: {number}',
+    backOnline: 'மீண்டும் ஆன்லைன் - நிலுவை எச்சரிக்கைகள் ஒத்திசைக்கப்படுகின்றன',
+    goneOffline: 'ஆஃப்லைன் ஆனது - எச்சரிக்கைகள் வரிசையில் வைக்கப்படும்'
+  },
+  voice: {
+    heading: 'குரல் உதவியாளர்',
+    intro: 'உங்கள் குரலில் விவசாயக் கேள்விகளைக் கேளுங்கள்',
+    tapToRecord: 'பதிவைத் தொடங்கத் தட்டவும்',
+    listening: 'கேட்கிறது...',
+    processing: 'செயலாக்குகிறது...',
+    recognitionError: 'பிழை ஏற்பட்டது. மீண்டும் முயற்சிக்கவும்.',
+    recognitionUnsupported: 'இந்த உலாவியில் பேச்சு அறிதல் வசதி இல்லை',
+    selectLanguage: 'மொழியைத் தேர்ந்தெடுக்கவும்:',
+    conversation: 'உரையாடல்',
+    welcome: 'வணக்கம்! நான் உங்கள் விவசாய உதவியாளர். இவை பற்றி என்னிடம் கேட்கலாம்:',
+    topics: {
+      diseases: 'பயிர் நோய்கள் மற்றும் சிகிச்சைகள்',
+      weather: 'வானிலை சார்ந்த விவசாய ஆலோசனை',
+      soil: 'மண் வளம் மற்றும் உரங்கள்',
+      pests: 'பூச்சி கட்டுப்பாட்டு முறைகள்',
+      practices: 'சிறந்த விவசாய முறைகள்'
+    },
+    tapMicrophone: 'மைக்ரோஃபோனைத் தட்டிப் பேசத் தொடங்குங்கள்!',
+    quickQuestions: 'விரைவுக் கேள்விகள்',
+    questions: {
+      plantRice: { ask: 'நெல் நடவு செய்ய சிறந்த நேரம் எது?', label: 'நெல் நடவு நேரம்?' },
+      aphids: { ask: 'பயிர்களில் அசுவினியை எப்படிக் கட்டுப்படுத்துவது?', label: 'அசுவினி கட்டுப்பாடு?' },
+      tomatoFertilizer: { ask: 'தக்காளிக்கு எந்த உரம் நல்லது?', label: 'தக்காளிக்கு உரம்?' },
+      soilQuality: { ask: 'மண்ணின் தரத்தை எப்படி மேம்படுத்துவது?', label: 'மண் மேம்பாடு?' },
+      diseaseSigns: { ask: 'தாவர நோய்களின் அறிகுறிகள் என்ன?', label: 'நோய் அறிகுறிகள்?' },
+      weatherImpact: { ask: 'வானிலை விவசாயத்தை எப்படி பாதிக்கிறது?', label: 'வானிலை தாக்கம்?' }
+    },
+    recentQuestions: 'சமீபத்திய கேள்விகள்',
+    questionsAsked: { one: '{count} கேள்வி கேட்கப்பட்டது', other: '{count} கேள்விகள் கேட்கப்பட்டன' },
+    expertResponse: 'உங்கள் கேள்விக்கு நன்றி. எங்கள் அறிவுக் களஞ்சியத்தில் நம்பகமான பதில் கிடைக்கவில்லை, எனவே அது எங்கள் நிபுணர்களுக்கு அனுப்பப்பட்டுள்ளது. அவர்கள் விரைவில் பதிலளிப்பார்கள்.',
+    offlineSaved: 'உங்கள் கேள்விக்கு நன்றி. நான் தற்போது ஆஃப்லைனில் இருக்கிறேன், ஆனால் உங்கள் கேள்வி சேமிக்கப்பட்டது. இணைப்பு திரும்பியதும் விரிவான பதில் தருகிறேன்.',
+    recordingClip: 'உங்கள் கேள்வி பதிவாகிறது... நிறுத்த தட்டவும்',
+    clipQueued: 'நீங்கள் பதிவு செய்த கேள்வி சேமிக்கப்பட்டது. இணைப்பு வந்ததும் அது எழுத்தாக மாற்றப்பட்டு பதில் அளிக்கப்படும்.',
+    clipFailed: 'உங்கள் கேள்வியைப் பதிவு செய்ய முடியவில்லை. மைக்ரோஃபோன் அனுமதியைச் சரிபார்த்து மீண்டும் முயற்சிக்கவும்.',
+    expertReplied: '{expert} "{question}" கேள்விக்குப் பதிலளித்தார்',
+    sentToExpert: 'நிபுணருக்கு அனுப்பப்பட்டது · அவர் பதிலளிக்கும்போது உங்களுக்குத் தெரிவிக்கப்படும்',
+    source: 'ஆதாரம்: {sources}',
+    answeredOffline: 'ஆஃப்லைனில் பதிலளிக்கப்பட்டது',
+    answerInOtherLanguage: 'இந்தப் பதில் {language} மொழியில் மட்டுமே கிடைக்கும்:',
+    confirmClear: 'உரையாடல் வரலாற்றை அழிக்க விரும்புகிறீர்களா?',
+    cleared: 'உரையாடல் அழிக்கப்பட்டது. இன்று நான் எப்படி உதவலாம்?',
+    historyCode: 'வரலாற்றை நகர்த்து',
+    restoreHistory: 'வரலாற்றை மீட்டெடு',
+    historyCodeShown: 'இந்த உரையாடல் வரலாற்றை உங்கள் மற்றொரு போனுக்கு நகர்த்த, 24 மணி நேரத்திற்குள் அங்கு "வரலாற்றை மீட்டெடு" என்பதில் {code} குறியீட்டை உள்ளிடவும்.',
+    noHistoryToMove: 'நகர்த்த இன்னும் உரையாடல் வரலாறு இல்லை',
+    historyNotMovable: 'இந்த வரலாற்றை நகர்த்த உள்நுழையவும்; இந்த ஃபோனை உரிமையாளராக சரிபார்க்க முடியவில்லை',
+    enterHistoryCode: 'உங்கள் பழைய போனில் "வரலாற்றை நகர்த்து" என்பதில் காட்டிய குறியீட்டை உள்ளிடவும்:',
+    historyCodeInvalid: 'இந்தக் குறியீடு செல்லாது அல்லது காலாவதியாகிவிட்டது',
+    historyRestored: 'உரையாடல் வரலாறு மீட்டெடுக்கப்பட்டது',
+    historyNeedsConnection: 'வரலாற்றை நகர்த்த இணையத்துடன் இணைக்கவும்',
+    historyCleared: 'உரையாடல் வரலாறு அழிக்கப்பட்டது'
+  },
+  responder: {
+    heading: 'மீட்பாளர் கன்சோல்',
+    intro: 'விவசாயிகளின் SOS நிகழ்வுகளை வகைப்படுத்தி, ஒப்படைத்து, தீர்க்கவும்',
+    open: 'திறந்தவை',
+    assignedToMe: 'எனக்கு ஒப்படைக்கப்பட்டவை',
+    resolved: 'தீர்க்கப்பட்டவை',
+    statuses: {
+      received: 'புதியது',
+      acknowledged: 'ஏற்கப்பட்டது',
+      assigned: 'ஒப்படைக்கப்பட்டது',
+      en_route: 'வழியில்',
+      resolved: 'தீர்க்கப்பட்டது'
+    },
+    loadFailed: 'நிகழ்வுகளை ஏற்ற முடியவில்லை',
+    empty: 'இங்கே நிகழ்வுகள் எதுவும் இல்லை.',
+    acknowledgedBy: '{name} ஏற்றுக்கொண்டார்',
+    assignedTo: '{name} அவர்களிடம் ஒப்படைக்கப்பட்டது',
+    resolvedBy: '{name} தீர்த்தார்',
+    aResponder: 'ஒரு மீட்பாளர்',
+    viaSMS: 'SMS மூலம்',
+    resolution: 'தீர்வு:',
+    nearestResponders: 'அருகிலுள்ள மீட்பாளர்கள்: {responders}',
+    office: 'அலுவலகம்: {office}',
+    noneInRange: 'வரம்பிற்குள் யாரும் இல்லை',
+    escalatedTo: '{target} க்கு உயர்த்தப்பட்டது: {minutes} நிமிடங்களுக்குப் பிறகும் {status} ஆகவில்லை',
+    nobodyToNotify: 'தெரிவிக்க யாரும் இல்லை',
+    attachmentLoading: 'ஏற்றுகிறது…',
+    stillUploading: '{count} இன்னும் பதிவேறுகின்றன',
+    farmerPhoto: 'விவசாயி அனுப்பிய புகைப்படம்',
+    attachmentFailed: 'இணைப்பை ஏற்ற முடியவில்லை',
+    acknowledge: 'ஏற்றுக்கொள்',
+    assignTo: 'இவரிடம் ஒப்படை',
+    assign: 'ஒப்படை',
+    enRoute: 'வழியில்',
+    resolve: 'தீர்',
+    notePlaceholder: 'மற்ற மீட்பாளர்களுக்கு ஒரு குறிப்பு எழுதவும்',
+    addNote: 'குறிப்பைச் சேர்',
+    acknowledgedToast: 'நிகழ்வு ஏற்கப்பட்டது',
+    assignedToast: 'நிகழ்வு ஒப்படைக்கப்பட்டது',
+    enRouteToast: 'உதவி வழியில் உள்ளது என்று விவசாயிக்குத் தெரிவிக்கப்பட்டது',
+    noteAdded: 'குறிப்பு சேர்க்கப்பட்டது',
+    resolvePrompt: 'இந்த நிகழ்வு எப்படித் தீர்க்கப்பட்டது?',
+    resolvedToast: 'நிகழ்வு தீர்க்கப்பட்டது'
+  },
+  expert: {
+    heading: 'நிபுணர் இன்பாக்ஸ்',
+    intro: 'அறிவுக் களஞ்சியம் பதிலளிக்க முடியாத விவசாயக் கேள்விகளுக்குப் பதிலளிக்கவும்',
+    queue: 'வரிசை',
+    claimedByMe: 'நான் எடுத்தவை',
+    done: 'முடிந்தவை',
+    loadFailed: 'கேள்விகளை ஏற்ற முடியவில்லை',
+    empty: 'இங்கே கேள்விகள் எதுவும் இல்லை.',
+    statuses: {
+      'pending-expert': 'நிபுணருக்காகக் காத்திருக்கிறது',
+      claimed: 'எடுக்கப்பட்டது',
+      answered: 'பதிலளிக்கப்பட்டது',
+      rejected: 'நிராகரிக்கப்பட்டது'
+    },
+    match: 'அறிவுக் களஞ்சியத்தில் {percent}% பொருத்தம்',
+    specialty: 'உங்கள் சிறப்புத் துறை',
+    answer: 'பதில்:',
+    rejected: 'நிராகரிக்கப்பட்டது:',
+    claim: 'எடு',
+    claimed: 'கேள்வி எடுக்கப்பட்டது',
+    template: 'பதில் வார்ப்புரு',
+    startFromTemplate: 'ஒரு வார்ப்புருவிலிருந்து தொடங்கவும்…',
+    answerPlaceholder: 'விவசாயி கேட்கும் பதிலை எழுதவும்',
+    sendAnswer: 'பதிலை அனுப்பு',
+    reject: 'நிராகரி',
+    release: 'விடுவி',
+    released: 'கேள்வி வரிசைக்குத் திருப்பி அனுப்பப்பட்டது',
+    yourCrop: 'உங்கள் பயிர்',
+    answerSent: 'பதில் விவசாயிக்கு அனுப்பப்பட்டது',
+    rejectPrompt: 'இந்தக் கேள்விக்கு ஏன் பதிலளிக்க முடியாது? விவசாயி இதைப் பார்ப்பார்.',
+    followUp: 'தொடர் கேள்வி, இப்படிப் புரிந்துகொள்ளப்பட்டது: {question}',
+    rejectedToast: 'கேள்வி நிராகரிக்கப்பட்டது'
+  },
+  access: {
+    staffOnly: 'இந்தப் பக்கம் AgriEcho பணியாளர்களுக்கானது.',
+    signInFor: 'இந்தப் பக்கத்தைத் திறக்க உங்கள் பணியாளர் அணுகல் டோக்கனுடன் உள்நுழையவும்.',
+    forbidden: '{name} இந்தப் பக்கத்தை அணுக அனுமதி இல்லை. வேறு கணக்கில் உள்நுழையவும்.'
+  },
+  account: {
+    heading: 'எனது கணக்கு',
+    intro: 'உங்கள் தொலைபேசி எண்ணுடன் உள்நுழையுங்கள்; உங்கள் பண்ணை விவரங்கள் எந்த போனிலும் கிடைக்கும்.',
+    phoneLabel: 'தொலைபேசி எண்',
+    phonePlaceholder: '10 இலக்க மொபைல் எண்',
+    sendCode: 'குறியீடு அனுப்பு',
+    codeSent: '{phone} எண்ணுக்கு SMS மூலம் குறியீடு அனுப்பினோம்.',
+    codeLabel: 'SMS-இல் வந்த குறியீடு',
+    codePlaceholder: '6 இலக்க குறியீடு',
+    changeNumber: 'வேறு எண்ணைப் பயன்படுத்து',
+    resendIn: 'இப்போதுதான் குறியீடு அனுப்பப்பட்டது. {seconds} விநாடிகளில் புதியதைக் கேட்கலாம்.',
+    wrongCode: 'இந்தக் குறியீடு தவறு அல்லது காலாவதியானது.',
+    needsConnection: 'உள்நுழைய இணைய இணைப்பு தேவை.',
+    unavailable: 'கணக்குகள் இப்போது கிடைக்கவில்லை.',
+    welcome: 'வரவேற்கிறோம்! கீழே உங்கள் பண்ணை விவரங்களைச் சேர்க்கவும்.',
+    signedIn: 'உள்நுழைந்தீர்கள்',
+    signedInAs: '{phone} மூலம் உள்நுழைவு',
+    profile: 'பண்ணை சுயவிவரம்',
+    nameLabel: 'உங்கள் பெயர்',
+    villageLabel: 'கிராமம்',
+    districtLabel: 'மாவட்டம்',
+    districtCodeLabel: 'மாவட்டக் குறியீடு (அதிகாரப்பூர்வ எச்சரிக்கைகளுக்கு)',
+    farmLocationLabel: 'பண்ணை இருப்பிடம்',
+    farmLocationSet: '{lat}, {lon}',
+    farmLocationUnset: 'அமைக்கப்படவில்லை',
+    useCurrentLocation: 'நான் இருக்கும் இடம்',
+    locationFailed: 'உங்கள் இருப்பிடத்தைப் பெற முடியவில்லை.',
+    languageLabel: 'விருப்ப மொழி',
+    cropsLabel: 'நீங்கள் பயிரிடும் பயிர்கள்',
+    save: 'சுயவிவரத்தைச் சேமி',
+    saved: 'சுயவிவரம் சேமிக்கப்பட்டது',
+    savedOffline: 'சுயவிவரம் இந்த போனில் சேமிக்கப்பட்டது. இணையம் வந்ததும் அனுப்பப்படும்.',
+    signOutEverywhere: 'எல்லா போன்களிலிருந்தும் வெளியேறு',
+    signedOutEverywhere: 'எல்லா போன்களிலிருந்தும் வெளியேறினீர்கள்'
+  },
+  app: {
+    newVersion: 'புதிய பதிப்பு கிடைக்கிறது! புதுப்பிக்க ரிஃப்ரெஷ் செய்யவும்.',
+    installed: 'AgriEcho வெற்றிகரமாக நிறுவப்பட்டது!',
+    backOnline: 'மீண்டும் ஆன்லைன்! தரவு ஒத்திசைக்கப்படுகிறது...',
+    nowOffline: 'நீங்கள் இப்போது ஆஃப்லைனில் உள்ளீர்கள். தரவு இந்தச் சாதனத்திலேயே சேமிக்கப்படும்.',
+    syncComplete: 'எல்லா தரவும் வெற்றிகரமாக ஒத்திசைக்கப்பட்டது!',
+    syncIncomplete: 'சில தரவை ஒத்திசைக்க முடியவில்லை',
+    sosSynced: { one: '{count} SOS எச்சரிக்கை ஒத்திசைக்கப்பட்டது', other: '{count} SOS எச்சரிக்கைகள் ஒத்திசைக்கப்பட்டன' },
+    queriesSynced: { one: '{count} குரல் கேள்வி ஒத்திசைக்கப்பட்டது', other: '{count} குரல் கேள்விகள் ஒத்திசைக்கப்பட்டன' },
+    expertCouldNotAnswer: 'நிபுணரால் "{question}" கேள்விக்குப் பதிலளிக்க முடியவில்லை: {reason}',
+    expertAnswered: { one: 'ஒரு நிபுணர் உங்கள் கேள்விக்குப் பதிலளித்துள்ளார்', other: 'நிபுணர்கள் உங்கள் {count} கேள்விகளுக்குப் பதிலளித்துள்ளனர்' },
+    geolocationUnsupported: 'இருப்பிட வசதி இல்லை',
+    cannotSyncOffline: 'ஆஃப்லைனில் இருக்கும்போது ஒத்திசைக்க முடியாது',
+    manualSync: 'ஒத்திசைவு தொடங்குகிறது...',
+    allSynced: 'எல்லா தரவும் ஒத்திசைக்கப்பட்டது!',
+    stillPending: { one: '{count} உருப்படி இன்னும் நிலுவையில் உள்ளது', other: '{count} உருப்படிகள் இன்னும் நிலுவையில் உள்ளன' },
+    waitingToSync: { one: '{count} உருப்படி ஒத்திசைவுக்குக் காத்திருக்கிறது', other: '{count} உருப்படிகள் ஒத்திசைவுக்குக் காத்திருக்கின்றன' },
+    failedToSync: { one: '{count} உருப்படி ஒத்திசைக்கப்படவில்லை', other: '{count} உருப்படிகள் ஒத்திசைக்கப்படவில்லை' },
+    articleSaved: 'கட்டுரை ஆஃப்லைன் வாசிப்புக்குச் சேமிக்கப்பட்டது!',
+    articleRemoved: 'கட்டுரை ஆஃப்லைன் சேமிப்பிலிருந்து நீக்கப்பட்டது',
+    articlesCleared: 'அனைத்து ஆஃப்லைன் கட்டுரைகளும் அழிக்கப்பட்டன',
+    photoCompressFailed: 'புகைப்படத்தைச் சுருக்க முடியவில்லை',
+    photoReadFailed: 'புகைப்படத்தைப் படிக்க முடியவில்லை',
+    uploadFailed: 'பதிவேற்றம் தோல்வியடைந்தது',
+    clipNotUnderstood: 'மன்னிக்கவும், நீங்கள் பதிவு செய்த கேள்வி புரியவில்லை. தயவுசெய்து மீண்டும் கேளுங்கள்.',
+    clipsAnswered: { one: 'நீங்கள் பதிவு செய்த கேள்விக்குப் பதில் வந்துள்ளது', other: 'பதிவு செய்த {count} கேள்விகளுக்குப் பதில் வந்துள்ளது' },
+    signedOut: 'நீங்கள் வெளியேற்றப்பட்டீர்கள். எனது கணக்கில் மீண்டும் உள்நுழையவும்.'
+  }
+};
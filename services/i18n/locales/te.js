@@ -0,0 +1,489 @@
+// Telugu messages; missing keys fall back to English
+export default {
+  common: {
+    online: 'ఆన్‌లైన్',
+    offline: 'ఆఫ్‌లైన్',
+    refresh: 'రిఫ్రెష్ చేయండి',
+    clear: 'తొలగించండి',
+    close: 'మూసివేయండి',
+    share: 'షేర్ చేయండి',
+    install: 'ఇన్‌స్టాల్ చేయండి',
+    signIn: 'సైన్ ఇన్ చేయండి',
+    signOut: 'సైన్ అవుట్ చేయండి',
+    accessToken: 'యాక్సెస్ టోకెన్',
+    tokenPlaceholder: 'మీ అడ్మిన్ ఇచ్చిన టోకెన్‌ను ఇక్కడ అతికించండి',
+    callNow: 'ఇప్పుడే కాల్ చేయండి',
+    loading: 'లోడ్ అవుతోంది...',
+    saveOffline: 'ఆఫ్‌లైన్‌లో సేవ్ చేయండి',
+    onlineOnly: 'ఆన్‌లైన్‌లో మాత్రమే',
+    availableOffline: 'ఆఫ్‌లైన్‌లో అందుబాటులో ఉంది',
+    requestFailed: 'అభ్యర్థన విఫలమైంది',
+    language: 'భాష',
+    km: '{distance} కి.మీ',
+    severity: { low: 'తక్కువ', medium: 'మధ్యస్థం', high: 'ఎక్కువ', critical: 'తీవ్రం' },
+    categories: { soil: 'నేల', crops: 'పంటలు', fertilizer: 'ఎరువులు', pest: 'పురుగు నియంత్రణ' }
+  },
+  titles: {
+    home: 'AgriEcho - స్మార్ట్ వ్యవసాయ సహాయకుడు',
+    knowledge: 'జ్ఞాన భాండాగారం',
+    article: '{title} - జ్ఞాన భాండాగారం',
+    articleNotFound: 'వ్యాసం కనబడలేదు - జ్ఞాన భాండాగారం',
+    weather: 'వాతావరణం & హెచ్చరికలు',
+    sos: 'అత్యవసర SOS',
+    responder: 'రెస్పాండర్ కన్సోల్',
+    voice: 'వాయిస్ సహాయకుడు',
+    expert: 'నిపుణుల ఇన్‌బాక్స్',
+    account: 'నా ఖాతా'
+  },
+  nav: {
+    home: 'హోమ్',
+    learn: 'నేర్చుకోండి',
+    weather: 'వాతావరణం',
+    sos: 'SOS',
+    ask: 'అడగండి',
+    knowledge: 'జ్ఞానం',
+    voice: 'వాయిస్'
+  },
+  layout: {
+    description: 'AgriEcho - ఆఫ్‌లైన్‌లో పనిచేసే స్మార్ట్ వ్యవసాయ సహాయకుడు',
+    installPrompt: 'ఆఫ్‌లైన్ ఉపయోగం కోసం AgriEcho ఇన్‌స్టాల్ చేయండి',
+    tagline: 'స్మార్ట్ వ్యవసాయ సహాయకుడు',
+    madeFor: 'రైతుల కోసం {heart} తో తయారు చేయబడింది',
+    chooseLanguage: 'భాషను ఎంచుకోండి',
+    account: 'నా ఖాతా'
+  },
+  home: {
+    welcome: '{brand} కు స్వాగతం',
+    intro: 'ఆఫ్‌లైన్‌లో పనిచేసి, ఇంటర్నెట్ వచ్చాక సింక్ అయ్యే మీ స్మార్ట్ వ్యవసాయ తోడు.',
+    farmers: '10,000+ రైతులు',
+    tips: '500+ సూచనలు',
+    worksOffline: 'ఆఫ్‌లైన్‌లో పనిచేస్తుంది',
+    heroAlt: 'పొలంలో రైతు',
+    featuresTitle: 'ఆధునిక వ్యవసాయం కోసం స్మార్ట్ సౌకర్యాలు',
+    knowledgeTitle: 'జ్ఞాన భాండాగారం',
+    knowledgeText: 'ఇంటర్నెట్ లేకపోయినా వ్యవసాయ మార్గదర్శకాలు, సూచనలు, మంచి పద్ధతులు చదవండి.',
+    knowledgeBadge: 'ఆఫ్‌లైన్‌కు సిద్ధం',
+    weatherTitle: 'వాతావరణ హెచ్చరికలు',
+    weatherText: 'చెడు వాతావరణం నుండి పంటను కాపాడుకోవడానికి సమయానికి వాతావరణ సమాచారం, హెచ్చరికలు పొందండి.',
+    weatherBadge: 'తక్షణం',
+    sosTitle: 'అత్యవసర SOS',
+    sosText: 'పంట వ్యాధులు, ప్రకృతి విపత్తులు లేదా అత్యవసర సహాయం కోసం హెచ్చరిక పంపండి.',
+    sosBadge: 'తీవ్రం',
+    voiceTitle: 'వాయిస్ సహాయకుడు',
+    voiceText: 'మీ భాషలో మాట్లాడి ప్రశ్నలు అడగండి. చేతులు ఖాళీగా ఉంచి వ్యవసాయానికి అనుకూలం.',
+    voiceBadge: 'బహుభాషా',
+    syncTitle: 'డేటా సింక్ స్థితి',
+    synced: 'మొత్తం డేటా సింక్ అయింది',
+    syncing: 'డేటా సింక్ అవుతోంది...',
+    syncOffline: 'ఆఫ్‌లైన్ మోడ్ - ఆన్‌లైన్‌కు వచ్చాక డేటా సింక్ అవుతుంది',
+    offlineArticles: 'ఆఫ్‌లైన్ వ్యాసాలు',
+    weatherData: 'వాతావరణ డేటా'
+  },
+  knowledge: {
+    heading: 'జ్ఞాన భాండాగారం',
+    intro: 'నిపుణుల వ్యవసాయ మార్గదర్శకాలు, మంచి పద్ధతుల నుండి నేర్చుకోండి',
+    searchPlaceholder: 'వ్యాసాలు వెతకండి...',
+    all: 'అన్నీ',
+    readMore: 'మరింత చదవండి',
+    noResults: 'మీ శోధనకు సరిపోయే వ్యాసాలు లేవు.',
+    savedOffline: 'ఆఫ్‌లైన్‌లో సేవ్ చేసిన వ్యాసాలు',
+    totalArticles: 'మొత్తం వ్యాసాలు',
+    audioAvailable: 'ఆడియో అందుబాటులో ఉంది',
+    openFull: 'పూర్తి వ్యాసం తెరవండి',
+    searchedOffline: 'ఆఫ్‌లైన్ - సేవ్ చేసిన {count} వ్యాసాలలో వెతికాం',
+    resultsFound: { one: '{count} ఫలితం దొరికింది', other: '{count} ఫలితాలు దొరికాయి' },
+    shareText: 'AgriEcho లోని ఈ వ్యవసాయ వ్యాసం చూడండి',
+    linkCopied: 'వ్యాసం లింక్ కాపీ అయింది!'
+  },
+  article: {
+    back: 'జ్ఞాన భాండాగారానికి తిరిగి వెళ్ళండి',
+    notFound: 'వ్యాసం కనబడలేదు',
+    notFoundText: 'ఈ వ్యాసం తొలగించబడి ఉండవచ్చు లేదా లింక్ తప్పు.',
+    listen: 'వినండి',
+    pause: 'ఆపండి',
+    resume: 'మళ్ళీ ప్రారంభించండి',
+    references: 'ఆధారాలు'
+  },
+  player: {
+    unsupported: 'ఈ బ్రౌజర్‌లో చదివి వినిపించే సౌకర్యం లేదు',
+    resuming: 'పేరా {number} నుండి మళ్ళీ ప్రారంభిస్తోంది',
+    position: 'పేరా {current} / {total}',
+    previous: 'మునుపటి పేరా',
+    playPause: 'ప్లే లేదా పాజ్',
+    next: 'తదుపరి పేరా',
+    speed: 'ప్లేబ్యాక్ వేగం',
+    stop: 'ఆపండి'
+  },
+  weather: {
+    heading: 'వాతావరణం & హెచ్చరికలు',
+    intro: 'వాతావరణ పరిస్థితులు, వ్యవసాయ హెచ్చరికల గురించి తెలుసుకోండి',
+    yourLocation: 'మీ ప్రాంతం',
+    currentLocation: 'ప్రస్తుత ప్రాంతం',
+    locationUnknown: 'ప్రాంతం తెలియదు',
+    visibility: 'దృశ్యత',
+    humidity: 'తేమ',
+    windSpeed: 'గాలి వేగం',
+    next24Hours: 'తదుపరి 24 గంటలు',
+    loadingHourly: 'గంటవారీ అంచనా లోడ్ అవుతోంది...',
+    sevenDay: '7 రోజుల అంచనా',
+    loadingForecast: 'అంచనా లోడ్ అవుతోంది...',
+    activeAlerts: 'ప్రస్తుత వాతావరణ హెచ్చరికలు',
+    officialAlert: 'అధికారిక హెచ్చరిక',
+    validUntil: '{date} వరకు చెల్లుతుంది',
+    ongoing: 'కొనసాగుతోంది',
+    cropAdvisories: 'పంట సలహాలు',
+    selectCrops: 'నీటిపారుదల, కోత సలహాల కోసం మీ పంటలను ఎంచుకోండి:',
+    advisoriesPending: 'అంచనా లోడ్ అయ్యాక సలహాలు కనిపిస్తాయి.',
+    updated: '{time} కు నవీకరించబడింది',
+    today: 'ఈ రోజు',
+    tomorrow: 'రేపు',
+    cachedStale: 'పాత సేవ్ చేసిన వాతావరణ డేటా చూపిస్తోంది (ఆఫ్‌లైన్ మోడ్)',
+    cached: 'సేవ్ చేసిన వాతావరణ డేటా చూపిస్తోంది (ఆఫ్‌లైన్ మోడ్)',
+    unavailableOffline: 'ఆఫ్‌లైన్‌లో వాతావరణం అందుబాటులో లేదు',
+    connectOnce: 'అంచనాను డౌన్‌లోడ్ చేయడానికి ఒకసారి ఇంటర్నెట్‌కు కనెక్ట్ అవ్వండి.',
+    alertsUpdated: 'వాతావరణ హెచ్చరికలు నవీకరించబడ్డాయి',
+    backOnline: 'మళ్ళీ ఆన్‌లైన్ - వాతావరణ డేటా నవీకరించబడింది',
+    offlineMode: 'ఆఫ్‌లైన్ మోడ్ - సేవ్ చేసిన వాతావరణ డేటా చూపిస్తోంది',
+    conditions: {
+      Sunny: 'ఎండ',
+      'Partly Cloudy': 'పాక్షికంగా మేఘావృతం',
+      Cloudy: 'మేఘావృతం',
+      Fog: 'పొగమంచు',
+      'Light Rain': 'తేలికపాటి వర్షం',
+      'Heavy Rain': 'భారీ వర్షం',
+      Thunderstorm: 'ఉరుములతో కూడిన వర్షం',
+      Snow: 'మంచు'
+    }
+  },
+  advisories: {
+    crops: {
+      rice: 'వరి', wheat: 'గోధుమ', maize: 'మొక్కజొన్న', cotton: 'పత్తి',
+      sugarcane: 'చెరకు', soybean: 'సోయాబీన్', tomato: 'టమాటా', onion: 'ఉల్లి'
+    },
+    sprayProblems: {
+      rain: 'పిచికారీ ఆరకముందే వర్షం వచ్చే అవకాశం ఉంది',
+      wind: 'గాలి చాలా బలంగా ఉంది, పిచికారీ కొట్టుకుపోతుంది',
+      calm: 'గాలి చాలా నిశ్చలంగా ఉంది, సన్నని తుంపరలు నిలిచి వ్యాపించవచ్చు',
+      heat: 'చాలా వేడిగా ఉంది, పిచికారీ ఆవిరైపోతుంది',
+      humidity: 'తేమ సురక్షిత పరిధి బయట ఉంది',
+      unknown: 'అంచనా డేటా అందుబాటులో లేదు'
+    },
+    noSprayTitle: 'పిచికారీకి సురక్షిత సమయం లేదు',
+    noSprayMessage: 'తదుపరి {hours} గంటలు పిచికారీ చేయవద్దు: {problem}.',
+    sprayTitle: 'పిచికారీ సమయాలు',
+    sprayMessage: 'పురుగుమందు పిచికారీకి ప్రశాంతమైన, పొడి వాతావరణం: {times}.',
+    irrigationTitle: '{crop} నీటిపారుదల',
+    irrigateOn: '{days} న {crop} కు నీరు పెట్టండి.',
+    rainDay: '{day} ({rain} మి.మీ వర్షం)',
+    rainWaters: '{days} న వర్షం పొలానికి నీరు ఇస్తుంది.',
+    noIrrigation: 'ఈ వారం {crop} కు నీటిపారుదల అవసరం లేదు; వర్షం వచ్చే అవకాశం ఉంది.',
+    harvestTitle: '{crop} కోత & ఆరబెట్టడం',
+    noDryingWindow: 'ఈ వారం {days} రోజుల పొడి వాతావరణం లేదు. వీలైతే కోత వాయిదా వేయండి, లేదా కప్పి ఆరబెట్టే ఏర్పాటు చేయండి.',
+    dryingWindow: 'పంట సిద్ధంగా ఉంటే {range} కోసి ఎండలో ఆరబెట్టండి ({days} పొడి రోజులు).'
+  },
+  sos: {
+    heading: 'అత్యవసర SOS',
+    intro: 'తక్షణ సహాయం కోసం అత్యవసర హెచ్చరికలు పంపండి',
+    quickActions: 'త్వరిత అత్యవసర చర్యలు',
+    types: {
+      'crop-disease': 'పంట వ్యాధి',
+      'weather-damage': 'వాతావరణ నష్టం',
+      'equipment-failure': 'పరికరం చెడిపోవడం',
+      'pest-attack': 'పురుగుల దాడి',
+      'medical-emergency': 'వైద్య అత్యవసరం',
+      'natural-disaster': 'ప్రకృతి విపత్తు',
+      'need-help': 'సహాయం కావాలి',
+      other: 'ఇతర'
+    },
+    quickMessages: {
+      'crop-disease': 'పంటలో వ్యాధి వ్యాప్తి గుర్తించబడింది',
+      'weather-damage': 'వాతావరణం వల్ల పంటలు దెబ్బతిన్నాయి',
+      'equipment-failure': 'వ్యవసాయ పరికరం చెడిపోయింది',
+      'pest-attack': 'తీవ్రమైన పురుగుల ఉధృతి',
+      'medical-emergency': 'పొలంలో వైద్య అత్యవసరం',
+      'need-help': 'వ్యవసాయంలో సాధారణ సహాయం కావాలి'
+    },
+    detailedReport: 'వివరమైన అత్యవసర నివేదిక',
+    typeLabel: 'అత్యవసర రకం',
+    selectType: 'అత్యవసర రకాన్ని ఎంచుకోండి',
+    severityLabel: 'తీవ్రత స్థాయి',
+    severityOptions: {
+      low: 'తక్కువ - వేచి ఉండవచ్చు',
+      medium: 'మధ్యస్థం - త్వరలో సహాయం కావాలి',
+      high: 'ఎక్కువ - అత్యవసరం',
+      critical: 'తీవ్రం - వెంటనే సహాయం కావాలి'
+    },
+    locationLabel: 'ప్రాంత వివరాలు',
+    locationPlaceholder: 'మీ ప్రాంతం లేదా చిరునామా వివరించండి',
+    useLocation: 'ప్రస్తుత ప్రాంతాన్ని ఉపయోగించండి',
+    messageLabel: 'అత్యవసర పరిస్థితిని వివరించండి',
+    messagePlaceholder: 'ఏం జరిగిందో, మీకు ఏ సహాయం కావాలో వివరించండి...',
+    contactLabel: 'సంప్రదింపు వివరాలు',
+    contactPlaceholder: 'అత్యవసర సంప్రదింపు కోసం మీ ఫోన్ నంబర్',
+    attachmentsLabel: 'ఫోటోలు & వాయిస్ నోట్లు',
+    addPhoto: 'ఫోటో జోడించండి',
+    recordVoice: 'వాయిస్ నోట్ రికార్డ్ చేయండి',
+    stopRecording: 'ఆపండి (గరిష్టం {seconds} సెకన్లు)',
+    attachedPhoto: 'జోడించిన ఫోటో',
+    removeAttachment: 'జోడింపును తీసివేయండి',
+    send: 'SOS హెచ్చరిక పంపండి',
+    statusHeading: 'అత్యవసర స్థితి',
+    connectionStatus: 'కనెక్షన్ స్థితి',
+    onlineStatus: 'ఆన్‌లైన్ - హెచ్చరికలు వెంటనే పంపబడతాయి',
+    offlineStatus: 'ఆఫ్‌లైన్ - హెచ్చరికలు క్యూలో ఉంచబడతాయి',
+    pendingAlerts: 'పెండింగ్ హెచ్చరికలు',
+    pendingCount: { one: '{count} హెచ్చరిక పంపాల్సి ఉంది', other: '{count} హెచ్చరికలు పంపాల్సి ఉన్నాయి' },
+    sentToday: 'ఈ రోజు పంపినవి',
+    sentCount: { one: '{count} హెచ్చరిక విజయవంతంగా పంపబడింది', other: '{count} హెచ్చరికలు విజయవంతంగా పంపబడ్డాయి' },
+    smsHeading: 'డేటా కనెక్షన్ లేదా?',
+    smsText: 'పెండింగ్ హెచ్చరికలు మొబైల్ నెట్‌వర్క్ ద్వారా SMS గా వెళ్ళగలవు. హెచ్చరిక నింపిన మెసేజ్ యాప్ తెరవడానికి ట్యాప్ చేసి, పంపు నొక్కండి.',
+    smsOpened: '{time} మెసేజ్‌లలో తెరవబడింది',
+    queuedAt: '{time} క్యూలో ఉంచబడింది',
+    sendAgain: 'మళ్ళీ పంపండి',
+    sendSMS: 'SMS ద్వారా పంపండి',
+    myAlerts: 'నా హెచ్చరికలు',
+    steps: {
+      received: 'అందింది',
+      acknowledged: 'గుర్తించబడింది',
+      assigned: 'రెస్పాండర్ నియమించబడ్డారు',
+      en_route: 'దారిలో ఉన్నారు',
+      resolved: 'పరిష్కరించబడింది'
+    },
+    attachmentsUploaded: { one: '{count} జోడింపు అప్‌లోడ్ అయింది', other: '{count} జోడింపులు అప్‌లోడ్ అయ్యాయి' },
+    nearestOffice: 'సమీప కార్యాలయం: {name}',
+    contactsHeading: 'అత్యవసర సంప్రదింపులు',
+    contactsFor: '{area} కోసం సంప్రదింపులు',
+    nationalNumbers: 'జాతీయ అత్యవసర నంబర్లు',
+    savedForOffline: '{where} · {date} న ఆఫ్‌లైన్ ఉపయోగం కోసం సేవ్ చేయబడింది',
+    distanceAway: '{distance} కి.మీ దూరంలో',
+    contactCategories: {
+      emergency: 'అత్యవసరం',
+      ambulance: 'వైద్య అత్యవసరం',
+      police: 'పోలీస్',
+      fire: 'అగ్నిమాపక శాఖ',
+      disaster: 'విపత్తు నియంత్రణ',
+      'agri-officer': 'వ్యవసాయ అధికారి',
+      kvk: 'కృషి విజ్ఞాన కేంద్రం',
+      veterinary: 'పశువైద్య సేవలు',
+      helpline: 'హెల్ప్‌లైన్'
+    },
+    ambulanceService: '108 - జాతీయ అంబులెన్స్ సేవ',
+    policeControl: '100 - పోలీస్ కంట్రోల్ రూమ్',
+    fireServices: '101 - అగ్నిమాపక & రక్షణ సేవలు',
+    kisanCallCentre: '1800-180-1551 - కిసాన్ కాల్ సెంటర్',
+    attachmentsNotSaved: 'ఈ హెచ్చరికతో ఫోటోలు, వాయిస్ నోట్లు సేవ్ కాలేదు',
+    recordingUnsupported: 'ఈ బ్రౌజర్‌లో వాయిస్ రికార్డింగ్ సౌకర్యం లేదు',
+    recordingFailed: 'వాయిస్ నోట్ రికార్డ్ కాలేదు',
+    attachmentLimit: 'మీరు గరిష్టంగా {max} ఫోటోలు లేదా వాయిస్ నోట్లు జోడించవచ్చు',
+    sent: 'SOS హెచ్చరిక విజయవంతంగా పంపబడింది!',
+    savedOfflineRetry: 'SOS ఆఫ్‌లైన్‌లో సేవ్ అయింది - కనెక్షన్ వచ్చాక పంపబడుతుంది',
+    savedOfflineSMS: 'SOS హెచ్చరిక ఆఫ్‌లైన్‌లో సేవ్ అయింది - క్రింద SMS ద్వారా పంపండి, లేదా ఆన్‌లైన్‌కు వచ్చాక పంపబడుతుంది',
+    savedOffline: 'SOS హెచ్చరిక ఆఫ్‌లైన్‌లో సేవ్ అయింది - ఆన్‌లైన్‌కు వచ్చాక పంపబడుతుంది',
+    pendingSent: { one: '{count} పెండింగ్ హెచ్చరిక విజయవంతంగా పంపబడింది', other: '{count} పెండింగ్ హెచ్చరికలు విజయవంతంగా పంపబడ్డాయి' },
+    locationCaptured: 'ప్రాంతం విజయవంతంగా గుర్తించబడింది',
+    locationFailed: 'మీ ప్రాంతాన్ని గుర్తించలేకపోయాం',
+    geolocationUnsupported: 'ఈ బ్రౌజర్‌లో ప్రాంత సౌకర్యం లేదు',
+    confirmCall: 'మీరు {number} కు కాల్ చేయాలనుకుంటున్నారా?',
+    emergencyNumber: 'అత్యవసర నంబర్: {number}',
+    backOnline: 'మళ్ళీ ఆన్‌లైన్ - పెండింగ్ హెచ్చరికలు సింక్ అవుతున్నాయి',
+    goneOffline: 'ఆఫ్‌లైన్ అయ్యారు - హెచ్చరికలు క్యూలో ఉంచబడతాయి'
+  },
+  voice: {
+    heading: 'వాయిస్ సహాయకుడు',
+    intro: 'మీ గొంతుతో వ్యవసాయ ప్రశ్నలు అడగండి',
+    tapToRecord: 'రికార్డింగ్ ప్రారంభించడానికి ట్యాప్ చేయండి',
+    listening: 'వింటోంది...',
+    processing: 'ప్రాసెస్ అవుతోంది...',
+    recognitionError: 'లోపం జరిగింది. మళ్ళీ ప్రయత్నించండి.',
+    recognitionUnsupported: 'ఈ బ్రౌజర్‌లో మాట గుర్తింపు సౌకర్యం లేదు',
+    selectLanguage: 'భాషను ఎంచుకోండి:',
+    conversation: 'సంభాషణ',
+    welcome: 'నమస్కారం! నేను మీ వ్యవసాయ సహాయకుడిని. మీరు నన్ను వీటి గురించి అడగవచ్చు:',
+    topics: {
+      diseases: 'పంట వ్యాధులు, చికిత్సలు',
+      weather: 'వాతావరణ ఆధారిత వ్యవసాయ సలహా',
+      soil: 'నేల ఆరోగ్యం, ఎరువులు',
+      pests: 'పురుగు నియంత్రణ పద్ధతులు',
+      practices: 'ఉత్తమ వ్యవసాయ పద్ధతులు'
+    },
+    tapMicrophone: 'మైక్రోఫోన్‌ను ట్యాప్ చేసి మాట్లాడటం ప్రారంభించండి!',
+    quickQuestions: 'త్వరిత ప్రశ్నలు',
+    questions: {
+      plantRice: { ask: 'వరి నాటడానికి ఉత్తమ సమయం ఏది?', label: 'వరి నాటే సమయం?' },
+      aphids: { ask: 'పంటలపై పేనుబంకను ఎలా నియంత్రించాలి?', label: 'పేనుబంక నియంత్రణ?' },
+      tomatoFertilizer: { ask: 'టమాటాకు ఏ ఎరువు మంచిది?', label: 'టమాటాకు ఎరువు?' },
+      soilQuality: { ask: 'నేల నాణ్యతను ఎలా మెరుగుపరచాలి?', label: 'నేల మెరుగుదల?' },
+      diseaseSigns: { ask: 'మొక్కల వ్యాధుల లక్షణాలు ఏమిటి?', label: 'వ్యాధి లక్షణాలు?' },
+      weatherImpact: { ask: 'వ్యవసాయంపై వాతావరణ ప్రభావం ఏమిటి?', label: 'వాతావరణ ప్రభావం?' }
+    },
+    recentQuestions: 'ఇటీవలి ప్రశ్నలు',
+    questionsAsked: { one: '{count} ప్రశ్న అడిగారు', other: '{count} ప్రశ్నలు అడిగారు' },
+    expertResponse: 'మీ ప్రశ్నకు ధన్యవాదాలు. మా జ్ఞాన భాండాగారంలో నమ్మదగిన సమాధానం దొరకలేదు, కాబట్టి దాన్ని మా నిపుణులకు పంపాము. వారు త్వరలో సమాధానం ఇస్తారు.',
+    offlineSaved: 'మీ ప్రశ్నకు ధన్యవాదాలు. నేను ప్రస్తుతం ఆఫ్‌లైన్‌లో ఉన్నాను, కానీ మీ ప్రశ్న సేవ్ అయింది. కనెక్షన్ వచ్చాక వివరమైన సమాధానం ఇస్తాను.',
+    recordingClip: 'మీ ప్రశ్న రికార్డ్ అవుతోంది... ఆపడానికి ట్యాప్ చేయండి',
+    clipQueued: 'మీరు రికార్డ్ చేసిన ప్రశ్న సేవ్ అయింది. మీరు ఆన్‌లైన్‌కి వచ్చాక దాన్ని రాసి సమాధానం ఇస్తాము.',
+    clipFailed: 'మీ ప్రశ్నను రికార్డ్ చేయలేకపోయాము. మైక్రోఫోన్ అనుమతిని చూసి మళ్లీ ప్రయత్నించండి.',
+    expertReplied: '{expert} "{question}" కు సమాధానం ఇచ్చారు',
+    sentToExpert: 'నిపుణులకు పంపబడింది · వారు సమాధానం ఇచ్చినప్పుడు మీకు తెలియజేస్తాం',
+    source: 'మూలం: {sources}',
+    answeredOffline: 'ఆఫ్‌లైన్‌లో సమాధానం',
+    answerInOtherLanguage: 'ఈ సమాధానం {language} లో మాత్రమే అందుబాటులో ఉంది:',
+    confirmClear: 'సంభాషణ చరిత్రను తొలగించాలనుకుంటున్నారా?',
+    cleared: 'సంభాషణ తొలగించబడింది. ఈ రోజు నేను మీకు ఎలా సహాయం చేయగలను?',
+    historyCode: 'చరిత్రను తరలించండి',
+    restoreHistory: 'చరిత్రను పునరుద్ధరించండి',
+    historyCodeShown: 'ఈ సంభాషణ చరిత్రను మీ ఇంకో ఫోన్‌కు తరలించడానికి 24 గంటల్లో అక్కడ "చరిత్రను పునరుద్ధరించండి"లో కోడ్ {code} నమోదు చేయండి.',
+    noHistoryToMove: 'తరలించడానికి ఇంకా సంభాషణ చరిత్ర లేదు',
+    historyNotMovable: 'ఈ చరిత్రను తరలించడానికి సైన్ ఇన్ చేయండి; ఈ ఫోన్‌ను యజమానిగా ధృవీకరించలేకపోయాం',
+    enterHistoryCode: 'మీ పాత ఫోన్‌లో "చరిత్రను తరలించండి" కింద చూపిన కోడ్‌ను నమోదు చేయండి:',
+    historyCodeInvalid: 'ఈ కోడ్ చెల్లదు లేదా గడువు ముగిసింది',
+    historyRestored: 'సంభాషణ చరిత్ర పునరుద్ధరించబడింది',
+    historyNeedsConnection: 'చరిత్రను తరలించడానికి ఇంటర్నెట్‌కు కనెక్ట్ అవ్వండి',
+    historyCleared: 'సంభాషణ చరిత్ర తొలగించబడింది'
+  },
+  responder: {
+    heading: 'రెస్పాండర్ కన్సోల్',
+    intro: 'రైతుల SOS ఘటనలను వర్గీకరించండి, అప్పగించండి, పరిష్కరించండి',
+    open: 'తెరిచినవి',
+    assignedToMe: 'నాకు అప్పగించినవి',
+    resolved: 'పరిష్కరించినవి',
+    statuses: {
+      received: 'కొత్తది',
+      acknowledged: 'అంగీకరించబడింది',
+      assigned: 'అప్పగించబడింది',
+      en_route: 'దారిలో ఉంది',
+      resolved: 'పరిష్కరించబడింది'
+    },
+    loadFailed: 'ఘటనలను లోడ్ చేయలేకపోయాం',
+    empty: 'ఇక్కడ ఘటనలు ఏవీ లేవు.',
+    acknowledgedBy: '{name} అంగీకరించారు',
+    assignedTo: '{name} కి అప్పగించబడింది',
+    resolvedBy: '{name} పరిష్కరించారు',
+    aResponder: 'ఒక రెస్పాండర్',
+    viaSMS: 'SMS ద్వారా',
+    resolution: 'పరిష్కారం:',
+    nearestResponders: 'సమీప రెస్పాండర్లు: {responders}',
+    office: 'కార్యాలయం: {office}',
+    noneInRange: 'పరిధిలో ఎవరూ లేరు',
+    escalatedTo: '{target} కి పంపబడింది: {minutes} నిమిషాల తర్వాత కూడా {status} కాలేదు',
+    nobodyToNotify: 'తెలియజేయడానికి ఎవరూ లేరు',
+    attachmentLoading: 'లోడ్ అవుతోంది…',
+    stillUploading: '{count} ఇంకా అప్‌లోడ్ అవుతున్నాయి',
+    farmerPhoto: 'రైతు పంపిన ఫోటో',
+    attachmentFailed: 'అటాచ్‌మెంట్ లోడ్ కాలేదు',
+    acknowledge: 'అంగీకరించండి',
+    assignTo: 'వీరికి అప్పగించండి',
+    assign: 'అప్పగించండి',
+    enRoute: 'దారిలో ఉంది',
+    resolve: 'పరిష్కరించండి',
+    notePlaceholder: 'ఇతర రెస్పాండర్ల కోసం ఒక గమనిక రాయండి',
+    addNote: 'గమనిక జోడించండి',
+    acknowledgedToast: 'ఘటన అంగీకరించబడింది',
+    assignedToast: 'ఘటన అప్పగించబడింది',
+    enRouteToast: 'సహాయం దారిలో ఉందని రైతుకు తెలియజేశాం',
+    noteAdded: 'గమనిక జోడించబడింది',
+    resolvePrompt: 'ఈ ఘటన ఎలా పరిష్కరించబడింది?',
+    resolvedToast: 'ఘటన పరిష్కరించబడింది'
+  },
+  expert: {
+    heading: 'నిపుణుల ఇన్‌బాక్స్',
+    intro: 'జ్ఞాన భాండాగారం సమాధానం చెప్పలేకపోయిన వ్యవసాయ ప్రశ్నలకు సమాధానం ఇవ్వండి',
+    queue: 'వరుస',
+    claimedByMe: 'నేను తీసుకున్నవి',
+    done: 'పూర్తయినవి',
+    loadFailed: 'ప్రశ్నలను లోడ్ చేయలేకపోయాం',
+    empty: 'ఇక్కడ ప్రశ్నలు ఏవీ లేవు.',
+    statuses: {
+      'pending-expert': 'నిపుణుల కోసం వేచి ఉంది',
+      claimed: 'తీసుకోబడింది',
+      answered: 'సమాధానం ఇవ్వబడింది',
+      rejected: 'తిరస్కరించబడింది'
+    },
+    match: 'జ్ఞాన భాండాగారంలో {percent}% సరిపోలిక',
+    specialty: 'మీ ప్రత్యేకత',
+    answer: 'సమాధానం:',
+    rejected: 'తిరస్కరించబడింది:',
+    claim: 'తీసుకోండి',
+    claimed: 'ప్రశ్న తీసుకోబడింది',
+    template: 'సమాధాన టెంప్లేట్',
+    startFromTemplate: 'ఒక టెంప్లేట్‌తో ప్రారంభించండి…',
+    answerPlaceholder: 'రైతు వినే సమాధానాన్ని రాయండి',
+    sendAnswer: 'సమాధానం పంపండి',
+    reject: 'తిరస్కరించండి',
+    release: 'వదిలేయండి',
+    released: 'ప్రశ్న వరుసకు తిరిగి పంపబడింది',
+    yourCrop: 'మీ పంట',
+    answerSent: 'సమాధానం రైతుకు పంపబడింది',
+    rejectPrompt: 'ఈ ప్రశ్నకు ఎందుకు సమాధానం ఇవ్వలేము? రైతు దీన్ని చూస్తారు.',
+    followUp: 'తదుపరి ప్రశ్న, ఇలా అర్థం చేసుకున్నాం: {question}',
+    rejectedToast: 'ప్రశ్న తిరస్కరించబడింది'
+  },
+  access: {
+    staffOnly: 'ఈ పేజీ AgriEcho సిబ్బంది కోసం.',
+    signInFor: 'ఈ పేజీని తెరవడానికి మీ సిబ్బంది యాక్సెస్ టోకెన్‌తో సైన్ ఇన్ చేయండి.',
+    forbidden: '{name}కు ఈ పేజీకి అనుమతి లేదు. మరో ఖాతాతో సైన్ ఇన్ చేయండి.'
+  },
+  account: {
+    heading: 'నా ఖాతా',
+    intro: 'మీ ఫోన్ నంబర్‌తో సైన్ ఇన్ చేయండి, మీ పొలం వివరాలు ప్రతి ఫోన్‌లో ఉంటాయి.',
+    phoneLabel: 'ఫోన్ నంబర్',
+    phonePlaceholder: '10 అంకెల మొబైల్ నంబర్',
+    sendCode: 'కోడ్ పంపండి',
+    codeSent: '{phone} కు SMS ద్వారా కోడ్ పంపాము.',
+    codeLabel: 'SMS లోని కోడ్',
+    codePlaceholder: '6 అంకెల కోడ్',
+    changeNumber: 'వేరే నంబర్ వాడండి',
+    resendIn: 'ఇప్పుడే కోడ్ పంపాము. {seconds} సెకన్ల తర్వాత కొత్త కోడ్ అడగవచ్చు.',
+    wrongCode: 'ఈ కోడ్ తప్పు లేదా గడువు ముగిసింది.',
+    needsConnection: 'సైన్ ఇన్ చేయడానికి ఇంటర్నెట్ కనెక్షన్ కావాలి.',
+    unavailable: 'ఖాతాలు ప్రస్తుతం అందుబాటులో లేవు.',
+    welcome: 'స్వాగతం! కింద మీ పొలం వివరాలు నమోదు చేయండి.',
+    signedIn: 'సైన్ ఇన్ అయ్యారు',
+    signedInAs: '{phone} తో సైన్ ఇన్',
+    profile: 'పొలం ప్రొఫైల్',
+    nameLabel: 'మీ పేరు',
+    villageLabel: 'గ్రామం',
+    districtLabel: 'జిల్లా',
+    districtCodeLabel: 'జిల్లా కోడ్ (అధికారిక హెచ్చరికల కోసం)',
+    farmLocationLabel: 'పొలం ప్రదేశం',
+    farmLocationSet: '{lat}, {lon}',
+    farmLocationUnset: 'సెట్ చేయలేదు',
+    useCurrentLocation: 'నేను ఉన్న ప్రదేశం',
+    locationFailed: 'మీ ప్రదేశం తెలుసుకోలేకపోయాం.',
+    languageLabel: 'ఇష్టమైన భాష',
+    cropsLabel: 'మీరు పండించే పంటలు',
+    save: 'ప్రొఫైల్ సేవ్ చేయండి',
+    saved: 'ప్రొఫైల్ సేవ్ అయింది',
+    savedOffline: 'ప్రొఫైల్ ఈ ఫోన్‌లో సేవ్ అయింది. ఆన్‌లైన్‌కి వచ్చాక పంపబడుతుంది.',
+    signOutEverywhere: 'అన్ని ఫోన్‌ల నుండి సైన్ అవుట్',
+    signedOutEverywhere: 'అన్ని ఫోన్‌ల నుండి సైన్ అవుట్ అయ్యారు'
+  },
+  app: {
+    newVersion: 'కొత్త వెర్షన్ అందుబాటులో ఉంది! నవీకరించడానికి రిఫ్రెష్ చేయండి.',
+    installed: 'AgriEcho విజయవంతంగా ఇన్‌స్టాల్ అయింది!',
+    backOnline: 'మళ్ళీ ఆన్‌లైన్! డేటా సింక్ అవుతోంది...',
+    nowOffline: 'మీరు ఇప్పుడు ఆఫ్‌లైన్‌లో ఉన్నారు. డేటా ఈ పరికరంలోనే సేవ్ అవుతుంది.',
+    syncComplete: 'మొత్తం డేటా విజయవంతంగా సింక్ అయింది!',
+    syncIncomplete: 'కొంత డేటా సింక్ కాలేదు',
+    sosSynced: { one: '{count} SOS హెచ్చరిక సింక్ అయింది', other: '{count} SOS హెచ్చరికలు సింక్ అయ్యాయి' },
+    queriesSynced: { one: '{count} వాయిస్ ప్రశ్న సింక్ అయింది', other: '{count} వాయిస్ ప్రశ్నలు సింక్ అయ్యాయి' },
+    expertCouldNotAnswer: 'నిపుణులు "{question}" కు సమాధానం ఇవ్వలేకపోయారు: {reason}',
+    expertAnswered: { one: 'ఒక నిపుణుడు మీ ప్రశ్నకు సమాధానం ఇచ్చారు', other: 'నిపుణులు మీ {count} ప్రశ్నలకు సమాధానం ఇచ్చారు' },
+    geolocationUnsupported: 'ప్రాంత సౌకర్యం అందుబాటులో లేదు',
+    cannotSyncOffline: 'ఆఫ్‌లైన్‌లో ఉన్నప్పుడు సింక్ చేయలేం',
+    manualSync: 'సింక్ ప్రారంభమవుతోంది...',
+    allSynced: 'మొత్తం డేటా సింక్ అయింది!',
+    stillPending: { one: '{count} అంశం ఇంకా పెండింగ్‌లో ఉంది', other: '{count} అంశాలు ఇంకా పెండింగ్‌లో ఉన్నాయి' },
+    waitingToSync: { one: '{count} అంశం సింక్ కోసం వేచి ఉంది', other: '{count} అంశాలు సింక్ కోసం వేచి ఉన్నాయి' },
+    failedToSync: { one: '{count} అంశం సింక్ కాలేదు', other: '{count} అంశాలు సింక్ కాలేదు' },
+    articleSaved: 'వ్యాసం ఆఫ్‌లైన్ పఠనం కోసం సేవ్ అయింది!',
+    articleRemoved: 'వ్యాసం ఆఫ్‌లైన్ నిల్వ నుండి తీసివేయబడింది',
+    articlesCleared: 'అన్ని ఆఫ్‌లైన్ వ్యాసాలు తొలగించబడ్డాయి',
+    photoCompressFailed: 'ఫోటోను చిన్నది చేయలేకపోయాం',
+    photoReadFailed: 'ఫోటోను చదవలేకపోయాం',
+    uploadFailed: 'అప్‌లోడ్ విఫలమైంది',
+    clipNotUnderstood: 'క్షమించండి, మీరు రికార్డ్ చేసిన ప్రశ్న అర్థం కాలేదు. దయచేసి మళ్లీ అడగండి.',
+    clipsAnswered: { one: 'మీరు రికార్డ్ చేసిన ప్రశ్నకు సమాధానం వచ్చింది', other: 'రికార్డ్ చేసిన {count} ప్రశ్నలకు సమాధానాలు వచ్చాయి' },
+    signedOut: 'మీరు సైన్ అవుట్ అయ్యారు. నా ఖాతా నుండి మళ్లీ సైన్ ఇన్ చేయండి.'
+  }
+};
@@ -0,0 +1,142 @@
+import Notification from '../../models/Notification.js';
+import { renderTemplate } from './templates.js';
+import mockTransport from './transports/mock.js';
+
+// A transport delivers one channel or more:
+//   { channels: ['sms', ...], async send(notification) -> { providerId, status?: 'sent' | 'delivered' } }
+// send throws to have the message retried; errors with `permanent: true` fail it at once.
+// Providers that confirm delivery later report back through updateDeliveryStatus.
+const transports = { mock: mockTransport };
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_INTERVAL = 30000;
+const RETRY_BASE_DELAY = 30000;
+const MAX_RETRY_DELAY = 60 * 60 * 1000;
+// A notification being sent is pushed this far into the future so no other run picks it up
+const SEND_LEASE = 2 * 60 * 1000;
+const BATCH_SIZE = 50;
+
+export function registerTransport(name, transport) {
+  transports[name] = transport;
+}
+
+// NOTIFY_SMS_TRANSPORT, NOTIFY_VOICE_TRANSPORT and NOTIFY_EMAIL_TRANSPORT override NOTIFY_TRANSPORT per channel
+function transportFor(channel) {
+  const name = process.env[`NOTIFY_${channel.toUpperCase()}_TRANSPORT`] || process.env.NOTIFY_TRANSPORT || 'mock';
+  const transport = transports[name];
+  if (!transport || !transport.channels.includes(channel)) {
+    throw new Error(`No ${channel} transport named ${name}`);
+  }
+  return { name, transport };
+}
+
+function maxAttempts() {
+  return parseInt(process.env.NOTIFY_MAX_ATTEMPTS, 10) || DEFAULT_MAX_ATTEMPTS;
+}
+
+function retryDelay(attempts) {
+  return Math.min(RETRY_BASE_DELAY * 2 ** (attempts - 1), MAX_RETRY_DELAY);
+}
+
+function scheduleRetry(notification, error, permanent = false) {
+  notification.lastError = error;
+  if (permanent || notification.attempts >= maxAttempts()) {
+    notification.status = 'failed';
+    notification.failedAt = new Date();
+  } else {
+    notification.status = 'queued';
+    notification.nextAttemptAt = new Date(Date.now() + retryDelay(notification.attempts));
+  }
+}
+
+// Make one delivery attempt and record the outcome
+export async function deliver(notification) {
+  notification.attempts += 1;
+  try {
+    const { name, transport } = transportFor(notification.channel);
+    notification.transport = name;
+    const result = await transport.send(notification);
+    notification.providerId = result.providerId;
+    notification.status = result.status === 'delivered' ? 'delivered' : 'sent';
+    notification.sentAt = new Date();
+    if (notification.status === 'delivered') {
+      notification.deliveredAt = notification.sentAt;
+    }
+    notification.lastError = undefined;
+  } catch (error) {
+    scheduleRetry(notification, error.message, error.permanent);
+  }
+  await notification.save();
+  return notification;
+}
+
+// Render a template for one recipient, store it and make the first attempt.
+// Transport failures are retried by the worker rather than thrown.
+export async function notify({ channel, to, template, language, data, sos, responder }) {
+  const rendered = renderTemplate(template, language, data);
+  const notification = await Notification.create({
+    channel,
+    to,
+    template,
+    language: rendered.language,
+    subject: rendered.subject,
+    body: rendered.body,
+    sos,
+    responder,
+    nextAttemptAt: new Date(Date.now() + SEND_LEASE)
+  });
+  return deliver(notification);
+}
+
+// Delivery receipts from providers: 'delivered', or 'failed' to retry the message
+export async function updateDeliveryStatus(transport, providerId, status, error) {
+  const notification = await Notification.findOne({ transport, providerId });
+  if (!notification) return null;
+
+  if (status === 'delivered') {
+    notification.status = 'delivered';
+    notification.deliveredAt = new Date();
+  } else if (status === 'failed' && notification.status !== 'delivered') {
+    scheduleRetry(notification, error || 'Delivery failed');
+  }
+  await notification.save();
+  return notification;
+}
+
+// Retry queued notifications whose next attempt is due
+export async function processDueNotifications() {
+  let processed = 0;
+  while (processed < BATCH_SIZE) {
+    const now = Date.now();
+    const notification = await Notification.findOneAndUpdate(
+      { status: 'queued', nextAttemptAt: { $lte: new Date(now) } },
+      { $set: { nextAttemptAt: new Date(now + SEND_LEASE) } },
+      { new: true, sort: { nextAttemptAt: 1 } }
+    );
+    if (!notification) break;
+    await deliver(notification);
+    processed++;
+  }
+  return processed;
+}
+
+// Start the retry loop (NOTIFY_RETRY_INTERVAL). Returns a stop function.
+export function startNotificationWorker(options = {}) {
+  const interval = options.interval || parseInt(process.env.NOTIFY_RETRY_INTERVAL, 10) || DEFAULT_INTERVAL;
+
+  // Skip a tick rather than overlap a run that is still going
+  let running = false;
+  async function run() {
+    if (running) return;
+    running = true;
+    try {
+      await processDueNotifications();
+    } catch (error) {
+      console.error('Notification retries failed:', error.message);
+    }
+    running = false;
+  }
+
+  const timer = setInterval(run, interval);
+  return () => clearInterval(timer);
+}
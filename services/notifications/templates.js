@@ -0,0 +1,235 @@
+// Message templates for each app language. {placeholders} are filled from the data
+// passed in; optional parts (location, contact, detail) are dropped when empty.
+const TEMPLATES = {
+  en: {
+    severity: { low: 'Low', medium: 'Medium', high: 'High', critical: 'Critical' },
+    status: { received: 'received', acknowledged: 'acknowledged', assigned: 'assigned', en_route: 'en route', resolved: 'resolved' },
+    parts: { location: 'Location: {location}.', contact: 'Farmer: {contact}.', detail: '({detail})' },
+    sos_created: {
+      subject: '[{severity}] AgriEcho SOS: {type}',
+      text: 'AgriEcho SOS ({severity}): {message}. {location} {contact} Ref {ref}'
+    },
+    sos_status: {
+      subject: 'AgriEcho SOS {ref}: {status}',
+      text: 'AgriEcho SOS {ref} is now {status} {detail}. "{message}"'
+    },
+    sos_escalation: {
+      subject: '[ESCALATED] AgriEcho SOS {ref} ({severity})',
+      text: 'ESCALATION: {severity} AgriEcho SOS {ref} still not {status} after {minutes} min. {message}. {location} {contact}'
+    },
+    sos_sms_received: {
+      subject: 'AgriEcho SOS {ref}',
+      text: 'AgriEcho received your SOS. Ref {ref}. Help is being arranged; keep your phone on.'
+    },
+    login_code: {
+      subject: 'AgriEcho code {code}',
+      text: 'Your AgriEcho sign-in code is {code}. It expires in {minutes} minutes. Do not share it with anyone.'
+    }
+  },
+  hi: {
+    severity: { low: 'कम', medium: 'मध्यम', high: 'उच्च', critical: 'गंभीर' },
+    status: { received: 'प्राप्त', acknowledged: 'देखा गया', assigned: 'सौंपा गया', en_route: 'रास्ते में', resolved: 'हल हो गया' },
+    parts: { location: 'स्थान: {location}।', contact: 'किसान: {contact}।', detail: '({detail})' },
+    sos_created: {
+      subject: '[{severity}] AgriEcho SOS: {type}',
+      text: 'AgriEcho SOS ({severity}): {message}। {location} {contact} संदर्भ {ref}'
+    },
+    sos_status: {
+      subject: 'AgriEcho SOS {ref}: {status}',
+      text: 'AgriEcho SOS {ref} की स्थिति: {status} {detail}। "{message}"'
+    },
+    sos_escalation: {
+      subject: '[एस्केलेशन] AgriEcho SOS {ref} ({severity})',
+      text: 'एस्केलेशन: {severity} AgriEcho SOS {ref} की स्थिति {minutes} मिनट बाद भी "{status}" नहीं है। {message}। {location} {contact}'
+    },
+    sos_sms_received: {
+      subject: 'AgriEcho SOS {ref}',
+      text: 'AgriEcho को आपका SOS मिल गया है। संदर्भ {ref}। मदद की व्यवस्था की जा रही है; अपना फ़ोन चालू रखें।'
+    },
+    login_code: {
+      subject: 'AgriEcho code {code}',
+      text: 'आपका AgriEcho साइन-इन कोड {code} है। यह {minutes} मिनट में समाप्त हो जाएगा। इसे किसी के साथ साझा न करें।'
+    }
+  },
+  bn: {
+    severity: { low: 'কম', medium: 'মাঝারি', high: 'উচ্চ', critical: 'গুরুতর' },
+    status: { received: 'গৃহীত', acknowledged: 'দেখা হয়েছে', assigned: 'দায়িত্ব দেওয়া হয়েছে', en_route: 'পথে', resolved: 'সমাধান হয়েছে' },
+    parts: { location: 'অবস্থান: {location}।', contact: 'কৃষক: {contact}।', detail: '({detail})' },
+    sos_created: {
+      subject: '[{severity}] AgriEcho SOS: {type}',
+      text: 'AgriEcho SOS ({severity}): {message}। {location} {contact} সূত্র {ref}'
+    },
+    sos_status: {
+      subject: 'AgriEcho SOS {ref}: {status}',
+      text: 'AgriEcho SOS {ref}-এর অবস্থা: {status} {detail}। "{message}"'
+    },
+    sos_escalation: {
+      subject: '[এসকেলেশন] AgriEcho SOS {ref} ({severity})',
+      text: 'এসকেলেশন: {severity} AgriEcho SOS {ref} {minutes} মিনিট পরেও "{status}" হয়নি। {message}। {location} {contact}'
+    },
+    sos_sms_received: {
+      subject: 'AgriEcho SOS {ref}',
+      text: 'AgriEcho আপনার SOS পেয়েছে। সূত্র {ref}। সাহায্যের ব্যবস্থা করা হচ্ছে; ফোন চালু রাখুন।'
+    },
+    login_code: {
+      subject: 'AgriEcho code {code}',
+      text: 'আপনার AgriEcho সাইন-ইন কোড {code}। এটি {minutes} মিনিটে মেয়াদ শেষ হবে। কাউকে জানাবেন না।'
+    }
+  },
+  te: {
+    severity: { low: 'తక్కువ', medium: 'మధ్యస్థ', high: 'అధిక', critical: 'అత్యవసర' },
+    status: { received: 'అందింది', acknowledged: 'చూడబడింది', assigned: 'అప్పగించబడింది', en_route: 'దారిలో ఉంది', resolved: 'పరిష్కరించబడింది' },
+    parts: { location: 'ప్రదేశం: {location}.', contact: 'రైతు: {contact}.', detail: '({detail})' },
+    sos_created: {
+      subject: '[{severity}] AgriEcho SOS: {type}',
+      text: 'AgriEcho SOS ({severity}): {message}. {location} {contact} సూచన {ref}'
+    },
+    sos_status: {
+      subject: 'AgriEcho SOS {ref}: {status}',
+      text: 'AgriEcho SOS {ref} స్థితి: {status} {detail}. "{message}"'
+    },
+    sos_escalation: {
+      subject: '[ఎస్కలేషన్] AgriEcho SOS {ref} ({severity})',
+      text: 'ఎస్కలేషన్: {severity} AgriEcho SOS {ref} {minutes} నిమిషాల తర్వాత కూడా "{status}" కాలేదు. {message}. {location} {contact}'
+    },
+    sos_sms_received: {
+      subject: 'AgriEcho SOS {ref}',
+      text: 'AgriEcho మీ SOS అందుకుంది. సూచన {ref}. సహాయం ఏర్పాటు చేస్తున్నాం; మీ ఫోన్ ఆన్‌లో ఉంచండి.'
+    },
+    login_code: {
+      subject: 'AgriEcho code {code}',
+      text: 'మీ AgriEcho సైన్-ఇన్ కోడ్ {code}. ఇది {minutes} నిమిషాల్లో ముగుస్తుంది. ఎవరితోనూ పంచుకోకండి.'
+    }
+  },
+  ta: {
+    severity: { low: 'குறைவு', medium: 'நடுத்தரம்', high: 'அதிகம்', critical: 'அவசரம்' },
+    status: { received: 'பெறப்பட்டது', acknowledged: 'பார்க்கப்பட்டது', assigned: 'ஒதுக்கப்பட்டது', en_route: 'வழியில்', resolved: 'தீர்க்கப்பட்டது' },
+    parts: { location: 'இடம்: {location}.', contact: 'விவசாயி: {contact}.', detail: '({detail})' },
+    sos_created: {
+      subject: '[{severity}] AgriEcho SOS: {type}',
+      text: 'AgriEcho SOS ({severity}): {message}. {location} {contact} குறிப்பு {ref}'
+    },
+    sos_status: {
+      subject: 'AgriEcho SOS {ref}: {status}',
+      text: 'AgriEcho SOS {ref} நிலை: {status} {detail}. "{message}"'
+    },
+    sos_escalation: {
+      subject: '[அதிகரிப்பு] AgriEcho SOS {ref} ({severity})',
+      text: 'அதிகரிப்பு: {severity} AgriEcho SOS {ref} {minutes} நிமிடங்களுக்குப் பிறகும் "{status}" ஆகவில்லை. {message}. {location} {contact}'
+    },
+    sos_sms_received: {
+      subject: 'AgriEcho SOS {ref}',
+      text: 'AgriEcho உங்கள் SOS-ஐப் பெற்றது. குறிப்பு {ref}. உதவி ஏற்பாடு செய்யப்படுகிறது; உங்கள் தொலைபேசியை இயக்கத்தில் வைத்திருங்கள்.'
+    },
+    login_code: {
+      subject: 'AgriEcho code {code}',
+      text: 'உங்கள் AgriEcho உள்நுழைவு குறியீடு {code}. இது {minutes} நிமிடங்களில் காலாவதியாகும். யாருடனும் பகிர வேண்டாம்.'
+    }
+  },
+  mr: {
+    severity: { low: 'कमी', medium: 'मध्यम', high: 'उच्च', critical: 'गंभीर' },
+    status: { received: 'प्राप्त', acknowledged: 'पाहिले', assigned: 'सोपवले', en_route: 'मार्गावर', resolved: 'निराकरण झाले' },
+    parts: { location: 'ठिकाण: {location}.', contact: 'शेतकरी: {contact}.', detail: '({detail})' },
+    sos_created: {
+      subject: '[{severity}] AgriEcho SOS: {type}',
+      text: 'AgriEcho SOS ({severity}): {message}. {location} {contact} संदर्भ {ref}'
+    },
+    sos_status: {
+      subject: 'AgriEcho SOS {ref}: {status}',
+      text: 'AgriEcho SOS {ref} ची स्थिती: {status} {detail}. "{message}"'
+    },
+    sos_escalation: {
+      subject: '[एस्केलेशन] AgriEcho SOS {ref} ({severity})',
+      text: 'एस्केलेशन: {severity} AgriEcho SOS {ref} {minutes} मिनिटांनंतरही "{status}" झाले नाही. {message}. {location} {contact}'
+    },
+    sos_sms_received: {
+      subject: 'AgriEcho SOS {ref}',
+      text: 'AgriEcho ला तुमचा SOS मिळाला. संदर्भ {ref}. मदतीची व्यवस्था केली जात आहे; तुमचा फोन चालू ठेवा.'
+    },
+    login_code: {
+      subject: 'AgriEcho code {code}',
+      text: 'तुमचा AgriEcho साइन-इन कोड {code} आहे. तो {minutes} मिनिटांत संपेल. तो कोणालाही सांगू नका.'
+    }
+  },
+  gu: {
+    severity: { low: 'ઓછું', medium: 'મધ્યમ', high: 'ઊંચું', critical: 'ગંભીર' },
+    status: { received: 'પ્રાપ્ત', acknowledged: 'જોવાયું', assigned: 'સોંપાયું', en_route: 'રસ્તામાં', resolved: 'ઉકેલાયું' },
+    parts: { location: 'સ્થળ: {location}.', contact: 'ખેડૂત: {contact}.', detail: '({detail})' },
+    sos_created: {
+      subject: '[{severity}] AgriEcho SOS: {type}',
+      text: 'AgriEcho SOS ({severity}): {message}. {location} {contact} સંદર્ભ {ref}'
+    },
+    sos_status: {
+      subject: 'AgriEcho SOS {ref}: {status}',
+      text: 'AgriEcho SOS {ref} ની સ્થિતિ: {status} {detail}. "{message}"'
+    },
+    sos_escalation: {
+      subject: '[એસ્કેલેશન] AgriEcho SOS {ref} ({severity})',
+      text: 'એસ્કેલેશન: {severity} AgriEcho SOS {ref} {minutes} મિનિટ પછી પણ "{status}" થયું નથી. {message}. {location} {contact}'
+    },
+    sos_sms_received: {
+      subject: 'AgriEcho SOS {ref}',
+      text: 'AgriEcho ને તમારો SOS મળ્યો. સંદર્ભ {ref}. મદદની વ્યવસ્થા થઈ રહી છે; તમારો ફોન ચાલુ રાખો.'
+    },
+    login_code: {
+      subject: 'AgriEcho code {code}',
+      text: 'તમારો AgriEcho સાઇન-ઇન કોડ {code} છે. તે {minutes} મિનિટમાં સમાપ્ત થશે. કોઈને જણાવશો નહીં.'
+    }
+  },
+  kn: {
+    severity: { low: 'ಕಡಿಮೆ', medium: 'ಮಧ್ಯಮ', high: 'ಹೆಚ್ಚು', critical: 'ತುರ್ತು' },
+    status: { received: 'ಸ್ವೀಕರಿಸಲಾಗಿದೆ', acknowledged: 'ನೋಡಲಾಗಿದೆ', assigned: 'ನಿಯೋಜಿಸಲಾಗಿದೆ', en_route: 'ದಾರಿಯಲ್ಲಿ', resolved: 'ಪರಿಹರಿಸಲಾಗಿದೆ' },
+    parts: { location: 'ಸ್ಥಳ: {location}.', contact: 'ರೈತ: {contact}.', detail: '({detail})' },
+    sos_created: {
+      subject: '[{severity}] AgriEcho SOS: {type}',
+      text: 'AgriEcho SOS ({severity}): {message}. {location} {contact} ಉಲ್ಲೇಖ {ref}'
+    },
+    sos_status: {
+      subject: 'AgriEcho SOS {ref}: {status}',
+      text: 'AgriEcho SOS {ref} ಸ್ಥಿತಿ: {status} {detail}. "{message}"'
+    },
+    sos_escalation: {
+      subject: '[ಎಸ್ಕಲೇಶನ್] AgriEcho SOS {ref} ({severity})',
+      text: 'ಎಸ್ಕಲೇಶನ್: {severity} AgriEcho SOS {ref} {minutes} ನಿಮಿಷಗಳ ನಂತರವೂ "{status}" ಆಗಿಲ್ಲ. {message}. {location} {contact}'
+    },
+    sos_sms_received: {
+      subject: 'AgriEcho SOS {ref}',
+      text: 'AgriEcho ನಿಮ್ಮ SOS ಸ್ವೀಕರಿಸಿದೆ. ಉಲ್ಲೇಖ {ref}. ಸಹಾಯದ ವ್ಯವಸ್ಥೆ ಮಾಡಲಾಗುತ್ತಿದೆ; ನಿಮ್ಮ ಫೋನ್ ಆನ್ ಇರಿಸಿ.'
+    },
+    login_code: {
+      subject: 'AgriEcho code {code}',
+      text: 'ನಿಮ್ಮ AgriEcho ಸೈನ್-ಇನ್ ಕೋಡ್ {code}. ಇದು {minutes} ನಿಮಿಷಗಳಲ್ಲಿ ಅವಧಿ ಮುಗಿಯುತ್ತದೆ. ಯಾರೊಂದಿಗೂ ಹಂಚಿಕೊಳ್ಳಬೇಡಿ.'
+    }
+  }
+};
+
+export const TEMPLATE_LANGUAGES = Object.keys(TEMPLATES);
+
+function fill(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, key) => values[key] === undefined ? '' : String(values[key]));
+}
+
+// Render a template in the recipient's language, falling back to English
+export function renderTemplate(name, language, data = {}) {
+  const strings = TEMPLATES[language] || TEMPLATES.en;
+  const template = strings[name] || TEMPLATES.en[name];
+  if (!template) {
+    throw new Error(`Unknown notification template ${name}`);
+  }
+
+  const values = {
+    ...data,
+    severity: strings.severity[data.severity] || data.severity,
+    status: strings.status[data.status] || data.status
+  };
+  Object.entries(strings.parts).forEach(([part, partTemplate]) => {
+    values[part] = data[part] ? fill(partTemplate, data) : '';
+  });
+
+  const tidy = text => text.replace(/\s+/g, ' ').replace(/\s+([.।)])/g, '$1').trim();
+  return {
+    language: TEMPLATES[language] ? language : 'en',
+    subject: tidy(fill(template.subject, values)),
+    body: tidy(fill(template.text, values))
+  };
+}
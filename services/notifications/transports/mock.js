@@ -0,0 +1,28 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+
+// Development transport: logs each message, or appends it as a JSON line to
+// NOTIFY_MOCK_OUTBOX, instead of sending it. NOTIFY_MOCK_FAILURE_RATE (0-1)
+// makes a share of sends fail so retries can be exercised locally.
+const mockTransport = {
+  channels: ['sms', 'voice', 'email'],
+
+  async send(notification) {
+    const failureRate = parseFloat(process.env.NOTIFY_MOCK_FAILURE_RATE) || 0;
+    if (Math.random() < failureRate) {
+      throw new Error('Simulated transport failure');
+    }
+
+    const providerId = `mock-${crypto.randomUUID()}`;
+    const outbox = process.env.NOTIFY_MOCK_OUTBOX;
+    if (outbox) {
+      const { channel, to, subject, body } = notification;
+      await fs.appendFile(outbox, JSON.stringify({ providerId, channel, to, subject, body, at: new Date() }) + '\n');
+    } else {
+      console.log(`📨 [${notification.channel} → ${notification.to}] ${notification.body}`);
+    }
+    return { providerId, status: 'delivered' };
+  }
+};
+
+export default mockTransport;
@@ -0,0 +1,35 @@
+// Who may do what. Staff accounts (responders, experts and staff members) carry one
+// or more roles; farmers get the farmer role from their session. Admins hold every
+// permission.
+export const ROLES = ['admin', 'responder', 'expert', 'editor', 'farmer'];
+
+// Roles an admin can grant to staff; farmer comes with a phone sign-in only
+export const STAFF_ROLES = ['admin', 'responder', 'expert', 'editor'];
+
+export const PERMISSIONS = {
+  // Work SOS incidents in the responder console and see their attachments
+  'sos:triage': ['responder'],
+  // List active responders to assign an incident to
+  'responders:list': ['responder'],
+  // Claim and answer farmers' questions in the expert inbox
+  'questions:answer': ['expert'],
+  'templates:read': ['expert', 'editor'],
+  'templates:write': ['editor'],
+  'articles:write': ['editor'],
+  'alerts:publish': ['editor'],
+  'profile:edit': ['farmer'],
+  'staff:manage': [],
+  'roles:assign': [],
+  'directory:manage': [],
+  'notifications:manage': [],
+  'escalation:manage': []
+};
+
+export function can(roles, permission) {
+  if (!PERMISSIONS[permission]) return false;
+  return roles.includes('admin') || roles.some(role => PERMISSIONS[permission].includes(role));
+}
+
+export function permissionsFor(roles) {
+  return Object.keys(PERMISSIONS).filter(permission => can(roles, permission));
+}
@@ -0,0 +1,30 @@
+// Fixed-window counters kept in memory, per server process. `take(key)` counts one
+// use and returns 0 while the key is within `limit` uses per `windowMs`, or to
+// the seconds until its window resets once it is over.
+export function createRateLimit({ limit, windowMs }) {
+  const windows = new Map();
+
+  function prune(now) {
+    windows.forEach((entry, key) => {
+      if (entry.resetAt <= now) windows.delete(key);
+    });
+  }
+
+  return {
+    take(key) {
+      const now = Date.now();
+      if (windows.size > 10000) prune(now);
+
+      let current = windows.get(key);
+      if (!current || current.resetAt <= now) {
+        current = { count: 0, resetAt: now + windowMs };
+        windows.set(key, current);
+      }
+      if (current.count >= limit) {
+        return Math.ceil((current.resetAt - now) / 1000);
+      }
+      current.count += 1;
+      return 0;
+    }
+  };
+}
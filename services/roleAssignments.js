@@ -0,0 +1,47 @@
+import Responder from '../models/Responder.js';
+import Expert from '../models/Expert.js';
+import StaffMember from '../models/StaffMember.js';
+import RoleChange from '../models/RoleChange.js';
+
+const SUBJECT_MODELS = { responder: Responder, expert: Expert, staff: StaffMember };
+
+// Record the roles a new staff account starts with, as granted by `actor`
+export function recordInitialRoles(subjectType, subject, actor) {
+  return RoleChange.insertMany(subject.roles.map(role => ({
+    subjectType,
+    subject: subject._id,
+    subjectName: subject.name,
+    role,
+    action: 'grant',
+    actor,
+    reason: 'Account created'
+  })));
+}
+
+// Grant or revoke one role on a staff account and log it. Resolves to
+// { subject, change }, or null when there is no such account. Granting a role the
+// account already has (or revoking one it lacks) changes nothing and logs nothing.
+export async function changeRole({ subjectType, subjectId, role, action, actor, reason }) {
+  const subject = await SUBJECT_MODELS[subjectType].findById(subjectId);
+  if (!subject) return null;
+
+  const hasRole = subject.roles.includes(role);
+  if ((action === 'grant') === hasRole) {
+    return { subject, change: null };
+  }
+
+  subject.roles = action === 'grant'
+    ? [...subject.roles, role]
+    : subject.roles.filter(existing => existing !== role);
+  await subject.save();
+  const change = await RoleChange.create({
+    subjectType,
+    subject: subject._id,
+    subjectName: subject.name,
+    role,
+    action,
+    actor,
+    reason
+  });
+  return { subject, change };
+}
@@ -0,0 +1,60 @@
+import SOS from '../models/SOS.js';
+import { routeSOS } from './sosRouting.js';
+import { notifySOSCreated } from './sosNotifications.js';
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+// An alert first received by SMS carries a shortened message and no typed location;
+// fill those in when the same alert later arrives over the data connection
+async function completeFromApp(existing, fields) {
+  if (existing.channel !== 'sms' || fields.channel === 'sms') return;
+
+  if (!existing.location && fields.location) existing.location = fields.location;
+  if (!existing.position && fields.position) existing.position = fields.position;
+  if (existing.positionAccuracy === undefined && fields.positionAccuracy !== undefined) {
+    existing.positionAccuracy = fields.positionAccuracy;
+  }
+  if (fields.message && fields.message.length > existing.message.length && fields.message.startsWith(existing.message)) {
+    existing.message = fields.message;
+  }
+  if (existing.isModified()) {
+    await existing.save();
+  }
+}
+
+// Store a new SOS from any channel and dispatch it, or return the alert already stored
+// under the same idempotency key. Resolves to { sos, replayed }.
+export async function receiveSOS(fields) {
+  const { idempotencyKey } = fields;
+  if (idempotencyKey) {
+    const existing = await SOS.findOne({ idempotencyKey });
+    if (existing) {
+      await completeFromApp(existing, fields);
+      return { sos: existing, replayed: true };
+    }
+  }
+
+  const sos = new SOS(fields);
+  try {
+    await sos.save();
+  } catch (error) {
+    // Two retries raced past the lookup; the unique index let only one through
+    if (error.code === DUPLICATE_KEY_ERROR && idempotencyKey) {
+      return { sos: await SOS.findOne({ idempotencyKey }), replayed: true };
+    }
+    throw error;
+  }
+
+  console.log('SOS Alert:', { id: sos.id, channel: sos.channel, message: sos.message, severity: sos.severity });
+
+  // Routing is best effort; the alert is already stored for the console
+  try {
+    await routeSOS(sos);
+  } catch (error) {
+    console.error('Failed to route SOS:', error);
+  }
+
+  // Notifications go out in the background; the farmer doesn't wait on SMS gateways
+  notifySOSCreated(sos).catch(error => console.error(`Failed to send notifications for SOS ${sos.id}:`, error));
+  return { sos, replayed: false };
+}
@@ -0,0 +1,114 @@
+import Responder from '../models/Responder.js';
+import { NOTIFICATION_CHANNELS } from '../models/Notification.js';
+import { notify } from './notifications/gateway.js';
+import { fromGeoPoint } from './geo.js';
+
+// SMS bodies should fit in a couple of segments
+const MAX_MESSAGE_LENGTH = 120;
+
+// Contacts told about every SOS, e.g. a district control room:
+// SOS_NOTIFY_CONTACTS="sms:+919800000000,email:control@example.org"
+export function configuredContacts() {
+  return (process.env.SOS_NOTIFY_CONTACTS || '').split(',').map(entry => entry.trim()).filter(Boolean)
+    .map(entry => {
+      const separator = entry.indexOf(':');
+      return {
+        channel: entry.slice(0, separator),
+        to: entry.slice(separator + 1).trim(),
+        language: process.env.SOS_NOTIFY_LANGUAGE || 'en'
+      };
+    })
+    .filter(contact => NOTIFICATION_CHANNELS.includes(contact.channel) && contact.to);
+}
+
+// SMS and email for anyone with a phone or email on file (responders, offices)
+export function contactsFor(person, severity) {
+  const contacts = [];
+  if (person.phone) {
+    contacts.push({ channel: 'sms', to: person.phone });
+    // An SMS can go unnoticed; critical alerts also ring the phone
+    if (severity === 'critical') {
+      contacts.push({ channel: 'voice', to: person.phone });
+    }
+  }
+  if (person.email) {
+    contacts.push({ channel: 'email', to: person.email });
+  }
+  return contacts;
+}
+
+export function responderContacts(responder, severity) {
+  return contactsFor(responder, severity)
+    .map(contact => ({ ...contact, language: responder.language, responder: responder._id }));
+}
+
+function withConfiguredContacts(responders, severity) {
+  return [...responders.flatMap(responder => responderContacts(responder, severity)), ...configuredContacts()];
+}
+
+// Short reference farmers and responders can quote on the phone
+export function sosReference(sos) {
+  return sos.id.slice(-6).toUpperCase();
+}
+
+function templateData(sos) {
+  let message = (sos.message || '').replace(/[.\s]+$/, '');
+  if (message.length > MAX_MESSAGE_LENGTH) {
+    message = `${message.slice(0, MAX_MESSAGE_LENGTH - 1)}…`;
+  }
+  const position = sos.position ? fromGeoPoint(sos.position) : null;
+  const lastEvent = sos.statusHistory[sos.statusHistory.length - 1];
+
+  return {
+    ref: sosReference(sos),
+    type: (sos.type || 'sos').replace(/-/g, ' '),
+    severity: sos.severity,
+    message,
+    location: sos.location || (position ? `${position.lat.toFixed(4)}, ${position.lon.toFixed(4)}` : ''),
+    contact: sos.contact,
+    status: sos.status,
+    detail: lastEvent && lastEvent.detail
+  };
+}
+
+async function dispatch(sos, template, contacts, extraData = {}) {
+  const data = { ...templateData(sos), ...extraData };
+  for (const contact of contacts) {
+    try {
+      await notify({ ...contact, template, data, sos: sos._id });
+    } catch (error) {
+      console.error(`Failed to queue ${contact.channel} notification for SOS ${sos.id}:`, error.message);
+    }
+  }
+}
+
+// New alert: the responders it was routed to, or every active responder when
+// nobody is near enough (or the alert has no position)
+export async function notifySOSCreated(sos) {
+  const routed = sos.routing ? sos.routing.responders.map(entry => entry.responder) : [];
+  const responders = await Responder.find(routed.length > 0 ? { _id: { $in: routed }, active: true } : { active: true });
+  await dispatch(sos, 'sos_created', withConfiguredContacts(responders, sos.severity));
+}
+
+// Status change: the routed responders and the assignee, except whoever made the change
+export async function notifySOSStatus(sos, actor) {
+  const ids = new Set(sos.routing ? sos.routing.responders.map(entry => String(entry.responder)) : []);
+  if (sos.assignedTo) {
+    ids.add(String(sos.assignedTo._id || sos.assignedTo));
+  }
+  if (actor) {
+    ids.delete(String(actor._id));
+  }
+  const responders = ids.size > 0 ? await Responder.find({ _id: { $in: [...ids] }, active: true }) : [];
+  await dispatch(sos, 'sos_status', withConfiguredContacts(responders, sos.severity));
+}
+
+// An escalation step fired: tell its recipients how long the incident has waited
+export async function notifySOSEscalation(sos, contacts, step) {
+  await dispatch(sos, 'sos_escalation', contacts, { minutes: step.afterMinutes, status: step.unlessStatus });
+}
+
+// Confirm an SOS received by SMS to the phone that sent it, so the farmer knows it arrived
+export async function notifySOSReceipt(sos, to, language) {
+  await notify({ channel: 'sms', to, language, template: 'sos_sms_received', data: { ref: sosReference(sos) }, sos: sos._id });
+}
@@ -0,0 +1,44 @@
+import Responder from '../models/Responder.js';
+import AgriOffice from '../models/AgriOffice.js';
+import { distanceKm, fromGeoPoint } from './geo.js';
+
+// Only suggest responders and offices within reach
+const MAX_DISTANCE_KM = parseFloat(process.env.SOS_ROUTING_MAX_DISTANCE_KM) || 50;
+const MAX_RESPONDERS = 3;
+
+function nearQuery(point, maxDistanceKm) {
+  return { $near: { $geometry: point, $maxDistance: maxDistanceKm * 1000 } };
+}
+
+function roundedDistance(from, point) {
+  return Math.round(distanceKm(from, fromGeoPoint(point)) * 10) / 10;
+}
+
+// Pick the nearest active responders and agricultural office for an alert with a
+// position and record them on it. Alerts without a position are left unrouted.
+export async function routeSOS(sos) {
+  if (!sos.position) return null;
+
+  const from = fromGeoPoint(sos.position);
+  const [responders, office] = await Promise.all([
+    Responder.find({ active: true, position: nearQuery(sos.position, MAX_DISTANCE_KM) }).limit(MAX_RESPONDERS),
+    AgriOffice.findOne({ active: true, position: nearQuery(sos.position, MAX_DISTANCE_KM) })
+  ]);
+
+  sos.routing = {
+    responders: responders.map(responder => ({
+      responder: responder._id,
+      name: responder.name,
+      distanceKm: roundedDistance(from, responder.position)
+    })),
+    office: office ? {
+      office: office._id,
+      name: office.name,
+      phone: office.phone,
+      distanceKm: roundedDistance(from, office.position)
+    } : undefined,
+    routedAt: new Date()
+  };
+  await sos.save();
+  return sos.routing;
+}
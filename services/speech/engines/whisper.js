@@ -0,0 +1,30 @@
+// Transcribes with a local whisper.cpp server (STT_URL). Start it with --convert so it
+// accepts the WebM/Ogg/MP4 clips phones record, and with a multilingual model.
+const DEFAULT_URL = 'http://localhost:8080';
+const DEFAULT_TIMEOUT = 60000;
+
+const whisperEngine = {
+  async transcribe({ audio, mimeType, language }) {
+    const form = new FormData();
+    form.append('file', new Blob([audio], { type: mimeType }), 'clip');
+    form.append('language', language || 'auto');
+    form.append('response_format', 'json');
+
+    const response = await fetch(`${process.env.STT_URL || DEFAULT_URL}/inference`, {
+      method: 'POST',
+      body: form,
+      signal: AbortSignal.timeout(parseInt(process.env.STT_TIMEOUT, 10) || DEFAULT_TIMEOUT)
+    });
+    if (!response.ok) {
+      throw new Error(`Speech server returned ${response.status}`);
+    }
+
+    const result = await response.json();
+    if (result.error) {
+      throw new Error(result.error);
+    }
+    return { text: (result.text || '').trim(), language };
+  }
+};
+
+export default whisperEngine;
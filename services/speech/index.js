@@ -0,0 +1,22 @@
+import whisperEngine from './engines/whisper.js';
+
+// An engine turns a recorded clip into text, locally:
+//   { async transcribe({ audio, mimeType, language }) -> { text, language? } }
+// `audio` is a Buffer. An empty text means no speech was heard; throwing has the
+// clip retried later.
+const engines = { whisper: whisperEngine };
+
+export function registerEngine(name, engine) {
+  engines[name] = engine;
+}
+
+// STT_ENGINE picks the engine. Resolves to { engine, text, language }.
+export async function transcribe(request) {
+  const name = process.env.STT_ENGINE || 'whisper';
+  const engine = engines[name];
+  if (!engine) {
+    throw new Error(`No speech engine named ${name}`);
+  }
+  const result = await engine.transcribe(request);
+  return { engine: name, text: (result.text || '').trim(), language: result.language || request.language };
+}
@@ -0,0 +1,217 @@
+import VoiceQuery from '../models/VoiceQuery.js';
+import VoiceClip from '../models/VoiceClip.js';
+import Farmer from '../models/Farmer.js';
+import { answerQuestion } from './answers/engine.js';
+import { normalizeLanguage, translate } from './i18n/index.js';
+import { transcribe } from './speech/index.js';
+import { writeVoiceClip, readVoiceClip } from './attachmentStorage.js';
+import { openConversation, previousQuestion, addTurns } from './conversations.js';
+
+const DUPLICATE_KEY_ERROR = 11000;
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_INTERVAL = 60000;
+const RETRY_BASE_DELAY = 60000;
+const MAX_RETRY_DELAY = 60 * 60 * 1000;
+// A clip being transcribed is pushed this far into the future so no other run picks it up
+const TRANSCRIBE_LEASE = 5 * 60 * 1000;
+const BATCH_SIZE = 20;
+
+// The running worker's run(), so an uploaded clip is picked up straight away
+let wakeWorker = null;
+
+// Answer a farmer's question from the knowledge base and store it, in the language
+// asked in (falling back to fallbackLanguage). Low-confidence questions are left for
+// an expert with a holding reply in that language. Questions from a device join its
+// conversation `conversationId` (a new one if that isn't the device's) and are read
+// as follow-ups to the question before. Shared by typed/spoken questions and
+// transcribed clips; resolves to { voiceQuery, conversation, result, response, language }.
+export async function answerVoiceQuery({ query, language, device, conversationId, farmer = null, fallbackLanguage = 'en' }) {
+  const answerLanguage = normalizeLanguage(language) || fallbackLanguage;
+  const deviceId = typeof device === 'string' && device ? device : undefined;
+  const conversation = deviceId ? await openConversation(conversationId, deviceId, answerLanguage, farmer) : null;
+  const result = await answerQuestion(query, {
+    language: answerLanguage,
+    previous: (conversation && previousQuestion(conversation)) || profileContext(farmer)
+  });
+  const response = result.needsExpert ? translate(answerLanguage, 'voice.expertResponse') : result.answer;
+  const responseLanguage = result.needsExpert ? answerLanguage : result.language;
+  const sources = result.sources.map(source => ({ article: source.id, title: source.title }));
+
+  const voiceQuery = await VoiceQuery.create({
+    query,
+    resolvedQuery: result.followUp && result.resolvedQuestion !== query ? result.resolvedQuestion : undefined,
+    conversation: conversation ? conversation._id : undefined,
+    language: answerLanguage,
+    device: deviceId,
+    response,
+    intent: result.intent,
+    crop: result.crop,
+    confidence: result.confidence,
+    sources,
+    backend: result.backend,
+    status: result.needsExpert ? 'pending-expert' : 'answered',
+    processed: !result.needsExpert,
+    answeredAt: result.needsExpert ? undefined : new Date()
+  });
+
+  if (conversation) {
+    await addTurns(conversation, [
+      {
+        role: 'user',
+        text: query,
+        language: answerLanguage,
+        resolvedQuery: result.resolvedQuestion,
+        intent: result.intent,
+        crop: result.crop,
+        voiceQuery: voiceQuery._id
+      },
+      {
+        role: 'assistant',
+        text: response,
+        language: responseLanguage,
+        sources,
+        needsExpert: result.needsExpert,
+        voiceQuery: voiceQuery._id
+      }
+    ]);
+  }
+
+  return { voiceQuery, conversation, result, response, language: responseLanguage };
+}
+
+// A farmer who grows a single crop means it when a question names none, so a new
+// conversation starts as if following up on that crop
+function profileContext(farmer) {
+  if (!farmer || farmer.crops.length !== 1) return null;
+  return { question: '', intent: null, crop: farmer.crops[0] };
+}
+
+function maxAttempts() {
+  return parseInt(process.env.STT_MAX_ATTEMPTS, 10) || DEFAULT_MAX_ATTEMPTS;
+}
+
+function retryDelay(attempts) {
+  return Math.min(RETRY_BASE_DELAY * 2 ** (attempts - 1), MAX_RETRY_DELAY);
+}
+
+// Make one transcription attempt and, when there is speech, answer the transcript.
+// Engine failures are retried with backoff until STT_MAX_ATTEMPTS.
+export async function transcribeClip(clip) {
+  clip.attempts += 1;
+  try {
+    const audio = await readVoiceClip(clip.id);
+    const transcription = await transcribe({ audio, mimeType: clip.mimeType, language: clip.language });
+    clip.engine = transcription.engine;
+
+    if (!transcription.text) {
+      clip.status = 'failed';
+      clip.lastError = 'No speech heard';
+    } else {
+      const { voiceQuery } = await answerVoiceQuery({
+        query: transcription.text,
+        language: clip.language,
+        device: clip.device,
+        conversationId: clip.conversation,
+        farmer: clip.farmer ? await Farmer.findById(clip.farmer) : null
+      });
+      clip.transcript = transcription.text;
+      clip.query = voiceQuery._id;
+      clip.status = 'transcribed';
+      clip.transcribedAt = new Date();
+      clip.lastError = undefined;
+    }
+  } catch (error) {
+    clip.lastError = error.message;
+    if (clip.attempts >= maxAttempts()) {
+      clip.status = 'failed';
+    } else {
+      clip.status = 'queued';
+      clip.nextAttemptAt = new Date(Date.now() + retryDelay(clip.attempts));
+    }
+  }
+  await clip.save();
+  return clip;
+}
+
+// Store a clip uploaded from a device and queue it for the transcription worker, or
+// return the clip already stored under the same device and key. Resolves to
+// { clip, replayed }. Transcribing can take a minute, longer than a sync should wait.
+export async function receiveVoiceClip({ device, clientKey, language, mimeType, recordedAt, conversation, farmer, audio }) {
+  const existing = await VoiceClip.findOne({ device, clientKey });
+  if (existing) {
+    return { clip: existing, replayed: true };
+  }
+
+  let clip;
+  try {
+    clip = await VoiceClip.create({
+      device,
+      clientKey,
+      language,
+      mimeType,
+      size: audio.length,
+      recordedAt,
+      conversation,
+      farmer: farmer ? farmer._id : undefined,
+      nextAttemptAt: new Date()
+    });
+  } catch (error) {
+    // Two retries raced past the lookup; the unique index let only one through
+    if (error.code === DUPLICATE_KEY_ERROR) {
+      return { clip: await VoiceClip.findOne({ device, clientKey }), replayed: true };
+    }
+    throw error;
+  }
+
+  try {
+    await writeVoiceClip(clip.id, audio);
+  } catch (error) {
+    await clip.deleteOne();
+    throw error;
+  }
+
+  if (wakeWorker) setImmediate(wakeWorker);
+  return { clip, replayed: false };
+}
+
+// Transcribe queued clips whose next attempt is due
+export async function processQueuedClips() {
+  let processed = 0;
+  while (processed < BATCH_SIZE) {
+    const now = Date.now();
+    const clip = await VoiceClip.findOneAndUpdate(
+      { status: 'queued', nextAttemptAt: { $lte: new Date(now) } },
+      { $set: { nextAttemptAt: new Date(now + TRANSCRIBE_LEASE) } },
+      { new: true, sort: { nextAttemptAt: 1 } }
+    );
+    if (!clip) break;
+    await transcribeClip(clip);
+    processed++;
+  }
+  return processed;
+}
+
+// Start the transcription loop (STT_RETRY_INTERVAL). Returns a stop function.
+export function startTranscriptionWorker(options = {}) {
+  const interval = options.interval || parseInt(process.env.STT_RETRY_INTERVAL, 10) || DEFAULT_INTERVAL;
+
+  // Skip a tick rather than overlap a run that is still going
+  let running = false;
+  async function run() {
+    if (running) return;
+    running = true;
+    try {
+      await processQueuedClips();
+    } catch (error) {
+      console.error('Transcription retries failed:', error.message);
+    }
+    running = false;
+  }
+
+  const timer = setInterval(run, interval);
+  wakeWorker = run;
+  return () => {
+    clearInterval(timer);
+    wakeWorker = null;
+  };
+}
@@ -0,0 +1,69 @@
+import { createLocalProvider } from './providers/local.js';
+import { createOpenMeteoProvider } from './providers/openMeteo.js';
+
+// A provider is { name, fetchForecast({ lat, lon }) } resolving to
+// { location, current, hourly[], daily[] } in metric units (°C, km/h, mm, km)
+const PROVIDERS = {
+  local: createLocalProvider,
+  'open-meteo': createOpenMeteoProvider
+};
+
+const DEFAULT_TTL = 15 * 60 * 1000;
+const MAX_CACHE_ENTRIES = 500;
+
+// Nearby requests (~1 km apart) share a cache entry
+function cacheKey(lat, lon) {
+  return `${lat.toFixed(2)},${lon.toFixed(2)}`;
+}
+
+export function createWeatherService(options = {}) {
+  const providerName = options.provider || process.env.WEATHER_PROVIDER || 'local';
+  const ttl = options.ttl || parseInt(process.env.WEATHER_CACHE_TTL, 10) || DEFAULT_TTL;
+
+  if (!PROVIDERS[providerName]) {
+    throw new Error(`Unknown weather provider "${providerName}". Available: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  const provider = PROVIDERS[providerName](options.providerOptions);
+  const cache = new Map();
+
+  async function load(lat, lon) {
+    const forecast = await provider.fetchForecast({ lat, lon });
+    return {
+      provider: provider.name,
+      fetchedAt: new Date().toISOString(),
+      ...forecast
+    };
+  }
+
+  return {
+    provider,
+
+    async getWeather(lat, lon) {
+      const key = cacheKey(lat, lon);
+      const entry = cache.get(key);
+      if (entry && entry.expiresAt > Date.now()) {
+        return { weather: await entry.promise, cached: true };
+      }
+
+      // Concurrent requests for the same location share one provider call
+      const promise = load(lat, lon);
+      cache.set(key, { promise, expiresAt: Date.now() + ttl });
+      if (cache.size > MAX_CACHE_ENTRIES) {
+        cache.delete(cache.keys().next().value);
+      }
+
+      try {
+        return { weather: await promise, cached: false };
+      } catch (error) {
+        cache.delete(key);
+        throw error;
+      }
+    },
+
+    clearCache() {
+      cache.clear();
+    }
+  };
+}
+
+export const weatherService = createWeatherService();
@@ -0,0 +1,98 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { distanceKm } from '../../geo.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_FILE = path.join(__dirname, '..', '..', '..', 'data', 'weather', 'forecast.json');
+
+const HOURLY_HOURS = 48;
+const HOUR = 60 * 60 * 1000;
+
+function startOfDay(date) {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+}
+
+function toDateString(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+// Temperatures peak mid-afternoon and bottom out before dawn
+function diurnalFactor(hour) {
+  return (1 + Math.cos(((hour - 14) / 24) * 2 * Math.PI)) / 2;
+}
+
+// Spread a day's figures over its hours when the fixture has no explicit hourly data
+function deriveHourly(daily, now) {
+  const hourly = [];
+  const firstHour = new Date(now);
+  firstHour.setMinutes(0, 0, 0);
+  const today = startOfDay(now);
+
+  for (let i = 0; i < HOURLY_HOURS; i++) {
+    const time = new Date(firstHour.getTime() + i * HOUR);
+    const dayIndex = Math.round((startOfDay(time) - today) / (24 * HOUR));
+    const day = daily[Math.min(dayIndex, daily.length - 1)];
+    const hour = time.getHours();
+    const factor = diurnalFactor(hour);
+    // Rain is concentrated in the afternoon and evening
+    const rainyHour = hour >= 13 && hour <= 20;
+
+    hourly.push({
+      time: time.toISOString(),
+      temperature: Math.round(day.low + (day.high - day.low) * factor),
+      condition: day.condition,
+      humidity: Math.round(Math.min(100, day.humidity + 15 * (1 - factor) - 5)),
+      windSpeed: Math.round(day.windSpeedMax * (0.4 + 0.6 * factor)),
+      precipitationProbability: rainyHour ? day.precipitationProbability : Math.round(day.precipitationProbability / 3),
+      precipitation: rainyHour ? Math.round((day.precipitation / 8) * 10) / 10 : 0
+    });
+  }
+  return hourly;
+}
+
+// File-backed provider for development and tests: serves the fixture station nearest
+// to the requested point, re-dated so "today" is always the first forecast day
+export function createLocalProvider(options = {}) {
+  const file = options.file || process.env.WEATHER_LOCAL_FILE || DEFAULT_FILE;
+
+  return {
+    name: 'local',
+
+    async fetchForecast({ lat, lon }) {
+      const fixture = JSON.parse(await fs.readFile(file, 'utf8'));
+      if (!fixture.stations || fixture.stations.length === 0) {
+        throw new Error(`No weather stations defined in ${file}`);
+      }
+
+      const station = fixture.stations.reduce((nearest, candidate) =>
+        distanceKm({ lat, lon }, candidate) < distanceKm({ lat, lon }, nearest) ? candidate : nearest
+      );
+
+      const now = new Date();
+      const today = startOfDay(now);
+      const daily = station.daily.map((day, i) => ({
+        date: toDateString(new Date(today.getTime() + i * 24 * HOUR)),
+        ...day
+      }));
+
+      const hourly = station.hourly
+        ? station.hourly.map(entry => ({
+          ...entry,
+          time: new Date(now.getTime() + entry.hourOffset * HOUR).toISOString()
+        }))
+        : deriveHourly(station.daily, now);
+
+      return {
+        location: { lat, lon, name: station.name },
+        current: { ...station.current, observedAt: now.toISOString() },
+        hourly,
+        daily
+      };
+    }
+  };
+}
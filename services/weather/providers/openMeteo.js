@@ -0,0 +1,76 @@
+const BASE_URL = 'https://api.open-meteo.com/v1/forecast';
+const REQUEST_TIMEOUT = 10000;
+
+// WMO weather interpretation codes -> conditions used by the app
+function conditionFromCode(code) {
+  if (code === 0) return 'Sunny';
+  if (code <= 2) return 'Partly Cloudy';
+  if (code === 3) return 'Cloudy';
+  if (code === 45 || code === 48) return 'Fog';
+  if (code >= 95) return 'Thunderstorm';
+  if (code >= 71 && code <= 77) return 'Snow';
+  if (code === 85 || code === 86) return 'Snow';
+  if (code === 65 || code === 82) return 'Heavy Rain';
+  return 'Light Rain';
+}
+
+// Adapter for the free Open-Meteo forecast API (no key required)
+export function createOpenMeteoProvider(options = {}) {
+  const baseUrl = options.baseUrl || process.env.OPEN_METEO_URL || BASE_URL;
+
+  return {
+    name: 'open-meteo',
+
+    async fetchForecast({ lat, lon }) {
+      const params = new URLSearchParams({
+        latitude: lat,
+        longitude: lon,
+        current: 'temperature_2m,relative_humidity_2m,precipitation,weather_code,wind_speed_10m,visibility',
+        hourly: 'temperature_2m,relative_humidity_2m,precipitation_probability,precipitation,weather_code,wind_speed_10m',
+        daily: 'weather_code,temperature_2m_max,temperature_2m_min,precipitation_sum,precipitation_probability_max,wind_speed_10m_max,relative_humidity_2m_mean',
+        forecast_days: 7,
+        forecast_hours: 48,
+        timezone: 'auto'
+      });
+
+      const response = await fetch(`${baseUrl}?${params}`, { signal: AbortSignal.timeout(REQUEST_TIMEOUT) });
+      if (!response.ok) {
+        throw new Error(`Open-Meteo request failed: HTTP ${response.status}`);
+      }
+      const data = await response.json();
+      const { current, hourly, daily } = data;
+
+      return {
+        location: { lat, lon, name: null },
+        current: {
+          temperature: Math.round(current.temperature_2m),
+          condition: conditionFromCode(current.weather_code),
+          humidity: current.relative_humidity_2m,
+          windSpeed: Math.round(current.wind_speed_10m),
+          visibility: Math.round(current.visibility / 1000),
+          precipitation: current.precipitation,
+          observedAt: new Date(current.time).toISOString()
+        },
+        hourly: hourly.time.map((time, i) => ({
+          time: new Date(time).toISOString(),
+          temperature: Math.round(hourly.temperature_2m[i]),
+          condition: conditionFromCode(hourly.weather_code[i]),
+          humidity: hourly.relative_humidity_2m[i],
+          windSpeed: Math.round(hourly.wind_speed_10m[i]),
+          precipitationProbability: hourly.precipitation_probability[i],
+          precipitation: hourly.precipitation[i]
+        })),
+        daily: daily.time.map((date, i) => ({
+          date,
+          high: Math.round(daily.temperature_2m_max[i]),
+          low: Math.round(daily.temperature_2m_min[i]),
+          condition: conditionFromCode(daily.weather_code[i]),
+          precipitationProbability: daily.precipitation_probability_max[i],
+          precipitation: daily.precipitation_sum[i],
+          windSpeedMax: Math.round(daily.wind_speed_10m_max[i]),
+          humidity: daily.relative_humidity_2m_mean[i]
+        }))
+      };
+    }
+  };
+}
@@ -0,0 +1,40 @@
+import WeatherAlert from '../models/WeatherAlert.js';
+
+// Alerts that have not expired, been superseded or been cancelled;
+// alerts without an end time stay active
+function activeFilter(now = new Date()) {
+  return {
+    status: { $nin: ['superseded', 'cancelled'] },
+    $or: [{ validUntil: { $gte: now } }, { validUntil: null }]
+  };
+}
+
+// Active alerts whose area contains the point or that target the district.
+// Without a position or district there is nothing to match, so nothing is returned.
+export async function findActiveAlerts({ lat, lon, districtCode } = {}) {
+  const areaMatches = [];
+  if (Number.isFinite(lat) && Number.isFinite(lon)) {
+    areaMatches.push({
+      area: { $geoIntersects: { $geometry: { type: 'Point', coordinates: [lon, lat] } } }
+    });
+  }
+  if (districtCode) {
+    areaMatches.push({ districtCode: String(districtCode).toUpperCase() });
+  }
+  if (areaMatches.length === 0) {
+    return [];
+  }
+
+  return WeatherAlert.find({ $and: [activeFilter(), { $or: areaMatches }] }).sort({ createdAt: -1 });
+}
+
+// Fields an admin may set when posting an alert by hand
+const MANUAL_FIELDS = ['location', 'area', 'districtCode', 'alert', 'severity', 'validUntil'];
+
+export async function createManualAlert(body) {
+  const fields = {};
+  MANUAL_FIELDS.forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  return WeatherAlert.create({ ...fields, source: 'manual' });
+}
@@ -0,0 +1,10 @@
+// Links and images editors add to articles must be web addresses: absolute http(s)
+// URLs or paths on this site. Anything else (javascript:, data:, ...) is refused.
+export function isWebUrl(value) {
+  if (typeof value !== 'string' || !value.trim()) return false;
+  try {
+    return ['http:', 'https:'].includes(new URL(value.trim(), 'http://localhost').protocol);
+  } catch (error) {
+    return false;
+  }
+}